@@ -2,15 +2,28 @@ import express from 'express';
 import cors from 'cors';
 import { Server } from 'socket.io';
 import http from 'http';
+import { createLocalRepoRouter } from './server/localRepo.js';
+import { createAdvisoryRouter } from './server/advisories.js';
+import { createWebhookRouter } from './server/webhooks.js';
 
 const app = express();
+
+// Offline ingestion of git working copies on this machine (`local:/path` in the SearchBar).
+// Mounted ahead of the open CORS below: it only answers the app's own origins.
+app.use('/api/local', createLocalRepoRouter());
+
 app.use(cors());
+// OSV advisory dumps (OSV_DATA_DIR) for the Security Shields
+app.use('/api/advisories', createAdvisoryRouter());
 
 const server = http.createServer(app);
 const io = new Server(server, {
     cors: { origin: '*', methods: ['GET', 'POST'] }
 });
 
+// GitHub webhooks (WEBHOOK_SECRET) relayed to the clients watching that repo, for The Burndown
+app.use('/api/webhooks', createWebhookRouter({ io }));
+
 const activeUsers = {};
 
 io.on('connection', (socket) => {
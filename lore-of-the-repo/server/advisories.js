@@ -0,0 +1,116 @@
+/**
+ * advisories.js
+ * OSV advisory lookups for the Security Shields, served from dumps on this machine.
+ *
+ *   GET  /api/advisories/status   → { advisories, ecosystems: { [ecosystem]: packages }, dir }
+ *   POST /api/advisories/query    { packages: [{ ecosystem, name }] } → { vulns: [advisory] }
+ *
+ * OSV_DATA_DIR (defaults to ./osv-data) holds the per-ecosystem `all.zip` dumps from
+ * https://osv-vulnerabilities.storage.googleapis.com/<ecosystem>/all.zip and/or advisory JSON
+ * files (one advisory or an array each). They are indexed on the first request; version
+ * matching happens in the browser (src/utils/osv.js), so only the packages asked about leave.
+ */
+
+import express from 'express';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { unzipSync } from 'fflate';
+
+const MAX_QUERY_PACKAGES = 20000;
+
+// Same keys as the browser: PyPI names are PEP 503-normalized
+const packageIndexKey = (ecosystem, name) => `${ecosystem}:${ecosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name}`;
+
+function parseAdvisories(text) {
+    const json = JSON.parse(text);
+    if (Array.isArray(json)) return json;
+    if (Array.isArray(json.vulns)) return json.vulns;
+    return json.id ? [json] : [];
+}
+
+async function listFiles(dir) {
+    const out = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) out.push(...await listFiles(full));
+        else if (/\.(json|zip)$/i.test(entry.name)) out.push(full);
+    }
+    return out;
+}
+
+async function buildIndex(dir) {
+    const index = new Map();
+    let count = 0;
+    const add = (advisory) => {
+        if (advisory.withdrawn) return;
+        count++;
+        new Set((advisory.affected || [])
+            .filter(a => a.package?.ecosystem && a.package?.name)
+            .map(a => packageIndexKey(a.package.ecosystem, a.package.name)))
+            .forEach(key => {
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(advisory);
+            });
+    };
+
+    let files = [];
+    try {
+        files = await listFiles(dir);
+    } catch {
+        console.warn(`[Advisories] ${dir} not found — no advisories to serve`);
+    }
+    const decoder = new TextDecoder();
+    for (const file of files) {
+        try {
+            if (file.toLowerCase().endsWith('.zip')) {
+                const entries = unzipSync(await readFile(file), { filter: (entry) => entry.name.endsWith('.json') });
+                Object.values(entries).forEach(bytes => parseAdvisories(decoder.decode(bytes)).forEach(add));
+            } else {
+                parseAdvisories(await readFile(file, 'utf8')).forEach(add);
+            }
+        } catch (e) {
+            console.warn(`[Advisories] ${file}:`, e.message);
+        }
+    }
+    console.log(`[Advisories] ${count} advisories for ${index.size} packages from ${dir}`);
+    return { index, count };
+}
+
+export function createAdvisoryRouter({ dir = process.env.OSV_DATA_DIR || 'osv-data' } = {}) {
+    const router = express.Router();
+    const dataDir = path.resolve(dir);
+    let loading = null;
+    const load = () => {
+        if (!loading) loading = buildIndex(dataDir);
+        return loading;
+    };
+
+    router.use(express.json({ limit: '4mb' }));
+
+    router.get('/status', async (req, res) => {
+        const { index, count } = await load();
+        const ecosystems = {};
+        index.forEach((_, key) => {
+            const ecosystem = key.slice(0, key.indexOf(':'));
+            ecosystems[ecosystem] = (ecosystems[ecosystem] || 0) + 1;
+        });
+        res.json({ advisories: count, ecosystems, dir: dataDir });
+    });
+
+    router.post('/query', async (req, res) => {
+        const packages = req.body?.packages;
+        if (!Array.isArray(packages) || packages.length > MAX_QUERY_PACKAGES) {
+            res.status(400).json({ error: `Expected { packages: [{ ecosystem, name }] } with at most ${MAX_QUERY_PACKAGES} entries.` });
+            return;
+        }
+        const { index } = await load();
+        const vulns = new Map();
+        packages.forEach(p => {
+            if (typeof p?.ecosystem !== 'string' || typeof p?.name !== 'string') return;
+            (index.get(packageIndexKey(p.ecosystem, p.name)) || []).forEach(v => vulns.set(v.id, v));
+        });
+        res.json({ vulns: [...vulns.values()] });
+    });
+
+    return router;
+}
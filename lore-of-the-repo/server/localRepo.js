@@ -0,0 +1,277 @@
+/**
+ * localRepo.js
+ * Read-only access to git working copies on this machine (offline, no GitHub needed).
+ *
+ *   GET /api/local/repo?repo=          → GitHub-shaped metadata + sub-path of `repo` inside its work tree
+ *   GET /api/local/head?repo=&ref=     → { sha }
+ *   GET /api/local/tree?repo=&ref=&path=      → [{ path, type, sha, size }]
+ *   GET /api/local/log?repo=&ref=&path=&limit= → { total, commits: [{ sha, author, email, date, message, paths }] }
+ *   GET /api/local/blame?repo=&ref=&path=     → { lines, authors: [{ name, email, lines, lastCommitAt }] }
+ *   GET /api/local/contents?repo=&ref=&path=  → raw file (text/plain)
+ *
+ * Everything is read from git objects (`ls-tree`, `show`, `blame <ref>`), never from the
+ * working tree, so symlinks can't escape the repo. Repos must live under LOCAL_REPO_ROOT
+ * (defaults to the home directory) and only loopback clients are served unless
+ * LOCAL_REPO_ALLOW_REMOTE=1. A loopback check alone would let any page open in the local
+ * browser read them, so CORS is limited to the app's own origins (LOCAL_REPO_ORIGINS, comma
+ * separated; defaults to the Vite dev and preview servers) and requests from any other
+ * `Origin` are refused outright.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { realpath } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+const MAX_LOG_ENTRIES = 5000;
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+const DEFAULT_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:4173', 'http://127.0.0.1:4173'];
+
+// Rough extension → language map, enough to pick the dominant language for the city theme
+const LANGUAGE_BY_EXT = {
+    js: 'JavaScript', jsx: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript',
+    ts: 'TypeScript', tsx: 'TypeScript', py: 'Python', go: 'Go', rs: 'Rust',
+    java: 'Java', kt: 'Kotlin', rb: 'Ruby', php: 'PHP', cs: 'C#', swift: 'Swift',
+    c: 'C', h: 'C', cpp: 'C++', cc: 'C++', hpp: 'C++', vue: 'Vue', svelte: 'Svelte',
+    scala: 'Scala', dart: 'Dart', ex: 'Elixir', exs: 'Elixir', sh: 'Shell', lua: 'Lua',
+};
+
+class LocalRepoError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+async function git(cwd, args) {
+    try {
+        const { stdout } = await execFileAsync('git', args, {
+            cwd,
+            maxBuffer: GIT_MAX_BUFFER,
+            env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' },
+        });
+        return stdout;
+    } catch (e) {
+        const detail = (e.stderr || e.message || '').trim().split('\n')[0];
+        throw new LocalRepoError(404, `git ${args[0]} failed: ${detail}`);
+    }
+}
+
+function isInside(root, candidate) {
+    const rel = path.relative(root, candidate);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+// Refs come straight from the URL — refuse option-like values and ranges
+function checkRef(ref) {
+    if (!ref) return 'HEAD';
+    if (ref.startsWith('-') || ref.includes('..') || !/^[\w./@{}~^+-]+$/.test(ref)) {
+        throw new LocalRepoError(400, `Invalid ref "${ref}".`);
+    }
+    return ref;
+}
+
+// Repo-relative file paths: no absolute paths, no climbing out with ".."
+function checkRepoPath(p) {
+    if (!p) return '';
+    const normalized = path.posix.normalize(p.replace(/\\/g, '/')).replace(/\/$/, '');
+    if (p.includes('\0') || path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+        throw new LocalRepoError(400, `Invalid path "${p}".`);
+    }
+    return normalized === '.' ? '' : normalized;
+}
+
+export function createLocalRepoRouter({
+    root = process.env.LOCAL_REPO_ROOT || os.homedir(),
+    origins = process.env.LOCAL_REPO_ORIGINS ? process.env.LOCAL_REPO_ORIGINS.split(',').map(o => o.trim()).filter(Boolean) : DEFAULT_ORIGINS,
+} = {}) {
+    const router = express.Router();
+    const allowRemote = process.env.LOCAL_REPO_ALLOW_REMOTE === '1';
+    const rootPromise = realpath(path.resolve(root));
+    const allowedOrigins = new Set(origins);
+
+    // Requests without an Origin (curl, same-origin navigations) carry no page to distrust
+    router.use(cors({ origin: (origin, done) => done(null, !origin || allowedOrigins.has(origin)) }));
+    router.use((req, res, next) => {
+        const origin = req.get('Origin');
+        if (origin && !allowedOrigins.has(origin)) {
+            res.status(403).json({ error: `Local repository access is not allowed from ${origin} (see LOCAL_REPO_ORIGINS).` });
+            return;
+        }
+        next();
+    });
+
+    /**
+     * Resolve the `repo` query param to { top, prefix }: the work tree root and the
+     * requested folder inside it. Both must stay under the configured root.
+     */
+    async function openRepo(requested) {
+        const rootDir = await rootPromise;
+        if (!requested || typeof requested !== 'string') throw new LocalRepoError(400, 'Missing "repo" parameter.');
+
+        let dir;
+        try {
+            dir = await realpath(path.resolve(rootDir, requested));
+        } catch {
+            throw new LocalRepoError(404, `No such directory: ${requested}`);
+        }
+        if (!isInside(rootDir, dir)) {
+            throw new LocalRepoError(403, `"${requested}" is outside the local repository root (${rootDir}).`);
+        }
+
+        const top = await realpath((await git(dir, ['rev-parse', '--show-toplevel'])).trim());
+        if (!isInside(rootDir, top)) {
+            throw new LocalRepoError(403, `The git work tree for "${requested}" starts outside the local repository root.`);
+        }
+        return { top, prefix: path.relative(top, dir).split(path.sep).join('/') };
+    }
+
+    const handle = (fn) => async (req, res) => {
+        if (!allowRemote && !LOOPBACK.has(req.socket.remoteAddress)) {
+            res.status(403).json({ error: 'Local repository access is only available from this machine.' });
+            return;
+        }
+        try {
+            await fn(req, res);
+        } catch (e) {
+            res.status(e.status || 500).json({ error: e.message });
+        }
+    };
+
+    router.get('/repo', handle(async (req, res) => {
+        const { top, prefix } = await openRepo(req.query.repo);
+        const [branch, tree, commitCount, lastCommit, roots, authors] = await Promise.all([
+            git(top, ['rev-parse', '--abbrev-ref', 'HEAD']),
+            git(top, ['ls-tree', '-r', '-l', '--full-tree', 'HEAD']),
+            git(top, ['rev-list', '--count', 'HEAD']),
+            git(top, ['log', '-1', '--format=%cI']),
+            git(top, ['rev-list', '--max-parents=0', 'HEAD']),
+            git(top, ['shortlog', '-sne', 'HEAD']),
+        ]);
+        const firstCommit = await git(top, ['log', '-1', '--format=%aI', roots.trim().split('\n').pop()]);
+
+        let bytes = 0;
+        const langCounts = {};
+        tree.split('\n').filter(Boolean).forEach(line => {
+            const [info, file] = line.split('\t');
+            const size = parseInt(info.split(/\s+/)[3], 10);
+            if (!isNaN(size)) bytes += size;
+            const lang = LANGUAGE_BY_EXT[file.split('.').pop().toLowerCase()];
+            if (lang) langCounts[lang] = (langCounts[lang] || 0) + 1;
+        });
+        const language = Object.entries(langCounts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+        const name = path.basename(top);
+
+        res.json({
+            name,
+            full_name: `local/${name}`,
+            description: `Local working copy at ${top}`,
+            language,
+            stargazers_count: 0,
+            forks_count: 0,
+            open_issues_count: 0,
+            size: Math.round(bytes / 1024),
+            topics: [],
+            default_branch: branch.trim() === 'HEAD' ? 'HEAD' : branch.trim(),
+            created_at: firstCommit.trim(),
+            pushed_at: lastCommit.trim(),
+            html_url: null,
+            commits_count: parseInt(commitCount, 10) || 0,
+            contributors_count: authors.split('\n').filter(Boolean).length,
+            work_tree: top,
+            prefix,
+        });
+    }));
+
+    router.get('/head', handle(async (req, res) => {
+        const { top } = await openRepo(req.query.repo);
+        const ref = checkRef(req.query.ref);
+        res.json({ sha: (await git(top, ['rev-parse', '--verify', `${ref}^{commit}`])).trim() });
+    }));
+
+    router.get('/tree', handle(async (req, res) => {
+        const { top } = await openRepo(req.query.repo);
+        const ref = checkRef(req.query.ref);
+        const sub = checkRepoPath(req.query.path);
+        const args = ['ls-tree', '-r', '-t', '-l', '-z', '--full-tree', ref];
+        if (sub) args.push('--', `${sub}/`);
+
+        const entries = (await git(top, args)).split('\0').filter(Boolean).map(line => {
+            const tab = line.indexOf('\t');
+            const [, type, sha, size] = line.slice(0, tab).split(/\s+/);
+            return { path: line.slice(tab + 1), type, sha, size: parseInt(size, 10) || 0 };
+        });
+        // `-t` also lists the sub-path's ancestors; submodules show up as commits — keep them as (empty) folders
+        res.json(entries
+            .filter(e => !sub || e.path.startsWith(`${sub}/`))
+            .map(e => (e.type === 'commit' ? { ...e, type: 'tree' } : e)));
+    }));
+
+    router.get('/log', handle(async (req, res) => {
+        const { top } = await openRepo(req.query.repo);
+        const ref = checkRef(req.query.ref);
+        const file = checkRepoPath(req.query.path);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_LOG_ENTRIES);
+        const pathspec = file ? ['--', file] : [];
+
+        // Each record starts with \x1e; the touched paths follow the header line (--name-only)
+        const [log, count] = await Promise.all([
+            git(top, ['log', `-n${limit}`, '--name-only', '--format=%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%s', ref, ...pathspec]),
+            git(top, ['rev-list', '--count', ref, ...pathspec]),
+        ]);
+        const commits = log.split('\x1e').filter(s => s.trim()).map(rec => {
+            const [header, ...paths] = rec.split('\n');
+            const [sha, author, email, date, message] = header.split('\x1f');
+            return { sha, author, email, date, message, paths: paths.filter(Boolean) };
+        });
+        res.json({ total: parseInt(count, 10) || commits.length, commits });
+    }));
+
+    router.get('/blame', handle(async (req, res) => {
+        const { top } = await openRepo(req.query.repo);
+        const ref = checkRef(req.query.ref);
+        const file = checkRepoPath(req.query.path);
+        if (!file) throw new LocalRepoError(400, 'Missing "path" parameter.');
+
+        const byAuthor = new Map();
+        let lines = 0;
+        let current = null;
+        (await git(top, ['blame', '--line-porcelain', ref, '--', file])).split('\n').forEach(line => {
+            if (line.startsWith('author ')) current = { name: line.slice(7) };
+            else if (line.startsWith('author-mail ')) current.email = line.slice(12).replace(/[<>]/g, '');
+            else if (line.startsWith('author-time ')) current.time = parseInt(line.slice(12), 10) * 1000;
+            else if (line.startsWith('\t') && current) {
+                lines++;
+                const key = current.email || current.name;
+                const entry = byAuthor.get(key) || { name: current.name, email: current.email, lines: 0, lastCommitAt: 0 };
+                entry.lines++;
+                entry.lastCommitAt = Math.max(entry.lastCommitAt, current.time || 0);
+                byAuthor.set(key, entry);
+                current = null;
+            }
+        });
+
+        res.json({
+            lines,
+            authors: [...byAuthor.values()]
+                .sort((a, b) => b.lines - a.lines)
+                .map(a => ({ ...a, lastCommitAt: a.lastCommitAt ? new Date(a.lastCommitAt).toISOString() : null })),
+        });
+    }));
+
+    router.get('/contents', handle(async (req, res) => {
+        const { top } = await openRepo(req.query.repo);
+        const ref = checkRef(req.query.ref);
+        const file = checkRepoPath(req.query.path);
+        if (!file) throw new LocalRepoError(400, 'Missing "path" parameter.');
+        res.type('text/plain').send(await git(top, ['show', `${ref}:${file}`]));
+    }));
+
+    return router;
+}
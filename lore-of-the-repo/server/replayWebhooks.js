@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * replayWebhooks.js
+ * Replays recorded GitHub webhook deliveries against the local server, signed with
+ * WEBHOOK_SECRET like GitHub would, so The Burndown can be exercised with no network.
+ *
+ *   WEBHOOK_SECRET=… npm run webhook:replay -- <file | folder>… [--repo owner/name]
+ *       [--event push] [--interval 2000] [--url http://localhost:4000/api/webhooks/github]
+ *
+ * A file is either a delivery the server recorded (WEBHOOK_RECORD_DIR: { event, delivery,
+ * payload }) or a bare payload, whose event comes from --event or the file name
+ * (`push.json`, `1718000000000-workflow_run.json`). Folders replay their .json files in name
+ * order. --repo retargets every payload at the city you have loaded.
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import path from 'path';
+import { signPayload } from './webhooks.js';
+
+const EVENTS = ['push', 'workflow_run', 'check_run', 'pull_request'];
+const DEFAULT_URL = `${process.env.VITE_LOCAL_SERVER_URL || 'http://localhost:4000'}/api/webhooks/github`;
+
+function parseArgs(argv) {
+    const options = { files: [], url: DEFAULT_URL, event: null, repo: null, interval: 2000 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--url') options.url = argv[++i];
+        else if (arg === '--event') options.event = argv[++i];
+        else if (arg === '--repo') options.repo = argv[++i];
+        else if (arg === '--interval') options.interval = Number(argv[++i]) || 0;
+        else options.files.push(arg);
+    }
+    return options;
+}
+
+async function listDeliveries(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if ((await stat(input)).isDirectory()) {
+            const names = (await readdir(input)).filter(n => n.endsWith('.json')).sort();
+            files.push(...names.map(n => path.join(input, n)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+function eventFromName(file) {
+    const name = path.basename(file, '.json');
+    return EVENTS.find(e => name === e || name.endsWith(`-${e}`)) || null;
+}
+
+async function readDelivery(file, options) {
+    const json = JSON.parse(await readFile(file, 'utf8'));
+    const recorded = json.payload && typeof json.event === 'string';
+    const payload = recorded ? json.payload : json;
+    const event = options.event || (recorded ? json.event : eventFromName(file));
+    if (!event) throw new Error('unknown event — name the file after it or pass --event');
+    if (options.repo) {
+        const [owner, name] = options.repo.split('/');
+        payload.repository = { ...payload.repository, full_name: options.repo, name, owner: { ...payload.repository?.owner, login: owner } };
+    }
+    return { event, payload };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret || !options.files.length) {
+        console.error('Usage: WEBHOOK_SECRET=… node server/replayWebhooks.js <file | folder>… [--repo owner/name] [--event name] [--interval ms] [--url url]');
+        process.exit(1);
+    }
+
+    const files = await listDeliveries(options.files);
+    let failed = 0;
+    for (const [i, file] of files.entries()) {
+        if (i > 0 && options.interval) await sleep(options.interval);
+        try {
+            const { event, payload } = await readDelivery(file, options);
+            const body = JSON.stringify(payload);
+            const res = await fetch(options.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-GitHub-Event': event,
+                    'X-GitHub-Delivery': `replay-${Date.now()}-${i}`,
+                    'X-Hub-Signature-256': signPayload(secret, body),
+                },
+                body,
+            });
+            const result = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(`${res.status} ${result.error || res.statusText}`);
+            console.log(`${file}: ${event} → ${result.relayed ? 'relayed' : 'nothing to draw'}`);
+        } catch (e) {
+            failed++;
+            console.error(`${file}: ${e.message}`);
+        }
+    }
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,192 @@
+/**
+ * webhooks.js
+ * GitHub webhook receiver for The Burndown: deliveries are verified, reduced to what the city
+ * draws and relayed over socket.io to the clients watching that repository.
+ *
+ *   POST /api/webhooks/github   (X-GitHub-Event, X-Hub-Signature-256) → 202 { relayed }
+ *   socket.io namespace /events: 'watchRepo' full_name → joins the repo's room, which gets
+ *   'repoEvent' RepoEvent (its own namespace, so event sockets never count as Ghost Avatars)
+ *
+ * Handles `push`, `workflow_run`, `check_run` and `pull_request` (and answers `ping`). Every
+ * delivery must be signed with WEBHOOK_SECRET — without one the endpoint is disabled. Only push
+ * payloads list files, so the files of each pushed commit are remembered for a while and
+ * lent to the runs and pull requests of the same commit. WEBHOOK_RECORD_DIR, when set, keeps
+ * each verified delivery as JSON for `npm run webhook:replay`.
+ */
+
+import express from 'express';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+const EVENTS_NAMESPACE = '/events';
+const MAX_PAYLOAD = '25mb';
+const MAX_REMEMBERED_COMMITS = 500;
+const MAX_EVENT_FILES = 2000;
+const RELAYED_EVENTS = new Set(['push', 'workflow_run', 'check_run', 'pull_request']);
+const PULL_ACTIONS = new Set(['opened', 'reopened', 'synchronize', 'closed']);
+// Same verdicts as Build Weather (src/providers/shared.js)
+const CI_FAILED = new Set(['failure', 'timed_out', 'action_required', 'startup_failure']);
+const CI_PASSED = new Set(['success', 'neutral', 'skipped']);
+
+/**
+ * @typedef {Object} RepoEvent
+ * @property {string}      id     - delivery id
+ * @property {string}      event  - 'push' | 'workflow_run' | 'check_run' | 'pull_request'
+ * @property {string}      repo   - lower-cased owner/name
+ * @property {'pass'|'fail'|'pending'|null} state - CI verdict; null for pushes and pull requests
+ * @property {string}      title
+ * @property {string|null} ref
+ * @property {string|null} sha
+ * @property {string[]|null} files - repo paths the event touched; null when unknown
+ * @property {string|null} url
+ * @property {string}      at     - ISO time the delivery was received
+ */
+
+export const roomForRepo = (fullName) => `repo:${String(fullName).toLowerCase()}`;
+
+export function signPayload(secret, body) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function verifySignature(secret, body, header) {
+    if (typeof header !== 'string') return false;
+    const expected = Buffer.from(signPayload(secret, body));
+    const actual = Buffer.from(header);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function ciState(status, conclusion) {
+    if (status !== 'completed') return 'pending';
+    if (CI_FAILED.has(conclusion)) return 'fail';
+    if (CI_PASSED.has(conclusion)) return 'pass';
+    return null;
+}
+
+const firstLine = (text) => (text || '').split('\n')[0];
+
+function pushedFiles(commits) {
+    const files = new Set();
+    (commits || []).forEach(c => [c.added, c.removed, c.modified].forEach(list => (list || []).forEach(f => files.add(f))));
+    return [...files].slice(0, MAX_EVENT_FILES);
+}
+
+/**
+ * The delivery as a RepoEvent, or null when there is nothing to draw (branch deletions,
+ * cancelled runs, pull request labels…). `filesOf(sha)` recalls a pushed commit's files.
+ */
+export function repoEvent(event, payload, { delivery, filesOf = () => null }) {
+    const repo = payload?.repository?.full_name;
+    if (!repo || !RELAYED_EVENTS.has(event)) return null;
+    const base = { id: delivery, event, repo: repo.toLowerCase(), at: new Date().toISOString() };
+
+    if (event === 'push') {
+        if (payload.deleted) return null;
+        return {
+            ...base,
+            state: null,
+            title: firstLine(payload.head_commit?.message) || `push to ${payload.ref}`,
+            ref: payload.ref?.replace(/^refs\/(heads|tags)\//, '') || null,
+            sha: payload.after || null,
+            files: pushedFiles(payload.commits),
+            url: payload.compare || null,
+        };
+    }
+
+    if (event === 'workflow_run' || event === 'check_run') {
+        const run = payload[event];
+        const state = run && ciState(run.status, run.conclusion);
+        if (!state) return null;
+        return {
+            ...base,
+            state,
+            title: run.name || event,
+            ref: (event === 'workflow_run' ? run.head_branch : run.check_suite?.head_branch) || null,
+            sha: run.head_sha || null,
+            files: filesOf(run.head_sha),
+            url: run.html_url || null,
+        };
+    }
+
+    const pr = payload.pull_request;
+    if (!pr || !PULL_ACTIONS.has(payload.action)) return null;
+    return {
+        ...base,
+        state: null,
+        title: `#${pr.number} ${pr.title} (${payload.action === 'closed' && pr.merged ? 'merged' : payload.action})`,
+        ref: pr.head?.ref || null,
+        sha: pr.head?.sha || null,
+        files: filesOf(pr.head?.sha),
+        url: pr.html_url || null,
+    };
+}
+
+export function createWebhookRouter({ io, secret = process.env.WEBHOOK_SECRET, recordDir = process.env.WEBHOOK_RECORD_DIR } = {}) {
+    const router = express.Router();
+    // `${repo}@${sha}` → files, oldest first
+    const pushed = new Map();
+    const remember = (event) => {
+        pushed.delete(`${event.repo}@${event.sha}`);
+        pushed.set(`${event.repo}@${event.sha}`, event.files);
+        if (pushed.size > MAX_REMEMBERED_COMMITS) pushed.delete(pushed.keys().next().value);
+    };
+
+    if (!secret) console.warn('[Webhooks] WEBHOOK_SECRET is not set — webhook deliveries will be refused');
+
+    const events = io.of(EVENTS_NAMESPACE);
+    events.on('connection', (socket) => {
+        socket.on('watchRepo', (fullName) => {
+            [...socket.rooms].filter(r => r.startsWith('repo:')).forEach(r => socket.leave(r));
+            if (typeof fullName === 'string' && fullName) socket.join(roomForRepo(fullName));
+        });
+    });
+
+    router.post('/github', express.raw({ type: '*/*', limit: MAX_PAYLOAD }), async (req, res) => {
+        if (!secret) {
+            res.status(503).json({ error: 'Set WEBHOOK_SECRET on the server to accept webhooks.' });
+            return;
+        }
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (!verifySignature(secret, body, req.get('X-Hub-Signature-256'))) {
+            res.status(401).json({ error: 'Invalid or missing X-Hub-Signature-256.' });
+            return;
+        }
+
+        const event = req.get('X-GitHub-Event');
+        const delivery = req.get('X-GitHub-Delivery') || `${Date.now()}`;
+        if (event === 'ping') {
+            res.json({ ok: true });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body.toString('utf8'));
+        } catch {
+            res.status(400).json({ error: 'Expected a JSON payload (content type application/json).' });
+            return;
+        }
+
+        if (recordDir && RELAYED_EVENTS.has(event)) {
+            try {
+                await mkdir(recordDir, { recursive: true });
+                await writeFile(path.join(recordDir, `${Date.now()}-${event}.json`), JSON.stringify({ event, delivery, payload }, null, 2));
+            } catch (e) {
+                console.warn('[Webhooks] Recording failed:', e.message);
+            }
+        }
+
+        const relayed = repoEvent(event, payload, {
+            delivery,
+            filesOf: (sha) => pushed.get(`${payload.repository?.full_name?.toLowerCase()}@${sha}`) || null,
+        });
+        if (relayed) {
+            if (relayed.event === 'push' && relayed.sha) remember(relayed);
+            events.to(roomForRepo(relayed.repo)).emit('repoEvent', relayed);
+            console.log(`[Webhooks] ${event} ${relayed.repo}${relayed.state ? ` ${relayed.state}` : ''}: ${relayed.title}`);
+        }
+        res.status(202).json({ relayed: !!relayed });
+    });
+
+    return router;
+}
@@ -3,7 +3,7 @@
  * Orchestrates all 14 advanced systems.
  */
 
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useCallback, useMemo, useEffect } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
 import { Scene } from './components/Scene';
 import { SearchBar } from './components/UI/SearchBar';
@@ -11,58 +11,61 @@ import { Sidebar } from './components/UI/Sidebar';
 import { CinematicControls, LoadingOverlay, ErrorOverlay, LandingScreen } from './components/UI/CinematicMode';
 import { CommitTimeline } from './components/CommitTimeline';
 import { FeaturePanel } from './components/UI/FeaturePanel';
+import { CyclePanel } from './components/UI/CyclePanel';
+import { DecayLegend } from './components/UI/DecayLegend';
+import { OwnersLegend } from './components/UI/OwnersLegend';
+import { SupplyChainPanel } from './components/UI/SupplyChainPanel';
+import { SecurityPanel } from './components/UI/SecurityPanel';
+import { LicensePanel } from './components/UI/LicensePanel';
+import { WeatherPanel } from './components/UI/WeatherPanel';
 import { VRButton } from './components/VRMode';
 import { TerminalTrigger, Terminal } from './components/TerminalEasterEgg';
 import { DeployCountdown } from './components/ContainerTransport';
 import { useRecruiterMode } from './components/RecruiterMode';
 import { useGitHubData } from './hooks/useGitHubData';
+import { useCityHistory } from './hooks/useCityHistory';
+import { useImportGraph } from './hooks/useImportGraph';
+import { useForceLayout } from './hooks/useForceLayout';
+import { useCityStore } from './hooks/useCityStore';
+import { useCodeMetrics } from './hooks/useCodeMetrics';
+import { useOwnership } from './hooks/useOwnership';
+import { useSupplyChain } from './hooks/useSupplyChain';
+import { useVulnerabilities } from './hooks/useVulnerabilities';
+import { useLicenses } from './hooks/useLicenses';
+import { useIslandHistory } from './hooks/useIslandHistory';
+import { useBuildWeather } from './hooks/useBuildWeather';
+import { useRepoEvents } from './hooks/useRepoEvents';
+import { toggleFeature, setCityLayout, clickIsland, clearSelection } from './utils/cityStore';
+import { findImportCycles } from './utils/importCycles';
 import { calcCarbonScore, getCarbonVisuals } from './utils/carbonFootprint';
+import { loadDependencyGraph } from './utils/supplyChain';
+import { loadLicenseFiles } from './utils/licenses';
+import { downloadSbom } from './utils/sbom';
 import { ActionButtonGroup, ARBusinessCardModal } from './components/FeatureExpansions';
 import { RepoChatModal } from './components/RepoChatModal';
 import { CodeInspector } from './components/UI/CodeInspector';
 import { SaaSLogin } from './components/SaaSLogin';
-
-const DEFAULT_FEATURES = {
-  security: false,
-  traffic: false,
-  weather: false,
-  music: false,
-  ghosts: false,
-  decay: false,
-  battle: false,
-  neural: false,
-  vr: false,
-  carbon: false,
-  glitch: false,
-  nebula: false,
-  phantom: false,
-  helix: false,
-  graph: false,
-  linter: false,
-  fps: false,
-  economy: false,
-  wormhole: false,
-  burndown: false,
-  boss: false,
-  instanced: false,
-  heatmap: false,
-  deploy: true,   // Container Transport on by default
-};
+import { archiveSourceFromDrop } from './utils/archiveReader';
 
 export default function App() {
+  // Base city layout + what drives building heights (helix / graph still override positions).
+  // heightMetric null = the repo's .lordofrepo.json choice, else size.
+  // Layout, selection and feature flags live in the city store (utils/cityStore.js)
+  const cityLayout = useCityStore(s => s.layout);
   const {
-    loading, error, cityData, narrative, repoInfo,
-    fetchRepo, loadDemo, geminiApiKey, saveApiKey,
-  } = useGitHubData();
+    loading, error, cityData, narrative, repoInfo, commitLog, repoTree, cityConfig, configError, loadProgress, recentRepos,
+    fetchRepo, loadDemo, openArchive, geminiApiKey, saveApiKey,
+    githubToken, saveGithubToken,
+  } = useGitHubData(cityLayout);
 
   // Core state
-  const [selectedIsland, setSelectedIsland] = useState(null);
+  const selectedIsland = useCityStore(s => s.selectedIsland);
   const [droneActive, setDroneActive] = useState(false);
   const [showTimeline, setShowTimeline] = useState(false);
   const [timelineProgress, setTimelineProgress] = useState(100);
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [dismissedError, setDismissedError] = useState(false);
-  const [features, setFeatures] = useState(DEFAULT_FEATURES);
+  const features = useCityStore(s => s.features);
 
   // New feature state
   const [terminalOpen, setTerminalOpen] = useState(false);
@@ -80,6 +83,87 @@ export default function App() {
   const [galaxyMode, setGalaxyMode] = useState(false);
   const [isLoggedIntoSaaS, setIsLoggedIntoSaaS] = useState(false);
   const [chatOpen, setChatOpen] = useState(false);
+  const [dropActive, setDropActive] = useState(false);
+
+  // Timeline scrubbing rebuilds the city from historical trees (repos with a commit log)
+  const { cityData: displayedCity, historyCommit, historyLoading } = useCityHistory({
+    cityData, repoInfo, commitLog, progress: timelineProgress, active: showTimeline, ...cityLayout, config: cityConfig,
+  });
+  const hasHistory = commitLog.length > 1;
+  // Whatever reads the files each commit touched says when the log has none — GitHub only
+  // lists them with an access token
+  const historyNote = commitLog.length > 0 && !commitLog.some(c => c.paths)
+    ? (repoInfo?.source?.provider === 'github' ? 'Needs a GitHub token' : 'No per-file history')
+    : null;
+
+  // Knowledge Graph: force-directed layout over the real import graph (HEAD city)
+  // Real module graph (JS/TS, Python, Go, Rust, Java), read on first use: the Knowledge Graph, import cycles, code metrics,
+  // the importers of dependencies (Supply Chain Nebula, Security Shields, License Scan), or the selected island's dependency
+  // beams once asked for — reading every source just because an island was clicked is too much
+  const [beamTree, setBeamTree] = useState(null);
+  const beamsWanted = !!repoTree && beamTree === repoTree;
+  const imports = useImportGraph({
+    repoInfo, repoTree,
+    active: features.graph || features.cycles || features.economy || features.nebula || features.security || features.licenses || beamsWanted,
+  });
+  const handleLoadBeams = useCallback(() => setBeamTree(repoTree), [repoTree]);
+  const graphLayout = useForceLayout({ cityData, repoInfo, imports, active: features.graph });
+  // Code metrics of the same sources; the Economy ticker compares them with an earlier commit
+  const codeMetrics = useCodeMetrics({ cityData, repoInfo, repoTree, commitLog, imports, active: features.economy });
+
+  // Import Cycles: strongly connected components of the module graph, the focused one flown to
+  const importCycles = useMemo(() => findImportCycles(imports.edges), [imports.edges]);
+  const [cycleFocus, setCycleFocus] = useState({ cycles: null, index: null });
+  const focusedCycle = cycleFocus.cycles === importCycles ? cycleFocus.index : null;
+  const handleFocusCycle = useCallback((index) => setCycleFocus({ cycles: importCycles, index }), [importCycles]);
+
+  // Legacy Ruins / Telemetry Heatmap: each island's staleness and recent activity from the commit log
+  // (islands it doesn't reach get their own last commit looked up for the Ruins)
+  const { history, status: historyStatus } = useIslandHistory({ cityData, repoInfo, commitLog, active: features.decay });
+
+  // Code Owners: CODEOWNERS (or top committers) per island; picking a team in the legend highlights its islands
+  const ownership = useOwnership({ cityData, repoInfo, commitLog, active: features.owners || !!selectedIsland });
+  const [teamFocus, setTeamFocus] = useState({ teams: null, id: null });
+  const focusedTeam = teamFocus.teams === ownership.teams ? teamFocus.id : null;
+  const handleFocusTeam = useCallback(
+    (id) => setTeamFocus({ teams: ownership.teams, id: id === focusedTeam ? null : id }),
+    [ownership.teams, focusedTeam],
+  );
+
+  // Supply Chain Nebula: direct dependencies from the manifests / lockfiles; picking one links it to its importers
+  const supplyChain = useSupplyChain({
+    cityData, repoInfo, repoTree, imports, active: features.nebula || features.security || features.licenses,
+  });
+  const [dependencyFocus, setDependencyFocus] = useState({ dependencies: null, id: null });
+  const focusedDependency = dependencyFocus.dependencies === supplyChain.dependencies ? dependencyFocus.id : null;
+  const handleFocusDependency = useCallback(
+    (id) => setDependencyFocus({ dependencies: supplyChain.dependencies, id: id === focusedDependency ? null : id }),
+    [supplyChain.dependencies, focusedDependency],
+  );
+
+  // Security Shields: those dependencies' resolved versions against OSV advisories (a loaded dump or the server's)
+  const vulnerabilities = useVulnerabilities({ supplyChain, active: features.security });
+
+  // License Scan: LICENSE files, SPDX headers and lockfile licenses against the repo's allow-list
+  const licenses = useLicenses({ cityData, repoInfo, repoTree, imports, supplyChain, cityConfig, active: features.licenses });
+
+  // Build Weather: the commit's latest CI jobs, raining on the islands their workflows' path filters cover
+  const buildWeather = useBuildWeather({ cityData, repoInfo, repoTree, active: features.weather });
+
+  // The Burndown: push / CI / pull request webhooks relayed by the local server, live
+  const repoEvents = useRepoEvents({ repoInfo, active: features.burndown });
+
+  // SBOM export: the dependency graph and LICENSE files, read now if no overlay has loaded them yet
+  const handleExportSbom = useCallback(async (format) => {
+    try {
+      const graph = supplyChain.status === 'done' ? supplyChain : await loadDependencyGraph(repoInfo, repoTree);
+      const licenseFiles = licenses.status === 'done' ? licenses.files : await loadLicenseFiles(repoInfo, repoTree);
+      downloadSbom(format, { repoInfo, graph, licenseFiles, findings: licenses.findings, allow: licenses.allow });
+    } catch (e) {
+      console.warn('[SBOM] Export failed:', e.message);
+      alert(`⚠️ SBOM export failed: ${e.message}`);
+    }
+  }, [repoInfo, repoTree, supplyChain, licenses]);
 
   // Recruiter mode from URL
   const recruiterMode = useRecruiterMode();
@@ -93,42 +177,56 @@ export default function App() {
   // Determine global visual themes based on carbon mode
   const carbonActive = features.carbon;
 
-  const handleToggleFeature = useCallback((key) => {
-    setFeatures(prev => {
-      const willTurnOn = !prev[key];
-      if (willTurnOn) {
-         const activeCount = Object.keys(prev).filter(k => k !== 'deploy' && prev[k]).length;
-         if (activeCount >= 5) {
-             console.warn('⚠️ SYSTEM OVERLOAD WARNING: Running many systems simultaneously may drop FPS.');
-         }
-      }
-      return { ...prev, [key]: !prev[key] };
-    });
-  }, []);
-
-  const handleSearch = useCallback((url) => {
-    setSelectedIsland(null);
+  const resetView = useCallback(() => {
+    clearSelection();
     setDismissedError(false);
     setDroneActive(false);
     setShowTimeline(false);
     setTimelineProgress(100);
     setMatrixMode(false);
+  }, []);
+
+  const handleSearch = useCallback((url) => {
+    resetView();
     fetchRepo(url);
-  }, [fetchRepo]);
+  }, [resetView, fetchRepo]);
 
   const handleDemo = useCallback(() => {
-    setSelectedIsland(null);
-    setDismissedError(false);
-    setDroneActive(false);
-    setShowTimeline(false);
-    setTimelineProgress(100);
-    setMatrixMode(false);
+    resetView();
     loadDemo();
-  }, [loadDemo]);
-
-  const handleSelectIsland = useCallback((island) => {
-    setSelectedIsland(prev => prev?.id === island.id ? null : island);
-  }, []);
+  }, [resetView, loadDemo]);
+
+  const handleOpenArchive = useCallback((source) => {
+    resetView();
+    openArchive(source);
+  }, [resetView, openArchive]);
+
+  // Drop a .zip or a folder anywhere on the page to build its city
+  useEffect(() => {
+    const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+    const onDragOver = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      setDropActive(true);
+    };
+    const onDragLeave = (e) => {
+      if (!e.relatedTarget) setDropActive(false); // left the window
+    };
+    const onDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      setDropActive(false);
+      handleOpenArchive(archiveSourceFromDrop(e.dataTransfer));
+    };
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('dragleave', onDragLeave);
+    window.addEventListener('drop', onDrop);
+    return () => {
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('dragleave', onDragLeave);
+      window.removeEventListener('drop', onDrop);
+    };
+  }, [handleOpenArchive]);
 
   const handleToggleDrone = useCallback(() => {
     setDroneActive(prev => {
@@ -177,9 +275,17 @@ export default function App() {
     if (id === 'galaxy') setGalaxyMode(p => !p);
     if (id === 'voice') handleVoiceCommand();
     if (id === 'chat') setChatOpen(true);
-  }, [handleVoiceCommand]);
+    if (id === 'sbom-spdx') handleExportSbom('spdx');
+    if (id === 'sbom-cdx') handleExportSbom('cyclonedx');
+  }, [handleVoiceCommand, handleExportSbom]);
+
+  // A bad .lordofrepo.json doesn't stop the city — it's reported once the city is up
+  const overlayError = error || configError;
+  const showError = overlayError && !dismissedError;
 
-  const showError = error && !dismissedError;
+  // Import graph progress: the Knowledge Graph layout, or the dependency beams / cycles
+  const graphHud = features.graph ? graphLayout : ((selectedIsland && beamsWanted) || features.cycles ? imports : null);
+  const showGraphHud = graphHud && (graphHud.status === 'loading' || graphHud.status === 'simulating');
 
   if (!isLoggedIntoSaaS && !recruiterMode) {
      return <SaaSLogin onLogin={setIsLoggedIntoSaaS} />;
@@ -192,13 +298,13 @@ export default function App() {
       <div className="scene-container">
         {hasCity ? (
           <Scene
-            cityData={cityData}
+            cityData={displayedCity}
             narrative={narrative}
-            onSelectIsland={handleSelectIsland}
+            onSelectIsland={clickIsland}
             selectedIsland={selectedIsland}
             droneActive={droneActive}
             onDroneComplete={handleDroneComplete}
-            timelineProgress={timelineProgress}
+            timelineProgress={hasHistory ? 100 : timelineProgress}
             features={features}
             carbonVisuals={carbonVisuals}
             recruiterMode={recruiterMode}
@@ -208,6 +314,21 @@ export default function App() {
             docTrig={docTrig}
             exportSTLTrig={exportSTLTrig}
             galaxyMode={galaxyMode}
+            graphLayout={graphLayout}
+            importEdges={imports.edges}
+            importCycles={importCycles}
+            cycleFocus={features.cycles ? focusedCycle : null}
+            codeMetrics={codeMetrics}
+            history={history}
+            ownership={features.owners ? ownership : null}
+            teamFocus={features.owners ? focusedTeam : null}
+            supplyChain={features.nebula ? supplyChain : null}
+            dependencyFocus={focusedDependency}
+            onFocusDependency={handleFocusDependency}
+            vulnerabilities={features.security ? vulnerabilities.islands : null}
+            licenses={features.licenses ? licenses.islands : null}
+            buildWeather={features.weather ? buildWeather.islands : null}
+            repoEvents={repoEvents}
           />
         ) : (
           <div className="empty-scene" />
@@ -250,6 +371,10 @@ export default function App() {
                 themeColor={themeColor}
                 geminiApiKey={geminiApiKey}
                 onSaveApiKey={saveApiKey}
+                githubToken={githubToken}
+                recentRepos={recentRepos}
+                onSaveGithubToken={saveGithubToken}
+                onOpenArchive={handleOpenArchive}
                 hasCity={hasCity}
                 onTour={() => setOnboardingActive(!onboardingActive)}
                 tourActive={onboardingActive}
@@ -286,6 +411,10 @@ export default function App() {
                         narrative={narrative}
                         repoInfo={repoInfo}
                         selectedIsland={selectedIsland}
+                        metrics={selectedIsland ? codeMetrics.islands[selectedIsland.id] : null}
+                        ownership={selectedIsland ? ownership.islands[selectedIsland.id] : null}
+                        metricsCommit={codeMetrics.commit}
+                        beams={{ status: imports.status, onLoad: handleLoadBeams }}
                         themeColor={themeColor}
                       />
                     </motion.div>
@@ -299,7 +428,10 @@ export default function App() {
               <div className="feature-panel-container">
                 <FeaturePanel
                   features={features}
-                  onToggle={handleToggleFeature}
+                  onToggle={toggleFeature}
+                  historyNote={historyNote}
+                  cityLayout={{ ...cityLayout, heightMetric: cityLayout.heightMetric || cityConfig?.metrics?.height || 'size' }}
+                  onCityLayout={setCityLayout}
                   themeColor={themeColor}
                   carbonVisuals={carbonVisuals}
                 />
@@ -319,6 +451,12 @@ export default function App() {
             )}
 
             {!hasCity && !loading && <LandingScreen themeColor={themeColor} />}
+
+            {dropActive && (
+              <div className="drop-overlay" style={{ borderColor: themeColor, color: themeColor }}>
+                DROP A .ZIP OR FOLDER TO BUILD ITS CITY
+              </div>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -357,7 +495,7 @@ export default function App() {
             themeColor={themeColor}
             islands={cityData?.islands}
             vrActive={features.vr}
-            onToggle={() => handleToggleFeature('vr')}
+            onToggle={() => toggleFeature('vr')}
           />
         </div>
       )}
@@ -375,6 +513,9 @@ export default function App() {
               value={timelineProgress}
               onChange={setTimelineProgress}
               repoInfo={repoInfo}
+              commitLog={commitLog}
+              cityCommit={historyCommit}
+              cityLoading={historyLoading}
               themeColor={themeColor}
             />
           </motion.div>
@@ -400,6 +541,66 @@ export default function App() {
         )}
       </AnimatePresence>
 
+      {/* ── Knowledge Graph HUD ──────────────────────────────── */}
+      {hasCity && showGraphHud && (
+        <div className="graph-status" style={{ color: themeColor, borderColor: `${themeColor}44` }}>
+          {graphHud.status === 'loading'
+            ? `READING IMPORTS${graphHud.progress ? ` ${graphHud.progress.done}/${graphHud.progress.total}` : '…'}`
+            : `CLUSTERING ${graphLayout.links.length} DEPENDENCY LINKS…`}
+        </div>
+      )}
+
+      {/* ── Import Cycles list ───────────────────────────────── */}
+      {hasCity && features.cycles && !droneActive && !matrixMode && (
+        <CyclePanel
+          cycles={importCycles}
+          focusIndex={focusedCycle}
+          onFocus={handleFocusCycle}
+          status={imports.status}
+          themeColor={themeColor}
+        />
+      )}
+
+      {/* ── Overlay legends (Legacy Ruins, Code Owners, Supply Chain, Security, Licenses, Build Weather) ── */}
+      {hasCity && (features.decay || features.owners || features.nebula || features.security || features.licenses || features.weather) && !droneActive && !matrixMode && (
+        <div className="lab-legends">
+          {features.decay && <DecayLegend islands={cityData.islands} history={history} status={historyStatus} themeColor={themeColor} />}
+          {features.owners && (
+            <OwnersLegend ownership={ownership} focusedTeam={focusedTeam} onFocus={handleFocusTeam} themeColor={themeColor} />
+          )}
+          {features.nebula && (
+            <SupplyChainPanel
+              supplyChain={supplyChain}
+              islands={cityData.islands}
+              focusedId={focusedDependency}
+              onFocus={handleFocusDependency}
+              onSelectIsland={clickIsland}
+              themeColor={themeColor}
+            />
+          )}
+          {features.security && (
+            <SecurityPanel
+              vulnerabilities={vulnerabilities}
+              supplyChain={supplyChain}
+              islands={cityData.islands}
+              onSelectIsland={clickIsland}
+              themeColor={themeColor}
+            />
+          )}
+          {features.licenses && (
+            <LicensePanel
+              licenses={licenses}
+              imports={imports}
+              supplyChain={supplyChain}
+              islands={cityData.islands}
+              onSelectIsland={clickIsland}
+              themeColor={themeColor}
+            />
+          )}
+          {features.weather && <WeatherPanel weather={buildWeather} repoInfo={repoInfo} themeColor={themeColor} />}
+        </div>
+      )}
+
       {/* ── Deploy HUD ─────────────────────────────────────── */}
       {hasCity && features.deploy && (
         <DeployCountdown deployCount={deployCount} phase={deployPhase} />
@@ -418,9 +619,9 @@ export default function App() {
       </AnimatePresence>
 
       {/* ── Loading / Error ─────────────────────────────────── */}
-      <AnimatePresence>{loading && <LoadingOverlay themeColor={themeColor} />}</AnimatePresence>
+      <AnimatePresence>{loading && <LoadingOverlay themeColor={themeColor} progress={loadProgress} />}</AnimatePresence>
       <AnimatePresence>
-        {showError && <ErrorOverlay error={error} onDismiss={() => setDismissedError(true)} />}
+        {showError && <ErrorOverlay error={overlayError} title={error ? undefined : 'CITY CONFIG INVALID'} onDismiss={() => setDismissedError(true)} />}
       </AnimatePresence>
 
       {/* ── Ext Actions & Modals ────────────────────────────── */}
@@ -0,0 +1,52 @@
+/**
+ * go.js
+ * Go analyzer: `import "x"` and `import ( … )` blocks. An import path resolves when it
+ * falls under a module declared by one of the repo's go.mod files (longest module path
+ * wins); it points at every non-test .go file of that package folder.
+ * Standard library and third-party packages stay external.
+ */
+
+import { dirname, joinPath, filesByDir, stripSource } from './shared';
+
+const SOURCE_FILE = /\.go$/;
+const GO_MOD = /(^|\/)go\.mod$/;
+
+export function scanGoImports(code) {
+    const src = stripSource(code, { keepStrings: true, backtickStrings: true });
+    const refs = [];
+    const add = (spec) => spec && refs.push({ spec, kind: 'import' });
+    for (const m of src.matchAll(/\bimport\s*\(([^)]*)\)/g)) {
+        for (const s of m[1].matchAll(/["`]([^"`\n]+)["`]/g)) add(s[1]);
+    }
+    for (const m of src.matchAll(/\bimport\s+(?:[\w.]+\s+)?["`]([^"`\n]+)["`]/g)) add(m[1]);
+    return refs;
+}
+
+export function createGoResolver(paths, configs = []) {
+    const packages = filesByDir(paths, p => SOURCE_FILE.test(p) && !p.endsWith('_test.go'));
+    const modules = configs
+        .filter(c => GO_MOD.test(c.path))
+        .map(c => ({ dir: dirname(c.path), path: c.text.match(/^\s*module\s+"?([^\s"]+)"?/m)?.[1] }))
+        .filter(m => m.path)
+        .sort((a, b) => b.path.length - a.path.length);
+
+    return (fromPath, { spec }) => {
+        const mod = modules.find(m => spec === m.path || spec.startsWith(`${m.path}/`));
+        if (!mod) return [];
+        return packages.get(joinPath(mod.dir, spec.slice(mod.path.length))) || [];
+    };
+}
+
+export const goAnalyzer = {
+    id: 'go',
+    label: 'Go',
+    isSource: (path) => SOURCE_FILE.test(path),
+    isConfig: (path) => GO_MOD.test(path),
+    scan: (code) => scanGoImports(code),
+    createResolver: createGoResolver,
+    metrics: {
+        strip: { backtickStrings: true },
+        decisions: /\b(?:if|for|case)\b|&&|\|\|/g,
+        functions: /\bfunc\b/g,
+    },
+};
@@ -0,0 +1,59 @@
+/**
+ * analyzers/index.js
+ * Language analyzer registry for the import graph.
+ *
+ * Every analyzer turns one language's sources into file → file edges the same way, so
+ * importGraph.js / moduleGraph.worker.js never see language specifics:
+ *   isSource(path)                  → whether to fetch + scan the file
+ *   isConfig(path)                  → (optional) manifests the resolver reads (tsconfig, go.mod, Cargo.toml…)
+ *   scan(code)                      → [{ spec, kind, ... }] module references, unresolved
+ *   createResolver(paths, configs)  → (fromPath, ref) => [repo paths] (empty when external)
+ *   metrics                         → the language's profile for metrics.js (comment syntax,
+ *                                     branch / function patterns)
+ * `paths` is every blob path in the repo, `configs` [{ path, text }] of the manifests.
+ * Everything here is pure (no DOM / network) so it runs inside the worker.
+ */
+
+import { javascriptAnalyzer } from './javascript';
+import { pythonAnalyzer } from './python';
+import { goAnalyzer } from './go';
+import { rustAnalyzer } from './rust';
+import { javaAnalyzer } from './java';
+import { computeFileMetrics } from './metrics';
+
+const ANALYZERS = [javascriptAnalyzer, pythonAnalyzer, goAnalyzer, rustAnalyzer, javaAnalyzer];
+
+export function analyzerForPath(path) {
+    return ANALYZERS.find(a => a.isSource(path)) || null;
+}
+
+export const isConfigFile = (path) => ANALYZERS.some(a => a.isConfig?.(path));
+
+/** Code metrics of a source file (metrics.js), or null for languages without an analyzer */
+export function fileMetrics(path, code) {
+    const analyzer = analyzerForPath(path);
+    return analyzer ? computeFileMetrics(code, analyzer.metrics) : null;
+}
+
+const HEADER_LINES = 30;
+
+/** The `SPDX-License-Identifier: MIT OR Apache-2.0` expression in a file's first lines, or null */
+export function spdxHeader(code) {
+    const head = code.split('\n', HEADER_LINES).join('\n');
+    const m = head.match(/SPDX-License-Identifier:\s*([^\n]+?)\s*(?:\*\/|-->|#\}|$)/m);
+    return m ? m[1].trim() : null;
+}
+
+/**
+ * Resolver per language, built on first use (a Go repo never pays for the tsconfig parsing)
+ */
+export function createResolvers(paths, configs) {
+    const resolvers = new Map();
+    return (analyzer) => {
+        if (!resolvers.has(analyzer.id)) {
+            const own = configs.filter(c => analyzer.isConfig?.(c.path));
+            resolvers.set(analyzer.id, analyzer.createResolver(paths, own));
+        }
+        return resolvers.get(analyzer.id);
+    };
+}
@@ -0,0 +1,71 @@
+/**
+ * java.js
+ * Java analyzer: `import a.b.C;`, `import a.b.*;` and `import static a.b.C.m;`.
+ * Source roots aren't configured anywhere we can read cheaply (Maven, Gradle, Bazel…),
+ * so a class resolves by path suffix — a/b/C.java under any folder — preferring main
+ * sources over tests. Nested-class imports fall back to their outer class.
+ */
+
+import { filesByDir, stripSource } from './shared';
+
+const SOURCE_FILE = /\.java$/;
+
+export function scanJavaImports(code) {
+    const src = stripSource(code, { tripleQuotes: true });
+    return [...src.matchAll(/^\s*import\s+(static\s+)?([\w.]+(?:\.\*)?)\s*;/gm)]
+        .map(m => ({ spec: m[2], kind: m[1] ? 'static' : 'import' }));
+}
+
+export function createJavaResolver(paths) {
+    const javaFiles = paths.filter(p => SOURCE_FILE.test(p))
+        // main before test sources when two roots hold the same class
+        .sort((a, b) => Number(/(^|\/)test\//.test(a)) - Number(/(^|\/)test\//.test(b)));
+    const bySuffix = new Map();
+    javaFiles.forEach(path => {
+        const parts = path.split('/');
+        for (let i = 0; i < parts.length; i++) {
+            const suffix = parts.slice(i).join('/');
+            if (!bySuffix.has(suffix)) bySuffix.set(suffix, path);
+        }
+    });
+    const packages = filesByDir(javaFiles, () => true);
+    const dirBySuffix = new Map();
+    [...packages.keys()].forEach(dir => {
+        const parts = dir.split('/');
+        for (let i = 0; i < parts.length; i++) {
+            const suffix = parts.slice(i).join('/');
+            if (!dirBySuffix.has(suffix)) dirBySuffix.set(suffix, dir);
+        }
+    });
+
+    return (fromPath, { spec, kind }) => {
+        const segs = spec.split('.');
+        if (segs[segs.length - 1] === '*') {
+            segs.pop();
+            // Static wildcards name a class; plain ones a package
+            if (kind !== 'static') return packages.get(dirBySuffix.get(segs.join('/'))) || [];
+        } else if (kind === 'static') {
+            segs.pop(); // the member
+        }
+        // Outer classes for nested-class imports (a.b.C.Inner → a/b/C.java)
+        for (let n = segs.length; n > 1 && n >= segs.length - 2; n--) {
+            const hit = bySuffix.get(`${segs.slice(0, n).join('/')}.java`);
+            if (hit) return hit === fromPath ? [] : [hit];
+        }
+        return [];
+    };
+}
+
+export const javaAnalyzer = {
+    id: 'java',
+    label: 'Java',
+    isSource: (path) => SOURCE_FILE.test(path),
+    scan: (code) => scanJavaImports(code),
+    createResolver: createJavaResolver,
+    metrics: {
+        strip: { tripleQuotes: true },
+        decisions: /\b(?:if|for|while|case|catch)\b|&&|\|\||(?<!<)\?(?![>,])/g,
+        // method / constructor bodies (`name(args) [throws X] {`) and lambdas
+        functions: /(?<name>\w+)\s*\([^()]*\)\s*(?:throws\s+[\w.,\s]+)?\{|->/g,
+    },
+};
@@ -0,0 +1,410 @@
+/**
+ * javascript.js
+ * JS / TS analyzer: module references in sources and how they resolve inside a repo.
+ *   scanModuleRefs(code)                   → [{ spec, kind }]  kind: import | reexport | require | dynamic
+ *   createModuleResolver(paths, configs)   → (fromPath, spec) => repo path | null
+ * The scanner tokenizes the source (comments, strings, templates and regex literals are
+ * skipped) rather than regex-matching raw text, so commented-out code and strings that
+ * merely look like imports don't count.
+ * Resolution covers relative paths and index files, tsconfig / jsconfig `baseUrl` + `paths`
+ * (following relative `extends`), and workspace packages through package.json
+ * `exports` / `imports` / `main`.
+ */
+
+import { dirname, joinPath } from './shared';
+
+const SOURCE_FILE = /\.(m?[jt]sx?|cjs|cts|mts)$/i;
+const CONFIG_FILE = /(^|\/)(package\.json|[tj]sconfig[\w.-]*\.json)$/;
+const RESOLVE_SUFFIXES = ['', '.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '/index.ts', '/index.tsx', '/index.js', '/index.jsx', '/index.mjs'];
+// Output-style extensions (and declaration files) that stand in for a TS source sibling
+const EMITTED_EXT = /\.(d\.(m|c)?ts|(m|c)?jsx?)$/;
+// Keywords after which `/` starts a regex literal rather than a division
+const REGEX_AFTER = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+// package.json export conditions worth following, tried in the order the package lists them
+const CONDITIONS = new Set(['source', 'development', 'import', 'module', 'browser', 'default', 'require', 'node', 'types']);
+// Built output folders a workspace package may export from, mapped back to its sources
+const BUILD_DIR = /^(dist|lib|build|esm|cjs|out)\//;
+const CONFIG_NAMES = ['tsconfig.json', 'jsconfig.json'];
+
+const isIdStart = (ch) => /[A-Za-z_$\u0080-\uffff]/.test(ch);
+const isIdPart = (ch) => /[\w$\u0080-\uffff]/.test(ch);
+
+/**
+ * Just enough of a JS / TS lexer to find module references:
+ * tokens are { t: 'id' | 'str' | 'num' | 'regex' | 'tpl' | 'punct', v }.
+ * Templates without substitutions come out as 'str'; `${…}` contents are lexed as code.
+ */
+function tokenize(code) {
+    const tokens = [];
+    const braces = []; // per open `{`: true when it is a template's `${`
+    const n = code.length;
+    let i = 0;
+
+    const regexAllowed = () => {
+        const last = tokens[tokens.length - 1];
+        if (!last) return true;
+        if (last.t === 'id') return REGEX_AFTER.has(last.v);
+        if (last.t !== 'punct') return false;
+        return !(last.v === ')' || last.v === ']' || last.v === '}');
+    };
+
+    // From just after a backtick (or a template's closing `}`) to its end or next `${`
+    const readTemplate = (start, fresh) => {
+        let j = start;
+        let text = '';
+        while (j < n) {
+            const ch = code[j];
+            if (ch === '\\') { text += code[j + 1] || ''; j += 2; continue; }
+            if (ch === '`') {
+                tokens.push(fresh ? { t: 'str', v: text } : { t: 'tpl', v: text });
+                return j + 1;
+            }
+            if (ch === '$' && code[j + 1] === '{') {
+                tokens.push({ t: 'tpl', v: text });
+                braces.push(true);
+                return j + 2;
+            }
+            text += ch;
+            j++;
+        }
+        return n;
+    };
+
+    while (i < n) {
+        const ch = code[i];
+
+        if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') { i++; continue; }
+        if (ch === '/' && code[i + 1] === '/') {
+            const end = code.indexOf('\n', i);
+            i = end === -1 ? n : end;
+            continue;
+        }
+        if (ch === '/' && code[i + 1] === '*') {
+            const end = code.indexOf('*/', i + 2);
+            i = end === -1 ? n : end + 2;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            let j = i + 1;
+            let text = '';
+            while (j < n && code[j] !== ch && code[j] !== '\n') {
+                if (code[j] === '\\') { text += code[j + 1] || ''; j += 2; } else { text += code[j]; j++; }
+            }
+            tokens.push({ t: 'str', v: text });
+            i = j + 1;
+            continue;
+        }
+        if (ch === '`') { i = readTemplate(i + 1, true); continue; }
+
+        if (ch === '/' && regexAllowed()) {
+            let j = i + 1;
+            let inClass = false;
+            while (j < n && code[j] !== '\n') {
+                const c = code[j];
+                if (c === '\\') { j += 2; continue; }
+                if (c === '[') inClass = true;
+                else if (c === ']') inClass = false;
+                else if (c === '/' && !inClass) break;
+                j++;
+            }
+            if (code[j] === '/') {
+                j++;
+                while (j < n && isIdPart(code[j])) j++;
+                tokens.push({ t: 'regex', v: code.slice(i, j) });
+                i = j;
+                continue;
+            }
+            // not a regex after all (e.g. a JSX closing tag) — fall through as punctuation
+        }
+
+        if (isIdStart(ch)) {
+            let j = i + 1;
+            while (j < n && isIdPart(code[j])) j++;
+            tokens.push({ t: 'id', v: code.slice(i, j) });
+            i = j;
+            continue;
+        }
+        if (ch >= '0' && ch <= '9') {
+            let j = i + 1;
+            while (j < n && (isIdPart(code[j]) || code[j] === '.')) j++;
+            tokens.push({ t: 'num', v: code.slice(i, j) });
+            i = j;
+            continue;
+        }
+
+        if (ch === '{') braces.push(false);
+        if (ch === '}' && braces.pop()) { i = readTemplate(i + 1, false); continue; }
+        tokens.push({ t: 'punct', v: ch });
+        i++;
+    }
+    return tokens;
+}
+
+// Index of the `from` in `… from '…'`, scanning forward from `start` within one statement
+function findFrom(tokens, start) {
+    for (let j = start; j < tokens.length - 1 && j < start + 400; j++) {
+        const { t, v } = tokens[j];
+        if (t === 'punct' && v === ';') return -1;
+        if (t === 'id' && (v === 'import' || v === 'export') && j > start) return -1;
+        if (t === 'id' && v === 'from' && tokens[j + 1].t === 'str') return j;
+    }
+    return -1;
+}
+
+/**
+ * Every module specifier a source file references, once each (first kind wins):
+ *   import x from '…' / import '…' / import type …   → import
+ *   export * from '…' / export { a } from '…'          → reexport
+ *   require('…') (incl. TS `import x = require('…')`)   → require
+ *   import('…')                                        → dynamic (string literals only)
+ */
+export function scanModuleRefs(code) {
+    const tokens = tokenize(code);
+    const refs = new Map();
+    const add = (spec, kind) => { if (spec && !refs.has(spec)) refs.set(spec, kind); };
+    const isStr = (k) => tokens[k]?.t === 'str';
+    const is = (k, v) => tokens[k]?.t === 'punct' && tokens[k].v === v;
+
+    tokens.forEach(({ t, v }, i) => {
+        if (t !== 'id' || is(i - 1, '.')) return; // skip member access: obj.require(…), x.import
+        if (v === 'import') {
+            if (is(i + 1, '(')) {
+                if (isStr(i + 2) && (is(i + 3, ')') || is(i + 3, ','))) add(tokens[i + 2].v, 'dynamic');
+            } else if (isStr(i + 1)) {
+                add(tokens[i + 1].v, 'import');
+            } else if (!is(i + 1, '.')) { // not import.meta
+                const j = findFrom(tokens, i + 1);
+                if (j !== -1) add(tokens[j + 1].v, 'import');
+            }
+        } else if (v === 'export') {
+            const next = tokens[i + 1];
+            const typeOnly = next?.t === 'id' && next.v === 'type';
+            if (is(i + 1, '*') || is(i + 1, '{') || (typeOnly && (is(i + 2, '{') || is(i + 2, '*')))) {
+                const j = findFrom(tokens, i + 1);
+                if (j !== -1) add(tokens[j + 1].v, 'reexport');
+            }
+        } else if (v === 'require' && is(i + 1, '(') && isStr(i + 2) && is(i + 3, ')')) {
+            add(tokens[i + 2].v, 'require');
+        }
+    });
+
+    return [...refs].map(([spec, kind]) => ({ spec, kind }));
+}
+
+// ─── Resolution ───────────────────────────────────────────────
+
+// JSON with comments and trailing commas (tsconfig style)
+function parseJsonc(text) {
+    let out = '';
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"') {
+            let j = i + 1;
+            while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+            out += text.slice(i, j + 1);
+            i = j;
+        } else if (ch === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (ch === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else {
+            out += ch;
+        }
+    }
+    return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// Longest-prefix match of `spec` against `*` patterns (tsconfig paths, exports / imports keys)
+function matchPattern(keys, spec) {
+    let best = null;
+    keys.forEach(key => {
+        const star = key.indexOf('*');
+        if (star === -1) {
+            if (key === spec) best = { key, rest: '', score: Infinity };
+            return;
+        }
+        const prefix = key.slice(0, star);
+        const suffix = key.slice(star + 1);
+        if (spec.length >= key.length - 1 && spec.startsWith(prefix) && spec.endsWith(suffix) && (!best || prefix.length > best.score)) {
+            best = { key, rest: spec.slice(prefix.length, spec.length - suffix.length), score: prefix.length };
+        }
+    });
+    return best;
+}
+
+/**
+ * `paths`: every blob path in the repo. `configs`: [{ path, text }] for the repo's
+ * tsconfig / jsconfig / package.json files. Unparseable configs are ignored.
+ */
+export function createModuleResolver(paths, configs = []) {
+    const files = new Set(paths);
+    const texts = new Map(configs.map(c => [c.path, c.text]));
+
+    const parsed = new Map();
+    const readJson = (path) => {
+        if (!parsed.has(path)) {
+            let json = null;
+            try { json = texts.has(path) ? parseJsonc(texts.get(path)) : null; } catch { /* ignored */ }
+            parsed.set(path, json);
+        }
+        return parsed.get(path);
+    };
+
+    const packages = new Map(); // name → dir
+    configs.filter(c => c.path.split('/').pop() === 'package.json').forEach(c => {
+        const name = readJson(c.path)?.name;
+        if (typeof name === 'string' && !packages.has(name)) packages.set(name, dirname(c.path));
+    });
+
+    const entering = new Set();
+    const tryFile = (base) => {
+        const bases = EMITTED_EXT.test(base) ? [base, base.replace(EMITTED_EXT, '')] : [base];
+        for (const b of bases) {
+            for (const suffix of RESOLVE_SUFFIXES) {
+                if (files.has(b + suffix)) return b + suffix;
+            }
+        }
+        // A folder that is itself a package: follow its entry point (once — `main: "."` exists)
+        const pkg = readJson(`${base}/package.json`);
+        if (!pkg || entering.has(base)) return null;
+        entering.add(base);
+        const hit = packageEntry(base, pkg, '.');
+        entering.delete(base);
+        return hit;
+    };
+
+    // ── tsconfig / jsconfig: merged `extends` chain, paths made repo-relative ──
+    const loadTsconfig = (path, seen = new Set()) => {
+        const json = readJson(path);
+        if (!json || seen.has(path)) return { baseDir: null, paths: null };
+        seen.add(path);
+        const dir = dirname(path);
+        let merged = { baseDir: null, paths: null };
+        [].concat(json.extends || []).forEach(ext => {
+            if (typeof ext !== 'string' || !ext.startsWith('.')) return; // package-hosted bases hold no repo paths
+            const target = joinPath(dir, ext);
+            const base = loadTsconfig(target.endsWith('.json') ? target : `${target}.json`, seen);
+            merged = { baseDir: base.baseDir ?? merged.baseDir, paths: base.paths ?? merged.paths };
+        });
+        const opts = json.compilerOptions || {};
+        if (typeof opts.baseUrl === 'string') merged.baseDir = joinPath(dir, opts.baseUrl);
+        if (opts.paths && typeof opts.paths === 'object') {
+            // Relative to baseUrl when there is one, else to the config declaring them
+            merged.paths = { base: merged.baseDir ?? dir, map: opts.paths };
+        }
+        return merged;
+    };
+
+    const tsconfigs = new Map(); // dir → nearest config, merged
+    const tsconfigFor = (dir) => {
+        if (tsconfigs.has(dir)) return tsconfigs.get(dir);
+        const own = CONFIG_NAMES.map(name => (dir ? `${dir}/${name}` : name)).find(p => texts.has(p));
+        const config = own ? loadTsconfig(own) : (dir ? tsconfigFor(dirname(dir)) : null);
+        tsconfigs.set(dir, config);
+        return config;
+    };
+
+    const resolveAlias = (fromPath, spec) => {
+        const config = tsconfigFor(dirname(fromPath));
+        if (!config) return null;
+        if (config.paths) {
+            const match = matchPattern(Object.keys(config.paths.map), spec);
+            for (const target of match ? [].concat(config.paths.map[match.key]) : []) {
+                const hit = typeof target === 'string' && tryFile(joinPath(config.paths.base, target.replace('*', match.rest)));
+                if (hit) return hit;
+            }
+        }
+        return config.baseDir !== null ? tryFile(joinPath(config.baseDir, spec)) : null;
+    };
+
+    // ── package.json `exports` / `imports` / `main` ──
+    const pickTarget = (target, rest) => {
+        if (typeof target === 'string') return [target.replace(/\*/g, rest)];
+        if (Array.isArray(target)) return target.flatMap(t => pickTarget(t, rest));
+        if (target && typeof target === 'object') {
+            // Every condition, not just the first: `types` / `import` often point at build output
+            return Object.keys(target).filter(k => CONDITIONS.has(k)).flatMap(k => pickTarget(target[k], rest));
+        }
+        return [];
+    };
+
+    const resolveTarget = (dir, target) => {
+        const path = joinPath(dir, target);
+        // Packages usually export their build output; the repo only has the sources
+        const rel = path.slice(dir ? dir.length + 1 : 0);
+        return tryFile(path) || (BUILD_DIR.test(rel) ? tryFile(joinPath(dir, rel.replace(BUILD_DIR, 'src/'))) : null);
+    };
+
+    const resolveMap = (dir, map, subpath) => {
+        const match = matchPattern(Object.keys(map), subpath);
+        if (!match) return null;
+        for (const target of pickTarget(map[match.key], match.rest)) {
+            const hit = resolveTarget(dir, target);
+            if (hit) return hit;
+        }
+        return null;
+    };
+
+    function packageEntry(dir, pkg, subpath) {
+        const { exports } = pkg;
+        if (exports !== undefined && exports !== null) {
+            // Sugar: a bare target or a conditions object means the "." entry
+            const sugar = typeof exports === 'string' || Array.isArray(exports) || !Object.keys(exports).some(k => k.startsWith('.'));
+            return resolveMap(dir, sugar ? { '.': exports } : exports, subpath);
+        }
+        if (subpath !== '.') return resolveTarget(dir, subpath);
+        for (const field of ['source', 'module', 'main']) {
+            const hit = typeof pkg[field] === 'string' && resolveTarget(dir, pkg[field]);
+            if (hit) return hit;
+        }
+        return tryFile(dir ? `${dir}/index` : 'index');
+    }
+
+    const resolveWorkspacePackage = (spec) => {
+        const parts = spec.split('/');
+        const nameLength = spec.startsWith('@') ? 2 : 1;
+        const name = parts.slice(0, nameLength).join('/');
+        if (!packages.has(name)) return null;
+        const dir = packages.get(name);
+        const rest = parts.slice(nameLength).join('/');
+        return packageEntry(dir, readJson(dir ? `${dir}/package.json` : 'package.json'), rest ? `./${rest}` : '.');
+    };
+
+    // `#internal` specifiers: the nearest package.json's `imports` map
+    const resolveSubpathImport = (fromPath, spec) => {
+        for (let dir = dirname(fromPath); ; dir = dirname(dir)) {
+            const pkg = readJson(dir ? `${dir}/package.json` : 'package.json');
+            if (pkg) return pkg.imports ? resolveMap(dir, pkg.imports, spec) : null;
+            if (!dir) return null;
+        }
+    };
+
+    return (fromPath, rawSpec) => {
+        const spec = rawSpec.split('?')[0]; // bundler queries: './logo.svg?url'
+        if (!spec || spec.startsWith('node:')) return null;
+        if (spec.startsWith('.')) return tryFile(joinPath(dirname(fromPath), spec));
+        if (spec.startsWith('#')) return resolveSubpathImport(fromPath, spec);
+        return resolveAlias(fromPath, spec) || resolveWorkspacePackage(spec);
+    };
+}
+
+export const javascriptAnalyzer = {
+    id: 'javascript',
+    label: 'JavaScript / TypeScript',
+    isSource: (path) => SOURCE_FILE.test(path) && !/\.(min\.js|d\.[mc]?ts)$/i.test(path),
+    isConfig: (path) => CONFIG_FILE.test(path),
+    scan: (code) => scanModuleRefs(code),
+    createResolver(paths, configs) {
+        const resolve = createModuleResolver(paths, configs);
+        return (fromPath, { spec }) => [resolve(fromPath, spec)].filter(Boolean);
+    },
+    metrics: {
+        strip: { singleQuotes: true, backtickStrings: true },
+        decisions: /\b(?:if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?![.?:])/g,
+        // function declarations / expressions, arrows, and methods (`name(args) {` opening a line
+        // or following `{`, `;` or `}` — `class C { m() {} }`)
+        functions: /\bfunction\b|=>|(?:^|[{};])\s*(?:(?:async|static|get|set|public|private|protected)\s+)*(?<name>[A-Za-z_$][\w$]*)\s*\([^()]*\)\s*(?::\s*[^{;]+)?\{/gm,
+    },
+};
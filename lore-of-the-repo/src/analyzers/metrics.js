@@ -0,0 +1,92 @@
+/**
+ * metrics.js
+ * Per-file code metrics from source text, driven by the analyzer's `metrics` profile:
+ *   strip       — stripSource options for the language (comments out, string contents blanked)
+ *   decisions   — global RegExp, one match per branch point (if / for / case / && …)
+ *   functions   — global RegExp, one match per function; a `name` group, if any, that is a
+ *                 control keyword (`if (…) {` looks like a method) doesn't count
+ *   indentation — nesting is indentation depth (Python) rather than `{` depth
+ *
+ *   → { loc, sloc, commentLines, commentRatio, complexity, functions, maxNesting, maintainability }
+ * complexity is the file's total cyclomatic complexity (1 per function + 1 per branch point);
+ * maintainability the 0–100 index (171 − 5.2 ln V − 0.23 CC − 16.2 ln SLOC, rescaled) over
+ * per-function averages — whole-file totals sink every file past a few hundred lines to 0 —
+ * with V the Halstead volume of the stripped tokens.
+ */
+
+import { stripSource } from './shared';
+
+const CONTROL_WORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'match', 'loop', 'synchronized', 'with', 'elif', 'else', 'new', 'function']);
+const TOKEN = /[A-Za-z_$][\w$]*|\d[\w.]*|"[^"\n]*"|'[^'\n]*'|`[^`]*`|[^\s\w]{1,3}/g;
+
+function countFunctions(src, pattern) {
+    let n = 0;
+    for (const m of src.matchAll(pattern)) {
+        if (!m.groups?.name || !CONTROL_WORDS.has(m.groups.name)) n++;
+    }
+    return n;
+}
+
+function braceNesting(src) {
+    let depth = 0;
+    let max = 0;
+    for (const ch of src) {
+        if (ch === '{') max = Math.max(max, ++depth);
+        else if (ch === '}') depth = Math.max(0, depth - 1);
+    }
+    return max;
+}
+
+// Indentation levels below the file's top level, in units of its smallest indent
+function indentNesting(codeLines) {
+    const indents = codeLines.map(l => l.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length);
+    const unit = indents.reduce((min, n) => (n > 0 && n < min ? n : min), Infinity);
+    return Number.isFinite(unit) ? indents.reduce((max, n) => Math.max(max, Math.floor(n / unit)), 0) : 0;
+}
+
+function halsteadVolume(src) {
+    const tokens = src.match(TOKEN) || [];
+    const distinct = new Set(tokens).size;
+    return tokens.length * Math.log2(Math.max(2, distinct));
+}
+
+export function maintainabilityIndex({ volume, complexity, sloc, functions }) {
+    if (!sloc) return 100;
+    const per = Math.max(1, functions);
+    const raw = 171 - 5.2 * Math.log(Math.max(1, volume / per)) - 0.23 * (complexity / per) - 16.2 * Math.log(Math.max(1, sloc / per));
+    return Math.round(Math.max(0, Math.min(100, (raw * 100) / 171)));
+}
+
+export function computeFileMetrics(code, profile) {
+    const src = stripSource(code, profile.strip);
+    const lines = code.split('\n');
+    const stripped = src.split('\n');
+    let sloc = 0;
+    let commentLines = 0;
+    const codeLines = [];
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        if (stripped[i]?.trim()) {
+            sloc++;
+            codeLines.push(stripped[i]);
+        } else {
+            commentLines++;
+        }
+    });
+
+    const functions = countFunctions(src, profile.functions);
+    const complexity = Math.max(1, functions + (src.match(profile.decisions) || []).length);
+    const maxNesting = profile.indentation ? indentNesting(codeLines) : braceNesting(src);
+    const loc = sloc + commentLines;
+
+    return {
+        loc,
+        sloc,
+        commentLines,
+        commentRatio: loc ? Math.round((commentLines / loc) * 100) / 100 : 0,
+        complexity,
+        functions,
+        maxNesting,
+        maintainability: maintainabilityIndex({ volume: halsteadVolume(src), complexity, sloc, functions }),
+    };
+}
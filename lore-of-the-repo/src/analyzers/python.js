@@ -0,0 +1,114 @@
+/**
+ * python.js
+ * Python analyzer: `import a.b` / `from a.b import c` / `from ..pkg import d`.
+ * Absolute modules resolve against the repo's source roots (the repo root, `src/`, and every
+ * folder holding a pyproject.toml / setup.py / setup.cfg, plus its `src/`), then against the
+ * importing file's own folder (scripts run in place). Relative imports climb packages from
+ * the importing file. `from pkg import name` points at pkg/name.py when that is a
+ * module, else at the package itself.
+ */
+
+import { dirname, joinPath, stripSource } from './shared';
+
+const SOURCE_FILE = /\.pyi?$/;
+const PROJECT_FILE = /(^|\/)(pyproject\.toml|setup\.py|setup\.cfg)$/;
+
+// Source → logical lines: strings and comments blanked, bracketed / backslash continuations joined
+function logicalLines(code) {
+    const lines = [];
+    let current = '';
+    let depth = 0;
+    stripSource(code, { hashComments: true, singleQuotes: true, tripleQuotes: true }).split('\n').forEach(line => {
+        for (const ch of line) {
+            if (ch === '(' || ch === '[' || ch === '{') depth++;
+            else if ((ch === ')' || ch === ']' || ch === '}') && depth) depth--;
+        }
+        const continued = depth > 0 || /\\\s*$/.test(line);
+        current += ` ${line.replace(/\\\s*$/, '')}`;
+        if (!continued) {
+            lines.push(current.trim());
+            current = '';
+        }
+    });
+    if (current.trim()) lines.push(current.trim());
+    return lines;
+}
+
+const firstWord = (part) => part.trim().split(/\s+/)[0];
+
+export function scanPythonImports(code) {
+    const refs = [];
+    logicalLines(code).forEach(line => {
+        // `import a; import b` and `if x: import y` are rare enough to take statement by statement
+        line.split(';').map(s => s.trim().replace(/^(try|else|finally|except[^:]*):\s*/, '')).forEach(stmt => {
+            let m = stmt.match(/^import\s+(.+)$/);
+            if (m) {
+                m[1].split(',').map(firstWord).filter(Boolean).forEach(spec => refs.push({ spec, kind: 'import' }));
+                return;
+            }
+            m = stmt.match(/^from\s+(\.*[\w.]*)\s+import\s+(.+)$/);
+            if (m) {
+                const names = m[2].replace(/[()]/g, ' ').split(',').map(firstWord).filter(n => n && n !== '*');
+                refs.push({ spec: m[1], kind: 'from', names });
+            }
+        });
+    });
+    return refs;
+}
+
+export function createPythonResolver(paths) {
+    const files = new Set(paths);
+    const projects = paths.filter(p => PROJECT_FILE.test(p)).map(dirname);
+    const roots = [...new Set(['', 'src', ...projects, ...projects.map(d => joinPath(d, 'src'))])];
+
+    const moduleAt = (dir, dotted) => {
+        const base = joinPath(dir, dotted.split('.').join('/'));
+        return [`${base}.py`, `${base}/__init__.py`, `${base}.pyi`].find(p => files.has(p)) || null;
+    };
+
+    // Absolute modules: source roots first, then next to the importing file.
+    // Namespace packages (no __init__.py) only show up through their submodules.
+    const absolute = (fromPath, dotted, names) => {
+        for (const root of [...roots, dirname(fromPath)]) {
+            const hit = moduleAt(root, dotted);
+            if (hit || names.some(name => moduleAt(root, `${dotted}.${name}`))) return { hit, dir: root };
+        }
+        return null;
+    };
+
+    return (fromPath, { spec, kind, names = [] }) => {
+        const dots = spec.match(/^\.*/)[0].length;
+        const dotted = spec.slice(dots);
+
+        let found;
+        if (dots) {
+            // `.` is the importing file's package, each extra dot one package up
+            let dir = dirname(fromPath);
+            for (let i = 1; i < dots; i++) dir = dirname(dir);
+            const init = joinPath(dir, '__init__.py');
+            found = { dir, hit: dotted ? moduleAt(dir, dotted) : (files.has(init) ? init : null) };
+        } else {
+            found = absolute(fromPath, dotted, names);
+        }
+        if (!found) return [];
+        if (kind !== 'from' || !names.length) return found.hit ? [found.hit] : [];
+
+        // `from pkg import mod` imports a submodule when there is one
+        const hits = names.map(name => moduleAt(found.dir, dotted ? `${dotted}.${name}` : name) || found.hit);
+        return [...new Set(hits.filter(Boolean))];
+    };
+}
+
+export const pythonAnalyzer = {
+    id: 'python',
+    label: 'Python',
+    isSource: (path) => SOURCE_FILE.test(path),
+    scan: (code) => scanPythonImports(code),
+    createResolver: createPythonResolver,
+    metrics: {
+        strip: { hashComments: true, singleQuotes: true, tripleQuotes: true },
+        decisions: /\b(?:if|elif|for|while|except|and|or|case)\b/g,
+        functions: /\b(?:def|lambda)\b/g,
+        indentation: true,
+    },
+};
@@ -0,0 +1,136 @@
+/**
+ * rust.js
+ * Rust analyzer, following the crate's module tree:
+ *   mod foo;                  → foo.rs or foo/mod.rs next to the declaring module
+ *   use crate::a::b::{C, d};  → the deepest module file of each path (src/a/b.rs, …)
+ *   use self:: / super::      → relative to the declaring module
+ *   use other_crate::x        → a workspace crate (Cargo.toml [package] name) — extern crate too
+ * Crates come from Cargo.toml files (`[lib] path` honoured; src/ otherwise). `#[path]`
+ * attributes and macro-generated modules are not followed.
+ */
+
+import { dirname, joinPath, stripSource } from './shared';
+
+const SOURCE_FILE = /\.rs$/;
+const CARGO_TOML = /(^|\/)Cargo\.toml$/;
+const ROOT_FILES = ['lib.rs', 'main.rs', 'mod.rs'];
+
+// `a::{b, c::{d, e as f}, self}` → ['a::b', 'a::c::d', 'a::c::e', 'a']
+export function expandUseTree(tree) {
+    const text = tree.replace(/\s+as\s+\w+/g, '').replace(/\s+/g, '');
+    const open = text.indexOf('{');
+    if (open === -1) return [text.replace(/::(\*|self)$/, '')];
+
+    const prefix = text.slice(0, open).replace(/::$/, '');
+    const inner = text.slice(open + 1, text.lastIndexOf('}'));
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i <= inner.length; i++) {
+        const ch = inner[i];
+        if (ch === '{') depth++;
+        else if (ch === '}') depth--;
+        else if ((ch === ',' || ch === undefined) && depth === 0) {
+            if (i > start) parts.push(inner.slice(start, i));
+            start = i + 1;
+        }
+    }
+    return parts.flatMap(part => expandUseTree(part).map(p => (p === 'self' || p === '*' ? prefix : [prefix, p].filter(Boolean).join('::'))));
+}
+
+export function scanRustImports(code) {
+    const src = stripSource(code, { nested: true });
+    const refs = [];
+    for (const m of src.matchAll(/\bmod\s+(\w+)\s*;/g)) refs.push({ spec: m[1], kind: 'mod' });
+    for (const m of src.matchAll(/\buse\s+([^;]+);/g)) {
+        expandUseTree(m[1].replace(/^::/, '')).forEach(spec => refs.push({ spec, kind: 'use' }));
+    }
+    for (const m of src.matchAll(/\bextern\s+crate\s+(\w+)/g)) refs.push({ spec: m[1], kind: 'use' });
+    return refs;
+}
+
+export function createRustResolver(paths, configs = []) {
+    const files = new Set(paths);
+    const crates = configs
+        .filter(c => CARGO_TOML.test(c.path))
+        .map(c => {
+            const dir = dirname(c.path);
+            const pkg = c.text.match(/\[package\][^[]*?\bname\s*=\s*"([^"]+)"/);
+            const lib = c.text.match(/\[lib\][^[]*?\bpath\s*=\s*"([^"]+)"/);
+            return { dir, name: pkg?.[1].replace(/-/g, '_'), src: lib ? dirname(joinPath(dir, lib[1])) : joinPath(dir, 'src') };
+        });
+    const byName = new Map(crates.filter(c => c.name).map(c => [c.name, c]));
+
+    const moduleFile = (dir, name) => [joinPath(dir, `${name}.rs`), joinPath(dir, `${name}/mod.rs`)].find(p => files.has(p)) || null;
+    const rootFile = (dir) => ROOT_FILES.map(f => joinPath(dir, f)).find(p => files.has(p)) || null;
+    // Folder holding a module's children: lib.rs / main.rs / mod.rs own their folder, foo.rs owns foo/
+    const childDir = (file) => (ROOT_FILES.includes(file.split('/').pop()) ? dirname(file) : file.replace(/\.rs$/, ''));
+    // Crate source folder of a file: its crate's, else the nearest folder with a lib.rs / main.rs
+    const crateSrc = (file) => {
+        const crate = crates.filter(c => file.startsWith(`${c.src}/`)).sort((a, b) => b.src.length - a.src.length)[0];
+        if (crate) return crate.src;
+        for (let dir = dirname(file); ; dir = dirname(dir)) {
+            if (files.has(joinPath(dir, 'lib.rs')) || files.has(joinPath(dir, 'main.rs'))) return dir;
+            if (!dir) return null;
+        }
+    };
+
+    // Deepest module file along `segs`, starting from the module folder `dir`
+    const walk = (dir, segs) => {
+        let hit = null;
+        let current = dir;
+        for (const seg of segs) {
+            const file = moduleFile(current, seg);
+            if (!file) break;
+            hit = file;
+            current = childDir(file);
+        }
+        return hit;
+    };
+
+    return (fromPath, { spec, kind }) => {
+        if (kind === 'mod') return [moduleFile(childDir(fromPath), spec)].filter(Boolean);
+
+        const segs = spec.split('::').filter(Boolean);
+        let dir;
+        let fallback = null;
+        if (segs[0] === 'crate') {
+            dir = crateSrc(fromPath);
+            fallback = dir !== null ? rootFile(dir) : null;
+            segs.shift();
+        } else if (segs[0] === 'self' || segs[0] === 'super') {
+            dir = childDir(fromPath);
+            while (segs[0] === 'self' || segs[0] === 'super') {
+                if (segs.shift() === 'super') dir = dirname(dir);
+            }
+            // The module itself: its mod.rs, or the foo.rs beside its folder
+            fallback = rootFile(dir) || [`${dir}.rs`].find(p => dir && files.has(p)) || null;
+        } else if (byName.has(segs[0])) {
+            const crate = byName.get(segs.shift());
+            dir = crate.src;
+            fallback = rootFile(dir);
+        } else {
+            // 2018+ paths may name a child module of the current one directly
+            const hit = walk(childDir(fromPath), segs);
+            return hit ? [hit] : [];
+        }
+        if (dir === null || dir === undefined) return [];
+        const hit = walk(dir, segs) || fallback;
+        return hit && hit !== fromPath ? [hit] : [];
+    };
+}
+
+export const rustAnalyzer = {
+    id: 'rust',
+    label: 'Rust',
+    isSource: (path) => SOURCE_FILE.test(path),
+    isConfig: (path) => CARGO_TOML.test(path),
+    scan: (code) => scanRustImports(code),
+    createResolver: createRustResolver,
+    metrics: {
+        strip: { nested: true },
+        // match arms (`=>`) are the branches; `match` itself isn't one more
+        decisions: /\b(?:if|for|while|loop)\b|=>|&&|\|\|/g,
+        functions: /\bfn\s+\w/g,
+    },
+};
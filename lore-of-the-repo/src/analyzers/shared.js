@@ -0,0 +1,91 @@
+/**
+ * shared.js
+ * Path + source helpers shared by the language analyzers.
+ */
+
+export const dirname = (path) => path.split('/').slice(0, -1).join('/');
+
+// posix join + normalize, without leaving the repo root
+export function joinPath(dir, rel) {
+    const parts = dir ? dir.split('/') : [];
+    for (const seg of rel.split('/')) {
+        if (seg === '..') parts.pop();
+        else if (seg && seg !== '.') parts.push(seg);
+    }
+    return parts.join('/');
+}
+
+// Blob paths grouped by folder (for package-per-folder languages)
+export function filesByDir(paths, test) {
+    const byDir = new Map();
+    paths.filter(test).forEach(p => {
+        const dir = dirname(p);
+        if (!byDir.has(dir)) byDir.set(dir, []);
+        byDir.get(dir).push(p);
+    });
+    return byDir;
+}
+
+/**
+ * Blank out comments and string / char literal contents, keeping newlines (so line-based
+ * matching still works) and the quotes themselves.
+ *   keepStrings — leave string contents alone (Go import paths live in strings)
+ *   hashComments — `#` starts a comment (Python); otherwise `//` and `/* *\/` (nested when `nested`)
+ *   singleQuotes — '…' is a string (Python); otherwise a short char literal
+ *   backtickStrings / tripleQuotes — Go raw strings, Python / Java text blocks
+ */
+export function stripSource(code, { keepStrings = false, hashComments = false, nested = false, singleQuotes = false, backtickStrings = false, tripleQuotes = false } = {}) {
+    let out = '';
+    const n = code.length;
+    let i = 0;
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+    while (i < n) {
+        const ch = code[i];
+
+        if (hashComments ? ch === '#' : (ch === '/' && code[i + 1] === '/')) {
+            const end = code.indexOf('\n', i);
+            i = end === -1 ? n : end;
+            continue;
+        }
+        if (!hashComments && ch === '/' && code[i + 1] === '*') {
+            let depth = 1;
+            let j = i + 2;
+            while (j < n && depth) {
+                if (nested && code[j] === '/' && code[j + 1] === '*') { depth++; j += 2; } else if (code[j] === '*' && code[j + 1] === '/') { depth--; j += 2; } else j++;
+            }
+            out += blank(code.slice(i, j));
+            i = j;
+            continue;
+        }
+
+        const triple = tripleQuotes && (ch === '"' || ch === "'") && code[i + 1] === ch && code[i + 2] === ch;
+        if (triple || ch === '"' || (singleQuotes && ch === "'") || (backtickStrings && ch === '`')) {
+            const close = triple ? ch.repeat(3) : ch;
+            let j = i + close.length;
+            while (j < n && !code.startsWith(close, j)) {
+                if (code[j] === '\\' && ch !== '`') j++;
+                else if (code[j] === '\n' && !triple && ch !== '`') break;
+                j++;
+            }
+            const body = code.slice(i + close.length, j);
+            out += close + (keepStrings ? body : blank(body)) + (code.startsWith(close, j) ? close : '');
+            i = code.startsWith(close, j) ? j + close.length : j;
+            continue;
+        }
+        // Char literals are short; a lone quote (a Rust lifetime) is kept as-is
+        if (ch === "'") {
+            const end = code.slice(i + 1, i + 12).search(/(?<!\\)'/);
+            if (end !== -1 && !code.slice(i + 1, i + 1 + end).includes('\n')) {
+                const body = code.slice(i + 1, i + 1 + end);
+                out += `'${keepStrings ? body : blank(body)}'`;
+                i += end + 2;
+                continue;
+            }
+        }
+
+        out += ch;
+        i++;
+    }
+    return out;
+}
@@ -2,12 +2,14 @@
  * BattleMode.jsx — Fixed & Optimized
  * Fixed: ConflictBeam was getting from===to (degenerate geometry crash).
  * Now beams originate from offset positions above the island.
+ * CycleRing reuses the conflict visuals for circular imports — modules fighting each other.
  */
 
 import { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Html } from '@react-three/drei';
 import * as THREE from 'three';
+import { EnergyBeam } from './EnergyBeam';
 
 // ── Mock conflicts ─────────────────────────────────────────────
 export function getMockConflicts(islands) {
@@ -146,6 +148,13 @@ function CollisionBurst({ position, colorA, colorB }) {
 }
 
 // ── Conflict badge ────────────────────────────────────────────
+const badgeStyle = (rgb) => ({
+    fontFamily: 'Space Mono, monospace', fontSize: '8.5px',
+    background: 'rgba(0,0,0,0.88)', border: `1px solid rgba(${rgb},0.4)`,
+    borderRadius: '6px', padding: '4px 9px', textAlign: 'center',
+    boxShadow: `0 0 14px rgba(${rgb},0.3)`,
+});
+
 function ConflictBadge({ island, conflict }) {
     return (
         <Html
@@ -153,12 +162,7 @@ function ConflictBadge({ island, conflict }) {
             center distanceFactor={15}
             style={{ pointerEvents: 'none' }}
         >
-            <div style={{
-                fontFamily: 'Space Mono, monospace', fontSize: '8.5px',
-                background: 'rgba(0,0,0,0.88)', border: '1px solid rgba(255,85,0,0.4)',
-                borderRadius: '6px', padding: '4px 9px', textAlign: 'center',
-                boxShadow: '0 0 14px rgba(255,80,0,0.3)',
-            }}>
+            <div style={badgeStyle('255,85,0')}>
                 <div style={{ color: '#ff4400', fontWeight: 700, marginBottom: '2px' }}>⚔ MERGE CONFLICT</div>
                 <div style={{ color: '#00aaff', fontSize: '8px' }}>{conflict.branchA.name}</div>
                 <div style={{ color: 'rgba(255,255,255,0.35)', fontSize: '7px' }}>vs</div>
@@ -185,3 +189,60 @@ export function IslandBattle({ island, conflict }) {
         </group>
     );
 }
+
+// ── Import cycle ring ─────────────────────────────────────────
+// Pulsing halo under each island on the loop
+function CycleHalo({ position, scale, color, phase }) {
+    const meshRef = useRef();
+
+    useFrame(({ clock }) => {
+        if (!meshRef.current) return;
+        const t = 0.5 + 0.5 * Math.sin(clock.elapsedTime * 4 - phase);
+        meshRef.current.scale.setScalar(1 + t * 0.25);
+        meshRef.current.material.opacity = 0.25 + t * 0.5;
+    });
+
+    return (
+        <mesh ref={meshRef} position={position} rotation={[Math.PI / 2, 0, 0]}>
+            <torusGeometry args={[(scale || 1) * 2.6, 0.06, 8, 48]} />
+            <meshBasicMaterial color={color} transparent depthWrite={false} blending={THREE.AdditiveBlending} />
+        </mesh>
+    );
+}
+
+/**
+ * One circular import: EnergyBeams around `stops` (the islands of its loop, in order, each
+ * { id, position, scale }), a halo pulsing round the ring on every stop. `focused` adds the
+ * battle burst and a badge naming the loop.
+ */
+export function CycleRing({ cycle, stops, color, focused }) {
+    if (!stops?.length) return null;
+    const legs = stops.length > 1 ? stops.map((s, i) => [s, stops[(i + 1) % stops.length]]) : [];
+    const first = stops[0];
+
+    return (
+        <group>
+            {legs.map(([a, b], i) => (
+                <EnergyBeam key={i} from={a.position} to={b.position} color={color} thickness={focused ? 2 : 1.2} isPrimary={focused} />
+            ))}
+            {stops.map((s, i) => (
+                <CycleHalo key={i} position={s.position} scale={s.scale} color={color} phase={(i / stops.length) * Math.PI * 2} />
+            ))}
+            {focused && stops.map((s, i) => (
+                <CollisionBurst key={i} position={s.position} colorA={color} colorB="#ff4400" />
+            ))}
+            {focused && (
+                <group position={first.position}>
+                    <Html position={[0, (first.scale || 1) * 3.5, 0]} center distanceFactor={15} style={{ pointerEvents: 'none' }}>
+                        <div style={badgeStyle('255,0,68')}>
+                            <div style={{ color, fontWeight: 700, marginBottom: '2px' }}>⟳ IMPORT CYCLE</div>
+                            <div style={{ color: 'rgba(255,255,255,0.6)', fontSize: '8px' }}>
+                                {cycle.files.length} files · {stops.length} {stops.length === 1 ? 'island' : 'islands'}
+                            </div>
+                        </div>
+                    </Html>
+                </group>
+            )}
+        </group>
+    );
+}
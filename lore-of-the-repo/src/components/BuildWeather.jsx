@@ -1,15 +1,22 @@
 /**
  * BuildWeather.jsx — Performance Fixed & Optimized
- * CI/CD health visualization (sun vs rain).
+ * CI/CD health visualization (sun vs rain) from the real CI jobs aimed at each island
+ * (`weather` — useBuildWeather): failing jobs rain, running ones glow amber.
+ * Hovering a storm cloud or the badge lists the jobs with their duration and logs.
  * Fixed: Lightning component was calling setState inside useFrame repeatedly!
  * Refactored to manage state silently via refs for maximum performance.
  */
 
-import { useRef, useMemo } from 'react';
+import { useRef, useMemo, useState } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Html } from '@react-three/drei';
 import * as THREE from 'three';
 
+import { jobDuration } from '../utils/ciWeather';
+
+const JOBS_SHOWN = 5;
+const STATE_COLORS = { pass: '#00ff88', fail: '#ff3344', pending: '#ffaa00' };
+
 // ── Rain Particles ─────────────────────────────────────────────
 function RainSystem({ center, radius = 9, count = 250 }) {
     const pointsRef = useRef();
@@ -130,8 +137,23 @@ function SunburstEffect({ position }) {
     );
 }
 
-// ── Build Cloud Badge (shows CI status) ───────────────────────
-function CIBadge({ island, status }) {
+// ── Storm cloud (fail) — hovering it opens the badge's job list ──
+function StormCloud({ position, onHover }) {
+    return (
+        <mesh
+            position={position}
+            scale={[1, 0.35, 1]}
+            onPointerOver={(e) => { e.stopPropagation(); onHover(true); }}
+            onPointerOut={() => onHover(false)}
+        >
+            <sphereGeometry args={[3.2, 16, 12]} />
+            <meshStandardMaterial color="#1a1d2e" transparent opacity={0.7} roughness={1} depthWrite={false} />
+        </mesh>
+    );
+}
+
+// ── Build Cloud Badge (shows CI status, expands into the jobs) ─
+function CIBadge({ island, status, jobs, expanded, onHover }) {
     // Use static references to avoid recreation
     const cfg = useMemo(() => {
         const list = {
@@ -143,40 +165,62 @@ function CIBadge({ island, status }) {
     }, [status]);
 
     return (
-        <Html position={[0, (island.scale || 1) * 3.5, 0]} center distanceFactor={16} style={{ pointerEvents: 'none' }}>
-            <div style={{
-                background: `rgba(0,0,0,0.85)`, border: `1px solid ${cfg.color}55`,
-                borderRadius: '6px', padding: '3px 9px',
-                fontFamily: 'Space Mono, monospace', fontSize: '9px', fontWeight: 'bold',
-                color: cfg.color, whiteSpace: 'nowrap',
-                boxShadow: `0 0 12px ${cfg.color}33`,
-            }}>
-                {cfg.icon} {cfg.label}
+        <Html position={[island.position[0], island.position[1] + (island.scale || 1) * 3.5, island.position[2]]} center distanceFactor={16} style={{ pointerEvents: 'auto' }}>
+            <div
+                onMouseEnter={() => onHover(true)}
+                onMouseLeave={() => onHover(false)}
+                style={{
+                    background: `rgba(0,0,0,0.85)`, border: `1px solid ${cfg.color}55`,
+                    borderRadius: '6px', padding: '3px 9px',
+                    fontFamily: 'Space Mono, monospace', fontSize: '9px', fontWeight: 'bold',
+                    color: cfg.color, whiteSpace: 'nowrap',
+                    boxShadow: `0 0 12px ${cfg.color}33`,
+                }}
+            >
+                {cfg.icon} {cfg.label}{jobs.length > 1 ? ` · ${jobs.length} jobs` : ''}
+                {expanded && (
+                    <div style={{ marginTop: '4px', display: 'flex', flexDirection: 'column', gap: '3px', fontWeight: 'normal' }}>
+                        {jobs.slice(0, JOBS_SHOWN).map(job => {
+                            const duration = jobDuration(job);
+                            return (
+                                <div key={job.id} style={{ color: STATE_COLORS[job.state] }}>
+                                    {job.name}
+                                    <span style={{ color: '#8899aa' }}>
+                                        {job.workflow && job.workflow !== job.name ? ` · ${job.workflow}` : ''}
+                                        {duration ? ` · ${duration}` : ''}
+                                    </span>
+                                    {job.url && (
+                                        <a href={job.url} target="_blank" rel="noopener noreferrer" style={{ color: '#00f5ff', marginLeft: '6px' }}>
+                                            logs ↗
+                                        </a>
+                                    )}
+                                </div>
+                            );
+                        })}
+                        {jobs.length > JOBS_SHOWN && <div style={{ color: '#8899aa' }}>+{jobs.length - JOBS_SHOWN} more</div>}
+                    </div>
+                )}
             </div>
         </Html>
     );
 }
 
-// ── Mock CI state for random islands ─────────────────────────
-const BUILD_STATES = ['pass', 'fail', 'pending', 'pass', 'pass']; // Bias toward pass
-export function getBuildState(islandName) {
-    const hash = (islandName || '').split('').reduce((a, c) => a + c.charCodeAt(0), 0);
-    return BUILD_STATES[hash % BUILD_STATES.length];
-}
-
 // ── Main Export ───────────────────────────────────────────────
-export function BuildWeather({ island, buildStatus, active }) {
-    if (!active || !island || !island.position) return null;
+export function BuildWeather({ island, weather, active }) {
+    const [cloudHover, setCloudHover] = useState(false);
+    const [badgeHover, setBadgeHover] = useState(false);
+    if (!active || !island || !island.position || !weather) return null;
 
     const pos = island.position;
-    const status = buildStatus || getBuildState(island.name);
+    const status = weather.state;
 
     return (
         <group>
-            <CIBadge island={island} status={status} />
+            <CIBadge island={island} status={status} jobs={weather.jobs} expanded={cloudHover || badgeHover} onHover={setBadgeHover} />
 
             {status === 'fail' && (
                 <>
+                    <StormCloud position={[pos[0], pos[1] + 10, pos[2]]} onHover={setCloudHover} />
                     <RainSystem center={pos} />
                     <Lightning center={pos} />
                     {/* Subtle dark fog spot instead of heavy light subtraction */}
@@ -196,8 +240,8 @@ export function BuildWeather({ island, buildStatus, active }) {
 }
 
 // ── Global weather overlay (scene-level) ─────────────────────
-export function GlobalWeatherFog({ islands, active }) {
-    const anyFail = useMemo(() => islands?.some(i => getBuildState(i.name) === 'fail'), [islands]);
+export function GlobalWeatherFog({ weather, active }) {
+    const anyFail = useMemo(() => Object.values(weather || {}).some(w => w.state === 'fail'), [weather]);
     if (!active || !anyFail) return null;
 
     return (
@@ -2,26 +2,61 @@
  * CommitTimeline.jsx
  * "Ghost of Commits" — a themed slider that filters 3D islands
  * based on commit date, making the city visually "grow" over time.
+ * With a real `commitLog` (newest first) markers sit at actual commit dates and the
+ * city is rebuilt from the tree at the nearest sampled commit (`cityCommit`);
+ * without one they fall back to evenly spaced ghosts.
  */
 
-import { useRef, useEffect } from 'react';
+import { useRef, useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { Clock, GitCommit, CalendarDays } from 'lucide-react';
+import { Clock, GitCommit, CalendarDays, Building2 } from 'lucide-react';
+import { timelineBounds, progressToTime } from '../utils/commitHistory';
 
-export function CommitTimeline({ value, onChange, repoInfo, themeColor = '#00f5ff', commitLog = [] }) {
+const MAX_MARKERS = 120;
+
+export function CommitTimeline({ value, onChange, repoInfo, themeColor = '#00f5ff', commitLog = [], cityCommit = null, cityLoading = false }) {
     const sliderRef = useRef(null);
-    const totalCommits = repoInfo?.commits_count || 100;
-    const createdAt = repoInfo?.created_at ? new Date(repoInfo.created_at) : new Date(Date.now() - 1000 * 60 * 60 * 24 * 365);
+    const totalCommits = repoInfo?.commits_count || commitLog.length || 100;
     const now = new Date();
-    const ageMs = now - createdAt;
+
+    // Commit timestamps, newest first (same order as the log)
+    const commitTimes = useMemo(() => commitLog.map(c => new Date(c.date).getTime()), [commitLog]);
+    const hasLog = commitTimes.length > 0;
+    const oldestLogged = hasLog ? commitTimes[commitTimes.length - 1] : null;
+
+    // Imported repos can have commits older than the forge's created_at
+    const bounds = timelineBounds(repoInfo, commitLog, now.getTime());
+    const createdAt = new Date(bounds.startMs);
+    const ageMs = Math.max(1, bounds.endMs - bounds.startMs);
 
     // Convert slider value (0-100) to a date
-    const getDateAtProgress = (pct) => {
-        return new Date(createdAt.getTime() + (ageMs * pct / 100));
-    };
+    const getDateAtProgress = (pct) => new Date(progressToTime(pct, bounds));
 
     const currentDate = getDateAtProgress(value);
-    const estimatedCommitsVisible = Math.round((value / 100) * totalCommits);
+    const cutoff = currentDate.getTime();
+
+    // Commits older than the capped log are spread between creation and the oldest logged one
+    const olderCommits = Math.max(0, totalCommits - commitTimes.length);
+    const olderVisible = !hasLog || cutoff >= oldestLogged
+        ? olderCommits
+        : Math.round(olderCommits * Math.max(0, cutoff - createdAt) / Math.max(1, oldestLogged - createdAt));
+    const commitsVisible = hasLog
+        ? commitTimes.filter(t => t <= cutoff).length + olderVisible
+        : Math.round((value / 100) * totalCommits);
+    const latestVisible = hasLog ? commitLog[commitTimes.findIndex(t => t <= cutoff)] : null;
+
+    // Real commits → markers at their dates (sampled when there are many)
+    const step = Math.ceil(commitLog.length / MAX_MARKERS);
+    const ghostCount = Math.min(totalCommits, 40);
+    const markers = hasLog
+        ? commitLog
+            .filter((_, i) => i % step === 0)
+            .map((c, i) => ({
+                key: c.sha || i,
+                pct: Math.min(100, Math.max(0, ((commitTimes[i * step] - createdAt.getTime()) / ageMs) * 100)),
+                title: `${(c.sha || '').slice(0, 7)} ${c.author}: ${c.message}`,
+            }))
+        : Array.from({ length: ghostCount }, (_, i) => ({ key: i, pct: (i / ghostCount) * 100, title: null }));
 
     const formatDate = (d) => d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
 
@@ -54,14 +89,14 @@ export function CommitTimeline({ value, onChange, repoInfo, themeColor = '#00f5f
                             background: `linear-gradient(90deg, ${themeColor}44, ${themeColor})`,
                         }}
                     />
-                    {/* Commit markers — evenly distributed ghost dots */}
-                    {Array.from({ length: Math.min(totalCommits, 40) }).map((_, i) => {
-                        const pct = (i / Math.min(totalCommits, 40)) * 100;
+                    {/* Commit markers — real commit dates, or evenly distributed ghost dots */}
+                    {markers.map(({ key, pct, title }) => {
                         const visible = pct <= value;
                         return (
                             <div
-                                key={i}
+                                key={key}
                                 className={`commit-marker ${visible ? 'visible' : ''}`}
+                                title={title || undefined}
                                 style={{
                                     left: `${pct}%`,
                                     background: visible ? themeColor : 'rgba(255,255,255,0.15)',
@@ -95,10 +130,29 @@ export function CommitTimeline({ value, onChange, repoInfo, themeColor = '#00f5f
                 <div className="timeline-stat" style={{ color: themeColor }}>
                     <span className="tl-stat-icon"><GitCommit size={11} /></span>
                     <span className="tl-stat-label">
-                        {estimatedCommitsVisible} / {totalCommits} commits
+                        {commitsVisible} / {repoInfo?.commits_estimated ? '~' : ''}{totalCommits} commits
                     </span>
                 </div>
             </div>
+
+            {/* Latest commit at the scrubbed date */}
+            {latestVisible && (
+                <div className="timeline-commit" title={latestVisible.message}>
+                    <span style={{ color: themeColor }}>{latestVisible.sha.slice(0, 7)}</span>
+                    <span className="timeline-commit-author">{latestVisible.author}</span>
+                    <span className="timeline-commit-msg">{latestVisible.message}</span>
+                </div>
+            )}
+
+            {/* Which snapshot the city is showing (nearest sampled commit) */}
+            {(cityCommit || cityLoading) && (
+                <div className="timeline-commit">
+                    <Building2 size={10} />
+                    {cityLoading
+                        ? <span>rebuilding city from history…</span>
+                        : <span>city @ <span style={{ color: themeColor }}>{cityCommit.sha.slice(0, 7)}</span> · {formatDate(new Date(cityCommit.date))}</span>}
+                </div>
+            )}
         </motion.div>
     );
 }
@@ -102,3 +102,52 @@ export function PassiveRotation({ active, speed = 0.15 }) {
 
     return null;
 }
+
+/**
+ * Eases the camera to `target.center` from `target.distance` away, keeping the current viewing
+ * direction, and carries the default OrbitControls' pivot along so orbiting continues there.
+ * Flies once per `target.key` — later position updates under the same key don't re-fly.
+ */
+export function CameraFlyTo({ target }) {
+    const { camera, controls } = useThree();
+    const targetRef = useRef(target);
+    const key = target?.key;
+
+    useEffect(() => {
+        targetRef.current = target;
+    });
+
+    useEffect(() => {
+        const flight = targetRef.current;
+        if (!flight) return;
+        const [cx, cy, cz] = flight.center;
+        const pivot = controls?.target || { x: 0, y: 0, z: 0 };
+        let dx = camera.position.x - pivot.x;
+        let dy = camera.position.y - pivot.y;
+        let dz = camera.position.z - pivot.z;
+        const len = Math.hypot(dx, dy, dz) || 1;
+        // Same bearing, slightly from above
+        dx /= len; dz /= len; dy = Math.max(dy / len, 0.35);
+
+        const tweens = [
+            gsap.to(camera.position, {
+                x: cx + dx * flight.distance,
+                y: cy + dy * flight.distance,
+                z: cz + dz * flight.distance,
+                duration: 1.6,
+                ease: 'power2.inOut',
+            }),
+        ];
+        if (controls?.target) {
+            tweens.push(gsap.to(controls.target, {
+                x: cx, y: cy, z: cz,
+                duration: 1.6,
+                ease: 'power2.inOut',
+                onUpdate: () => controls.update(),
+            }));
+        }
+        return () => tweens.forEach(t => t.kill());
+    }, [key, camera, controls]);
+
+    return null;
+}
@@ -21,6 +21,7 @@ import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
 import { motion, AnimatePresence } from 'framer-motion';
 import gsap from 'gsap';
 import { seededRandom } from '../utils/seededRandom';
+import { ecosystemById } from '../manifests';
 
 // ── 1. The Glitch Hunt (Gamified Bug Tracker) ────────────────
 export function GlitchSpiders({ islands, active }) {
@@ -131,46 +132,163 @@ function Explosion({ position, color }) {
 }
 
 // ── 2. Supply Chain Nebula ──────────────────────────────────────
-export function SupplyChainNebula({ active }) {
-    const pointsRef = useRef();
-    const count = 2000;
-
-    const { geo } = useMemo(() => {
-        const pos = new Float32Array(count * 3);
-        const colors = new Float32Array(count * 3);
-        for (let i = 0; i < count; i++) {
-            const r1 = seededRandom('neb-' + i, 1);
-            const r2 = seededRandom('neb-' + i, 2);
-            const r3 = seededRandom('neb-' + i, 3);
-            const angle = r1 * Math.PI * 2;
-            const r = 120 + r2 * 80; // Asteroid belt distance
+// The repo's direct dependencies (useSupplyChain) as asteroids on a belt around the city,
+// sized by how many packages they pull in, which orbit them. Locked packages no direct
+// dependency accounts for drift as dust. The selected one links to the islands importing it.
+const MAX_ASTEROIDS = 120;
+const MAX_ORBITERS = 60;
+const MAX_DUST = 1500;
+
+const asteroidSize = (dep) => 0.6 + Math.log2(1 + dep.transitive.length) * 0.45;
+
+export function SupplyChainNebula({ islands, supplyChain, selectedId, onSelect, active }) {
+    const [hovered, setHovered] = useState(null);
+    const dependencies = supplyChain?.dependencies;
+    const unattributed = supplyChain?.unattributed;
+
+    // Belt just outside the city; golden-angle spacing keeps neighbours apart at any count
+    const belt = useMemo(() => {
+        const radius = Math.max(45, ...(islands || []).map(i => Math.hypot(i.position[0], i.position[2]) + 18));
+        return { radius, asteroids: (dependencies || []).slice(0, MAX_ASTEROIDS).map((dep, i) => {
+            const angle = i * 2.39996;
+            const r = radius + (seededRandom(dep.id, 1) - 0.5) * 12;
+            return {
+                dep,
+                size: asteroidSize(dep),
+                color: ecosystemById(dep.ecosystem)?.color || '#8800ff',
+                position: [Math.cos(angle) * r, (seededRandom(dep.id, 2) - 0.5) * 14, Math.sin(angle) * r],
+            };
+        }) };
+    }, [islands, dependencies]);
+
+    const dust = useMemo(() => {
+        const n = Math.min(MAX_DUST, unattributed?.length || 0);
+        if (!n) return null;
+        const pos = new Float32Array(n * 3);
+        for (let i = 0; i < n; i++) {
+            const angle = seededRandom(unattributed[i], 1) * Math.PI * 2;
+            const r = belt.radius + (seededRandom(unattributed[i], 2) - 0.5) * 30;
             pos[i * 3] = Math.cos(angle) * r;
-            pos[i * 3 + 1] = (r3 - 0.5) * 30;
+            pos[i * 3 + 1] = (seededRandom(unattributed[i], 3) - 0.5) * 20;
             pos[i * 3 + 2] = Math.sin(angle) * r;
-
-            const baseColor = new THREE.Color(r1 > 0.5 ? '#8800ff' : '#440088');
-            colors[i * 3] = baseColor.r;
-            colors[i * 3 + 1] = baseColor.g;
-            colors[i * 3 + 2] = baseColor.b;
         }
         const g = new THREE.BufferGeometry();
         g.setAttribute('position', new THREE.BufferAttribute(pos, 3));
-        g.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        return { geo: g };
-    }, []);
+        return g;
+    }, [unattributed, belt.radius]);
+
+    const selected = belt.asteroids.find(a => a.dep.id === selectedId) || null;
+    const links = useMemo(() => {
+        if (!selected) return null;
+        const byId = new Map((islands || []).map(i => [i.id, i.position]));
+        const verts = [];
+        (supplyChain.importers[selected.dep.id] || []).forEach(({ id }) => {
+            if (byId.has(id)) verts.push(...selected.position, ...byId.get(id));
+        });
+        if (!verts.length) return null;
+        const g = new THREE.BufferGeometry();
+        g.setAttribute('position', new THREE.Float32BufferAttribute(verts, 3));
+        return g;
+    }, [islands, supplyChain, selected]);
 
-    useFrame((state) => {
-        if (pointsRef.current) {
-            pointsRef.current.rotation.y = state.clock.elapsedTime * 0.02;
+    useEffect(() => () => dust?.dispose(), [dust]);
+    useEffect(() => () => links?.dispose(), [links]);
+
+    if (!active || !dependencies) return null;
+    const hoveredAsteroid = belt.asteroids.find(a => a.dep.id === hovered);
+
+    return (
+        <group>
+            {belt.asteroids.map(a => (
+                <DependencyAsteroid
+                    key={a.dep.id}
+                    asteroid={a}
+                    selected={a === selected}
+                    onHover={setHovered}
+                    onSelect={onSelect}
+                />
+            ))}
+            {dust && (
+                <points geometry={dust}>
+                    <pointsMaterial color="#8866cc" size={0.5} transparent opacity={0.25} blending={THREE.AdditiveBlending} depthWrite={false} />
+                </points>
+            )}
+            {links && (
+                <lineSegments geometry={links}>
+                    <lineBasicMaterial color={selected.color} transparent opacity={0.6} />
+                </lineSegments>
+            )}
+            {hoveredAsteroid && (
+                <Html position={hoveredAsteroid.position} center distanceFactor={40} style={{ pointerEvents: 'none' }}>
+                    <div style={{
+                        transform: 'translateY(-28px)', whiteSpace: 'nowrap',
+                        background: 'rgba(8,11,18,0.9)', color: '#fff',
+                        border: `1px solid ${hoveredAsteroid.color}`, borderRadius: '4px',
+                        padding: '3px 7px', fontSize: '11px', fontFamily: 'monospace',
+                    }}>
+                        {hoveredAsteroid.dep.name}@{hoveredAsteroid.dep.version} · {hoveredAsteroid.dep.transitive.length} transitive
+                    </div>
+                </Html>
+            )}
+        </group>
+    );
+}
+
+function DependencyAsteroid({ asteroid, selected, onHover, onSelect }) {
+    const { dep, size, color, position } = asteroid;
+    const rockRef = useRef();
+    const orbitRef = useRef();
+
+    // Transitive packages on tilted shells around the rock
+    const orbiters = useMemo(() => {
+        const n = Math.min(MAX_ORBITERS, dep.transitive.length);
+        if (!n) return null;
+        const pos = new Float32Array(n * 3);
+        for (let i = 0; i < n; i++) {
+            const key = dep.transitive[i];
+            const angle = seededRandom(key, 1) * Math.PI * 2;
+            const r = size * 1.6 + seededRandom(key, 2) * size * 1.4;
+            pos[i * 3] = Math.cos(angle) * r;
+            pos[i * 3 + 1] = (seededRandom(key, 3) - 0.5) * size;
+            pos[i * 3 + 2] = Math.sin(angle) * r;
         }
-    });
+        const g = new THREE.BufferGeometry();
+        g.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+        return g;
+    }, [dep, size]);
 
-    if (!active) return null;
+    useEffect(() => () => orbiters?.dispose(), [orbiters]);
+
+    useFrame((_, delta) => {
+        if (rockRef.current) rockRef.current.rotation.y += delta * 0.3;
+        if (orbitRef.current) orbitRef.current.rotation.y += delta * 0.15;
+    });
 
     return (
-        <points ref={pointsRef} geometry={geo}>
-            <pointsMaterial size={1.2} vertexColors transparent opacity={0.3} blending={THREE.AdditiveBlending} depthWrite={false} />
-        </points>
+        <group position={position}>
+            <mesh
+                ref={rockRef}
+                scale={selected ? size * 1.25 : size}
+                onClick={(e) => { e.stopPropagation(); onSelect?.(dep.id); }}
+                onPointerOver={(e) => { e.stopPropagation(); onHover(dep.id); }}
+                onPointerOut={() => onHover(null)}
+            >
+                <icosahedronGeometry args={[1, 0]} />
+                <meshStandardMaterial
+                    color={color}
+                    emissive={color}
+                    emissiveIntensity={selected ? 1.2 : 0.35}
+                    flatShading
+                    transparent
+                    opacity={dep.dev ? 0.45 : 0.95}
+                />
+            </mesh>
+            {orbiters && (
+                <points ref={orbitRef} geometry={orbiters}>
+                    <pointsMaterial color={color} size={0.25} transparent opacity={selected ? 0.9 : 0.5} depthWrite={false} />
+                </points>
+            )}
+        </group>
     );
 }
 
@@ -345,6 +463,8 @@ export function ActionButtonGroup({ onAction }) {
         { id: 'galaxy', icon: '🌌', label: 'Galaxy View' },
         { id: 'video', icon: '🎬', label: 'Auto-Documentary' },
         { id: 'ar', icon: '📱', label: 'AR Card' },
+        { id: 'sbom-spdx', icon: '📜', label: 'SBOM (SPDX)' },
+        { id: 'sbom-cdx', icon: '📦', label: 'SBOM (CycloneDX)' },
     ];
 
     return (
@@ -3,18 +3,25 @@
  * Low-poly floating rock with:
  * - Sine-wave bobbing animation
  * - Holographic HTML overlay on hover (@react-three/drei Html)
- * - Timeline-based visibility (Ghost of Commits)
+ * - Timeline transitions (Ghost of Commits): grow in, shrink out (`leaving`),
+ *   fly across from a renamed path (`enterFrom`); buildings ease in, out and to renamed spots
+ * - File buildings on the island top (one instanced mesh per island)
+ * - Treemap mode: islands with a `footprint` render as flat plates instead of rocks
  * - Multi-vibe color system
  * - Raycaster interaction
+ * - Code metrics (useCodeMetrics) in the overlay; the Economy ticker trades on maintainability
+ * - Optional `tint` in place of the theme colour (Code Owners team territories)
  */
 
-import { useRef, useState, useMemo, useEffect } from 'react';
+import { useRef, useState, useMemo, useEffect, useLayoutEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Html } from '@react-three/drei';
 import { motion, AnimatePresence } from 'framer-motion';
 import * as THREE from 'three';
-import axios from 'axios';
 import { seededRandom, hashStringToInt } from '../utils/seededRandom';
+import { fetchRepoFile } from '../providers';
+import { getCityState, openCodeFile } from '../utils/cityStore';
+import { useCityStore } from '../hooks/useCityStore';
 
 // ─── Island Rock Geometry ─────────────────────────────────────
 function IslandRock({ scale, color, isHovered, selected }) {
@@ -46,6 +53,144 @@ function IslandRock({ scale, color, isHovered, selected }) {
     );
 }
 
+// ─── Treemap Plate ────────────────────────────────────────────
+function DistrictPlate({ footprint, color, isHovered, selected }) {
+    return (
+        <mesh position={[0, -0.15, 0]}>
+            <boxGeometry args={[footprint[0], 0.3, footprint[1]]} />
+            <meshStandardMaterial
+                color={isHovered ? '#1a2a5a' : '#080f2a'}
+                roughness={0.82}
+                metalness={0.22}
+                emissive={color}
+                emissiveIntensity={isHovered || selected ? 0.3 : 0.05}
+            />
+        </mesh>
+    );
+}
+
+// ─── File Buildings ───────────────────────────────────────────
+const buildingGeo = new THREE.BoxGeometry(1, 1, 1);
+buildingGeo.translate(0, 0.5, 0); // grow up from the rock surface
+
+const COLD_TINT = new THREE.Color('#2b6cff');
+const HOT_TINT = new THREE.Color('#ff4d2e');
+
+const BUILDING_EASE = 0.12;   // per frame, like the islands' position easing
+const MIN_SCALE = 1e-4;       // a zero scale would make the instance matrix singular
+
+// Footprint a building is drawn toward: leaving ones flatten away
+const footprintOf = (b) => (b.leaving
+    ? [b.x, b.z, 0, 0, 0]
+    : [b.x, b.z, b.width, b.depth || b.width, b.height]);
+
+// Where it starts: as last drawn, its pre-rename / pre-edit footprint, or flat when entering
+function startOf(b, drawn) {
+    if (drawn.has(b.path)) return drawn.get(b.path);
+    if (b.from) return [b.from.x, b.from.z, b.from.width, b.from.depth || b.from.width, b.from.height];
+    return b.entering ? [b.x, b.z, b.width, b.depth || b.width, 0] : footprintOf(b);
+}
+
+function drawBuildings(mesh, anim, baseY) {
+    const matrix = new THREE.Matrix4();
+    const c = anim.current;
+    anim.paths.forEach((_, i) => {
+        const o = i * 5;
+        matrix.makeScale(Math.max(c[o + 2], MIN_SCALE), Math.max(c[o + 4], MIN_SCALE), Math.max(c[o + 3], MIN_SCALE))
+            .setPosition(c[o], baseY, c[o + 1]);
+        mesh.setMatrixAt(i, matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+}
+
+function DistrictBuildings({ buildings, baseY, color, onHover, onOpen }) {
+    const meshRef = useRef();
+    // { paths, current, target, settled } — footprints as 5 floats (x, z, width, depth, height)
+    const animRef = useRef(null);
+
+    useLayoutEffect(() => {
+        const mesh = meshRef.current;
+        if (!mesh) return;
+        // Continue from what is on screen, so a scrub mid-animation doesn't jump
+        const prev = animRef.current;
+        const drawn = new Map(prev ? prev.paths.map((path, i) => [path, Array.from(prev.current.slice(i * 5, i * 5 + 5))]) : []);
+        const anim = {
+            paths: buildings.map(b => b.path),
+            current: new Float32Array(buildings.length * 5),
+            target: new Float32Array(buildings.length * 5),
+            settled: false,
+        };
+        buildings.forEach((b, i) => {
+            anim.current.set(startOf(b, drawn), i * 5);
+            anim.target.set(footprintOf(b), i * 5);
+        });
+        animRef.current = anim;
+        drawBuildings(mesh, anim, baseY);
+
+        const tint = new THREE.Color();
+        const base = new THREE.Color(color);
+        buildings.forEach((b, i) => {
+            if (b.heat != null) {
+                // Configured color metric: cold → hot
+                tint.copy(COLD_TINT).lerp(HOT_TINT, b.heat);
+            } else {
+                // Same-extension files share a tint
+                const ext = b.name.includes('.') ? b.name.split('.').pop() : b.name;
+                tint.setHSL(seededRandom(ext), 0.55, 0.55).lerp(base, 0.55);
+            }
+            // Over-bright colors catch the bloom pass
+            if (b.glow) tint.multiplyScalar(1 + b.glow * 1.5);
+            mesh.setColorAt(i, tint);
+        });
+        if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+        mesh.computeBoundingSphere();
+    }, [buildings, baseY, color]);
+
+    // Ease every building toward its footprint: grow in, flatten out, glide to a renamed spot
+    useFrame(() => {
+        const mesh = meshRef.current;
+        const anim = animRef.current;
+        if (!mesh || !anim || anim.settled) return;
+        let moving = false;
+        for (let k = 0; k < anim.current.length; k++) {
+            const d = anim.target[k] - anim.current[k];
+            if (Math.abs(d) > 1e-3) {
+                anim.current[k] += d * BUILDING_EASE;
+                moving = true;
+            } else {
+                anim.current[k] = anim.target[k];
+            }
+        }
+        drawBuildings(mesh, anim, baseY);
+        if (!moving) {
+            anim.settled = true;
+            mesh.computeBoundingSphere();
+        }
+    });
+
+    if (!buildings?.length) return null;
+    return (
+        <instancedMesh
+            key={buildings.length}
+            ref={meshRef}
+            args={[buildingGeo, null, buildings.length]}
+            onPointerMove={(e) => {
+                e.stopPropagation();
+                const b = buildings[e.instanceId];
+                onHover(b && !b.leaving ? b : null);
+            }}
+            onPointerOut={() => onHover(null)}
+            onDoubleClick={(e) => {
+                e.stopPropagation();
+                const b = buildings[e.instanceId];
+                if (b && !b.leaving) onOpen(b);
+            }}
+        >
+            <meshStandardMaterial roughness={0.4} metalness={0.6} emissive={color} emissiveIntensity={0.25} />
+        </instancedMesh>
+    );
+}
+
 // ─── Core Crystal / Building ──────────────────────────────────
 function CoreCrystal({ color, isCore, type, scale }) {
     const meshRef = useRef();
@@ -131,7 +276,7 @@ function CoreCrystal({ color, isCore, type, scale }) {
 }
 
 // ─── Holographic HTML Overlay ─────────────────────────────────
-function HoloOverlay({ island, themeColor, show }) {
+function HoloOverlay({ island, building, themeColor, show, metrics, buildingMetrics }) {
     if (!show) return null; // Critical performance fix: unmount entirely when hidden
 
     const typeIcons = { core: '🌐', directory: '📁', sun: '☀️', star: '✨' };
@@ -157,7 +302,7 @@ function HoloOverlay({ island, themeColor, show }) {
                 <div className="holo-header">
                     <span className="holo-icon">{icon}</span>
                     <span className="holo-name">{island.name}</span>
-                    <span className="holo-badge">{island.type?.toUpperCase()}</span>
+                    <span className="holo-badge">{island.isDistrict ? 'DISTRICT' : island.type?.toUpperCase()}</span>
                 </div>
                 <div className="holo-divider" />
                 <div className="holo-body">
@@ -185,6 +330,33 @@ function HoloOverlay({ island, themeColor, show }) {
                             <span className="holo-val">{island.fileCount} files</span>
                         </div>
                     )}
+                    {island.hiddenFiles > 0 && (
+                        <div className="holo-row">
+                            <span className="holo-key">SKYLINE</span>
+                            <span className="holo-val">+{island.hiddenFiles} smaller files not shown</span>
+                        </div>
+                    )}
+                    {metrics && (
+                        <div className="holo-row">
+                            <span className="holo-key">CODE</span>
+                            <span className="holo-val">{metrics.sloc.toLocaleString()} LOC · CC {metrics.complexity} · MI {metrics.maintainability}</span>
+                        </div>
+                    )}
+                    {building && (
+                        <div className="holo-row">
+                            <span className="holo-key">BUILDING</span>
+                            <span className="holo-val path">{building.name} · {(building.size / 1024).toFixed(1)} KB{building.renamedFrom ? ` · was ${building.renamedFrom}` : ''}</span>
+                        </div>
+                    )}
+                    {buildingMetrics && (
+                        <div className="holo-row">
+                            <span className="holo-key">METRICS</span>
+                            <span className="holo-val">
+                                {buildingMetrics.sloc} LOC · {Math.round(buildingMetrics.commentRatio * 100)}% comments · {buildingMetrics.functions} fn ·
+                                CC {buildingMetrics.complexity} · depth {buildingMetrics.maxNesting} · MI {buildingMetrics.maintainability}
+                            </span>
+                        </div>
+                    )}
                     {island.orbitSpeed !== undefined && (
                         <div className="holo-row">
                             <span className="holo-key">ORBIT ω</span>
@@ -203,62 +375,113 @@ function HoloOverlay({ island, themeColor, show }) {
 }
 
 // ─── Economy Stock Ticker ─────────────────────────────────────
-function EconomyTicker({ island, show, color }) {
-    if (!show || island.isCore) return null;
+// Price = the island's maintainability index; the move is against the baseline commit
+function EconomyTicker({ island, metrics, show }) {
+    if (!show || island.isCore || !metrics?.current) return null;
 
-    // Fake stock values based on file size/altitude
-    const value = Math.floor((island.fileSize || 500) * (island.altitude || 1) * 0.12);
-    const trend = Math.random() > 0.4 ? '▲' : '▼';
-    const trendColor = trend === '▲' ? '#00ff41' : '#ff003c';
+    const value = metrics.current.maintainability;
+    const delta = metrics.baseline ? Math.round((value - metrics.baseline.maintainability) * 10) / 10 : null;
+    const trend = delta === null ? '·' : delta > 0 ? '▲' : delta < 0 ? '▼' : '■';
+    const trendColor = trend === '▲' ? '#00ff41' : trend === '▼' ? '#ff003c' : '#9ca3af';
 
     return (
         <Html position={[0, island.scale * 2.8, 0]} center distanceFactor={25} style={{ pointerEvents: 'none', zIndex: 10 }}>
             <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', background: 'rgba(0,0,0,0.85)', padding: '4px 6px', borderRadius: '4px', border: `1px solid ${trendColor}66` }}>
                 <span style={{ fontSize: '10px', color: '#fff', fontFamily: 'monospace', fontWeight: 'bold' }}>{island.name.substring(0, 10).toUpperCase()}</span>
-                <span style={{ fontSize: '12px', color: trendColor, fontFamily: 'monospace' }}>{trend} {value}</span>
+                <span style={{ fontSize: '12px', color: trendColor, fontFamily: 'monospace' }}>
+                    {trend} {value.toFixed(1)}{delta ? ` ${delta > 0 ? '+' : ''}${delta.toFixed(1)}` : ''}
+                </span>
             </div>
         </Html>
     );
 }
 
 // ─── Main FloatingIsland Component ────────────────────────────
-export function FloatingIsland({ island, themeColors, onSelect, selected, timelineProgress = 100, features = {} }) {
+export function FloatingIsland({ island, themeColors, onSelect, selected, timelineProgress = 100, features = {}, codeMetrics = null, tint = null }) {
     const groupRef = useRef();
     const [hovered, setHovered] = useState(false);
+    const [hoveredBuilding, setHoveredBuilding] = useState(null);
+    const repoInfo = useCityStore(s => s.repoInfo);
 
     const phaseOffset = useRef(seededRandom(island.id || 'island') * Math.PI * 2);
     const bobSpeed = island.isCore ? 0.38 : 0.55 + seededRandom(island.id || 'island', 1) * 0.35;
-    const bobAmp = island.isCore ? 0.18 : 0.09;
+    // Treemap plates sit nested in each other — bobbing would make them clip
+    const bobAmp = island.footprint ? 0 : (island.isCore ? 0.18 : 0.09);
     const scaleRef = useRef(new THREE.Vector3(1, 1, 1));
-
-    const color = themeColors?.primaryColor || '#00f5ff';
-    const coreColor = island.isCore ? (themeColors?.coreColor || color) : color;
-
-    // Timeline-based visibility: islands appear as timeline progresses
-    // Each island has a "birth" percentage based on its altitude (higher = older/earlier)
+    // Base position eases toward island.position, so anchored islands never jump
+    // and renamed ones travel from their old spot
+    const [startPosition] = useState(() => island.enterFrom || island.position);
+    const basePosRef = useRef(new THREE.Vector3(...startPosition));
+    const targetPosRef = useRef(new THREE.Vector3());
+
+    // `tint` overrides the theme (Code Owners team colour)
+    const color = tint || themeColors?.primaryColor || '#00f5ff';
+    const coreColor = island.isCore && !tint ? (themeColors?.coreColor || color) : color;
+
+    // Timeline-based visibility. Repos with real history rebuild the city per commit
+    // (useCityHistory) and pass 100 here; without history (demo) each island gets a
+    // "birth" percentage from its altitude (higher = older/earlier)
     const birthPct = island.isCore ? 0 : Math.max(0, 100 - (island.altitude || 5) * 7);
-    const isVisible = timelineProgress >= birthPct;
+    const isVisible = !island.leaving && timelineProgress >= birthPct;
     const appearProgress = Math.min(1, Math.max(0, (timelineProgress - birthPct) / 15));
 
     useFrame((state) => {
         if (!groupRef.current) return;
         const t = state.clock.elapsedTime;
 
-        // Anti-gravity sine-wave bobbing — the core effect!
-        groupRef.current.position.y =
-            island.position[1] + Math.sin(t * bobSpeed + phaseOffset.current) * bobAmp;
+        // Ease toward the layout position, then anti-gravity sine-wave bobbing — the core effect!
+        basePosRef.current.lerp(targetPosRef.current.set(...island.position), 0.06);
+        groupRef.current.position.set(
+            basePosRef.current.x,
+            basePosRef.current.y + Math.sin(t * bobSpeed + phaseOffset.current) * bobAmp,
+            basePosRef.current.z
+        );
 
-        // Scale lerp: hover inflate / timeline appear
+        // Scale lerp: hover inflate / timeline appear / leave
         const baseScale = isVisible ? appearProgress : 0;
         const targetScale = (hovered || selected ? 1.08 : 1.0) * baseScale;
         scaleRef.current.set(targetScale, targetScale, targetScale);
         groupRef.current.scale.lerp(scaleRef.current, 0.1);
     });
 
+    // Double-click: open the file (island or building) in the Code Inspector
+    const openInInspector = async ({ name, path, type }) => {
+        const meta = repoInfo;
+        const isDemo = meta?.full_name === 'demo/lord-of-repo';
+
+        // Open immediately with loading text
+        openCodeFile({ name, path, content: 'Fetching code matrix...', type });
+
+        if (isDemo) {
+            // MOCK RESPONSE FOR DEMO CITY
+            setTimeout(() => {
+                const mockCode = `// ----------------------------------------\n// [LORD OF REPO DEMO CITY]\n// Simulated File: ${path}\n// ----------------------------------------\n\nimport { system } from 'nexus-core';\nimport { initialize } from 'orbit-controls';\n\nexport function ${name.replace(/[^a-zA-Z]/g, '') || 'Module'}() {\n    // Initialize Quantum Core Engine\n    const engine = system.boot();\n    engine.optimize();\n    \n    return {\n        status: "ONLINE",\n        integrity: "99.9%",\n        hash: "${Math.random().toString(36).substring(7)}"\n    };\n}\n`;
+                if (getCityState().repoInfo === meta) openCodeFile({ name, path, content: mockCode, type });
+            }, 400);
+        } else if (meta) {
+            // LIVE FETCH (forge API, local server or the in-memory archive — via the repo's provider).
+            // Dependency beams come from the repo-wide import graph (Scene), not from this file.
+            let content;
+            try {
+                const source = await fetchRepoFile(meta, path);
+                content = source.slice(0, 3000); // Limit size for performance
+            } catch (err) {
+                content = '// Error loading core file matrix:\n// ' + err.message;
+            }
+            // A repo loaded meanwhile has closed this tab already
+            if (getCityState().repoInfo === meta) openCodeFile({ name, path, content, type });
+        } else {
+            // Fallback to local VS Code deep linking for offline/demo logic
+            const repoPath = 'C:/Users/udayd/OneDrive/Desktop/Anti-Gravity City/lore-of-the-repo/';
+            window.open(`vscode://file/${repoPath}${path}`);
+        }
+    };
+
     return (
         <group
             ref={groupRef}
-            position={island.position}
+            position={startPosition}
+            scale={0}
             userData={{ islandId: island.id }}
             onClick={(e) => {
                 e.stopPropagation();
@@ -270,85 +493,10 @@ export function FloatingIsland({ island, themeColors, onSelect, selected, timeli
                     onSelect?.(island);
                 }
             }}
-            onDoubleClick={async (e) => {
+            onDoubleClick={(e) => {
                 e.stopPropagation();
-
-                const isDemo = window.CURRENT_REPO_INFO?.full_name === 'demo/lord-of-repo';
-                const path = island.originalPath || island.name;
-
-                // Dispatch immediately with loading text
-                window.dispatchEvent(new CustomEvent('OPEN_CODE_FILE', {
-                    detail: { name: island.name, path, content: 'Fetching code matrix...', type: island.type }
-                }));
-
-                if (isDemo) {
-                    // MOCK RESPONSE FOR DEMO CITY
-                    setTimeout(() => {
-                        const mockCode = `// ----------------------------------------\n// [LORD OF REPO DEMO CITY]\n// Simulated File: ${path}\n// ----------------------------------------\n\nimport { system } from 'nexus-core';\nimport { initialize } from 'orbit-controls';\n\nexport function ${island.name.replace(/[^a-zA-Z]/g, '') || 'Module'}() {\n    // Initialize Quantum Core Engine\n    const engine = system.boot();\n    engine.optimize();\n    \n    return {\n        status: "ONLINE",\n        integrity: "99.9%",\n        hash: "${Math.random().toString(36).substring(7)}"\n    };\n}\n`;
-                        window.dispatchEvent(new CustomEvent('OPEN_CODE_FILE', {
-                            detail: { name: island.name, path, content: mockCode, type: island.type }
-                        }));
-
-                        // Mock AST Beans
-                        if (!window.AST_CONNECTIONS) window.AST_CONNECTIONS = [];
-                        let newlyAdded = false;
-                        ['nexus-core', 'orbit-controls'].forEach(m => {
-                            const toPos = [island.position[0] + (Math.random() * 8 - 4), island.position[1] + 4, island.position[2] + (Math.random() * 8 - 4)];
-                            window.AST_CONNECTIONS.push({
-                                id: `ast-demo-${island.id}-${m}-${Date.now()}`,
-                                from: island.position,
-                                to: toPos,
-                                isPrimary: false,
-                                thickness: 1
-                            });
-                            newlyAdded = true;
-                        });
-                        if (newlyAdded) window.dispatchEvent(new Event('AST_UPDATED'));
-
-                    }, 400);
-                } else if (window.CURRENT_REPO_INFO) {
-                    // LIVE GITHUB FETCH
-                    const repo = window.CURRENT_REPO_INFO;
-                    try {
-                        const rawUrl = `https://raw.githubusercontent.com/${repo.full_name}/${repo.default_branch || 'main'}/${path}`;
-                        const res = await axios.get(rawUrl);
-                        const codeStr = res.data.slice(0, 3000); // Limit size for performance
-
-                        // Dispatch again with real content
-                        window.dispatchEvent(new CustomEvent('OPEN_CODE_FILE', {
-                            detail: { name: island.name, path, content: codeStr, type: island.type }
-                        }));
-
-                        // True AST Parsing Magic! Parse imports from the file
-                        if (!window.AST_CONNECTIONS) window.AST_CONNECTIONS = [];
-                        const matches = [...codeStr.matchAll(/import.*?from\s+['"](.*?)['"]/g)];
-                        if (matches.length > 0) {
-                            let newlyAdded = false;
-                            matches.forEach(m => {
-                                // Add random local offset beam so we see logic sparks
-                                const toPos = [island.position[0] + (Math.random() * 10 - 5), island.position[1] + 5, island.position[2] + (Math.random() * 10 - 5)];
-                                window.AST_CONNECTIONS.push({
-                                    id: `ast-${island.id}-${m[1]}-${Date.now()}`,
-                                    from: island.position,
-                                    to: toPos,
-                                    isPrimary: false,
-                                    thickness: 1
-                                });
-                                newlyAdded = true;
-                            });
-                            // Force an update by dispatching event
-                            if (newlyAdded) window.dispatchEvent(new Event('AST_UPDATED'));
-                        }
-                    } catch (err) {
-                        window.dispatchEvent(new CustomEvent('OPEN_CODE_FILE', {
-                            detail: { name: island.name, path, content: '// Error loading core file matrix:\n// ' + err.message, type: island.type }
-                        }));
-                    }
-                } else {
-                    // Fallback to local VS Code deep linking for offline/demo logic
-                    const repoPath = 'C:/Users/udayd/OneDrive/Desktop/Anti-Gravity City/lore-of-the-repo/';
-                    window.open(`vscode://file/${repoPath}${island.originalPath || island.name}`);
-                }
+                if (island.isDistrict) return; // configured grouping, not a folder
+                openInInspector({ name: island.name, path: island.originalPath || island.name, type: island.type });
             }}
             onPointerOver={(e) => {
                 e.stopPropagation();
@@ -360,27 +508,50 @@ export function FloatingIsland({ island, themeColors, onSelect, selected, timeli
                 document.body.style.cursor = 'auto';
             }}
         >
-            {/* Rock platform */}
-            {island.type !== 'sun' && island.type !== 'star' && (
+            {/* Rock platform (treemap: flat plate) */}
+            {island.footprint ? (
+                <DistrictPlate footprint={island.footprint} color={color} isHovered={hovered} selected={selected} />
+            ) : island.type !== 'sun' && island.type !== 'star' && (
                 <IslandRock scale={island.scale} color={color} isHovered={hovered} selected={selected} />
             )}
 
-            {/* Crystal / Building */}
-            <CoreCrystal color={coreColor} isCore={island.isCore} type={island.type} scale={island.scale} />
+            {/* Crystal / Building — in treemap mode only the core's, as a beacon above the city */}
+            {!island.footprint ? (
+                <CoreCrystal color={coreColor} isCore={island.isCore} type={island.type} scale={island.scale} />
+            ) : island.isCore && (
+                <group position={[0, 14, 0]}>
+                    <CoreCrystal color={coreColor} isCore type={island.type} scale={island.scale} />
+                </group>
+            )}
 
-            {/* Point light */}
-            <pointLight
+            {/* File buildings */}
+            <DistrictBuildings
+                buildings={island.buildings}
+                baseY={island.footprint ? 0 : island.scale * 0.24}
                 color={color}
-                intensity={island.isCore ? 5 : (hovered ? 2.5 : 1.0)}
-                distance={island.isCore ? 22 : 9}
-                decay={2}
+                onHover={setHoveredBuilding}
+                onOpen={(b) => openInInspector({ name: b.name, path: b.path, type: 'file' })}
             />
 
+            {/* Point light — core and top-level districts only; satellites share their parent's */}
+            {(island.isCore || !island.depth) && (
+                <pointLight
+                    color={color}
+                    intensity={island.isCore ? 5 : (hovered ? 2.5 : 1.0)}
+                    distance={island.isCore ? 22 : 9}
+                    decay={2}
+                />
+            )}
+
             {/* Holographic HTML overlay on hover */}
-            <HoloOverlay island={island} themeColor={color} show={hovered || selected} />
+            <HoloOverlay
+                island={island} building={hoveredBuilding} themeColor={color} show={hovered || selected}
+                metrics={codeMetrics?.islands[island.id]?.current}
+                buildingMetrics={hoveredBuilding ? codeMetrics?.files[hoveredBuilding.path]?.current : null}
+            />
 
             {/* Economy Stock Market Ticker */}
-            <EconomyTicker island={island} show={features.economy} color={color} />
+            <EconomyTicker island={island} metrics={codeMetrics?.islands[island.id]} show={features.economy} />
 
             {/* Selection ring */}
             {selected && !island.isCore && (
@@ -10,6 +10,7 @@ import { useFrame } from '@react-three/fiber';
 import { Html } from '@react-three/drei';
 import * as THREE from 'three';
 import { io } from 'socket.io-client';
+import { onCityEvent } from '../utils/cityStore';
 
 // Remote Ghost Orb Component
 function GhostOrb({ user }) {
@@ -154,19 +155,16 @@ export function GhostAvatars({ active }) {
             }
         };
 
-        const handleClick = (e) => {
-            // Mock detecting which island was clicked (if CustomEvent payload has islandId)
-            if (socketRef.current && e.detail?.islandId) {
-                socketRef.current.emit('clickIsland', e.detail.islandId);
-            }
-        };
+        // Share island clicks with the other users
+        const offClick = onCityEvent('island:click', ({ islandId }) => {
+            if (socketRef.current) socketRef.current.emit('clickIsland', islandId);
+        });
 
         window.addEventListener('mousemove', handlePointerMove);
-        window.addEventListener('ISLAND_CLICKED', handleClick);
 
         return () => {
             window.removeEventListener('mousemove', handlePointerMove);
-            window.removeEventListener('ISLAND_CLICKED', handleClick);
+            offClick();
             if (socketRef.current) {
                 socketRef.current.disconnect();
             }
@@ -2,24 +2,18 @@
  * LegacyDecay.jsx
  * Maps "time since last commit" to visual rust/moss decay on island materials.
  * Older files → higher roughness, lower opacity, brownish tint, crumbling particles.
+ * The level comes from the island's real history (pathHistory.js decayLevel).
  */
 
 import { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { decayLevel, decayTier, DECAY_TIERS } from '../utils/pathHistory';
 
 // ── Decay Calculator ──────────────────────────────────────────
-export function getDecayLevel(island, repoCreatedAt) {
-    // Use island's position in the layout as a proxy for "age"
-    // Islands at higher altitude = newer code (recently touched directories)
-    // Islands at low altitude = older, peripheral code
-    const base = 1 - Math.min(1, (island.altitude || 0) / 12);
-
-    // Add some deterministic variation per island name
-    const nameHash = (island.name || '').split('').reduce((a, c) => a + c.charCodeAt(0), 0);
-    const variation = (nameHash % 100) / 100;
-
-    return Math.min(1, base * 0.7 + variation * 0.3);
+// 0 (busy, recently touched) … 1 (untouched for a year, nobody around). No or unknown history → 0.
+export function getDecayLevel(island, history) {
+    return island.isCore ? 0 : (decayLevel(history) ?? 0);
 }
 
 export function getDecayMaterialProps(decayLevel) {
@@ -104,13 +98,13 @@ export function DecayOverlay({ island, decay }) {
         }
     });
 
-    if (decay < 0.25) return null;
+    if (decay < DECAY_TIERS[1].min) return null;
 
     return (
         <mesh ref={meshRef} scale={[island.scale * 1.82, island.scale * 0.78, island.scale * 1.82]} position={[0, 0, 0]}>
             <icosahedronGeometry args={[1, 1]} />
             <meshStandardMaterial
-                color={decay > 0.65 ? '#7a3a1a' : '#3a6a2a'}  // rust or moss
+                color={decayTier(decay).color}  // rust or moss
                 roughness={0.99}
                 metalness={0}
                 transparent
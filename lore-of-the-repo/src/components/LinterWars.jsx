@@ -2,6 +2,7 @@ import React, { useState, useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Html } from '@react-three/drei';
 import * as THREE from 'three';
+import { onCityEvent } from '../utils/cityStore';
 
 // ── The Linter Wars: Tower Defense ──
 export function LinterWars({ islands, active }) {
@@ -10,17 +11,16 @@ export function LinterWars({ islands, active }) {
     const lasersRef = useRef([]);
 
     // Temporary logic: Add a tower when clicked? 
-    // We listen to ISLAND_CLICKED event globally.
+    // We listen to the city's island clicks.
     React.useEffect(() => {
         if (!active) return;
-        const addTower = (e) => {
-            const islandId = e.detail?.islandId;
+        const addTower = ({ islandId }) => {
             const island = islands.find(i => i.id === islandId);
             if (island && island.type !== 'core') {
                 setTowers(prev => [...prev, { id: Date.now(), position: island.position, type: Math.random() > 0.5 ? 'TS' : 'ESLint' }]);
             }
         };
-        window.addEventListener('ISLAND_CLICKED', addTower);
+        const offClick = onCityEvent('island:click', addTower);
 
         // Spawn bugs
         const interval = setInterval(() => {
@@ -28,7 +28,7 @@ export function LinterWars({ islands, active }) {
         }, 3000);
 
         return () => {
-            window.removeEventListener('ISLAND_CLICKED', addTower);
+            offClick();
             clearInterval(interval);
         };
     }, [active, islands]);
@@ -1,38 +1,71 @@
-import React, { useRef, useState, useMemo, useEffect } from 'react';
+import React, { useRef, useMemo, useEffect } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import { Html, PointerLockControls } from '@react-three/drei';
 import * as THREE from 'three';
 import { motion, AnimatePresence } from 'framer-motion';
 
+import { eventLandings } from '../utils/repoEvents';
+
 // ── 3. The Burndown (Real-Time Live CI/CD Visuals) ──
-export function BurndownVis({ active }) {
-    const [payloads, setPayloads] = useState([]);
+// Webhook events relayed by the server (useRepoEvents) fall on the islands whose files they
+// touched: supply capsules for pushes, pull requests, running and passing CI; burning
+// meteorites for failed runs. Each payload animates itself — no per-frame state updates.
+const FALL_HEIGHT = 80;
+const FALL_SPEED = 30;     // world units per second
+const LABEL_SECONDS = 8;   // how long a landed payload keeps its label
+const PAYLOAD_COLORS = { pass: '#00ff41', fail: '#ff0033', pending: '#ffaa00' };
+const CHANGE_COLOR = '#00f5ff';
 
-    useEffect(() => {
-        if (!active) return;
-        // Simulate a CI build pushing a payload every 15s
-        const interval = setInterval(() => {
-            setPayloads(prev => [...prev, { id: Date.now(), pos: [0, 80, 0], status: Math.random() > 0.3 ? 'pass' : 'fail' }]);
-        }, 15000);
-        return () => clearInterval(interval);
-    }, [active]);
+function FallingPayload({ event, island, files }) {
+    const groupRef = useRef();
+    const labelRef = useRef();
+    const landedRef = useRef(null);
+    const color = PAYLOAD_COLORS[event.state] || CHANGE_COLOR;
+    const meteorite = event.state === 'fail';
+    const ground = island.position[1] + (island.scale || 1) * 1.5;
+    const size = 1 + Math.min(files, 20) / 20;
 
-    useFrame(() => {
-        setPayloads(prev => prev.map(p => ({ ...p, pos: [p.pos[0], p.pos[1] - 0.5, p.pos[2]] })).filter(p => p.pos[1] > 0));
+    useFrame((state, delta) => {
+        const group = groupRef.current;
+        if (!group) return;
+        if (landedRef.current === null) {
+            group.position.y = Math.max(ground, group.position.y - FALL_SPEED * delta);
+            if (meteorite) group.rotation.x += delta * 3;
+            if (group.position.y === ground) landedRef.current = state.clock.elapsedTime;
+            return;
+        }
+        const since = state.clock.elapsedTime - landedRef.current;
+        if (labelRef.current) labelRef.current.style.display = since < LABEL_SECONDS ? 'block' : 'none';
+        if (since > LABEL_SECONDS) group.visible = false;
     });
 
+    return (
+        <group ref={groupRef} position={[island.position[0], ground + FALL_HEIGHT, island.position[2]]} scale={size}>
+            <mesh>
+                {meteorite ? <dodecahedronGeometry args={[1.4, 0]} /> : <capsuleGeometry args={[0.7, 1.6, 4, 8]} />}
+                <meshStandardMaterial color={color} emissive={color} emissiveIntensity={3} />
+            </mesh>
+            <Html center position={[0, 2.5, 0]} distanceFactor={30} style={{ pointerEvents: 'none' }}>
+                <div ref={labelRef} style={{ display: 'none', fontFamily: 'Space Mono, monospace', fontSize: '10px', color, background: 'rgba(0,0,0,0.85)', border: `1px solid ${color}66`, borderRadius: '4px', padding: '3px 8px', whiteSpace: 'nowrap' }}>
+                    {meteorite ? '☄️' : '📦'} {event.title}{files > 0 ? ` · ${files} file${files === 1 ? '' : 's'}` : ''}
+                </div>
+            </Html>
+        </group>
+    );
+}
+
+export function BurndownVis({ active, events, islands }) {
+    const payloads = useMemo(
+        () => (events || []).flatMap(event => eventLandings(event, islands || []).map(landing => ({ event, ...landing }))),
+        [events, islands],
+    );
+
     if (!active) return null;
 
     return (
         <group>
             {payloads.map(p => (
-                <mesh key={p.id} position={p.pos}>
-                    <coneGeometry args={[2, 4, 4]} />
-                    <meshStandardMaterial color={p.status === 'pass' ? '#00ff41' : '#ff0033'} emissive={p.status === 'pass' ? '#00ff41' : '#ff0033'} emissiveIntensity={3} />
-                    {p.pos[1] < 5 && p.status === 'pass' && (
-                        <pointLight color="#00ff41" intensity={50} distance={150} />
-                    )}
-                </mesh>
+                <FallingPayload key={`${p.event.id}:${p.island.id}`} event={p.event} island={p.island} files={p.files} />
             ))}
         </group>
     );
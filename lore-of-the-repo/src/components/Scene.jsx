@@ -1,8 +1,16 @@
 /**
  * Scene.jsx — v4 (All 14 systems)
+ * Knowledge Graph mode places islands from `graphLayout` (useForceLayout) and draws its import edges.
+ * Otherwise the selected island's real module dependencies (`importEdges`, once the graph is read) run as beams.
+ * Import Cycles rings every circular import (`importCycles`) and flies to the focused one.
+ * The Supply Chain Nebula orbits the repo's real dependencies (`supplyChain`) around the city;
+ * Security Shields wrap the islands importing ones with known advisories (`vulnerabilities`).
+ * The License Scan tints islands with copyleft, unknown, disallowed or undeclared licenses (`licenses`).
+ * Build Weather rains on islands whose CI jobs fail (`buildWeather`); The Burndown drops live
+ * webhook events onto the islands they touched (`repoEvents`).
  */
 
-import { Suspense, useMemo, useRef, useState, useEffect } from 'react';
+import { Suspense, useMemo, useRef, useEffect } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import * as THREE from 'three';
@@ -11,13 +19,13 @@ import { FloatingIsland } from './FloatingIsland';
 import { EnergyBeam, BeamParticles } from './EnergyBeam';
 import { StarField, NebulaClouds, VerticalSpire } from './StarField';
 import { PostProcessingEffects } from './PostProcessing';
-import { DroneCamera } from './DroneCamera';
+import { DroneCamera, CameraFlyTo } from './DroneCamera';
 import { LiveTraffic } from './LiveTraffic';
-import { BuildWeather, GlobalWeatherFog, getBuildState } from './BuildWeather';
+import { BuildWeather, GlobalWeatherFog } from './BuildWeather';
 import { GhostAvatars } from './GhostAvatars';
-import { IslandBattle, getMockConflicts } from './BattleMode';
+import { IslandBattle, CycleRing, getMockConflicts } from './BattleMode';
 import { NeuralPathway } from './NeuralPathway';
-import { SecurityShield, getIslandVulnerability } from './SecurityShield';
+import { SecurityShield } from './SecurityShield';
 import { DecayParticles, DecayOverlay, getDecayLevel } from './LegacyDecay';
 import { useDistrictMusic, AudioIndicator } from './DistrictMusic';
 import { VRScene } from './VRMode';
@@ -33,35 +41,109 @@ import { BossFight } from './BossFight';
 import { InstancedCity } from './InstancedCity';
 import { TelemetryHeatmap } from './TelemetryHeatmap';
 import { JiraTickets } from './JiraTickets';
+import { aggregateImportLinks } from '../utils/importGraph';
+import { cycleIslands, cycleColor } from '../utils/importCycles';
+import { LICENSE_STATUS_COLORS } from '../utils/licenses';
 
 // ── Knowledge Graph Links ─────────────────────────────────────
-function KnowledgeGraphLinks({ islands, active }) {
-    const geo = useRef();
-    if (!geo.current && active && islands?.length > 0) {
-        const positions = [];
-        const num = islands.length;
-        const pts = islands.map((iso, i) => {
-            const phi = Math.acos(1 - 2 * (i + 0.5) / num);
-            const theta = Math.PI * (1 + Math.sqrt(5)) * i;
-            const r = 25;
-            return { x: r * Math.cos(theta) * Math.sin(phi), y: r * Math.sin(theta) * Math.sin(phi), z: r * Math.cos(phi) };
+// Real import edges between islands (useForceLayout), brighter for heavier coupling
+function KnowledgeGraphLinks({ islands, links, positions, active }) {
+    const geo = useMemo(() => {
+        if (!active || !links?.length) return null;
+        const byId = new Map(islands.map(i => [i.id, i.position]));
+        const at = (id) => positions?.[id] || byId.get(id);
+        const verts = [];
+        links.forEach(l => {
+            const from = at(l.source);
+            const to = at(l.target);
+            if (from && to) verts.push(...from, ...to);
         });
-        for (let i = 0; i < num; i++) {
-            if (i + 1 < num) positions.push(pts[i].x, pts[i].y, pts[i].z, pts[i + 1].x, pts[i + 1].y, pts[i + 1].z);
-            if (i + 5 < num) positions.push(pts[i].x, pts[i].y, pts[i].z, pts[i + 5].x, pts[i + 5].y, pts[i + 5].z);
-        }
-        geo.current = new THREE.BufferGeometry();
-        geo.current.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    }
+        const g = new THREE.BufferGeometry();
+        g.setAttribute('position', new THREE.Float32BufferAttribute(verts, 3));
+        return g;
+    }, [islands, links, positions, active]);
+
+    useEffect(() => () => geo?.dispose(), [geo]);
 
-    if (!active || !geo.current) return null;
+    if (!geo) return null;
     return (
-        <lineSegments geometry={geo.current}>
-            <lineBasicMaterial color="#00ff88" transparent opacity={0.3} />
+        <lineSegments geometry={geo}>
+            <lineBasicMaterial color="#00ff88" transparent opacity={0.45} />
         </lineSegments>
     );
 }
 
+// ── Dependency Beams ──────────────────────────────────────────
+// File → file import edges folded onto islands, for the selected island only: red beams to
+// what it imports, amber ones from what imports it (particles flow importer → imported)
+const MAX_DEPENDENCY_BEAMS = 24;
+
+function DependencyBeams({ islands, edges, selectedId }) {
+    const beams = useMemo(() => {
+        if (!selectedId || !edges?.length) return [];
+        const byId = new Map(islands.map(i => [i.id, i]));
+        return aggregateImportLinks(edges, new Set(byId.keys()), { directed: true })
+            .filter(l => l.source === selectedId || l.target === selectedId)
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, MAX_DEPENDENCY_BEAMS)
+            .map(l => ({
+                ...l,
+                from: byId.get(l.source).position,
+                to: byId.get(l.target).position,
+                color: l.source === selectedId ? '#ff0044' : '#ffaa00',
+            }));
+    }, [islands, edges, selectedId]);
+
+    return beams.map((b) => (
+        <group key={b.id}>
+            <EnergyBeam from={b.from} to={b.to} color={b.color} thickness={Math.min(2, 0.8 + Math.log2(b.weight) * 0.3)} isPrimary />
+            <BeamParticles from={b.from} to={b.to} color={b.color} />
+        </group>
+    ));
+}
+
+// ── Import Cycles ─────────────────────────────────────────────
+// The largest circular imports as rings through their islands, a hue each; the focused one
+// (any of them) gets the battle treatment and the camera
+const MAX_CYCLE_RINGS = 12;
+const MAX_DECAY_OVERLAYS = 25; // rust/moss layers + crumbs go to the most decayed islands
+const MAX_WEATHER_ISLANDS = 12; // rain columns are heavy: failing islands first, then running, then passing
+const WEATHER_ORDER = ['pass', 'pending', 'fail'];
+const OUTSIDE_TEAM_TINT = '#1c2230'; // islands dimmed while another team is highlighted
+
+function ImportCycles({ islands, cycles, focusIndex, positions, flyActive }) {
+    const rings = useMemo(() => {
+        const byId = new Map(islands.map(i => [i.id, i]));
+        const ids = new Set(byId.keys());
+        return cycles.map((cycle, i) => ({
+            cycle,
+            index: i,
+            color: cycleColor(i),
+            stops: cycleIslands(cycle, ids)
+                .filter(id => byId.has(id))
+                .map(id => ({ id, position: positions?.[id] || byId.get(id).position, scale: byId.get(id).scale })),
+        }));
+    }, [islands, cycles, positions]);
+
+    const focused = focusIndex != null ? rings[focusIndex] : null;
+    const flight = useMemo(() => {
+        if (!focused?.stops.length) return null;
+        const n = focused.stops.length;
+        const center = [0, 1, 2].map(k => focused.stops.reduce((sum, s) => sum + s.position[k], 0) / n);
+        const spread = Math.max(...focused.stops.map(s => Math.hypot(s.position[0] - center[0], s.position[2] - center[2])));
+        return { key: focused.cycle.id, center, distance: Math.min(60, Math.max(12, spread * 2.2)) };
+    }, [focused]);
+
+    return (
+        <>
+            {rings.filter(r => r.index < MAX_CYCLE_RINGS || r === focused).map(r => (
+                <CycleRing key={r.cycle.id} cycle={r.cycle} stops={r.stops} color={r.color} focused={r === focused} />
+            ))}
+            {flyActive && <CameraFlyTo target={flight} />}
+        </>
+    );
+}
+
 // ── Void Dust ─────────────────────────────────────────────────
 function VoidDust({ color }) {
     const pointsRef = useRef();
@@ -137,7 +219,8 @@ function SceneContents({
     features, carbonVisuals,
     recruiterMode, matrixMode,
     onboardingActive, onOnboardingClose,
-    docTrig, exportSTLTrig, galaxyMode
+    docTrig, exportSTLTrig, galaxyMode, graphLayout, importEdges, importCycles, cycleFocus, codeMetrics, history, ownership, teamFocus,
+    supplyChain, dependencyFocus, onFocusDependency, vulnerabilities, licenses, buildWeather, repoEvents
 }) {
     const colors = narrative?.colors;
     const primary = matrixMode ? '#00ff41' : (colors?.primaryColor || '#00f5ff');
@@ -145,17 +228,26 @@ function SceneContents({
     const theme = narrative?.theme || 'cyber-astral';
     const islands = cityData?.islands || [];
 
-    const [astBeams, setAstBeams] = useState([]);
-    useEffect(() => {
-        const updateBeams = () => setAstBeams([...(window.AST_CONNECTIONS || [])]);
-        window.addEventListener('AST_UPDATED', updateBeams);
-        return () => window.removeEventListener('AST_UPDATED', updateBeams);
-    }, []);
-
     const conflicts = getMockConflicts(islands);
     const conflictMap = Object.fromEntries(conflicts.map(c => [c.islandId, c]));
     const coreIsland = islands.find(i => i.isCore);
 
+    const decayLevels = features.decay ? Object.fromEntries(islands.map(i => [i.id, getDecayLevel(i, history?.[i.id])])) : {};
+    const teamColors = Object.fromEntries((ownership?.teams || []).map(t => [t.id, t.color]));
+    const ownerTint = (id) => {
+        const team = ownership?.islands[id]?.team;
+        if (!team) return null;
+        return teamFocus && team !== teamFocus ? OUTSIDE_TEAM_TINT : teamColors[team];
+    };
+    // A flagged license outranks the team colour
+    const licenseTint = (id) => LICENSE_STATUS_COLORS[licenses?.[id]?.status] || null;
+
+    const forecast = new Set(Object.keys(buildWeather || {})
+        .sort((a, b) => WEATHER_ORDER.indexOf(buildWeather[b].state) - WEATHER_ORDER.indexOf(buildWeather[a].state))
+        .slice(0, MAX_WEATHER_ISLANDS));
+    const ruined = new Set(Object.keys(decayLevels).filter(id => decayLevels[id] > 0)
+        .sort((a, b) => decayLevels[b] - decayLevels[a]).slice(0, MAX_DECAY_OVERLAYS));
+
     const sunColor = matrixMode ? '#003300' : (features.carbon ? (carbonVisuals?.sunColor || primary) : primary);
     const ambientClr = matrixMode ? '#000500' : (features.carbon ? (carbonVisuals?.ambientColor || '#050020') : '#050020');
     const sunIntensity = matrixMode ? 0.2 : (features.carbon ? (carbonVisuals?.sunIntensity ?? 1.8) : 0.45);
@@ -183,7 +275,7 @@ function SceneContents({
             )}
 
             {/* ── Build weather global ── */}
-            {features.weather && <GlobalWeatherFog islands={islands} active={features.weather} />}
+            {features.weather && <GlobalWeatherFog weather={buildWeather} active={features.weather} />}
 
             {/* ── Camera ── */}
             <DroneCamera active={droneActive} onComplete={onDroneComplete} />
@@ -241,30 +333,44 @@ function SceneContents({
                 </group>
             ))}
 
-            {/* ── True AST Code Connections ── */}
-            {!features.neural && !matrixMode && !galaxyMode && !features.graph && astBeams.map((conn) => (
-                <group key={conn.id}>
-                    <EnergyBeam from={conn.from} to={conn.to} color="#ff0044" thickness={1.2} isPrimary={true} />
-                    <BeamParticles from={conn.from} to={conn.to} color="#ff0044" />
-                </group>
-            ))}
+            {/* ── Module Dependencies of the selection ── */}
+            {!features.neural && !matrixMode && !galaxyMode && !features.graph && (
+                <DependencyBeams islands={islands} edges={importEdges} selectedId={selectedIsland?.id} />
+            )}
+
+            {/* ── Circular Imports ── */}
+            {features.cycles && !matrixMode && !galaxyMode && !features.helix && (
+                <ImportCycles
+                    islands={islands}
+                    cycles={importCycles}
+                    focusIndex={cycleFocus}
+                    positions={features.graph ? graphLayout?.positions : null}
+                    flyActive={!droneActive}
+                />
+            )}
 
             {/* ── Knowledge Graph Structural Connections ── */}
-            <KnowledgeGraphLinks islands={islands} active={features.graph} />
+            <KnowledgeGraphLinks islands={islands} links={graphLayout?.links} positions={graphLayout?.positions} active={features.graph} />
 
             {/* ── Jira / Linear Tickets ── */}
             <JiraTickets islands={islands} active={features.bugs} />
 
             {/* ── Feature Expansions (Spiders, Phantom, Nebula, Trophy, Documentary, Linter Wars) ── */}
             <LinterWars islands={islands} active={features.linter} />
-            <BurndownVis active={features.burndown} />
+            <BurndownVis active={features.burndown} events={repoEvents} islands={islands} />
             <FPSController active={features.fps} />
             <CrossRepoWormholes active={features.wormhole} />
             <BossFight active={features.boss} />
             <InstancedCity active={features.instanced} count={isExtremeLoad ? 4000 : 50000} />
-            <TelemetryHeatmap islands={islands} active={features.heatmap} />
+            <TelemetryHeatmap islands={islands} history={history} active={features.heatmap} />
 
-            <SupplyChainNebula active={features.nebula} />
+            <SupplyChainNebula
+                islands={islands}
+                supplyChain={supplyChain}
+                selectedId={dependencyFocus}
+                onSelect={onFocusDependency}
+                active={features.nebula && !galaxyMode}
+            />
             <GlitchSpiders islands={islands} active={features.glitch} />
             <PhantomReviewer islands={islands} active={features.phantom} />
             <DesktopTrophyExporter triggerIndex={exportSTLTrig} />
@@ -279,24 +385,21 @@ function SceneContents({
                         <pointLight color="#ff8800" intensity={2} distance={300} />
                     </mesh>
                 )}
-                {islands.map((island, index) => {
+                {islands.map((cityIsland, index) => {
+                    // Knowledge Graph: force layout positions stream in; FloatingIsland eases toward them
+                    const graphPos = features.graph ? graphLayout?.positions?.[cityIsland.id] : null;
+                    const island = graphPos ? { ...cityIsland, position: graphPos } : cityIsland;
                     if (matrixMode) return <MatrixIsland key={island.id} island={island} />;
 
-                    // Code DNA Helix & Knowledge Graph
+                    // Code DNA Helix
                     let transformPos = null;
-                    if (features.graph) {
-                        const num = islands.length;
-                        const phi = Math.acos(1 - 2 * (index + 0.5) / num);
-                        const theta = Math.PI * (1 + Math.sqrt(5)) * index;
-                        const r = 25;
-                        transformPos = [r * Math.cos(theta) * Math.sin(phi), r * Math.sin(theta) * Math.sin(phi), r * Math.cos(phi)];
-                    } else if (features.helix) {
+                    if (!features.graph && features.helix) {
                         transformPos = [Math.sin(index * 0.5) * 15, index * 1.5 - 20, Math.cos(index * 0.5) * 15];
                     }
 
-                    const vuln = features.security ? getIslandVulnerability(island.name) : null;
-                    const decay = features.decay ? getDecayLevel(island) : 0;
-                    const buildSt = features.weather ? getBuildState(island.name) : null;
+                    const vuln = vulnerabilities?.[island.id] || null;
+                    const decay = decayLevels[island.id] || 0;
+                    const weather = forecast.has(island.id) ? buildWeather[island.id] : null;
                     const conflict = features.battle ? conflictMap[island.id] : null;
 
                     return (
@@ -309,15 +412,17 @@ function SceneContents({
                                 timelineProgress={timelineProgress}
                                 features={features}
                                 matrixMode={matrixMode}
+                                codeMetrics={codeMetrics}
+                                tint={licenseTint(island.id) || ownerTint(island.id)}
                             />
                             {vuln && <SecurityShield island={island} vuln={vuln} />}
-                            {features.legacy && decay > 0 && index < 25 && (
+                            {ruined.has(island.id) && (
                                 <>
                                     <DecayOverlay island={island} decay={decay} />
                                     <DecayParticles position={island.position} decay={decay} color={primary} />
                                 </>
                             )}
-                            {buildSt && index < 10 && <BuildWeather island={island} buildStatus={buildSt} active={features.weather} />}
+                            {weather && <BuildWeather island={island} weather={weather} active={features.weather} />}
                             {conflict && <IslandBattle island={island} conflict={conflict} />}
                             {features.music && index < 6 && <AudioIndicator island={island} active themeColor={primary} />}
                         </group>
@@ -362,7 +467,22 @@ export function Scene({
     onOnboardingClose,
     docTrig,
     exportSTLTrig,
-    galaxyMode
+    galaxyMode,
+    graphLayout = null,
+    importEdges = [],
+    importCycles = [],
+    cycleFocus = null,
+    codeMetrics = null,
+    history = null,
+    ownership = null,
+    teamFocus = null,
+    supplyChain = null,
+    dependencyFocus = null,
+    onFocusDependency,
+    vulnerabilities = null,
+    licenses = null,
+    buildWeather = null,
+    repoEvents = null
 }) {
     const bgColor = matrixMode ? '#000500' : (narrative?.colors?.bgGradient?.[0] || '#000010');
 
@@ -398,6 +518,21 @@ export function Scene({
                 docTrig={docTrig}
                 exportSTLTrig={exportSTLTrig}
                 galaxyMode={galaxyMode}
+                graphLayout={graphLayout}
+                importEdges={importEdges}
+                importCycles={importCycles}
+                cycleFocus={cycleFocus}
+                codeMetrics={codeMetrics}
+                history={history}
+                ownership={ownership}
+                teamFocus={teamFocus}
+                supplyChain={supplyChain}
+                dependencyFocus={dependencyFocus}
+                onFocusDependency={onFocusDependency}
+                vulnerabilities={vulnerabilities}
+                licenses={licenses}
+                buildWeather={buildWeather}
+                repoEvents={repoEvents}
             />
         </Canvas>
     );
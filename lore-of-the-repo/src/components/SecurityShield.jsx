@@ -1,7 +1,8 @@
 /**
  * SecurityShield.jsx
  * Custom GLSL ShaderMaterial: red pulsating cracked hexagonal energy shield.
- * Wraps islands that have mock vulnerability hits.
+ * Wraps islands whose code imports a dependency with a known advisory (useVulnerabilities),
+ * pulsing faster the worse it is; the badge lists the CVEs, affected ranges and fixes.
  */
 
 import { useRef, useMemo } from 'react';
@@ -71,22 +72,8 @@ const shieldFragmentShader = `
   }
 `;
 
-// ── Mock Vulnerability Database ───────────────────────────────
-const MOCK_VULN_DB = {
-    'package.json': { severity: 'critical', cve: 'CVE-2024-1337', count: 3 },
-    'requirements.txt': { severity: 'high', cve: 'CVE-2024-5588', count: 2 },
-    'pom.xml': { severity: 'medium', cve: 'CVE-2024-3001', count: 1 },
-    'Cargo.toml': { severity: 'low', cve: 'CVE-2024-0099', count: 1 },
-    'go.mod': { severity: 'medium', cve: 'CVE-2024-4422', count: 2 },
-    'composer.json': { severity: 'high', cve: 'CVE-2024-7811', count: 4 },
-    'Gemfile': { severity: 'critical', cve: 'CVE-2024-6600', count: 5 },
-};
-
 const SEVERITY_SCALE = { low: 0.15, medium: 0.45, high: 0.75, critical: 1.0 };
-
-export function getIslandVulnerability(islandName) {
-    return MOCK_VULN_DB[islandName] || null;
-}
+const FINDINGS_SHOWN = 4;
 
 // ── ShieldMesh Component ──────────────────────────────────────
 function ShieldMesh({ scale, severity }) {
@@ -144,7 +131,16 @@ export function SecurityShield({ island, vuln }) {
                     color: '#fff', whiteSpace: 'nowrap',
                     boxShadow: `0 0 12px rgba(255,50,0,0.4)`,
                 }}>
-                    🛡️ {vuln.severity.toUpperCase()} · {vuln.cve}
+                    <div style={{ fontWeight: 'bold' }}>
+                        🛡️ {vuln.severity.toUpperCase()}{vuln.score != null ? ` ${vuln.score}` : ''} · {vuln.count} advisor{vuln.count === 1 ? 'y' : 'ies'}
+                    </div>
+                    {vuln.findings.slice(0, FINDINGS_SHOWN).map(f => (
+                        <div key={`${f.id}|${f.package}@${f.version}`} style={{ opacity: 0.9 }}>
+                            {f.cve} · {f.package}@{f.version}{f.via ? ` (via ${f.via})` : ''} · {f.ranges.join(' | ') || 'affected'}
+                            {' · '}{f.fixed.length ? `fixed in ${f.fixed.join(', ')}` : 'no fix'}
+                        </div>
+                    ))}
+                    {vuln.count > FINDINGS_SHOWN && <div style={{ opacity: 0.7 }}>+{vuln.count - FINDINGS_SHOWN} more</div>}
                 </div>
             </Html>
         </group>
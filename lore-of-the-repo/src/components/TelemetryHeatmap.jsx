@@ -1,15 +1,16 @@
 import React, { useMemo } from 'react';
 
 // ── 6. Heatmap Telemetry ──────────────────────────────────────────────
-// This visually wraps islands in a glowing red/orange aura based on 
-// "hotness" (simulating clicked/edited telemetry data)
-export function TelemetryHeatmap({ islands, active }) {
-    if (!active || !islands) return null;
-
-    // Generate random heatmap data for demonstration
+// This visually wraps islands in a glowing red/orange aura based on
+// "hotness": commits touching the island in the recent window (pathHistory.js),
+// log-scaled against the busiest island
+export function TelemetryHeatmap({ islands, history, active }) {
     const heatData = useMemo(() => {
+        if (!islands || !history) return [];
+        const busiest = Math.max(1, ...islands.map(island => history[island.id]?.recentCommits || 0));
         return islands.map(island => {
-            const heatScore = island.isCore ? 0 : Math.random();
+            const commits = history[island.id]?.recentCommits || 0;
+            const heatScore = island.isCore ? 0 : Math.log2(1 + commits) / Math.log2(1 + busiest);
             const color = heatScore > 0.8 ? '#ff0000' : heatScore > 0.5 ? '#ffaa00' : '#ffff00';
             const radius = 2 + heatScore * 4;
             return {
@@ -20,7 +21,9 @@ export function TelemetryHeatmap({ islands, active }) {
                 radius
             };
         }).filter(h => h.score > 0.3); // Only show moderately hot ones
-    }, [islands]);
+    }, [islands, history]);
+
+    if (!active) return null;
 
     return (
         <group>
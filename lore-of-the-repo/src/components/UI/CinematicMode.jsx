@@ -135,7 +135,7 @@ export function CinematicControls({
 }
 
 // ─── Loading Overlay ────────────────────────────────────────────
-export function LoadingOverlay({ themeColor = '#00f5ff' }) {
+export function LoadingOverlay({ themeColor = '#00f5ff', progress = null }) {
     const steps = [
         'Fetching repository metadata...',
         'Parsing directory tree...',
@@ -177,13 +177,19 @@ export function LoadingOverlay({ themeColor = '#00f5ff' }) {
                         </motion.span>
                     ))}
                 </div>
+                {progress && (
+                    <div className="loading-progress" style={{ color: themeColor }}>
+                        {progress.truncated ? 'partial tree: ' : ''}{progress.nodes.toLocaleString()} {progress.truncated ? 'nodes' : 'tree nodes'} loaded
+                        {progress.walking && <span className="loading-progress-note"> · walking truncated tree…</span>}
+                    </div>
+                )}
             </div>
         </motion.div>
     );
 }
 
 // ─── Error Overlay ──────────────────────────────────────────────
-export function ErrorOverlay({ error, onDismiss }) {
+export function ErrorOverlay({ error, title = 'TRANSMISSION FAILED', onDismiss }) {
     return (
         <motion.div
             className="error-overlay"
@@ -201,7 +207,7 @@ export function ErrorOverlay({ error, onDismiss }) {
                 transition={{ type: 'spring', stiffness: 300, damping: 25 }}
             >
                 <div className="error-icon">⚠️</div>
-                <div className="error-title">TRANSMISSION FAILED</div>
+                <div className="error-title">{title}</div>
                 <div className="error-message">{error}</div>
                 <motion.button
                     className="error-btn"
@@ -281,7 +287,7 @@ export function LandingScreen({ themeColor = '#00f5ff' }) {
                     animate={{ opacity: [0.4, 1, 0.4] }}
                     transition={{ duration: 2.2, repeat: Infinity }}
                 >
-                    Enter a GitHub URL above to begin ↑
+                    Enter a repository URL above — or drop a .zip / folder anywhere — to begin ↑
                 </motion.p>
             </div>
         </div>
@@ -1,46 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Editor from '@monaco-editor/react';
 import { LiveCodeExecution } from '../LiveCodeExecution';
 import { Bot, GitCommit, GitPullRequest, Code2, Copy, X, Sparkles } from 'lucide-react';
+import { useCityStore } from '../../hooks/useCityStore';
+import { setCityState, updateCodeFile, closeCodeFile } from '../../utils/cityStore';
 
+// Open files live in the city store (opened by double-clicking an island or building)
 export function CodeInspector() {
-    const [openFiles, setOpenFiles] = useState([]);
+    const openFiles = useCityStore(s => s.openFiles);
     
     // Per-file states
     const [askingCopilot, setAskingCopilot] = useState({});
     const [pushing, setPushing] = useState({});
 
-    useEffect(() => {
-        const handleOpenFile = (e) => {
-            const { name, path, content, type } = e.detail;
-            setOpenFiles(prev => {
-                if (prev.find(f => f.path === path)) return prev;
-                return [{ name, path, content: content || '// Content currently un-fetched...', type, id: Date.now() }, ...prev];
-            });
-        };
-
-        window.addEventListener('OPEN_CODE_FILE', handleOpenFile);
-        return () => window.removeEventListener('OPEN_CODE_FILE', handleOpenFile);
-    }, []);
-
-    const closeFile = (id) => {
-        setOpenFiles(prev => prev.filter(f => f.id !== id));
-    };
-
-    const updateFileContent = (id, newContent) => {
-        setOpenFiles(prev => prev.map(f => f.id === id ? { ...f, content: newContent } : f));
-    }
-
     const handleCopilot = (id) => {
         setAskingCopilot(prev => ({ ...prev, [id]: true }));
         setTimeout(() => {
-            setOpenFiles(prev => prev.map(f => {
-                if(f.id === id) {
-                    const aiComments = `\n// [Copilot AI]: Optimized structure for ${f.name}\n// Consider implementing memoization here to prevent re-renders.\n`;
-                    return { ...f, content: aiComments + f.content };
-                }
-                return f;
+            setCityState(s => ({
+                openFiles: s.openFiles.map(f => {
+                    if(f.id === id) {
+                        const aiComments = `\n// [Copilot AI]: Optimized structure for ${f.name}\n// Consider implementing memoization here to prevent re-renders.\n`;
+                        return { ...f, content: aiComments + f.content };
+                    }
+                    return f;
+                }),
             }));
             setAskingCopilot(prev => ({ ...prev, [id]: false }));
         }, 1500);
@@ -115,7 +99,7 @@ export function CodeInspector() {
                                     {pushing[file.id] ? 'PUSHING...' : 'COMMIT & PUSH'}
                                 </button>
 
-                                <button onClick={() => closeFile(file.id)} style={{ background: 'none', border: 'none', color: '#9ca3af', cursor: 'pointer', padding: '4px' }}>
+                                <button onClick={() => closeCodeFile(file.id)} style={{ background: 'none', border: 'none', color: '#9ca3af', cursor: 'pointer', padding: '4px' }}>
                                     <X size={14} />
                                 </button>
                             </div>
@@ -136,7 +120,7 @@ export function CodeInspector() {
                                 language="javascript"
                                 theme="vs-dark"
                                 value={file.content}
-                                onChange={(val) => updateFileContent(file.id, val)}
+                                onChange={(val) => updateCodeFile(file.id, val)}
                                 options={{
                                     minimap: { enabled: false },
                                     fontSize: 11,
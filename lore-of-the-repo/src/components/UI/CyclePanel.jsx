@@ -0,0 +1,59 @@
+/**
+ * CyclePanel.jsx
+ * List of the repo's circular imports (importCycles.js), largest first. Picking one — or
+ * stepping with ‹ › — focuses it, which flies the camera to its ring in the scene.
+ */
+
+import { ChevronLeft, ChevronRight, RefreshCcw } from 'lucide-react';
+
+import { playHoverSound, playClickSound } from '../../utils/soundEffects';
+import { cycleColor } from '../../utils/importCycles';
+
+const fileName = (path) => path.split('/').pop();
+
+export function CyclePanel({ cycles, focusIndex, onFocus, status, themeColor = '#00f5ff' }) {
+    const count = cycles.length;
+    const step = (delta) => {
+        playClickSound();
+        onFocus(focusIndex == null ? (delta > 0 ? 0 : count - 1) : (focusIndex + delta + count) % count);
+    };
+
+    return (
+        <div className="cycle-panel" style={{ '--theme-color': themeColor }}>
+            <div className="fp-header">
+                <RefreshCcw size={12} />
+                <span>IMPORT CYCLES</span>
+                {count > 0 && (
+                    <span className="cycle-nav">
+                        <button onClick={() => step(-1)} onMouseEnter={() => playHoverSound()}><ChevronLeft size={12} /></button>
+                        <span>{focusIndex == null ? '–' : focusIndex + 1}/{count}</span>
+                        <button onClick={() => step(1)} onMouseEnter={() => playHoverSound()}><ChevronRight size={12} /></button>
+                    </span>
+                )}
+            </div>
+
+            {status === 'loading' && <div className="cycle-empty">Reading imports…</div>}
+            {status === 'error' && <div className="cycle-empty">Import graph unavailable</div>}
+            {status === 'done' && count === 0 && <div className="cycle-empty" style={{ color: themeColor }}>No circular imports ✓</div>}
+
+            <div className="cycle-list">
+                {cycles.map((cycle, i) => (
+                    <button
+                        key={cycle.id}
+                        className={`cycle-item ${i === focusIndex ? 'active' : ''}`}
+                        onClick={() => { playClickSound(); onFocus(i); }}
+                        onMouseEnter={() => playHoverSound()}
+                    >
+                        <span className="cycle-dot" style={{ background: cycleColor(i) }} />
+                        <span className="cycle-text">
+                            <span className="fp-label">{cycle.files.length} files</span>
+                            <span className="fp-desc" title={cycle.path.join(' → ')}>
+                                {[...cycle.path, cycle.path[0]].map(fileName).join(' → ')}
+                            </span>
+                        </span>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
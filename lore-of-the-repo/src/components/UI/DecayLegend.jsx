@@ -0,0 +1,76 @@
+/**
+ * DecayLegend.jsx
+ * Key for the Legacy Ruins: what moss and rust mean (pathHistory.js DECAY_RULES / DECAY_TIERS),
+ * how many islands sit in each tier, and the most abandoned ones.
+ */
+
+import { Skull } from 'lucide-react';
+
+import { decayLevel, decayTier, DECAY_RULES, DECAY_TIERS, RECENT_DAYS } from '../../utils/pathHistory';
+
+const WORST_SHOWN = 3;
+
+export function DecayLegend({ islands, history, status, themeColor = '#00f5ff' }) {
+    const { abandonedDays, busyCommits, busyAuthors, staleWeight } = DECAY_RULES;
+    const levels = history
+        ? islands.filter(i => !i.isCore).map(i => ({ island: i, stats: history[i.id], level: decayLevel(history[i.id]) }))
+        : [];
+    const unknown = levels.filter(l => l.level === null).length;
+    const worst = [...levels].filter(l => l.level !== null).sort((a, b) => b.level - a.level).slice(0, WORST_SHOWN).filter(l => l.level >= DECAY_TIERS[1].min);
+    const ranges = DECAY_TIERS.map((t, i) => (DECAY_TIERS[i + 1] ? `${t.min}–${DECAY_TIERS[i + 1].min}` : `≥ ${t.min}`));
+
+    return (
+        <div className="decay-legend" style={{ '--theme-color': themeColor }}>
+            <div className="fp-header">
+                <Skull size={12} />
+                <span>LEGACY RUINS</span>
+            </div>
+
+            {!history && (
+                <div className="cycle-empty">
+                    No per-file commit history for this repo — GitHub only lists touched files with an access token.
+                </div>
+            )}
+
+            {history && (
+                <>
+                    <div className="decay-tiers">
+                        {DECAY_TIERS.map((tier, i) => (
+                            <div key={tier.key} className="decay-tier">
+                                <span className="cycle-dot" style={{ background: tier.color }} />
+                                <span className="fp-label">{tier.label}</span>
+                                <span className="fp-desc">{ranges[i]}</span>
+                                <span className="decay-count" style={{ color: tier.color }}>
+                                    {levels.filter(l => l.level !== null && decayTier(l.level) === tier).length}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                    {unknown > 0 && (
+                        <div className="cycle-empty">
+                            {status === 'loading'
+                                ? `Looking up the last commit of ${unknown} island${unknown === 1 ? '' : 's'} the log doesn't reach…`
+                                : `${unknown} island${unknown === 1 ? '' : 's'} untouched by the log's newest commits — last commit unknown, no ruins drawn.`}
+                        </div>
+                    )}
+                    <div className="cycle-empty">
+                        {Math.round(staleWeight * 100)}% days since the last commit (full at {abandonedDays}), {Math.round((1 - staleWeight) * 100)}% missing
+                        activity over the last {RECENT_DAYS} days — {busyCommits}+ commits by {busyAuthors}+ authors keeps an island clean.
+                    </div>
+                    {worst.map(({ island, stats, level }) => (
+                        <div key={island.id} className="decay-tier">
+                            <span className="cycle-dot" style={{ background: decayTier(level).color }} />
+                            <span className="cycle-text">
+                                <span className="fp-label">{island.name}</span>
+                                <span className="fp-desc">
+                                    last commit {stats.daysSince}d ago
+                                    {' · '}{stats.recentCommits} recent commits
+                                </span>
+                            </span>
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,9 @@
 /**
  * FeaturePanel.jsx
- * Collapsible glassmorphism panel controlling all 10 advanced features.
+ * Collapsible glassmorphism panel controlling all 10 advanced features,
+ * plus the city layout (orbital / treemap) and the building height metric.
+ * Features flagged `history` (true, or what still works without it) and height metrics that
+ * read per-file commit history say so (`historyNote`) when the log has none.
  * Framer-motion animated, lucide-react icons.
  */
 
@@ -11,10 +14,15 @@ import {
     Skull, Swords, Brain, Leaf, ChevronLeft, ChevronRight, Settings2,
     Bug, Hexagon, Eye, Dna, Network, Crosshair,
     TrendingUp, Rocket, CircleDashed, Gamepad2, Ghost, BoxSelect, Map,
-    AlertCircle
+    AlertCircle, RefreshCcw, Flag, Scale
 } from 'lucide-react';
 
 import { playHoverSound, playClickSound, playWormholeSound } from '../../utils/soundEffects';
+import { LAYOUT_MODES, HEIGHT_METRICS } from '../../utils/cityBuilder';
+
+const LAYOUT_LABELS = { orbital: 'Orbital', treemap: 'Treemap' };
+const METRIC_LABELS = { size: 'Size', churn: 'Churn', recency: 'Recency' };
+const HISTORY_METRICS = new Set(['churn', 'recency']);
 
 const FEATURES = [
     { key: 'security', icon: <Shield size={13} />, label: 'Security Shield', desc: 'Vuln hex shields' },
@@ -22,15 +30,18 @@ const FEATURES = [
     { key: 'weather', icon: <Cloud size={13} />, label: 'Build Weather', desc: 'CI/CD rain & sun' },
     { key: 'music', icon: <Music2 size={13} />, label: 'District Music', desc: 'Web Audio API' },
     { key: 'ghosts', icon: <Users size={13} />, label: 'Ghost Avatars', desc: 'Multi-user orbs' },
-    { key: 'decay', icon: <Skull size={13} />, label: 'Legacy Ruins', desc: 'Rust & moss decay' },
+    { key: 'decay', icon: <Skull size={13} />, label: 'Legacy Ruins', desc: 'Rust & moss decay', history: true },
     { key: 'battle', icon: <Swords size={13} />, label: 'Battle Mode', desc: 'Merge conflicts' },
     { key: 'neural', icon: <Brain size={13} />, label: 'Neural Pathway', desc: 'ML/AI graph view' },
     { key: 'carbon', icon: <Leaf size={13} />, label: 'Carbon Footprint', desc: 'Eco lighting' },
     { key: 'glitch', icon: <Bug size={13} />, label: 'Glitch Hunt', desc: 'Gamified bug tracking' },
     { key: 'nebula', icon: <Hexagon size={13} />, label: 'Supply Nebula', desc: 'Dependency visual' },
+    { key: 'licenses', icon: <Scale size={13} />, label: 'License Scan', desc: 'Copyleft & unknown' },
     { key: 'phantom', icon: <Eye size={13} />, label: 'Phantom Reviewer', desc: 'AI code agent' },
     { key: 'helix', icon: <Dna size={13} />, label: 'Code DNA', desc: 'Helix mode layout' },
     { key: 'graph', icon: <Network size={13} />, label: 'Knowledge Graph', desc: 'AST Dependencies' },
+    { key: 'cycles', icon: <RefreshCcw size={13} />, label: 'Import Cycles', desc: 'Circular dependencies' },
+    { key: 'owners', icon: <Flag size={13} />, label: 'Code Owners', desc: 'Team territories', history: 'CODEOWNERS only' },
     { key: 'linter', icon: <Crosshair size={13} />, label: 'Linter Wars', desc: 'Tower Defense' },
     { key: 'economy', icon: <TrendingUp size={13} />, label: 'Economy of Code', desc: 'Stock Market' },
     { key: 'burndown', icon: <Rocket size={13} />, label: 'The Burndown', desc: 'Live CI/CD' },
@@ -38,11 +49,33 @@ const FEATURES = [
     { key: 'fps', icon: <Gamepad2 size={13} />, label: 'FPS Mode', desc: 'Walk around' },
     { key: 'boss', icon: <Ghost size={13} />, label: 'Git Boss Fight', desc: 'Merge monsters' },
     { key: 'instanced', icon: <BoxSelect size={13} />, label: 'Mega City', desc: '+50k Background Nodes' },
-    { key: 'heatmap', icon: <Map size={13} />, label: 'Telemetry Heatmap', desc: 'Dev Hotspots' },
+    { key: 'heatmap', icon: <Map size={13} />, label: 'Telemetry Heatmap', desc: 'Dev Hotspots', history: true },
     { key: 'bugs', icon: <AlertCircle size={13} />, label: 'Jira / Linear Tracker', desc: 'Issue Visualization' },
 ];
 
-export function FeaturePanel({ features, onToggle, themeColor = '#00f5ff', carbonVisuals }) {
+// One row of mutually exclusive options; `unavailable` ones stay pickable but dimmed, `note` says why
+function LayoutChoice({ label, options, labels, value, onChange, themeColor, unavailable = null, note = null }) {
+    return (
+        <div className="fp-layout-row">
+            <span className="fp-layout-label">{label}</span>
+            <div className="fp-seg">
+                {options.map(opt => (
+                    <button
+                        key={opt}
+                        className={[value === opt && 'active', unavailable?.has(opt) && 'unavailable'].filter(Boolean).join(' ')}
+                        style={value === opt ? { color: themeColor, borderColor: `${themeColor}66` } : {}}
+                        title={unavailable?.has(opt) ? note : undefined}
+                        onClick={() => { playClickSound(); onChange(opt); }}
+                    >
+                        {labels[opt]}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export function FeaturePanel({ features, onToggle, themeColor = '#00f5ff', carbonVisuals, cityLayout, onCityLayout, historyNote = null }) {
     const activeCount = Object.values(features).filter(Boolean).length;
 
     return (
@@ -73,10 +106,32 @@ export function FeaturePanel({ features, onToggle, themeColor = '#00f5ff', carbo
                             </motion.div>
                         )}
 
+                        {/* City layout */}
+                        {cityLayout && (
+                            <div className="fp-layout">
+                                <LayoutChoice
+                                    label="LAYOUT" options={LAYOUT_MODES} labels={LAYOUT_LABELS} themeColor={themeColor}
+                                    value={cityLayout.mode}
+                                    onChange={(mode) => onCityLayout({ ...cityLayout, mode })}
+                                />
+                                <LayoutChoice
+                                    label="HEIGHT" options={HEIGHT_METRICS} labels={METRIC_LABELS} themeColor={themeColor}
+                                    value={cityLayout.heightMetric}
+                                    onChange={(heightMetric) => onCityLayout({ ...cityLayout, heightMetric })}
+                                    unavailable={historyNote ? HISTORY_METRICS : null}
+                                    note={historyNote && `${historyNote} — churn and recency read the files each commit touched`}
+                                />
+                                {historyNote && HISTORY_METRICS.has(cityLayout.heightMetric) && (
+                                    <span className="fp-desc fp-needs">{historyNote} — every building is as tall as the next</span>
+                                )}
+                            </div>
+                        )}
+
                         {/* Feature toggles */}
                         <div className="fp-list">
                             {FEATURES.map((feat, i) => {
                                 const on = !!features[feat.key];
+                                const needs = historyNote && feat.history;
                                 return (
                                     <motion.button
                                         key={feat.key}
@@ -99,7 +154,9 @@ export function FeaturePanel({ features, onToggle, themeColor = '#00f5ff', carbo
                                         </span>
                                         <div className="fp-text">
                                             <span className="fp-label">{feat.label}</span>
-                                            <span className="fp-desc">{feat.desc}</span>
+                                            <span className={['fp-desc', needs && 'fp-needs'].filter(Boolean).join(' ')}>
+                                                {needs ? [typeof feat.history === 'string' && feat.history, historyNote].filter(Boolean).join(' · ') : feat.desc}
+                                            </span>
                                         </div>
                                         <div className={`fp-toggle ${on ? 'on' : ''}`} style={on ? { background: themeColor } : {}}>
                                             <div className="fp-toggle-knob" />
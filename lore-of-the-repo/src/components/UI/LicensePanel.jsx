@@ -0,0 +1,82 @@
+/**
+ * LicensePanel.jsx
+ * Companion to the License Scan: what was read (LICENSE files, SPDX headers, lockfile
+ * licenses), whose allow-list applies, how many findings per verdict, and the flagged
+ * licenses themselves — clicking one selects the first island it affects.
+ */
+
+import { Scale } from 'lucide-react';
+
+import { LICENSE_STATUS_COLORS } from '../../utils/licenses';
+import { playHoverSound, playClickSound } from '../../utils/soundEffects';
+
+const STATUS_LABELS = { copyleft: 'copyleft', unknown: 'unknown', denied: 'not allowed', undeclared: 'undeclared' };
+const KIND_LABELS = { file: 'LICENSE file', header: 'SPDX header', dependency: 'dependency' };
+const FINDINGS_SHOWN = 10;
+
+export function LicensePanel({ licenses, imports, supplyChain, islands, onSelectIsland, themeColor = '#00f5ff' }) {
+    const { findings, files, allow, configured, status } = licenses;
+    const byId = new Map(islands.map(i => [i.id, i]));
+    const headers = Object.keys(imports.licenses || {}).length;
+    const declared = supplyChain.dependencies.filter(d => d.license).length;
+    const perStatus = Object.keys(STATUS_LABELS)
+        .map(s => ({ status: s, count: findings.filter(f => f.status === s).length }))
+        .filter(s => s.count);
+    const scanning = status === 'loading' || imports.status === 'loading' || supplyChain.status === 'loading';
+
+    return (
+        <div className="license-panel" style={{ '--theme-color': themeColor }}>
+            <div className="fp-header">
+                <Scale size={12} />
+                <span>LICENSE SCAN</span>
+            </div>
+
+            <div className="cycle-empty">
+                {scanning && 'Reading LICENSE files, headers and lockfiles… '}
+                {files.length} LICENSE file{files.length === 1 ? '' : 's'} · {headers} SPDX header{headers === 1 ? '' : 's'}
+                {' · '}{declared}/{supplyChain.dependencies.length} dependencies with a declared license
+            </div>
+            <div className="cycle-empty">
+                Allow-list: {configured ? '.lordofrepo.json' : 'default'} ({allow.length} licenses)
+            </div>
+
+            {perStatus.length > 0 && (
+                <div className="decay-tiers">
+                    {perStatus.map(({ status: s, count }) => (
+                        <div key={s} className="decay-tier">
+                            <span className="cycle-dot" style={{ background: LICENSE_STATUS_COLORS[s] }} />
+                            <span className="fp-label">{STATUS_LABELS[s]}</span>
+                            <span className="decay-count" style={{ color: LICENSE_STATUS_COLORS[s] }}>{count}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {!scanning && !findings.length && <div className="cycle-empty">Every license found is on the allow-list.</div>}
+
+            <div className="cycle-list">
+                {findings.slice(0, FINDINGS_SHOWN).map(f => {
+                    const island = byId.get(f.islands[0]);
+                    return (
+                        <button
+                            key={`${f.kind}:${f.name}`}
+                            className="cycle-item"
+                            disabled={!island}
+                            onClick={() => { playClickSound(); onSelectIsland(island); }}
+                            onMouseEnter={() => playHoverSound()}
+                        >
+                            <span className="cycle-dot" style={{ background: LICENSE_STATUS_COLORS[f.status] }} />
+                            <span className="cycle-text">
+                                <span className="fp-label">{f.name}</span>
+                                <span className="fp-desc">
+                                    {f.license || (f.status === 'undeclared' ? 'no license declared' : 'no license detected')}{f.via ? ` via ${f.via}` : ''} · {KIND_LABELS[f.kind]}
+                                    {island && ` · ${f.islands.length} island${f.islands.length === 1 ? '' : 's'}`}
+                                    {!island && f.kind === 'dependency' && ' · not imported by any island'}
+                                </span>
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
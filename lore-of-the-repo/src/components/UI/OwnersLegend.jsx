@@ -0,0 +1,48 @@
+/**
+ * OwnersLegend.jsx
+ * Teams tinting the islands (ownership.js): from CODEOWNERS, else each island's top committer.
+ * Picking a team highlights its territory and dims the rest; picking it again clears that.
+ */
+
+import { Flag } from 'lucide-react';
+
+import { playHoverSound, playClickSound } from '../../utils/soundEffects';
+
+export function OwnersLegend({ ownership, focusedTeam, onFocus, themeColor = '#00f5ff' }) {
+    const { teams, source, file, status } = ownership;
+
+    return (
+        <div className="owners-legend" style={{ '--theme-color': themeColor }}>
+            <div className="fp-header">
+                <Flag size={12} />
+                <span>CODE OWNERS</span>
+            </div>
+
+            {status === 'loading' && <div className="cycle-empty">Looking for CODEOWNERS…</div>}
+            {status !== 'loading' && (
+                <div className="cycle-empty">
+                    {source === 'codeowners' && `From ${file.path}`}
+                    {source === 'history' && 'No CODEOWNERS — each island goes to its top committer in the fetched log'}
+                    {!source && 'No CODEOWNERS, and the commit log has no per-file history (GitHub needs an access token)'}
+                </div>
+            )}
+
+            <div className="cycle-list">
+                {teams.map(team => (
+                    <button
+                        key={team.id}
+                        className={`cycle-item ${team.id === focusedTeam ? 'active' : ''}`}
+                        onClick={() => { playClickSound(); onFocus(team.id); }}
+                        onMouseEnter={() => playHoverSound()}
+                    >
+                        <span className="cycle-dot" style={{ background: team.color }} />
+                        <span className="cycle-text">
+                            <span className="fp-label">{team.id}</span>
+                            <span className="fp-desc">{team.islands} island{team.islands === 1 ? '' : 's'}</span>
+                        </span>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
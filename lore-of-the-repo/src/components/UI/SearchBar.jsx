@@ -3,9 +3,10 @@
  * Glassmorphism search UI with framer-motion animations and lucide-react icons.
  */
 
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Search, X, Zap, Key, Eye, EyeOff, ChevronDown, ChevronUp } from 'lucide-react';
+import { Search, X, Zap, Key, Eye, EyeOff, ChevronDown, ChevronUp, Github, History, FileArchive, FolderOpen } from 'lucide-react';
+import { canPickDirectory } from '../../utils/archiveReader';
 
 const DEMO_REPOS = [
     'github.com/facebook/react',
@@ -15,7 +16,7 @@ const DEMO_REPOS = [
     'github.com/vuejs/core',
 ];
 
-export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', geminiApiKey, onSaveApiKey, hasCity, onTour, tourActive, onFeatureLab, featureLabActive }) {
+export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', geminiApiKey, onSaveApiKey, githubToken, onSaveGithubToken, recentRepos = [], onOpenArchive, hasCity, onTour, tourActive, onFeatureLab, featureLabActive }) {
     const [value, setValue] = useState('');
     const [focused, setFocused] = useState(false);
     const [placeholder] = useState(() => DEMO_REPOS[Math.floor(Math.random() * DEMO_REPOS.length)]);
@@ -23,6 +24,12 @@ export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', g
     const [apiKeyInput, setApiKeyInput] = useState(geminiApiKey || '');
     const [apiKeyVisible, setApiKeyVisible] = useState(false);
     const [apiKeySaved, setApiKeySaved] = useState(false);
+    const [showToken, setShowToken] = useState(false);
+    const [tokenInput, setTokenInput] = useState(githubToken || '');
+    const [tokenHost, setTokenHost] = useState('github.com');
+    const [tokenVisible, setTokenVisible] = useState(false);
+    const [tokenSaved, setTokenSaved] = useState(false);
+    const zipInputRef = useRef(null);
 
     const handleSubmit = (e) => {
         e.preventDefault();
@@ -35,6 +42,21 @@ export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', g
         setTimeout(() => setApiKeySaved(false), 2000);
     };
 
+    const handleSaveToken = () => {
+        onSaveGithubToken(tokenInput.trim(), tokenHost.trim().toLowerCase() || 'github.com');
+        setTokenSaved(true);
+        setTimeout(() => setTokenSaved(false), 2000);
+    };
+
+    const handleZipPicked = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // allow re-picking the same file
+        if (file) onOpenArchive(file);
+    };
+
+    // showDirectoryPicker must run inside the click handler (user activation)
+    const handlePickFolder = () => onOpenArchive(window.showDirectoryPicker({ mode: 'read' }));
+
     return (
         <div className="search-container">
             {/* Logo */}
@@ -113,6 +135,35 @@ export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', g
                         {loading ? <LoadingDots /> : 'VISUALIZE'}
                     </motion.button>
                 </motion.div>
+
+                {/* Recent cities (served from the IndexedDB cache) */}
+                <AnimatePresence>
+                    {focused && !value && recentRepos.length > 0 && (
+                        <motion.div
+                            className="recent-cities"
+                            style={{ '--theme-color': themeColor }}
+                            initial={{ opacity: 0, y: -6 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            exit={{ opacity: 0, y: -6 }}
+                            transition={{ duration: 0.15 }}
+                        >
+                            <div className="recent-cities-label"><History size={10} /> RECENT CITIES</div>
+                            {recentRepos.map(r => (
+                                <button
+                                    key={r.key}
+                                    type="button"
+                                    className="recent-city"
+                                    // mousedown fires before the input blur hides the list
+                                    onMouseDown={(e) => { e.preventDefault(); onSearch(r.input); }}
+                                >
+                                    <span className="recent-city-name">{r.host && r.host !== 'github.com' ? `${r.host}/` : ''}{r.fullName}</span>
+                                    {r.ref && <span className="recent-city-ref">@{r.ref}{r.rootPath ? `/${r.rootPath}` : ''}</span>}
+                                    {r.language && <span className="recent-city-lang">{r.language}</span>}
+                                </button>
+                            ))}
+                        </motion.div>
+                    )}
+                </AnimatePresence>
             </motion.form>
 
             {/* Actions row */}
@@ -161,9 +212,41 @@ export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', g
                     Load Demo City
                 </motion.button>
 
+                {/* Local archives — built entirely in the browser, nothing uploaded */}
+                <motion.button
+                    className="demo-btn"
+                    onClick={() => zipInputRef.current?.click()}
+                    disabled={loading}
+                    type="button"
+                    title="Open a .zip archive (or drop it anywhere)"
+                    style={{ '--theme-color': themeColor }}
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.96 }}
+                >
+                    <FileArchive size={12} />
+                    ZIP
+                </motion.button>
+                <input ref={zipInputRef} type="file" accept=".zip,application/zip" hidden onChange={handleZipPicked} />
+
+                {canPickDirectory() && (
+                    <motion.button
+                        className="demo-btn"
+                        onClick={handlePickFolder}
+                        disabled={loading}
+                        type="button"
+                        title="Open a folder from disk (or drop it anywhere)"
+                        style={{ '--theme-color': themeColor }}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.96 }}
+                    >
+                        <FolderOpen size={12} />
+                        Folder
+                    </motion.button>
+                )}
+
                 <motion.button
                     className="api-key-toggle"
-                    onClick={() => setShowApiKey(!showApiKey)}
+                    onClick={() => { setShowApiKey(!showApiKey); setShowToken(false); }}
                     style={{ color: geminiApiKey ? '#00ff88' : 'rgba(255,255,255,0.35)' }}
                     whileHover={{ color: themeColor }}
                 >
@@ -171,6 +254,17 @@ export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', g
                     <span>{geminiApiKey ? 'Gemini AI ✓' : 'Add Gemini Key'}</span>
                     {showApiKey ? <ChevronUp size={10} /> : <ChevronDown size={10} />}
                 </motion.button>
+
+                <motion.button
+                    className="api-key-toggle"
+                    onClick={() => { setShowToken(!showToken); setShowApiKey(false); }}
+                    style={{ color: githubToken ? '#00ff88' : 'rgba(255,255,255,0.35)' }}
+                    whileHover={{ color: themeColor }}
+                >
+                    <Github size={11} />
+                    <span>{githubToken ? 'GitHub Token ✓' : 'Add Access Token'}</span>
+                    {showToken ? <ChevronUp size={10} /> : <ChevronDown size={10} />}
+                </motion.button>
             </motion.div>
 
             {/* Gemini API Key Input Popup (Centered) */}
@@ -214,6 +308,59 @@ export function SearchBar({ onSearch, onDemo, loading, themeColor = '#00f5ff', g
                     </motion.div>
                 )}
             </AnimatePresence>
+
+            {/* GitHub Token Input Popup (Centered) */}
+            <AnimatePresence>
+                {showToken && (
+                    <motion.div
+                        className="api-key-panel absolute-center-popup"
+                        style={{ '--theme-color': themeColor }}
+                        initial={{ opacity: 0, y: -20, scale: 0.95 }}
+                        animate={{ opacity: 1, y: 0, scale: 1 }}
+                        exit={{ opacity: 0, y: -20, scale: 0.95 }}
+                        transition={{ duration: 0.25 }}
+                    >
+                        <div className="api-key-label" style={{ color: '#00ff88' }}>
+                            <Github size={14} /> Repository Access Token
+                        </div>
+                        <div className="api-key-input-row">
+                            <input
+                                type="text"
+                                value={tokenHost}
+                                onChange={(e) => setTokenHost(e.target.value)}
+                                placeholder="github.com"
+                                className="api-key-input"
+                                spellCheck={false}
+                                title="Host the token belongs to (github.com, gitlab.com, git.example.com…)"
+                            />
+                        </div>
+                        <div className="api-key-input-row">
+                            <input
+                                type={tokenVisible ? 'text' : 'password'}
+                                value={tokenInput}
+                                onChange={(e) => setTokenInput(e.target.value)}
+                                placeholder={tokenHost === 'github.com' ? 'ghp_... / github_pat_...' : 'glpat-... / access token'}
+                                className="api-key-input"
+                                spellCheck={false}
+                            />
+                            <button className="api-key-eye" onClick={() => setTokenVisible(!tokenVisible)}>
+                                {tokenVisible ? <EyeOff size={15} /> : <Eye size={15} />}
+                            </button>
+                            <motion.button
+                                className="api-key-save"
+                                onClick={handleSaveToken}
+                                style={{ background: tokenSaved ? '#00ff8822' : '#00ff88', borderColor: '#00ff88', color: tokenSaved ? '#00ff88' : '#000' }}
+                                whileTap={{ scale: 0.95 }}
+                            >
+                                {tokenSaved ? '✓ Saved' : (tokenInput.trim() ? 'Save Token' : 'Clear Token')}
+                            </motion.button>
+                        </div>
+                        <div className="api-key-hint">
+                            GitHub: <b>repo</b> scope for private repos (<a href="https://github.com/settings/tokens" target="_blank" rel="noreferrer" style={{ color: '#00ff88' }}>github.com/settings/tokens</a>). GitLab: <b>read_api</b>. Gitea / Bitbucket: repository read.
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
         </div>
     );
 }
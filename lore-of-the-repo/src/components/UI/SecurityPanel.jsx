@@ -0,0 +1,103 @@
+/**
+ * SecurityPanel.jsx
+ * Where the Security Shields' advisories come from (a loaded OSV dump or the server's), how
+ * many dependencies they hit per severity, and the vulnerable ones — clicking one selects the
+ * island importing it most.
+ */
+
+import { useRef } from 'react';
+import { ShieldAlert } from 'lucide-react';
+
+import { loadAdvisoryFile, clearAdvisoryFile } from '../../hooks/useVulnerabilities';
+import { SEVERITIES } from '../../utils/osv';
+import { playHoverSound, playClickSound } from '../../utils/soundEffects';
+
+const SEVERITY_COLORS = { low: '#ffcc00', medium: '#ff8c00', high: '#ff4422', critical: '#ff0033' };
+const DEPENDENCIES_SHOWN = 10;
+
+export function SecurityPanel({ vulnerabilities, supplyChain, islands, onSelectIsland, themeColor = '#00f5ff' }) {
+    const fileRef = useRef(null);
+    const { findings, source, label, count, status, error } = vulnerabilities;
+    const byId = new Map(islands.map(i => [i.id, i]));
+    const hit = supplyChain.dependencies
+        .filter(d => findings[d.id])
+        .map(d => ({ dep: d, list: findings[d.id] }))
+        .sort((a, b) => SEVERITIES.indexOf(b.list[0].severity) - SEVERITIES.indexOf(a.list[0].severity) || b.list.length - a.list.length);
+    const perSeverity = SEVERITIES.map(s => ({ severity: s, deps: hit.filter(h => h.list[0].severity === s).length })).reverse();
+
+    const pickFile = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) loadAdvisoryFile(file);
+    };
+
+    return (
+        <div className="security-panel" style={{ '--theme-color': themeColor }}>
+            <div className="fp-header">
+                <ShieldAlert size={12} />
+                <span>SECURITY ADVISORIES</span>
+            </div>
+
+            <div className="cycle-empty">
+                {status === 'loading' && 'Matching dependencies against OSV advisories…'}
+                {status !== 'loading' && source === 'file' && `${count.toLocaleString()} advisories from ${label}`}
+                {status !== 'loading' && source === 'server' && `${count} advisories from the advisory server for these packages`}
+                {status !== 'loading' && !source && !error && 'No advisories loaded'}
+                {status === 'error' && error && ` — ${error}`}
+            </div>
+            {supplyChain.status === 'done' && !supplyChain.dependencies.length && (
+                <div className="cycle-empty">No manifests or lockfiles found — nothing to match.</div>
+            )}
+
+            <div className="security-actions">
+                <input ref={fileRef} type="file" accept=".json,.jsonl,.zip" hidden onChange={pickFile} />
+                <button className="cycle-item" onClick={() => { playClickSound(); fileRef.current?.click(); }}>
+                    <span className="fp-label">Load OSV file…</span>
+                </button>
+                {source === 'file' && (
+                    <button className="cycle-item" onClick={() => { playClickSound(); clearAdvisoryFile(); }}>
+                        <span className="fp-label">Use server</span>
+                    </button>
+                )}
+            </div>
+
+            {hit.length > 0 && (
+                <div className="decay-tiers">
+                    {perSeverity.filter(s => s.deps).map(({ severity, deps }) => (
+                        <div key={severity} className="decay-tier">
+                            <span className="cycle-dot" style={{ background: SEVERITY_COLORS[severity] }} />
+                            <span className="fp-label">{severity}</span>
+                            <span className="decay-count" style={{ color: SEVERITY_COLORS[severity] }}>{deps}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="cycle-list">
+                {hit.slice(0, DEPENDENCIES_SHOWN).map(({ dep, list }) => {
+                    const island = byId.get(supplyChain.importers[dep.id]?.[0]?.id);
+                    const cves = [...new Set(list.map(f => f.cve))];
+                    return (
+                        <button
+                            key={dep.id}
+                            className="cycle-item"
+                            disabled={!island}
+                            onClick={() => { playClickSound(); onSelectIsland(island); }}
+                            onMouseEnter={() => playHoverSound()}
+                        >
+                            <span className="cycle-dot" style={{ background: SEVERITY_COLORS[list[0].severity] }} />
+                            <span className="cycle-text">
+                                <span className="fp-label">{dep.name}@{dep.version}</span>
+                                <span className="fp-desc">
+                                    {cves.slice(0, 3).join(', ')}
+                                    {cves.length > 3 ? ` +${cves.length - 3}` : ''}
+                                    {island ? '' : ' · not imported by any island'}
+                                </span>
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -6,10 +6,11 @@
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     Star, GitFork, Users, GitCommit, Bug, HardDrive,
-    BookOpen, Cpu, Layers, ChevronRight, Sparkles
+    BookOpen, Cpu, Layers, ChevronRight, Sparkles, GitBranch, Tag, Network
 } from 'lucide-react';
 
-export function Sidebar({ narrative, repoInfo, selectedIsland, themeColor = '#00f5ff' }) {
+// `beams`: { status, onLoad } of the import graph the selected island's dependency beams come from
+export function Sidebar({ narrative, repoInfo, selectedIsland, metrics = null, metricsCommit = null, ownership = null, beams = null, themeColor = '#00f5ff' }) {
     if (!narrative || !repoInfo) return null;
     const { lore, themeName, stats, core, coreEmoji, isAIGenerated } = narrative;
 
@@ -19,7 +20,7 @@ export function Sidebar({ narrative, repoInfo, selectedIsland, themeColor = '#00
         { icon: <Star size={11} />, label: 'Stars', value: fmt(stats.stars) },
         { icon: <GitFork size={11} />, label: 'Forks', value: fmt(stats.forks) },
         { icon: <Users size={11} />, label: 'Contributors', value: fmt(stats.contributors) },
-        { icon: <GitCommit size={11} />, label: 'Commits', value: fmt(stats.commits) },
+        { icon: <GitCommit size={11} />, label: 'Commits', value: `${repoInfo.commits_estimated ? '~' : ''}${fmt(stats.commits)}` },
         { icon: <Bug size={11} />, label: 'Issues', value: fmt(stats.issues) },
         { icon: <HardDrive size={11} />, label: 'Size', value: `${Math.round((stats.size || 0) / 1024)}MB` },
     ];
@@ -43,6 +44,18 @@ export function Sidebar({ narrative, repoInfo, selectedIsland, themeColor = '#00
                     <div>
                         <div className="repo-name">{repoInfo.name}</div>
                         <div className="repo-owner">{repoInfo.full_name || repoInfo.name}</div>
+                        {repoInfo.ref && (
+                            <div className="repo-ref" style={{ color: `${themeColor}cc` }} title={repoInfo.ref}>
+                                {repoInfo.ref_type === 'tag' ? <Tag size={9} /> : repoInfo.ref_type === 'commit' ? <GitCommit size={9} /> : <GitBranch size={9} />}
+                                <span>{repoInfo.ref_type === 'commit' ? repoInfo.ref.slice(0, 7) : repoInfo.ref}</span>
+                                {repoInfo.root_path && <span className="repo-ref-path">/{repoInfo.root_path}</span>}
+                            </div>
+                        )}
+                        {repoInfo.tree_truncated && (
+                            <div className="repo-partial" title="The forge's tree listing stopped early — some folders are missing from the city">
+                                partial tree: {repoInfo.tree_nodes.toLocaleString()} nodes loaded
+                            </div>
+                        )}
                     </div>
                 </div>
                 <div className="theme-chip" style={{ borderColor: themeColor, color: themeColor }}>
@@ -145,6 +158,9 @@ export function Sidebar({ narrative, repoInfo, selectedIsland, themeColor = '#00
                                         selectedIsland.altitude > 4 ? '◈ Mid-Tier' : '▼ Fringe'
                                 } />
                             )}
+                            {selectedIsland.fileCount !== undefined && (
+                                <MetaRow label="Files" value={selectedIsland.fileCount.toLocaleString()} />
+                            )}
                             {selectedIsland.fileSize && (
                                 <MetaRow label="Size" value={`${(selectedIsland.fileSize / 1024).toFixed(1)} KB`} />
                             )}
@@ -152,6 +168,14 @@ export function Sidebar({ narrative, repoInfo, selectedIsland, themeColor = '#00
                                 <MetaRow label="Path" value={selectedIsland.originalPath} mono />
                             )}
                         </div>
+                        {metrics?.current && <CodeMetrics metrics={metrics} commit={metricsCommit} />}
+                        {(ownership?.owners.length > 0 || ownership?.authors.length > 0) && <Ownership ownership={ownership} />}
+                        {beams?.status === 'idle' && (
+                            <button className="beam-btn" style={{ color: themeColor, borderColor: `${themeColor}55` }} onClick={beams.onLoad}>
+                                <Network size={10} /> Trace dependency beams
+                            </button>
+                        )}
+                        {beams?.status === 'loading' && <div className="meta-item">Reading the repo's imports…</div>}
                     </motion.div>
                 )}
             </AnimatePresence>
@@ -174,3 +198,40 @@ function MetaRow({ label, value, mono }) {
         </div>
     );
 }
+
+// Code metrics of the selected island's sources, with the move since the baseline commit
+function CodeMetrics({ metrics, commit }) {
+    const { current, baseline } = metrics;
+    const change = (key, digits = 0) => {
+        if (!baseline) return '';
+        const d = current[key] - baseline[key];
+        return d ? ` (${d > 0 ? '+' : ''}${d.toFixed(digits)})` : '';
+    };
+
+    return (
+        <div className="selected-meta">
+            <MetaRow label="Code" value={`${current.sloc.toLocaleString()} lines in ${current.files} files${change('sloc')}`} />
+            <MetaRow label="Comments" value={`${Math.round(current.commentRatio * 100)}%`} />
+            <MetaRow label="Complexity" value={`${current.complexity} across ${current.functions} functions${change('complexity')}`} />
+            <MetaRow label="Max nesting" value={current.maxNesting} />
+            <MetaRow label="Maintainability" value={`${current.maintainability} / 100${change('maintainability', 1)}`} />
+            {commit && <MetaRow label="Since" value={`${commit.sha.slice(0, 7)} · ${new Date(commit.date).toLocaleDateString()}`} />}
+        </div>
+    );
+}
+
+// Who owns the selected island, who actually commits to it, and how few of them carry it
+function Ownership({ ownership }) {
+    const { owners, authors, busFactor } = ownership;
+    return (
+        <div className="selected-meta">
+            {owners.length > 0 && <MetaRow label="Owners" value={owners.join(', ')} />}
+            {authors.length > 0 && (
+                <MetaRow label="Top authors" value={authors.slice(0, 3).map(a => `${a.name} (${a.commits})`).join(' · ')} />
+            )}
+            {busFactor != null && (
+                <MetaRow label="Bus factor" value={`${busFactor}${busFactor === 1 ? ' ⚠ one person carries it' : ''}`} />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+/**
+ * SupplyChainPanel.jsx
+ * Companion to the Supply Chain Nebula: the dependency count per ecosystem, the heaviest
+ * direct dependencies, and for the picked one its manifests, footprint and the islands
+ * importing it (clicking one selects the island).
+ */
+
+import { Hexagon } from 'lucide-react';
+
+import { ECOSYSTEMS } from '../../manifests';
+import { playHoverSound, playClickSound } from '../../utils/soundEffects';
+
+const HEAVIEST_SHOWN = 8;
+const IMPORTERS_SHOWN = 12;
+
+export function SupplyChainPanel({ supplyChain, islands, focusedId, onFocus, onSelectIsland, themeColor = '#00f5ff' }) {
+    const { dependencies, packages, unattributed, importers, status } = supplyChain;
+    const ecosystems = ECOSYSTEMS
+        .map(eco => ({ eco, direct: dependencies.filter(d => d.ecosystem === eco.id).length }))
+        .filter(e => e.direct);
+    const colorOf = (id) => ECOSYSTEMS.find(e => e.id === id)?.color;
+    const focused = dependencies.find(d => d.id === focusedId) || null;
+    const byId = new Map(islands.map(i => [i.id, i]));
+    const shown = focused ? [focused] : dependencies.slice(0, HEAVIEST_SHOWN);
+
+    return (
+        <div className="supply-panel" style={{ '--theme-color': themeColor }}>
+            <div className="fp-header">
+                <Hexagon size={12} />
+                <span>SUPPLY CHAIN</span>
+            </div>
+
+            {status === 'loading' && <div className="cycle-empty">Reading manifests and lockfiles…</div>}
+            {status !== 'loading' && !dependencies.length && (
+                <div className="cycle-empty">
+                    No package.json, requirements.txt, pyproject.toml, go.mod or Cargo.toml found for this city.
+                </div>
+            )}
+
+            {ecosystems.length > 0 && (
+                <div className="cycle-empty">
+                    {ecosystems.map(({ eco, direct }) => `${direct} ${eco.label}`).join(' · ')} direct
+                    {' — '}{Object.keys(packages).length} locked packages, {unattributed.length} not traced to a direct one
+                </div>
+            )}
+
+            <div className="cycle-list">
+                {shown.map(dep => (
+                    <button
+                        key={dep.id}
+                        className={`cycle-item ${dep === focused ? 'active' : ''}`}
+                        onClick={() => { playClickSound(); onFocus(dep.id); }}
+                        onMouseEnter={() => playHoverSound()}
+                    >
+                        <span className="cycle-dot" style={{ background: colorOf(dep.ecosystem), opacity: dep.dev ? 0.5 : 1 }} />
+                        <span className="cycle-text">
+                            <span className="fp-label">{dep.name}</span>
+                            <span className="fp-desc">
+                                {dep.version}{dep.dev ? ' · dev' : ''} · {dep.transitive.length} transitive · {(importers[dep.id] || []).length} islands
+                            </span>
+                        </span>
+                    </button>
+                ))}
+            </div>
+
+            {focused && (
+                <>
+                    <div className="cycle-empty">Declared in {focused.manifests.join(', ')}</div>
+                    {!(importers[focused.id] || []).length && (
+                        <div className="cycle-empty">No island imports it directly (among the sources read for the import graph)</div>
+                    )}
+                    <div className="cycle-list">
+                        {(importers[focused.id] || []).slice(0, IMPORTERS_SHOWN).filter(i => byId.has(i.id)).map(({ id, imports }) => (
+                            <button
+                                key={id}
+                                className="cycle-item"
+                                onClick={() => { playClickSound(); onSelectIsland(byId.get(id)); }}
+                                onMouseEnter={() => playHoverSound()}
+                            >
+                                <span className="cycle-dot" style={{ background: colorOf(focused.ecosystem) }} />
+                                <span className="cycle-text">
+                                    <span className="fp-label">{byId.get(id).name}</span>
+                                    <span className="fp-desc">{imports} file{imports === 1 ? '' : 's'} import it</span>
+                                </span>
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
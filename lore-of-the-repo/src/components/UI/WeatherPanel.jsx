@@ -0,0 +1,78 @@
+/**
+ * WeatherPanel.jsx
+ * Companion to Build Weather: the commit's latest CI jobs, failing first, with the share of
+ * the city each one covers (its workflow's path filters) and a link to its logs.
+ */
+
+import { Cloud } from 'lucide-react';
+
+import { jobDuration } from '../../utils/ciWeather';
+import { playHoverSound } from '../../utils/soundEffects';
+
+const STATE_COLORS = { pass: '#00ff88', fail: '#ff3344', pending: '#ffaa00' };
+const STATE_ORDER = ['fail', 'pending', 'pass'];
+const JOBS_SHOWN = 10;
+
+export function WeatherPanel({ weather, repoInfo, themeColor = '#00f5ff' }) {
+    const { jobs, supported, status, error } = weather;
+    const sorted = [...jobs].sort((a, b) => STATE_ORDER.indexOf(a.state) - STATE_ORDER.indexOf(b.state));
+    const perState = STATE_ORDER
+        .map(s => ({ state: s, count: jobs.filter(j => j.state === s).length }))
+        .filter(s => s.count);
+    const commit = repoInfo?.head_sha?.slice(0, 7) || repoInfo?.ref;
+
+    return (
+        <div className="weather-panel" style={{ '--theme-color': themeColor }}>
+            <div className="fp-header">
+                <Cloud size={12} />
+                <span>BUILD WEATHER</span>
+            </div>
+
+            <div className="cycle-empty">
+                {status === 'loading' && !jobs.length && 'Fetching CI runs…'}
+                {!supported && 'No CI status for this forge — Build Weather reads GitHub Actions and check runs.'}
+                {supported && status !== 'loading' && !jobs.length && !error && `No CI runs for ${commit}.`}
+                {jobs.length > 0 && `Latest runs for ${commit}${status === 'stale' || status === 'loading' ? ' (refreshing)' : ''}`}
+                {error && `CI status unavailable — ${error}`}
+            </div>
+
+            {perState.length > 0 && (
+                <div className="decay-tiers">
+                    {perState.map(({ state, count }) => (
+                        <div key={state} className="decay-tier">
+                            <span className="cycle-dot" style={{ background: STATE_COLORS[state] }} />
+                            <span className="fp-label">{state}</span>
+                            <span className="decay-count" style={{ color: STATE_COLORS[state] }}>{count}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="cycle-list">
+                {sorted.slice(0, JOBS_SHOWN).map(job => {
+                    const duration = jobDuration(job);
+                    return (
+                        <a
+                            key={job.id}
+                            className="cycle-item"
+                            href={job.url || undefined}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            onMouseEnter={() => playHoverSound()}
+                        >
+                            <span className="cycle-dot" style={{ background: STATE_COLORS[job.state] }} />
+                            <span className="cycle-text">
+                                <span className="fp-label">{job.name}</span>
+                                <span className="fp-desc">
+                                    {job.workflow || 'external check'}
+                                    {duration ? ` · ${duration}` : ''}
+                                    {job.paths ? ` · ${job.paths.length} path filter${job.paths.length === 1 ? '' : 's'}` : ' · whole city'}
+                                </span>
+                            </span>
+                        </a>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
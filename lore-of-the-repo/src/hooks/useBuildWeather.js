@@ -0,0 +1,71 @@
+/**
+ * useBuildWeather.js
+ * Build Weather from the loaded commit's CI (ciWeather.js): its latest jobs are fetched once
+ * per loaded repo while `active` and kept in the city store — and fetched again every minute
+ * while some are still running, when a token lifts the forge's anonymous rate limit.
+ *   → { islands: { [id]: { state, jobs } }, jobs, supported, status, error }
+ */
+
+import { useEffect, useMemo } from 'react';
+import { loadCiJobs, islandWeather } from '../utils/ciWeather';
+import { tokenForTarget } from '../providers';
+import { setCityState } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+const REFRESH_MS = 60000;
+const NO_WEATHER = {};
+
+export function useBuildWeather({ cityData, repoInfo, repoTree, active }) {
+    const state = useCityStore(s => s.ci);
+    const enabled = !!(active && repoInfo?.source);
+    const current = state.meta === repoInfo;
+    const loaded = current && (state.status === 'done' || state.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        // A re-fetch keeps showing the previous jobs until the new ones are in
+        const update = (patch) => {
+            if (!cancelled) setCityState(s => ({ ci: { jobs: null, ...(s.ci.meta === repoInfo && s.ci), meta: repoInfo, error: null, ...patch } }));
+        };
+
+        update({ status: 'loading' });
+        loadCiJobs(repoInfo)
+            .then(jobs => {
+                if (jobs) console.log(`[CI] ${jobs.length} jobs for ${repoInfo.head_sha?.slice(0, 7) || repoInfo.ref}`);
+                update({ jobs, status: 'done' });
+            })
+            .catch(e => {
+                console.warn('[CI] CI status failed:', e.message);
+                update({ status: 'error', error: e.message });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, repoInfo]);
+
+    const running = loaded && !!state.jobs?.some(j => j.state === 'pending');
+    useEffect(() => {
+        if (!enabled || !running || !tokenForTarget(repoInfo.source)) return;
+        const timer = setTimeout(() => {
+            setCityState(s => (s.ci.meta === repoInfo ? { ci: { ...s.ci, status: 'stale' } } : null));
+        }, REFRESH_MS);
+        return () => clearTimeout(timer);
+    }, [enabled, running, repoInfo]);
+
+    const jobs = current ? state.jobs : null;
+    const islands = useMemo(() => {
+        if (!cityData || !jobs?.length) return NO_WEATHER;
+        const paths = (repoTree || []).filter(e => e.type === 'blob').map(e => e.path);
+        return islandWeather(jobs, cityData.islands, paths);
+    }, [cityData, repoTree, jobs]);
+
+    return {
+        islands,
+        jobs: jobs || [],
+        supported: !current || state.status !== 'done' || jobs !== null,
+        status: enabled && !loaded ? 'loading' : (current ? state.status : 'idle'),
+        error: current ? state.error : null,
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * useCityHistory.js
+ * Drives the "Ghost of Commits" timeline with real history.
+ * - The slider position picks one of HISTORY_SAMPLES commits spread through the log
+ * - That commit's tree is fetched once (cached per sha) and laid out with the HEAD
+ *   city's positions as anchors, so islands present in both keep their place
+ * - Added / removed / renamed islands and buildings are tagged (see transitionLayout)
+ *   so FloatingIsland can animate them in, out or across
+ * - `mode` / `heightMetric` / `config` must match the options the HEAD city was laid out with
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { buildCityLayout } from '../utils/cityBuilder';
+import { fetchRepoTree } from '../providers';
+import { timelineBounds, commitAtProgress, sampleCommits, transitionLayout, settleLayout } from '../utils/commitHistory';
+
+const HISTORY_SAMPLES = 24;        // max historical trees fetched per repo
+const SCRUB_DEBOUNCE_MS = 250;     // wait for the slider to settle before fetching
+const LEAVE_MS = 900;              // matches FloatingIsland's shrink-out (islands and buildings)
+
+export function useCityHistory({ cityData, repoInfo, commitLog = [], progress = 100, active = false, mode = 'orbital', heightMetric = null, config = null }) {
+    // { base, commit, layout } — `base` ties a snapshot to the HEAD city it was laid out against
+    const [snapshot, setSnapshot] = useState(null);
+    const [loadingSha, setLoadingSha] = useState(null);
+    const cacheRef = useRef({ base: null, trees: new Map(), anchors: new Map() });
+
+    const samples = useMemo(() => sampleCommits(commitLog, HISTORY_SAMPLES), [commitLog]);
+    const enabled = !!(active && cityData && repoInfo?.source && samples.length > 1);
+
+    useEffect(() => {
+        if (!enabled) return;
+        let cancelled = false;
+
+        const timer = setTimeout(async () => {
+            // A new HEAD city (other repo / refresh) invalidates trees and anchor positions
+            if (cacheRef.current.base !== cityData) {
+                cacheRef.current = {
+                    base: cityData,
+                    trees: new Map(),
+                    anchors: new Map(cityData.islands.map(i => [i.id, i.position])),
+                };
+            }
+            const { trees, anchors } = cacheRef.current;
+
+            const bounds = timelineBounds(repoInfo, commitLog, Date.now());
+            const commit = commitAtProgress(samples, progress, bounds) || samples[samples.length - 1];
+
+            // The newest sample is HEAD — that's the city we already have
+            let layout = cityData;
+            if (commit.sha !== samples[0].sha) {
+                let tree = trees.get(commit.sha);
+                setLoadingSha(tree ? null : commit.sha);
+                if (!tree) {
+                    try {
+                        tree = await fetchRepoTree(repoInfo, commit.sha);
+                        trees.set(commit.sha, tree);
+                    } catch (e) {
+                        console.warn(`[History] Tree at ${commit.sha.slice(0, 7)} failed:`, e.message);
+                        if (!cancelled) setLoadingSha(null);
+                        return;
+                    }
+                    if (cancelled) return;
+                    setLoadingSha(null);
+                }
+                layout = buildCityLayout(tree, repoInfo, {
+                    rootPath: repoInfo.root_path, anchors, mode, heightMetric, commitLog, config,
+                });
+                // Islands that only existed in the past keep their spot on later scrubs too
+                layout.islands.forEach(i => { if (!anchors.has(i.id)) anchors.set(i.id, i.position); });
+            } else {
+                setLoadingSha(null);
+            }
+
+            setSnapshot(prev => ({
+                base: cityData,
+                commit,
+                layout: transitionLayout(prev?.base === cityData ? prev.layout : cityData, layout),
+            }));
+        }, SCRUB_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [enabled, progress, samples, commitLog, repoInfo, cityData, mode, heightMetric, config]);
+
+    // Drop islands and buildings once their leave animation has played
+    useEffect(() => {
+        if (!snapshot?.layout?.islands.some(i => i.leaving || i.buildings?.some(b => b.leaving))) return;
+        const timer = setTimeout(() => {
+            setSnapshot(s => (s === snapshot ? { ...s, layout: settleLayout(s.layout) } : s));
+        }, LEAVE_MS);
+        return () => clearTimeout(timer);
+    }, [snapshot]);
+
+    const current = enabled && snapshot?.base === cityData ? snapshot : null;
+    return {
+        cityData: current?.layout || cityData,
+        historyCommit: current?.commit || null,
+        historyLoading: enabled && !!loadingSha,
+    };
+}
@@ -0,0 +1,13 @@
+/**
+ * useCityStore.js
+ * Subscribe a component to a slice of the city store (utils/cityStore.js). The selector must
+ * return something stable — a state slice, not a freshly built object — or React re-renders
+ * forever.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getCityState, subscribeCity } from '../utils/cityStore';
+
+export function useCityStore(selector) {
+    return useSyncExternalStore(subscribeCity, () => selector(getCityState()));
+}
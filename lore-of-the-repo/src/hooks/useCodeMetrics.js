@@ -0,0 +1,58 @@
+/**
+ * useCodeMetrics.js
+ * Code metrics per island: today's (measured with the import graph) next to the same files at
+ * an earlier commit (codeMetrics.js baselineCommit), loaded once per tree while `active` and
+ * kept in the city store.
+ *   → { islands: { [id]: { current, baseline } }, files: { [path]: { current, baseline } }, commit, status }
+ */
+
+import { useEffect, useMemo } from 'react';
+import { baselineCommit, loadBaselineMetrics, islandMetrics } from '../utils/codeMetrics';
+import { setCityState } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+export function useCodeMetrics({ cityData, repoInfo, repoTree, commitLog, imports, active }) {
+    const baseline = useCityStore(s => s.baseline);
+    const current = imports.status === 'done' ? imports.metrics : null;
+    const commit = useMemo(() => baselineCommit(commitLog), [commitLog]);
+    const enabled = !!(active && current && commit && repoTree && repoInfo?.source);
+    const loaded = baseline.tree === repoTree && (baseline.status === 'done' || baseline.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        const update = (patch) => {
+            if (!cancelled) setCityState({ baseline: { tree: repoTree, commit, metrics: null, ...patch } });
+        };
+
+        update({ status: 'loading' });
+        loadBaselineMetrics(repoInfo, repoTree, current, commit)
+            .then(metrics => update({ metrics, status: 'done' }))
+            .catch(e => {
+                console.warn('[Metrics] Baseline failed:', e.message);
+                update({ status: 'error' });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, repoInfo, repoTree, current, commit]);
+
+    const base = loaded && baseline.status === 'done' ? baseline.metrics : null;
+    const islands = useMemo(() => {
+        if (!current || !cityData) return {};
+        return islandMetrics(current, base, new Set(cityData.islands.map(i => i.id)));
+    }, [current, base, cityData]);
+    const files = useMemo(() => {
+        const out = {};
+        Object.entries(current || {}).forEach(([path, m]) => { out[path] = { current: m, baseline: base?.[path] || null }; });
+        return out;
+    }, [current, base]);
+
+    return {
+        islands,
+        files,
+        commit: base ? baseline.commit : null,
+        status: !current ? imports.status : (loaded ? baseline.status : (enabled ? 'loading' : 'done')),
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * useForceLayout.js
+ * Knowledge Graph layout: islands placed by a force simulation (forceLayout.worker.js)
+ * over the repo's real import graph, aggregated from files to their islands.
+ * - Import edges come from useImportGraph; folder → sub-folder links keep some structure
+ * - Positions stream in while the worker converges, so the scene stays interactive
+ * - Final positions + links are cached in IndexedDB per repo / head commit / island set and
+ *   import links — only once the import graph is complete, so a partial layout never sticks
+ * Without a tree (demo city) only the hierarchy links drive the layout.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { aggregateImportLinks } from '../utils/importGraph';
+import { layoutCacheKey, getCachedLayout, putCachedLayout } from '../utils/repoCache';
+import { hashStringToInt } from '../utils/seededRandom';
+
+const CORE_ID = 'core-station';
+
+function hierarchyLinks(islands, islandIds) {
+    return islands
+        .filter(i => !i.isCore)
+        .map(i => {
+            const parent = islandIds.has(i.parentId) ? i.parentId : CORE_ID;
+            return { id: `tree:${i.id}`, source: parent, target: i.id, weight: 1, kind: 'hierarchy' };
+        });
+}
+
+/**
+ * `imports` is useImportGraph's result; while it is still loading the layout waits
+ * (reporting its progress) instead of settling without the import springs.
+ */
+export function useForceLayout({ cityData, repoInfo, imports, active }) {
+    // `base` ties results to the city they were computed for
+    const [state, setState] = useState({ base: null, positions: null, links: [], status: 'idle' });
+    const islands = useMemo(() => (cityData?.islands || []).filter(i => !i.leaving), [cityData]);
+    const enabled = !!(active && islands.length > 1);
+
+    useEffect(() => {
+        if (!enabled) return;
+        let cancelled = false;
+        let worker = null;
+
+        const update = (patch) => {
+            if (!cancelled) setState(s => ({ ...s, base: cityData, ...patch }));
+        };
+        if (imports.status === 'loading') {
+            update({ positions: null, links: [], status: 'loading' });
+            return;
+        }
+
+        const islandIds = new Set(islands.map(i => i.id));
+        const links = aggregateImportLinks(imports.edges, islandIds);
+        // The island set and the import links it was settled with
+        const nodeKey = hashStringToInt([
+            ...[...islandIds].sort(),
+            ...links.map(l => `${l.id}:${l.weight}`).sort(),
+        ].join('|'));
+        const cacheKey = repoInfo?.source && repoInfo.head_sha ? layoutCacheKey(repoInfo, 'graph') : null;
+        // A layout settled without the full graph (it failed, or there is none) is not worth keeping
+        const keep = cacheKey && imports.status === 'done';
+
+        (async () => {
+            const cached = keep ? await getCachedLayout(cacheKey) : null;
+            if (cancelled) return;
+            if (cached && cached.nodeKey === nodeKey) {
+                update({ positions: cached.positions, links: cached.links, status: 'done' });
+                return;
+            }
+
+            update({ links, status: 'simulating' });
+
+            worker = new Worker(new URL('../workers/forceLayout.worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (e) => {
+                const { type, positions } = e.data;
+                update({ positions, status: type === 'done' ? 'done' : 'simulating' });
+                if (type !== 'done') return;
+                worker.terminate();
+                worker = null;
+                if (keep) putCachedLayout({ key: cacheKey, nodeKey, positions, links });
+            };
+            worker.postMessage({
+                type: 'start',
+                nodes: islands.map(i => ({ id: i.id, position: i.position, pinned: !!i.isCore })),
+                links: [...links, ...hierarchyLinks(islands, islandIds)],
+            });
+        })();
+
+        return () => {
+            cancelled = true;
+            worker?.terminate();
+        };
+    }, [enabled, islands, cityData, repoInfo, imports.edges, imports.status]);
+
+    const current = enabled && state.base === cityData ? state : null;
+    return {
+        positions: current?.positions || null,
+        links: current?.links || [],
+        status: current?.status || 'idle',
+        // While waiting for the import graph, its progress
+        progress: current?.status === 'loading' ? imports.progress : null,
+    };
+}
@@ -1,175 +1,170 @@
 /**
- * useGitHubData.js — v3 (fixed)
- * Robust GitHub repo fetcher with:
- * - Bulletproof URL parser (handles all GitHub URL forms)
+ * useGitHubData.js — v4 (multi-forge)
+ * Robust repo fetcher with:
+ * - Provider registry (GitHub, GitLab incl. self-hosted, Gitea, Bitbucket) picked from the URL host
+ * - `local:/path` working copies served offline by server.js
+ * - Dropped .zip archives / picked folders built entirely in the browser
  * - Uses repo's actual default_branch (main/master/etc.) for tree fetch
- * - Retries tree fetch with branch name if first attempt fails
+ * - Honours ref + sub-path URLs (slashed refs resolved via the provider's API)
  * - Graceful partial failures (city still builds even if tree fails)
  * - Detailed, actionable error messages
+ * - Optional access token per host (private repos + higher rate limits)
+ * - IndexedDB cache with ETag / head-SHA revalidation (stale-while-revalidate)
+ * - Real commit log (paged up to COMMIT_LOG_LIMIT) with the true commit total
+ * - Layout options ({ mode, heightMetric }) re-lay the city from the loaded tree, no refetch
+ * - Per-repo `.lordofrepo.json` (altitudes, ignores, districts, metrics), read once per head commit
+ * - Repo info lives in the city store (utils/cityStore.js), which every load resets
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { buildCityLayout, buildDemoCity } from '../utils/cityBuilder';
+import { loadCityConfig } from '../utils/cityConfig';
 import { generateAINarrative } from '../utils/geminiNarrative';
-
-const GITHUB_API = 'https://api.github.com';
-
-// ─── URL Parser ───────────────────────────────────────────────
-// Handles ALL of these forms:
-//   https://github.com/facebook/react
-//   https://github.com/facebook/react/tree/main/packages/react
-//   github.com/facebook/react#readme
-//   facebook/react
-//   https://github.com/facebook/react.git
-function parseRepoUrl(rawUrl) {
-    let url = (rawUrl || '').trim();
-
-    // Remove hash fragment and query string
-    url = url.split('#')[0].split('?')[0];
-
-    // Remove trailing slash
-    url = url.replace(/\/$/, '');
-
-    // Remove .git suffix
-    url = url.replace(/\.git$/, '');
-
-    // Remove protocol
-    url = url.replace(/^https?:\/\//, '');
-
-    // Remove leading www.
-    url = url.replace(/^www\./, '');
-
-    // Remove github.com/ prefix
-    url = url.replace(/^github\.com\//, '');
-
-    // Now url should be "owner/repo" or "owner/repo/tree/branch/path..."
-    const parts = url.split('/').filter(Boolean);
-
-    if (parts.length >= 2) {
-        return { owner: parts[0], repo: parts[1] };
-    }
-
-    return null;
+import { loadGitHubToken } from '../utils/githubAuth';
+import { storeHostToken } from '../utils/forgeTokens';
+import { parseRepoInput, canonicalRepoInput, getProvider, tokenForTarget, registerArchive } from '../providers';
+import { readArchiveSource } from '../utils/archiveReader';
+import { repoCacheKey, getCachedRepo, putCachedRepo, listRecentRepos } from '../utils/repoCache';
+import { setCityState, resetCity } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+// Commits fetched per city (newest first). The total is exact regardless of the cap.
+const COMMIT_LOG_LIMIT = Number(import.meta.env.VITE_COMMIT_LOG_LIMIT) || 300;
+
+// ─── Commit Estimate (fallback when the forge can't report a total) ──
+function estimateCommits(repoData) {
+    const createdAt = new Date(repoData.created_at || Date.now());
+    const monthsOld = (Date.now() - createdAt) / (1000 * 60 * 60 * 24 * 30);
+    return Math.max(10, Math.floor(monthsOld * 18 + (repoData.stargazers_count || 0) * 0.25));
 }
 
-// ─── GitHub API Fetcher ───────────────────────────────────────
-async function ghFetch(url, label = '') {
-    let resp;
+// Best-effort: a missing history must never block the city
+async function loadCommitLog(provider, target, { ref, path }, token) {
     try {
-        resp = await fetch(url, {
-            headers: {
-                Accept: 'application/vnd.github.v3+json',
-                'X-GitHub-Api-Version': '2022-11-28',
-            },
-        });
-    } catch (networkErr) {
-        throw new Error(`Network error: cannot reach GitHub API. Check your internet connection.`);
-    }
-
-    if (!resp.ok) {
-        const body = await resp.text().catch(() => '');
-        const rateLimitReset = resp.headers.get('X-RateLimit-Reset');
-        const resetTime = rateLimitReset
-            ? new Date(parseInt(rateLimitReset) * 1000).toLocaleTimeString()
-            : null;
-
-        if (resp.status === 401) throw new Error('GitHub authentication failed. Remove the token and try again.');
-        if (resp.status === 403) {
-            if (body.includes('rate limit')) {
-                throw new Error(`GitHub API rate limit exceeded.${resetTime ? ` Resets at ${resetTime}.` : ' Please wait ~1 minute and retry.'}`);
-            }
-            throw new Error('GitHub API access forbidden. The repository may be private.');
-        }
-        if (resp.status === 404) {
-            throw new Error(
-                `Repository not found (404)${label ? ` [${label}]` : ''}.\n\nCheck that:\n• The URL is spelled correctly\n• The repository is public\n• Example: github.com/facebook/react`
-            );
-        }
-        if (resp.status === 451) throw new Error('Repository unavailable due to legal reasons (451).');
-        throw new Error(`GitHub API error ${resp.status}${label ? ` [${label}]` : ''}. Please try again.`);
+        return await provider.getCommitLog(target, { ref, path }, token, { limit: COMMIT_LOG_LIMIT });
+    } catch (e) {
+        console.warn('Commit log fetch failed:', e.message);
+        return { commits: [], total: null };
     }
-
-    return resp.json();
 }
 
-// ─── Tree Fetcher (resilient) ─────────────────────────────────
-async function fetchRepoTree(owner, repo, defaultBranch) {
-    // Try 1: default branch by name (most reliable)
+// Best-effort too: an unreadable config falls back to the default layout
+async function loadRepoConfig(provider, target, { ref, path }, tree, token) {
     try {
-        const data = await ghFetch(
-            `${GITHUB_API}/repos/${owner}/${repo}/git/trees/${defaultBranch}?recursive=1`,
-            'tree'
-        );
-        if (data?.tree) return data.tree;
+        return await loadCityConfig({
+            tree,
+            rootPath: path,
+            readFile: (file) => provider.getRawFile(target, ref, file, token),
+        });
     } catch (e) {
-        console.warn('Tree fetch by branch failed:', e.message);
+        console.warn('City config fetch failed:', e.message);
+        return null;
     }
+}
 
-    // Try 2: HEAD ref (some repos respond to this)
+// ─── Snapshot Loader (cache-aware) ────────────────────────────
+// Loads everything a city needs and returns it as a cache entry. Given a cached
+// entry it revalidates first — metadata by ETag, the tree by the ref's head commit
+// SHA — and returns null when neither changed, reusing whatever did not change.
+async function loadRepoSnapshot(target, { geminiApiKey, cached, onProgress }) {
+    const provider = getProvider(target.provider);
+    const token = tokenForTarget(target);
+
+    const [metaRes, resolved] = await Promise.all([
+        provider.getMetadata(target, token, { etag: cached?.etags?.meta }),
+        cached?.target || provider.resolveRef(target, token),
+    ]);
+    const repoData = metaRes.notModified ? cached.repoData : metaRes.data;
+    const ref = resolved.ref || repoData.default_branch || 'main';
+    console.log(`[Lore] Repo found on ${provider.label}: ${repoData.full_name}, ref: ${ref}${resolved.path ? `, path: ${resolved.path}` : ''}`);
+
+    let head = null;
     try {
-        const data = await ghFetch(
-            `${GITHUB_API}/repos/${owner}/${repo}/git/trees/HEAD?recursive=1`,
-            'HEAD-tree'
-        );
-        if (data?.tree) return data.tree;
+        head = await provider.getHeadSha(target, ref, token, { etag: cached?.etags?.head });
     } catch (e) {
-        console.warn('Tree fetch via HEAD failed:', e.message);
+        console.warn('Head SHA lookup failed:', e.message);
     }
+    const headSha = head?.notModified ? cached.headSha : (head?.data || null);
+    const treeUnchanged = !!(cached && headSha && headSha === cached.headSha);
 
-    // Try 3: contents API as last resort (flatter, no sub-dirs)
-    try {
-        const contents = await ghFetch(
-            `${GITHUB_API}/repos/${owner}/${repo}/contents`,
-            'contents'
-        );
-        if (Array.isArray(contents)) {
-            return contents.map(item => ({
-                path: item.path,
-                type: item.type === 'dir' ? 'tree' : 'blob',
-                sha: item.sha,
-                size: item.size || 0,
-            }));
-        }
-    } catch (e) {
-        console.warn('Contents API fallback failed:', e.message);
-    }
+    if (cached && metaRes.notModified && treeUnchanged) return null;
 
-    // Give up — city will still build from repo metadata alone
-    console.warn('All tree fetch methods failed — building city from metadata only');
-    return [];
-}
+    // Fetch tree + contributors + history in parallel (all best-effort)
+    let treeTruncated = treeUnchanged && !!cached.meta.tree_truncated;
+    const onTreeProgress = (p) => {
+        if (p.truncated) treeTruncated = true;
+        onProgress?.(p);
+    };
+    const [tree, contributors_count, history] = treeUnchanged
+        ? [cached.tree, cached.meta.contributors_count, { commits: cached.commitLog || [], total: cached.meta.commits_estimated ? null : cached.meta.commits_count }]
+        : await Promise.all([
+            provider.getTree(target, { ref, path: resolved.path, explicitRef: !!resolved.ref }, token, onTreeProgress),
+            provider.getContributorCount(target, token),
+            loadCommitLog(provider, target, { ref, path: resolved.path }, token),
+        ]);
+
+    console.log(`[Lore] Tree: ${tree.length} nodes${treeUnchanged ? ' (cached)' : ''}${treeTruncated ? ' (partial)' : ''}, Contributors: ${contributors_count}, Commits: ${history.commits.length}/${history.total ?? '?'}`);
+    onProgress?.({ nodes: tree.length, walking: false, truncated: treeTruncated });
+
+    // The config lives in the tree, so an unchanged head means an unchanged config
+    const cityConfig = treeUnchanged && cached.cityConfig !== undefined
+        ? cached.cityConfig
+        : await loadRepoConfig(provider, target, { ref, path: resolved.path }, tree, token);
+    if (cityConfig) console.log(`[Lore] City config: ${cityConfig.source}${cityConfig.error ? ' (invalid)' : ''}`);
+
+    // A partial log still proves at least that many commits exist
+    const commitsEstimated = history.total == null;
+    const meta = {
+        ...repoData,
+        contributors_count,
+        commits_count: commitsEstimated
+            ? Math.max(history.commits.length, estimateCommits(repoData))
+            : history.total,
+        commits_estimated: commitsEstimated,
+        ref,
+        ref_type: resolved.refType || 'branch',
+        root_path: resolved.path,
+        head_sha: headSha,
+        // The forge's listing missed part of the tree (GitHub's walk hit its request cap)
+        tree_truncated: treeTruncated,
+        tree_nodes: tree.length,
+        source: { provider: provider.id, host: target.host, owner: target.owner, repo: target.repo },
+    };
 
-// ─── Contributor Count ────────────────────────────────────────
-async function getContributorCount(owner, repo) {
-    try {
-        const resp = await fetch(
-            `${GITHUB_API}/repos/${owner}/${repo}/contributors?per_page=1&anon=1`,
-            { headers: { Accept: 'application/vnd.github.v3+json' } }
-        );
-        const link = resp.headers.get('Link') || '';
-        const match = link.match(/page=(\d+)>; rel="last"/);
-        if (match) return parseInt(match[1]);
-        const data = await resp.json();
-        return Array.isArray(data) ? Math.max(1, data.length) : 1;
-    } catch {
-        return 1;
-    }
-}
+    // Narrative only depends on metadata — skip Gemini when that didn't change,
+    // but keep its stats in step with the (possibly new) history
+    const narrative = metaRes.notModified && cached?.narrative
+        ? { ...cached.narrative, stats: { ...cached.narrative.stats, commits: meta.commits_count, contributors: contributors_count } }
+        : await generateAINarrative(meta, geminiApiKey || null);
 
-// ─── Commit Estimate ──────────────────────────────────────────
-function estimateCommits(repoData) {
-    const createdAt = new Date(repoData.created_at || Date.now());
-    const monthsOld = (Date.now() - createdAt) / (1000 * 60 * 60 * 24 * 30);
-    return Math.max(10, Math.floor(monthsOld * 18 + (repoData.stargazers_count || 0) * 0.25));
+    return {
+        key: repoCacheKey(target),
+        input: canonicalRepoInput(target),
+        target: resolved,
+        repoData,
+        meta,
+        tree,
+        commitLog: history.commits,
+        cityConfig,
+        narrative,
+        headSha,
+        etags: { meta: metaRes.etag || null, head: head?.etag || null },
+    };
 }
 
 // ─── Hook ─────────────────────────────────────────────────────
-export function useGitHubData() {
+export function useGitHubData({ mode = 'orbital', heightMetric = null } = {}) {
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
-    const [cityData, setCityData] = useState(null);
+    // The city is derived: a loaded snapshot (tree + meta) laid out with the current options, or the demo
+    const [snapshot, setSnapshot] = useState(null);
+    const [demoCity, setDemoCity] = useState(null);
     const [narrative, setNarrative] = useState(null);
-    const [repoInfo, setRepoInfo] = useState(null);
+    const repoInfo = useCityStore(s => s.repoInfo);
+    const [commitLog, setCommitLog] = useState([]);
+    const [loadProgress, setLoadProgress] = useState(null);
+    const [recentRepos, setRecentRepos] = useState([]);
+    const requestIdRef = useRef(0);
     const [geminiApiKey, setGeminiApiKey] = useState(
         () => {
             try { return localStorage.getItem('lotr_gemini_key') || ''; }
@@ -177,6 +172,8 @@ export function useGitHubData() {
         }
     );
 
+    const [githubToken, setGithubToken] = useState(loadGitHubToken);
+
     const saveApiKey = useCallback((key) => {
         setGeminiApiKey(key);
         try {
@@ -185,64 +182,134 @@ export function useGitHubData() {
         } catch { }
     }, []);
 
+    // Tokens are stored per host; only github.com's drives the header badge
+    const saveGithubToken = useCallback((token, host = 'github.com') => {
+        storeHostToken(host, token);
+        if (host === 'github.com') setGithubToken(token);
+    }, []);
+
+    const refreshRecentRepos = useCallback(() => {
+        listRecentRepos().then(setRecentRepos);
+    }, []);
+
+    useEffect(() => {
+        refreshRecentRepos();
+    }, [refreshRecentRepos]);
+
+    const applySnapshot = useCallback((entry) => {
+        setCityState({ repoInfo: entry.meta });
+        setCommitLog(entry.commitLog || []);
+        setNarrative(entry.narrative);
+        setDemoCity(null);
+        setSnapshot({ tree: entry.tree, meta: entry.meta, commitLog: entry.commitLog || [], cityConfig: entry.cityConfig || null });
+    }, []);
+
+    const cityData = useMemo(() => {
+        if (!snapshot) return demoCity;
+        return buildCityLayout(snapshot.tree, snapshot.meta, {
+            rootPath: snapshot.meta.root_path,
+            mode,
+            heightMetric,
+            commitLog: snapshot.commitLog,
+            config: snapshot.cityConfig?.config || null,
+        });
+    }, [snapshot, demoCity, mode, heightMetric]);
+
     const fetchRepo = useCallback(async (repoUrl) => {
+        // A newer search supersedes any in-flight load / background revalidation
+        const requestId = ++requestIdRef.current;
+        const isCurrent = () => requestIdRef.current === requestId;
+
         setLoading(true);
         setError(null);
-        setCityData(null);
+        setSnapshot(null);
+        setDemoCity(null);
         setNarrative(null);
-        setRepoInfo(null);
+        resetCity();
+        setCommitLog([]);
+        setLoadProgress(null);
 
         try {
-            const parsed = parseRepoUrl(repoUrl);
-            if (!parsed) {
+            const target = parseRepoInput(repoUrl);
+            if (!target) {
                 throw new Error(
-                    'Invalid GitHub URL format.\n\nValid examples:\n• github.com/facebook/react\n• https://github.com/vercel/next.js\n• torvalds/linux'
+                    'Invalid repository URL format.\n\nValid examples:\n• github.com/facebook/react\n• gitlab.com/gitlab-org/gitlab-runner\n• bitbucket.org/workspace/repo\n• torvalds/linux\n• local:/path/to/repo'
                 );
             }
 
-            const { owner, repo } = parsed;
-            console.log(`[Lore] Fetching repo: ${owner}/${repo}`);
+            console.log(`[Lore] Fetching repo: ${target.host}/${target.owner}/${target.repo} via ${target.provider}`);
 
-            // Step 1: Fetch repo metadata (fail fast if this fails)
-            const repoData = await ghFetch(`${GITHUB_API}/repos/${owner}/${repo}`, `${owner}/${repo}`);
-            console.log(`[Lore] Repo found: ${repoData.full_name}, default branch: ${repoData.default_branch}`);
+            // In-memory archives can't be reopened after a reload — keep them out of the cache
+            const persistent = !getProvider(target.provider).ephemeral;
 
-            // Step 2: Fetch tree + contributors in parallel (both are best-effort)
-            const [tree, contributors_count] = await Promise.all([
-                fetchRepoTree(owner, repo, repoData.default_branch || 'main'),
-                getContributorCount(owner, repo),
-            ]);
-
-            console.log(`[Lore] Tree: ${tree.length} nodes, Contributors: ${contributors_count}`);
-
-            const enrichedMeta = {
-                ...repoData,
-                contributors_count,
-                commits_count: estimateCommits(repoData),
-            };
+            // Step 1: Open instantly from cache when we have it
+            const cached = persistent ? await getCachedRepo(repoCacheKey(target)) : null;
+            if (cached && isCurrent()) {
+                console.log(`[Lore] Opening ${cached.key} from cache — revalidating`);
+                applySnapshot(cached);
+                setLoading(false);
+            }
 
-            // Step 3: Generate narrative + build city
-            const [generatedNarrative, layout] = await Promise.all([
-                generateAINarrative(enrichedMeta, geminiApiKey || null),
-                Promise.resolve(buildCityLayout(tree, enrichedMeta)),
-            ]);
+            // Step 2: Fetch (or revalidate) metadata, tree, narrative
+            let fresh;
+            try {
+                fresh = await loadRepoSnapshot(target, {
+                    geminiApiKey,
+                    cached,
+                    onProgress: (p) => isCurrent() && setLoadProgress(p),
+                });
+            } catch (err) {
+                if (!cached) throw err;
+                console.warn('[Lore] Revalidation failed — keeping cached city:', err.message);
+                return;
+            }
 
-            window.CURRENT_REPO_INFO = enrichedMeta;
-            setRepoInfo(enrichedMeta);
-            setNarrative(generatedNarrative);
-            setCityData(layout);
+            // Step 3: Persist + (re)build the city if anything changed
+            if (!persistent) {
+                if (isCurrent()) applySnapshot(fresh);
+                return;
+            }
+            if (fresh) {
+                await putCachedRepo(fresh);
+                if (isCurrent()) applySnapshot(fresh);
+            } else {
+                console.log('[Lore] Cache still fresh (304)');
+                await putCachedRepo(cached); // bump recency
+            }
+            refreshRecentRepos();
 
         } catch (err) {
             console.error('[Lore] Fetch error:', err);
-            setError(err.message);
+            if (isCurrent()) setError(err.message);
         } finally {
+            if (isCurrent()) setLoading(false);
+        }
+    }, [geminiApiKey, applySnapshot, refreshRecentRepos]);
+
+    // Dropped .zip / picked folder (File or FileSystemDirectoryHandle, possibly still a promise)
+    const openArchive = useCallback(async (source) => {
+        const requestId = ++requestIdRef.current;
+        setLoading(true);
+        setError(null);
+        try {
+            const archive = await readArchiveSource(await source);
+            console.log(`[Lore] Archive "${archive.name}": ${archive.entries.length} entries`);
+            if (requestIdRef.current !== requestId) return;
+            await fetchRepo(`archive:${registerArchive(archive)}`);
+        } catch (err) {
+            if (requestIdRef.current !== requestId) return;
             setLoading(false);
+            if (err.name === 'AbortError') return; // folder picker dismissed
+            console.error('[Lore] Archive error:', err);
+            setError(err.message);
         }
-    }, [geminiApiKey]);
+    }, [fetchRepo]);
 
     const loadDemo = useCallback(async () => {
+        requestIdRef.current++; // cancel any in-flight repo revalidation
         setLoading(true);
         setError(null);
+        resetCity();
 
         const demoMeta = {
             name: 'lord-of-repo',
@@ -266,9 +333,11 @@ export function useGitHubData() {
             ]);
             const layout = buildDemoCity(demoMeta);
 
-            setRepoInfo(demoMeta);
+            setCityState({ repoInfo: demoMeta });
+            setCommitLog([]);
             setNarrative(generatedNarrative);
-            setCityData(layout);
+            setSnapshot(null);
+            setDemoCity(layout);
         } catch (err) {
             console.error('[Demo] Load error:', err);
             setError(err.message);
@@ -278,8 +347,13 @@ export function useGitHubData() {
     }, [geminiApiKey]);
 
     return {
-        loading, error, cityData, narrative, repoInfo,
-        fetchRepo, loadDemo,
+        loading, error, cityData, narrative, repoInfo, commitLog, loadProgress,
+        repoTree: snapshot?.tree || null,
+        cityConfig: snapshot?.cityConfig?.config || null,
+        configError: snapshot?.cityConfig?.error || null,
+        recentRepos,
+        fetchRepo, loadDemo, openArchive,
         geminiApiKey, saveApiKey,
+        githubToken, saveGithubToken,
     };
 }
@@ -0,0 +1,70 @@
+/**
+ * useImportGraph.js
+ * The repo's file-level module graph (importGraph.js), loaded on first use and kept in the
+ * city store for the loaded tree — the Knowledge Graph layout, the selected island's
+ * dependency beams, the import cycles, the code metrics and the Supply Chain Nebula's
+ * importers and the License Scan's SPDX headers share it. A new load resets it with the rest
+ * of the repo's state. Edges, metrics, externals and headers are cached in IndexedDB per
+ * repo / head commit.
+ */
+
+import { useEffect } from 'react';
+import { loadImportGraph } from '../utils/importGraph';
+import { layoutCacheKey, getCachedLayout, putCachedLayout } from '../utils/repoCache';
+import { setCityState } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+const PROGRESS_STEP = 20; // re-render every N fetched files, not every one
+
+export function useImportGraph({ repoInfo, repoTree, active }) {
+    // `tree` ties the edges to the tree they were extracted from
+    const state = useCityStore(s => s.imports);
+    const enabled = !!(active && repoTree && repoInfo?.source);
+    const loaded = state.tree === repoTree && (state.status === 'done' || state.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        const cacheKey = repoInfo.head_sha ? layoutCacheKey(repoInfo, 'imports') : null;
+        const update = (patch) => {
+            if (!cancelled) setCityState(s => ({ imports: { ...s.imports, tree: repoTree, ...patch } }));
+        };
+
+        (async () => {
+            const cached = cacheKey ? await getCachedLayout(cacheKey) : null;
+            if (cancelled) return;
+            // Entries from before metrics / externals / licenses were recorded re-read the sources
+            if (cached?.metrics && cached.externals && cached.licenses) {
+                update({ edges: cached.edges, metrics: cached.metrics, externals: cached.externals, licenses: cached.licenses, status: 'done', progress: null });
+                return;
+            }
+
+            update({ edges: [], metrics: {}, externals: {}, licenses: {}, status: 'loading', progress: null });
+            try {
+                const { edges, metrics, externals, licenses } = await loadImportGraph(repoInfo, repoTree, {
+                    onProgress: (p) => (p.done % PROGRESS_STEP === 0 || p.done === p.total) && update({ progress: p }),
+                });
+                update({ edges, metrics, externals, licenses, status: 'done', progress: null });
+                if (cacheKey && !cancelled) putCachedLayout({ key: cacheKey, edges, metrics, externals, licenses });
+            } catch (e) {
+                console.warn('[Graph] Import graph failed:', e.message);
+                update({ edges: [], metrics: {}, externals: {}, licenses: {}, status: 'error', progress: null });
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, repoInfo, repoTree]);
+
+    const current = state.tree === repoTree ? state : null;
+    return {
+        edges: current?.edges || [],
+        metrics: current?.metrics || null,
+        externals: current?.externals || null,
+        licenses: current?.licenses || null,
+        // Until the first effect runs, an enabled graph is already on its way
+        status: enabled && !loaded ? 'loading' : (current?.status || 'idle'),
+        progress: enabled ? current?.progress || null : null,
+    };
+}
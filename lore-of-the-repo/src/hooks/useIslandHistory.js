@@ -0,0 +1,59 @@
+/**
+ * useIslandHistory.js
+ * Per-island history from the commit log (pathHistory.js). Islands the log's detailed commits
+ * never touch get their own last commit looked up once per loaded repo while `active` (kept in
+ * the city store); until then their staleness is unknown rather than guessed.
+ *   → { history: { [id]: IslandHistory } | null, status }
+ */
+
+import { useEffect, useMemo } from 'react';
+import { islandHistory, loadLastTouched } from '../utils/pathHistory';
+import { setCityState } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+export function useIslandHistory({ cityData, repoInfo, commitLog, active }) {
+    const state = useCityStore(s => s.lastTouched);
+    const ids = useMemo(() => (cityData ? new Set(cityData.islands.map(i => i.id)) : null), [cityData]);
+    const logged = useMemo(() => (ids ? islandHistory(commitLog, ids) : null), [commitLog, ids]);
+    const beyond = useMemo(
+        () => (logged ? cityData.islands.filter(i => logged[i.id]?.daysSince === null) : []),
+        [cityData, logged],
+    );
+
+    const enabled = !!(active && repoInfo?.source && beyond.length);
+    const loaded = state.meta === repoInfo && (state.status === 'done' || state.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        const update = (patch) => {
+            if (!cancelled) setCityState({ lastTouched: { meta: repoInfo, dates: {}, ...patch } });
+        };
+
+        update({ status: 'loading' });
+        loadLastTouched(repoInfo, beyond)
+            .then(dates => {
+                console.log(`[History] Last commit of ${Object.keys(dates).length} islands beyond the log`);
+                update({ dates, status: 'done' });
+            })
+            .catch(e => {
+                console.warn('[History] Last-commit lookups failed:', e.message);
+                update({ status: 'error' });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, repoInfo, beyond]);
+
+    const dates = loaded ? state.dates : null;
+    const history = useMemo(
+        () => (dates && logged ? islandHistory(commitLog, ids, dates) : logged),
+        [dates, logged, commitLog, ids],
+    );
+
+    return {
+        history,
+        status: enabled && !loaded ? 'loading' : (loaded ? state.status : 'idle'),
+    };
+}
@@ -0,0 +1,73 @@
+/**
+ * useLicenses.js
+ * The License Scan (licenses.js): the repo's LICENSE files, read on first use and kept in the
+ * city store for the loaded tree (cached in IndexedDB per repo / head commit), combined with
+ * the import graph's SPDX headers and the lockfiles' declared licenses, and checked against
+ * the allow-list of the repo's .lordofrepo.json.
+ *   → { islands, dependencies, findings, files, allow, configured, status }
+ */
+
+import { useEffect, useMemo } from 'react';
+import { loadLicenseFiles, licenseReport, DEFAULT_LICENSE_ALLOW } from '../utils/licenses';
+import { layoutCacheKey, getCachedLayout, putCachedLayout } from '../utils/repoCache';
+import { setCityState } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+const NO_FILES = [];
+const EMPTY_REPORT = { islands: {}, dependencies: {}, findings: [] };
+
+export function useLicenses({ cityData, repoInfo, repoTree, imports, supplyChain, cityConfig, active }) {
+    const state = useCityStore(s => s.licenseFiles);
+    const enabled = !!(active && repoTree && repoInfo?.source);
+    const loaded = state.tree === repoTree && (state.status === 'done' || state.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        const cacheKey = repoInfo.head_sha ? layoutCacheKey(repoInfo, 'licenses') : null;
+        const update = (patch) => {
+            if (!cancelled) setCityState({ licenseFiles: { tree: repoTree, files: [], ...patch } });
+        };
+
+        (async () => {
+            const cached = cacheKey ? await getCachedLayout(cacheKey) : null;
+            if (cancelled) return;
+            if (cached?.files) {
+                update({ files: cached.files, status: 'done' });
+                return;
+            }
+
+            update({ status: 'loading' });
+            try {
+                const files = await loadLicenseFiles(repoInfo, repoTree);
+                update({ files, status: 'done' });
+                if (cacheKey && !cancelled) putCachedLayout({ key: cacheKey, files });
+            } catch (e) {
+                console.warn('[License] License files failed:', e.message);
+                update({ status: 'error' });
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, repoInfo, repoTree]);
+
+    const files = state.tree === repoTree ? state.files : NO_FILES;
+    const configured = cityConfig?.licenses?.allow;
+    const allow = configured || DEFAULT_LICENSE_ALLOW;
+    const headers = imports?.licenses;
+    const { dependencies, packages, importers } = supplyChain;
+    const report = useMemo(() => {
+        if (!cityData) return EMPTY_REPORT;
+        return licenseReport({ islands: cityData.islands, licenseFiles: files, headers, supplyChain: { dependencies, packages, importers }, allow });
+    }, [cityData, files, headers, dependencies, packages, importers, allow]);
+
+    return {
+        ...report,
+        files,
+        allow,
+        configured: !!configured,
+        status: enabled && !loaded ? 'loading' : (state.tree === repoTree ? state.status : 'idle'),
+    };
+}
@@ -0,0 +1,54 @@
+/**
+ * useOwnership.js
+ * Island owners and bus factors (ownership.js). The repo's CODEOWNERS is read once per loaded
+ * repo while `active` and kept in the city store; without one, owners come from the commit log.
+ *   → { islands: { [id]: IslandOwnership }, teams: [{ id, islands, color }], source, file, status }
+ */
+
+import { useEffect, useMemo } from 'react';
+import { loadCodeowners, islandOwnership } from '../utils/ownership';
+import { setCityState } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+export function useOwnership({ cityData, repoInfo, commitLog, active }) {
+    const state = useCityStore(s => s.codeowners);
+    const enabled = !!(active && repoInfo?.source);
+    const loaded = state.meta === repoInfo && (state.status === 'done' || state.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        const update = (patch) => {
+            if (!cancelled) setCityState({ codeowners: { meta: repoInfo, file: null, ...patch } });
+        };
+
+        update({ status: 'loading' });
+        loadCodeowners(repoInfo)
+            .then(file => {
+                if (file) console.log(`[Owners] ${file.path}: ${file.rules.length} rules`);
+                update({ file, status: 'done' });
+            })
+            .catch(e => {
+                console.warn('[Owners] CODEOWNERS failed:', e.message);
+                update({ status: 'error' });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, repoInfo]);
+
+    // Until CODEOWNERS is settled, history-derived owners would only flash by
+    const pending = enabled && !loaded;
+    const file = loaded ? state.file : null;
+    const ownership = useMemo(
+        () => (cityData && !pending ? islandOwnership(cityData.islands, file, commitLog) : { islands: {}, teams: [], source: null }),
+        [cityData, pending, file, commitLog],
+    );
+
+    return {
+        ...ownership,
+        file,
+        status: pending ? 'loading' : (loaded ? state.status : 'idle'),
+    };
+}
@@ -0,0 +1,35 @@
+/**
+ * useRepoEvents.js
+ * The loaded repo's live webhook events (repoEvents.js) while `active`, newest last, with the
+ * files outside the city's sub-path left out. A CI event for the loaded commit also marks
+ * Build Weather stale so it re-fetches the runs.
+ *   → [RepoEvent]
+ */
+
+import { useEffect, useState } from 'react';
+import { watchRepoEvents, withinCity } from '../utils/repoEvents';
+import { setCityState } from '../utils/cityStore';
+
+const MAX_EVENTS = 20;
+const NO_EVENTS = [];
+
+export function useRepoEvents({ repoInfo, active }) {
+    const [feed, setFeed] = useState({ meta: null, events: NO_EVENTS });
+    const enabled = !!(active && repoInfo?.full_name);
+
+    useEffect(() => {
+        if (!enabled) return;
+        return watchRepoEvents(repoInfo, (event) => {
+            setFeed(prev => ({
+                meta: repoInfo,
+                // GitHub redeliveries keep their delivery id
+                events: [...(prev.meta === repoInfo ? prev.events : []).filter(e => e.id !== event.id), withinCity(event, repoInfo)].slice(-MAX_EVENTS),
+            }));
+            if (event.state && event.sha && event.sha === repoInfo.head_sha) {
+                setCityState(s => (s.ci.meta === repoInfo && s.ci.status === 'done' ? { ci: { ...s.ci, status: 'stale' } } : null));
+            }
+        });
+    }, [enabled, repoInfo]);
+
+    return enabled && feed.meta === repoInfo ? feed.events : NO_EVENTS;
+}
@@ -0,0 +1,67 @@
+/**
+ * useSupplyChain.js
+ * The repo's dependencies (supplyChain.js), read from its manifests and lockfiles on first use
+ * and kept in the city store for the loaded tree, cached in IndexedDB per repo / head commit.
+ * Importing islands come from the import graph's externals once it has them.
+ *   → { dependencies, packages, unattributed, importers: { [dependency id]: [{ id, imports }] }, status }
+ */
+
+import { useEffect, useMemo } from 'react';
+import { loadDependencyGraph, dependencyImporters } from '../utils/supplyChain';
+import { layoutCacheKey, getCachedLayout, putCachedLayout } from '../utils/repoCache';
+import { setCityState } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+const EMPTY_GRAPH = { dependencies: [], packages: {}, unattributed: [] };
+
+export function useSupplyChain({ cityData, repoInfo, repoTree, imports, active }) {
+    const state = useCityStore(s => s.dependencies);
+    const enabled = !!(active && repoTree && repoInfo?.source);
+    const loaded = state.tree === repoTree && (state.status === 'done' || state.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        const cacheKey = repoInfo.head_sha ? layoutCacheKey(repoInfo, 'dependencies') : null;
+        const update = (patch) => {
+            if (!cancelled) setCityState({ dependencies: { tree: repoTree, graph: null, ...patch } });
+        };
+
+        (async () => {
+            const cached = cacheKey ? await getCachedLayout(cacheKey) : null;
+            if (cancelled) return;
+            // Entries from before lockfile licenses / locked versions were recorded re-read the manifests
+            if (cached?.graph && cached.graph.dependencies.every(d => 'license' in d && d.locked)) {
+                update({ graph: cached.graph, status: 'done' });
+                return;
+            }
+
+            update({ status: 'loading' });
+            try {
+                const graph = await loadDependencyGraph(repoInfo, repoTree);
+                update({ graph, status: 'done' });
+                if (cacheKey && !cancelled) putCachedLayout({ key: cacheKey, graph });
+            } catch (e) {
+                console.warn('[Deps] Dependency graph failed:', e.message);
+                update({ status: 'error' });
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, repoInfo, repoTree]);
+
+    const graph = (state.tree === repoTree && state.graph) || EMPTY_GRAPH;
+    const externals = imports?.externals;
+    const importers = useMemo(() => {
+        if (!cityData || !externals || !graph.dependencies.length) return {};
+        return dependencyImporters(graph, externals, new Set(cityData.islands.map(i => i.id)));
+    }, [cityData, graph, externals]);
+
+    return {
+        ...graph,
+        importers,
+        status: enabled && !loaded ? 'loading' : (state.tree === repoTree ? state.status : 'idle'),
+    };
+}
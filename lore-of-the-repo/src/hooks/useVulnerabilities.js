@@ -0,0 +1,76 @@
+/**
+ * useVulnerabilities.js
+ * Security Shields from real advisories (osv.js): the dependency versions useSupplyChain
+ * resolved, matched against an OSV dump the user loaded (loadAdvisoryFile) or, without one,
+ * against the bundled server's dumps — asked once per dependency list while `active`.
+ *   → { findings: { [dependency id]: [Finding] }, islands: { [island id]: vulnerability }, source, label, count, status, error }
+ */
+
+import { useEffect, useMemo } from 'react';
+import { readAdvisoryFile, queryAdvisoryServer, indexAdvisories, findVulnerabilities, islandVulnerabilities, advisoryQuery } from '../utils/osv';
+import { setCityState, EMPTY_ADVISORIES } from '../utils/cityStore';
+import { useCityStore } from './useCityStore';
+
+/** Replace the advisory source with a local OSV dump; kept for every repo loaded afterwards */
+export async function loadAdvisoryFile(file) {
+    setCityState(s => ({ advisories: { ...s.advisories, status: 'loading', error: null } }));
+    try {
+        const advisories = await readAdvisoryFile(file);
+        console.log(`[OSV] ${file.name}: ${advisories.length} advisories`);
+        setCityState({
+            advisories: { ...EMPTY_ADVISORIES, source: 'file', label: file.name, index: indexAdvisories(advisories), count: advisories.length, status: 'done' },
+        });
+    } catch (e) {
+        console.warn('[OSV] Advisory file failed:', e.message);
+        setCityState(s => ({ advisories: { ...s.advisories, status: 'error', error: e.message } }));
+    }
+}
+
+/** Back to the server's advisories */
+export const clearAdvisoryFile = () => setCityState({ advisories: EMPTY_ADVISORIES });
+
+export function useVulnerabilities({ supplyChain, active }) {
+    const state = useCityStore(s => s.advisories);
+    const { dependencies, packages, importers } = supplyChain;
+    const enabled = !!(active && state.source !== 'file' && supplyChain.status === 'done' && dependencies.length);
+    const loaded = state.source === 'server' && state.dependencies === dependencies && (state.status === 'done' || state.status === 'error');
+
+    useEffect(() => {
+        if (!enabled || loaded) return;
+        let cancelled = false;
+        const update = (patch) => {
+            if (!cancelled) setCityState({ advisories: { ...EMPTY_ADVISORIES, source: 'server', dependencies, ...patch } });
+        };
+
+        update({ status: 'loading' });
+        queryAdvisoryServer(advisoryQuery({ dependencies, packages }))
+            .then(vulns => update({ index: indexAdvisories(vulns), count: vulns.length, status: 'done' }))
+            .catch(e => {
+                console.warn('[OSV] Advisory server failed:', e.message);
+                update({ status: 'error', error: e.message });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, loaded, dependencies, packages]);
+
+    const usable = state.source === 'file' || loaded;
+    const index = usable ? state.index : null;
+    const findings = useMemo(() => findVulnerabilities({ dependencies, packages }, index), [dependencies, packages, index]);
+    const islands = useMemo(() => islandVulnerabilities(findings, importers), [findings, importers]);
+
+    let status = 'idle';
+    if (state.status === 'loading' || (enabled && !loaded)) status = 'loading';
+    else if (usable || state.status === 'error') status = state.status;
+
+    return {
+        findings,
+        islands,
+        source: usable ? state.source : null,
+        label: state.label,
+        count: usable ? state.count : 0,
+        status,
+        error: state.error,
+    };
+}
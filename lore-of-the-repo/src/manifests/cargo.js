@@ -0,0 +1,106 @@
+/**
+ * cargo.js
+ * Cargo.toml `[dependencies]` / `[dev-dependencies]` / `[build-dependencies]` (target-specific
+ * tables included) for the direct dependencies; Cargo.lock for what they pull in. Path and
+ * workspace-member crates are the repo's own, not dependencies.
+ */
+
+import { packageKey, dirname, parseToml } from './shared';
+
+const MANIFEST = /(^|\/)Cargo\.toml$/;
+const LOCKFILE = /(^|\/)Cargo\.lock$/;
+const TABLES = [['dependencies', false], ['build-dependencies', false], ['dev-dependencies', true]];
+const BUILTIN_CRATES = new Set(['crate', 'self', 'super', 'std', 'core', 'alloc', 'proc_macro', 'test']);
+
+function cargoToml(text) {
+    const toml = parseToml(text);
+    const out = [];
+    // `{ workspace = true }` entries get their version from the workspace root; Cargo.lock has the resolved one
+    const read = (tables) => TABLES.forEach(([table, dev]) => Object.entries(tables?.[table] || {}).forEach(([alias, spec]) => {
+        if (spec?.path) return;
+        out.push({
+            name: spec?.package || alias,
+            version: typeof spec === 'string' ? spec : (spec?.version || '*'),
+            dev,
+        });
+    }));
+    read(toml);
+    Object.values(toml.target || {}).forEach(read);
+    return out;
+}
+
+// Cargo.lock names dependencies "name", "name version" or "name version (source)"
+function cargoLock(text) {
+    const entries = parseToml(text).package || [];
+    const byName = new Map();
+    entries.forEach(p => byName.set(p.name, [...(byName.get(p.name) || []), p.version]));
+    const keyOf = (ref) => {
+        const [name, version] = ref.split(' ');
+        const versions = byName.get(name) || [];
+        return packageKey(name, version || versions[0]);
+    };
+
+    const packages = new Map();
+    const members = new Set();
+    entries.forEach(p => {
+        // No source: a crate of this workspace
+        if (!p.source) { members.add(p.name); return; }
+        const key = packageKey(p.name, p.version);
+        packages.set(key, { key, name: p.name, version: p.version, deps: [] });
+    });
+    entries.forEach(p => {
+        if (p.source) packages.get(packageKey(p.name, p.version)).deps = (p.dependencies || []).map(keyOf).filter(k => packages.has(k));
+    });
+    const resolve = (name) => {
+        const versions = byName.get(name) || [];
+        return versions.map(v => packageKey(name, v)).find(k => packages.has(k)) || null;
+    };
+    return { packages, members, resolve };
+}
+
+function parseCargo(files) {
+    const locks = files.filter(f => LOCKFILE.test(f.path)).map(f => {
+        try {
+            return { dir: dirname(f.path), ...cargoLock(f.text) };
+        } catch (e) {
+            console.warn(`[Deps] ${f.path}:`, e.message);
+            return null;
+        }
+    }).filter(Boolean);
+
+    const direct = [];
+    files.filter(f => MANIFEST.test(f.path)).forEach(f => {
+        const dir = dirname(f.path);
+        const lock = locks.filter(l => !l.dir || dir === l.dir || dir.startsWith(`${l.dir}/`)).sort((a, b) => b.dir.length - a.dir.length)[0];
+        let deps;
+        try { deps = cargoToml(f.text); } catch { return; }
+        deps.forEach(d => {
+            if (lock?.members.has(d.name)) return;
+            direct.push({ ...d, manifest: f.path, key: lock?.resolve(d.name) || null });
+        });
+    });
+
+    const packages = new Map();
+    locks.forEach(l => l.packages.forEach((pkg, key) => packages.set(key, pkg)));
+    return { direct, packages };
+}
+
+// `use serde_json::Value` → serde_json / serde-json (Cargo maps "-" to "_" in crate names)
+function cargoImportNames(spec) {
+    const crate = spec.split('::')[0];
+    if (BUILTIN_CRATES.has(crate)) return [];
+    return [crate, crate.replace(/_/g, '-')];
+}
+
+export const cargoEcosystem = {
+    id: 'cargo',
+    label: 'crates.io',
+    osv: 'crates.io',
+    purl: 'cargo',
+    color: '#dea584',
+    language: 'rust',
+    isManifest: (path) => MANIFEST.test(path),
+    isLockfile: (path) => LOCKFILE.test(path),
+    parse: parseCargo,
+    importNames: cargoImportNames,
+};
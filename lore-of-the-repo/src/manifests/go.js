@@ -0,0 +1,59 @@
+/**
+ * go.js
+ * go.mod `require`s (minus `// indirect`) are the direct dependencies; the indirect ones and
+ * go.sum's module list are the rest. Neither file records who requires whom, so Go
+ * dependencies come without transitive children — the others are left unattributed.
+ */
+
+import { packageKey } from './shared';
+
+const MANIFEST = /(^|\/)go\.mod$/;
+const LOCKFILE = /(^|\/)go\.sum$/;
+
+function goMod(text) {
+    const requires = [];
+    const add = (line) => {
+        const m = line.match(/^\s*([^\s/]\S*)\s+(v\S+)(.*)$/);
+        if (m) requires.push({ name: m[1], version: m[2], indirect: /\/\/\s*indirect/.test(m[3]) });
+    };
+    for (const m of text.matchAll(/^\s*require\s*\(([^)]*)\)/gm)) m[1].split('\n').forEach(add);
+    for (const m of text.matchAll(/^\s*require\s+([^(\s].*)$/gm)) add(m[1]);
+    return requires;
+}
+
+function goSum(text) {
+    const modules = new Map();
+    text.split('\n').forEach(line => {
+        const [name, version] = line.trim().split(/\s+/);
+        if (!name || !version) return;
+        const v = version.replace(/\/go\.mod$/, '');
+        modules.set(packageKey(name, v), { key: packageKey(name, v), name, version: v, deps: [] });
+    });
+    return modules;
+}
+
+function parseGo(files) {
+    const direct = [];
+    const packages = new Map();
+    files.filter(f => LOCKFILE.test(f.path)).forEach(f => goSum(f.text).forEach((pkg, key) => packages.set(key, pkg)));
+    files.filter(f => MANIFEST.test(f.path)).forEach(f => goMod(f.text).forEach(r => {
+        const key = packageKey(r.name, r.version);
+        if (!packages.has(key)) packages.set(key, { key, name: r.name, version: r.version, deps: [] });
+        if (!r.indirect) direct.push({ name: r.name, version: r.version, dev: false, manifest: f.path, key });
+    }));
+    return { direct, packages };
+}
+
+export const goEcosystem = {
+    id: 'go',
+    label: 'Go',
+    osv: 'Go',
+    purl: 'golang',
+    color: '#00add8',
+    language: 'go',
+    isManifest: (path) => MANIFEST.test(path),
+    isLockfile: (path) => LOCKFILE.test(path),
+    parse: parseGo,
+    // An import path is a package inside a module: the module is one of its prefixes
+    importNames: (spec) => spec.split('/').map((_, i, parts) => parts.slice(0, i + 1).join('/')),
+};
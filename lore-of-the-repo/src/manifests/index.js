@@ -0,0 +1,86 @@
+/**
+ * manifests/index.js
+ * Dependency ecosystem registry for the Supply Chain Nebula.
+ *
+ * Every ecosystem reads its manifests and lockfiles the same way:
+ *   isManifest(path) / isLockfile(path) → which repo files to fetch
+ *   parse(files)                        → { direct: [{ name, version, dev, manifest, key }],
+ *                                           packages: Map<key, { key, name, version, deps: [key], license? }> }
+ *                                         `key` ("name@version") points into the lockfile graph,
+ *                                         null without a lockfile entry; `license` is the SPDX
+ *                                         expression the lockfile declares (package-lock only)
+ *   importNames(spec)                   → package names an import of `spec` may come from
+ *   language                            → the analyzers/ language whose imports count
+ *   osv                                 → its ecosystem name in OSV advisories (utils/osv.js)
+ *   purl                                → its package-url type, for SBOM exports (utils/sbom.js)
+ * `files` is [{ path, text }]. Everything here is pure so it runs inside the worker.
+ */
+
+import { npmEcosystem } from './npm';
+import { pythonEcosystem } from './python';
+import { goEcosystem } from './go';
+import { cargoEcosystem } from './cargo';
+
+export const ECOSYSTEMS = [npmEcosystem, pythonEcosystem, goEcosystem, cargoEcosystem];
+
+export const ecosystemById = (id) => ECOSYSTEMS.find(e => e.id === id) || null;
+
+export const isDependencyFile = (path) => ECOSYSTEMS.some(e => e.isManifest(path) || e.isLockfile(path));
+
+/**
+ * Direct dependencies with their transitive closure, across ecosystems.
+ *   → { dependencies: [{ id, ecosystem, name, version, license, dev, manifests, locked: [package id], transitive: [package id] }],
+ *       packages: { [package id]: { ecosystem, name, version, license, deps: [package id] } },
+ *       unattributed: [package id] }
+ * A dependency declared by several manifests is one entry (dev only if dev everywhere);
+ * `locked` lists every version the lockfiles resolve it to (`version` is the last one read).
+ * Package ids are "ecosystem:name@version"; `unattributed` are locked packages no direct
+ * dependency reaches (Go's indirect modules, dependencies of unfetched manifests).
+ */
+export function buildDependencyGraph(files) {
+    const dependencies = new Map();
+    const packages = {};
+
+    ECOSYSTEMS.forEach(eco => {
+        const own = files.filter(f => eco.isManifest(f.path) || eco.isLockfile(f.path));
+        if (!own.length) return;
+        const { direct, packages: locked } = eco.parse(own);
+        const pid = (key) => `${eco.id}:${key}`;
+        locked.forEach(pkg => {
+            packages[pid(pkg.key)] = { ecosystem: eco.id, name: pkg.name, version: pkg.version, license: pkg.license || null, deps: pkg.deps.map(pid) };
+        });
+
+        direct.forEach(d => {
+            const id = `${eco.id}:${d.name}`;
+            const dep = dependencies.get(id) || { id, ecosystem: eco.id, name: d.name, version: d.version, license: null, dev: true, manifests: [], keys: new Set() };
+            dep.dev = dep.dev && d.dev;
+            if (!dep.manifests.includes(d.manifest)) dep.manifests.push(d.manifest);
+            if (d.key && packages[pid(d.key)]) {
+                dep.keys.add(pid(d.key));
+                dep.version = packages[pid(d.key)].version;
+                dep.license = packages[pid(d.key)].license;
+            }
+            dependencies.set(id, dep);
+        });
+    });
+
+    const reached = new Set();
+    const out = [...dependencies.values()].map(({ keys, ...dep }) => {
+        const seen = new Set(keys);
+        const queue = [...keys];
+        while (queue.length) {
+            (packages[queue.pop()]?.deps || []).forEach(next => {
+                if (!seen.has(next)) { seen.add(next); queue.push(next); }
+            });
+        }
+        seen.forEach(k => reached.add(k));
+        keys.forEach(k => seen.delete(k));
+        return { ...dep, locked: [...keys], transitive: [...seen] };
+    });
+
+    return {
+        dependencies: out.sort((a, b) => b.transitive.length - a.transitive.length || a.name.localeCompare(b.name)),
+        packages,
+        unattributed: Object.keys(packages).filter(k => !reached.has(k)),
+    };
+}
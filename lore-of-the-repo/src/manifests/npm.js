@@ -0,0 +1,205 @@
+/**
+ * npm.js
+ * package.json for the direct dependencies; package-lock.json / npm-shrinkwrap.json (v1–v3),
+ * pnpm-lock.yaml (v5–v9) or yarn.lock (classic and berry) for what they pull in.
+ * A direct dependency resolves through the lockfile nearest above its package.json.
+ */
+
+import { packageKey, dirname, unquote, parseYaml } from './shared';
+
+const MANIFEST = /(^|\/)package\.json$/;
+const LOCKFILE = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|pnpm-lock\.yaml|yarn\.lock)$/;
+const DEP_FIELDS = [['dependencies', false], ['optionalDependencies', false], ['devDependencies', true]];
+
+// ── package-lock.json ────────────────────────────────────────
+// v1 nests `dependencies` with `requires`; flattened into v2's "node_modules/a/node_modules/b" paths
+function flattenV1(deps, base, out) {
+    Object.entries(deps || {}).forEach(([name, info]) => {
+        const path = `${base ? `${base}/` : ''}node_modules/${name}`;
+        out[path] = { version: info.version, dependencies: info.requires };
+        flattenV1(info.dependencies, path, out);
+    });
+    return out;
+}
+
+function parsePackageLock(text) {
+    const json = JSON.parse(text);
+    const entries = json.packages || flattenV1(json.dependencies, '', {});
+    const keyAt = (path) => {
+        const info = entries[path];
+        if (!info?.version || info.link) return null;
+        return packageKey(info.name || path.slice(path.lastIndexOf('node_modules/') + 13), info.version);
+    };
+    // Node's lookup: own node_modules, then each ancestor's, up to the top
+    const resolve = (from, name) => {
+        for (let base = from; ; ) {
+            const path = `${base ? `${base}/` : ''}node_modules/${name}`;
+            if (entries[path]) return keyAt(path);
+            if (!base) return null;
+            const up = base.lastIndexOf('/node_modules/');
+            base = up === -1 ? '' : base.slice(0, up);
+        }
+    };
+
+    const packages = new Map();
+    Object.entries(entries).forEach(([path, info]) => {
+        const key = path.includes('node_modules/') ? keyAt(path) : null;
+        if (!key || packages.has(key)) return;
+        const names = Object.keys({ ...info.dependencies, ...info.optionalDependencies });
+        // v2+ copy each package's declared license
+        packages.set(key, {
+            key, name: key.slice(0, key.lastIndexOf('@')), version: info.version, license: info.license || null,
+            deps: names.map(n => resolve(path, n)).filter(Boolean),
+        });
+    });
+    return { packages, resolve };
+}
+
+// ── pnpm-lock.yaml ───────────────────────────────────────────
+// "/name/1.0.0_peer", "/name@1.0.0(peer)" and "name@1.0.0(peer)" → "name@1.0.0"
+function pnpmKey(raw) {
+    const id = raw.replace(/^\//, '').replace(/\(.*$/, '');
+    const v5 = id.match(/^((?:@[^/]+\/)?[^/@]+)\/([^/_]+)/);
+    return v5 ? packageKey(v5[1], v5[2]) : id;
+}
+
+// A dependency's version field: "1.0.0(peer)", "1.0.0_peer" (v5), "/other/1.0.0" or
+// "other@1.0.0" (aliases) or "link:../x" (workspace)
+function pnpmRef(name, version) {
+    const v = typeof version === 'object' ? version.version : version;
+    if (!v || v.startsWith('link:') || v.startsWith('file:')) return null;
+    if (v.startsWith('/') || /^[^\d].*@/.test(v)) return pnpmKey(v);
+    return packageKey(name, v.replace(/\(.*$/, '').replace(/_.*$/, ''));
+}
+
+function parsePnpmLock(text) {
+    const lock = parseYaml(text);
+    const packages = new Map();
+    // v9 splits metadata (packages) from the dependency graph (snapshots)
+    [lock.packages, lock.snapshots].forEach(section => Object.entries(section || {}).forEach(([raw, info]) => {
+        const key = pnpmKey(raw);
+        const deps = Object.entries({ ...info?.dependencies, ...info?.optionalDependencies }).map(([n, v]) => pnpmRef(n, v)).filter(Boolean);
+        const known = packages.get(key);
+        if (known) known.deps = [...new Set([...known.deps, ...deps])];
+        else packages.set(key, { key, name: key.slice(0, key.lastIndexOf('@')), version: key.slice(key.lastIndexOf('@') + 1), deps });
+    }));
+
+    // Single-project locks before v9 list the root's dependencies at the top level
+    const importers = lock.importers || { '.': lock };
+    const resolve = (importer, name) => {
+        const own = importers[importer || '.'] || {};
+        for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+            if (own[field]?.[name] !== undefined) return pnpmRef(name, own[field][name]);
+        }
+        return null;
+    };
+    return { packages, resolve };
+}
+
+// ── yarn.lock ────────────────────────────────────────────────
+// Entries are keyed by every "name@range" descriptor that resolved to them; berry adds "npm:"
+const descriptorName = (d) => d.slice(0, d.indexOf('@', 1));
+
+function parseYarnLock(text) {
+    const byDescriptor = new Map();
+    const packages = new Map();
+    let entry = null;
+    let inDeps = false;
+
+    const finish = () => {
+        if (!entry?.version) return;
+        const key = packageKey(descriptorName(entry.descriptors[0]), entry.version);
+        entry.descriptors.forEach(d => byDescriptor.set(d, key));
+        if (!packages.has(key)) packages.set(key, { key, name: descriptorName(entry.descriptors[0]), version: entry.version, deps: entry.deps });
+    };
+
+    text.split('\n').forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const indent = line.length - line.trimStart().length;
+        const content = line.trim();
+        if (indent === 0) {
+            finish();
+            const descriptors = content.replace(/:$/, '').split(',').map(unquote).filter(Boolean);
+            const skip = descriptors.some(d => d === '__metadata' || d.includes('@workspace:') || d.includes('@patch:'));
+            entry = skip ? null : { descriptors, version: null, deps: [] };
+            inDeps = false;
+            return;
+        }
+        if (!entry) return;
+        const [, rawKey, rawValue = ''] = content.match(/^("[^"]+"|[^\s:]+):?\s*(.*)$/) || [];
+        if (!rawKey) return;
+        if (indent <= 2) {
+            inDeps = /^(dependencies|optionalDependencies)$/.test(rawKey);
+            if (rawKey === 'version') entry.version = unquote(rawValue);
+        } else if (inDeps) {
+            entry.deps.push(`${unquote(rawKey)}@${unquote(rawValue)}`);
+        }
+    });
+    finish();
+
+    // Dependencies were collected as descriptors; resolved once every entry is known.
+    // Berry writes a dependency's range without the "npm:" its entry is keyed by.
+    const lookup = (name, range) => byDescriptor.get(`${name}@${range}`) || byDescriptor.get(`${name}@npm:${range}`) || null;
+    packages.forEach(pkg => {
+        pkg.deps = pkg.deps.map(d => lookup(descriptorName(d), d.slice(descriptorName(d).length + 1))).filter(Boolean);
+    });
+    const resolve = (importer, name, range) => lookup(name, range);
+    return { packages, resolve };
+}
+
+function parseLockfile(path, text) {
+    if (path.endsWith('pnpm-lock.yaml')) return parsePnpmLock(text);
+    if (path.endsWith('yarn.lock')) return parseYarnLock(text);
+    return parsePackageLock(text);
+}
+
+/**
+ * @param {Array<{ path: string, text: string }>} files  package.json files and lockfiles
+ */
+function parseNpm(files) {
+    const locks = files.filter(f => LOCKFILE.test(f.path)).map(f => {
+        try {
+            return { dir: dirname(f.path), ...parseLockfile(f.path, f.text) };
+        } catch (e) {
+            console.warn(`[Deps] ${f.path}:`, e.message);
+            return null;
+        }
+    }).filter(Boolean);
+
+    const direct = [];
+    files.filter(f => MANIFEST.test(f.path)).forEach(f => {
+        let json;
+        try { json = JSON.parse(f.text); } catch { return; }
+        const dir = dirname(f.path);
+        const lock = locks.filter(l => !l.dir || dir === l.dir || dir.startsWith(`${l.dir}/`)).sort((a, b) => b.dir.length - a.dir.length)[0];
+        const importer = lock ? dir.slice(lock.dir.length).replace(/^\//, '') : '';
+        DEP_FIELDS.forEach(([field, dev]) => Object.entries(json[field] || {}).forEach(([name, range]) => {
+            if (typeof range !== 'string' || /^(workspace|link|file):/.test(range)) return;
+            direct.push({ name, version: range, dev, manifest: f.path, key: lock?.resolve(importer, name, range) || null });
+        }));
+    });
+
+    const packages = new Map();
+    locks.forEach(l => l.packages.forEach((pkg, key) => packages.set(key, pkg)));
+    return { direct, packages };
+}
+
+// "lodash/fp" → lodash, "@scope/pkg/sub" → @scope/pkg; Node built-ins aren't dependencies
+function npmImportNames(spec) {
+    if (spec.startsWith('/') || spec.startsWith('node:') || /^[a-z]+:\/\//.test(spec)) return [];
+    const parts = spec.split('/');
+    return [spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0]];
+}
+
+export const npmEcosystem = {
+    id: 'npm',
+    label: 'npm',
+    osv: 'npm',
+    purl: 'npm',
+    color: '#cb3837',
+    language: 'javascript',
+    isManifest: (path) => MANIFEST.test(path),
+    isLockfile: (path) => LOCKFILE.test(path),
+    parse: parseNpm,
+    importNames: npmImportNames,
+};
@@ -0,0 +1,113 @@
+/**
+ * python.js
+ * requirements*.txt and pyproject.toml (PEP 621 / PEP 735 / Poetry) for the direct
+ * dependencies; poetry.lock for what they pull in. Names are PEP 503-normalized
+ * ("Flask_Login" → "flask-login"), the form lockfiles and advisories use.
+ */
+
+import { packageKey, dirname, parseToml } from './shared';
+
+const MANIFEST = /(^|\/)(requirements[\w.-]*\.txt|requirements\/[\w.-]+\.txt|pyproject\.toml)$/;
+const LOCKFILE = /(^|\/)poetry\.lock$/;
+const DEV_FILE = /dev|test|lint|doc|ci/i;
+
+// Import names that differ from the distribution that provides them
+const IMPORT_ALIASES = {
+    yaml: 'pyyaml', sklearn: 'scikit-learn', PIL: 'pillow', cv2: 'opencv-python', bs4: 'beautifulsoup4',
+    dateutil: 'python-dateutil', dotenv: 'python-dotenv', jwt: 'pyjwt', magic: 'python-magic', attr: 'attrs',
+};
+
+export const normalizeName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+// "requests[socks]>=2.31 ; python_version >= '3.8'" → { name, version }; pins keep just the version
+function parseRequirement(line) {
+    const m = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;]*)/);
+    if (!m) return null;
+    const spec = m[2].trim();
+    return { name: normalizeName(m[1]), version: spec.startsWith('==') ? spec.slice(2).trim() : (spec || '*') };
+}
+
+function requirementsFile(text) {
+    return text.split('\n')
+        .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+        .filter(line => line && !line.startsWith('-') && !line.includes('://'))
+        .map(parseRequirement)
+        .filter(Boolean);
+}
+
+function pyprojectFile(text) {
+    const toml = parseToml(text);
+    const out = [];
+    const pep508 = (list, dev) => (Array.isArray(list) ? list : []).forEach(s => {
+        const req = typeof s === 'string' && parseRequirement(s);
+        if (req) out.push({ ...req, dev });
+    });
+    const poetry = (table, dev) => Object.entries(table || {}).forEach(([name, spec]) => {
+        if (name === 'python') return;
+        out.push({ name: normalizeName(name), version: typeof spec === 'string' ? spec : (spec?.version || '*'), dev });
+    });
+
+    pep508(toml.project?.dependencies, false);
+    Object.values(toml.project?.['optional-dependencies'] || {}).forEach(list => pep508(list, true));
+    Object.values(toml['dependency-groups'] || {}).forEach(list => pep508(list, true));
+    poetry(toml.tool?.poetry?.dependencies, false);
+    poetry(toml.tool?.poetry?.['dev-dependencies'], true);
+    Object.values(toml.tool?.poetry?.group || {}).forEach(group => poetry(group.dependencies, true));
+    return out;
+}
+
+// poetry.lock: one version per name, dependencies by name
+function poetryLock(text) {
+    const entries = parseToml(text).package || [];
+    const byName = new Map(entries.map(p => [normalizeName(p.name), packageKey(normalizeName(p.name), p.version)]));
+    const packages = new Map();
+    entries.forEach(p => {
+        const key = byName.get(normalizeName(p.name));
+        const deps = Object.keys(p.dependencies || {}).map(n => byName.get(normalizeName(n))).filter(Boolean);
+        packages.set(key, { key, name: normalizeName(p.name), version: p.version, deps });
+    });
+    return { packages, byName };
+}
+
+function parsePython(files) {
+    const locks = files.filter(f => LOCKFILE.test(f.path)).map(f => {
+        try {
+            return { dir: dirname(f.path), ...poetryLock(f.text) };
+        } catch (e) {
+            console.warn(`[Deps] ${f.path}:`, e.message);
+            return null;
+        }
+    }).filter(Boolean);
+
+    const direct = [];
+    files.filter(f => MANIFEST.test(f.path)).forEach(f => {
+        const dir = dirname(f.path);
+        const lock = locks.filter(l => !l.dir || dir === l.dir || dir.startsWith(`${l.dir}/`)).sort((a, b) => b.dir.length - a.dir.length)[0];
+        const reqs = f.path.endsWith('.toml')
+            ? pyprojectFile(f.text)
+            : requirementsFile(f.text).map(r => ({ ...r, dev: DEV_FILE.test(f.path.split('/').pop()) }));
+        reqs.forEach(r => direct.push({ ...r, manifest: f.path, key: lock?.byName.get(r.name) || null }));
+    });
+
+    const packages = new Map();
+    locks.forEach(l => l.packages.forEach((pkg, key) => packages.set(key, pkg)));
+    return { direct, packages };
+}
+
+function pythonImportNames(spec) {
+    const top = spec.split('.')[0];
+    return [IMPORT_ALIASES[top] || normalizeName(top)];
+}
+
+export const pythonEcosystem = {
+    id: 'pypi',
+    label: 'PyPI',
+    osv: 'PyPI',
+    purl: 'pypi',
+    color: '#3775a9',
+    language: 'python',
+    isManifest: (path) => MANIFEST.test(path),
+    isLockfile: (path) => LOCKFILE.test(path),
+    parse: parsePython,
+    importNames: pythonImportNames,
+};
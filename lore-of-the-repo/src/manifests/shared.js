@@ -0,0 +1,187 @@
+/**
+ * manifests/shared.js
+ * Just enough YAML and TOML for lockfiles and manifests (pnpm-lock.yaml, yarn berry, Cargo,
+ * poetry) — no anchors, multi-document streams or date types, which none of them use.
+ */
+
+export const packageKey = (name, version) => `${name}@${version}`;
+
+export function dirname(path) {
+    const i = path.lastIndexOf('/');
+    return i === -1 ? '' : path.slice(0, i);
+}
+
+export function unquote(s) {
+    const t = s.trim();
+    if (t.length > 1 && (t[0] === '"' || t[0] === "'") && t[t.length - 1] === t[0]) return t.slice(1, -1);
+    return t;
+}
+
+/**
+ * Block mappings and sequences of scalars, by indentation; a sequence may sit at its key's
+ * own indent (`paths:` / `- lib/**`). Flow collections (`{ a: 1 }`, `[x64]`) stay raw strings.
+ */
+export function parseYaml(text) {
+    const root = {};
+    const stack = [{ indent: -1, node: root }];
+
+    text.split('\n').forEach(raw => {
+        const line = raw.replace(/\s+#.*$/, '');
+        const content = line.trim();
+        if (!content || content.startsWith('#') || content === '---') return;
+        const indent = line.length - line.trimStart().length;
+        const item = content === '-' || content.startsWith('- ');
+        // An item at its key's indent still belongs to that key, if the key holds nothing else
+        const takesItem = (f) => item && f.indent === indent && (Array.isArray(f.node) || (f.parent && !Object.keys(f.node).length));
+        while (stack.length > 1 && stack[stack.length - 1].indent >= indent && !takesItem(stack[stack.length - 1])) stack.pop();
+        const top = stack[stack.length - 1];
+
+        if (item) {
+            // A key whose children turn out to be items holds a list, not a mapping
+            if (!Array.isArray(top.node) && top.parent && !Object.keys(top.node).length) {
+                top.node = top.parent[top.key] = [];
+            }
+            if (Array.isArray(top.node)) top.node.push(unquote(content.slice(1)));
+            return;
+        }
+
+        const m = content.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?):(?:\s+(.*))?$/);
+        if (!m || Array.isArray(top.node)) return;
+        const key = unquote(m[1]);
+        if (m[2] === undefined || m[2] === '') {
+            top.node[key] = {};
+            stack.push({ indent, node: top.node[key], parent: top.node, key });
+        } else {
+            top.node[key] = unquote(m[2]);
+        }
+    });
+    return root;
+}
+
+/**
+ * TOML → plain object: tables, arrays of tables, dotted / quoted keys, strings (basic,
+ * literal, multi-line), arrays and inline tables. Numbers, booleans and dates stay strings.
+ */
+export function parseToml(text) {
+    const root = {};
+    let table = root;
+    let i = 0;
+
+    const peek = () => text[i];
+    const skipSpace = (newlines) => {
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === ' ' || ch === '\t' || ch === '\r' || (newlines && ch === '\n')) i++;
+            else if (ch === '#') while (i < text.length && text[i] !== '\n') i++;
+            else break;
+        }
+    };
+    const readString = () => {
+        const q = text[i];
+        const multi = text.startsWith(q.repeat(3), i);
+        const end = multi ? q.repeat(3) : q;
+        i += end.length;
+        if (multi && text[i] === '\n') i++;
+        let out = '';
+        while (i < text.length && !text.startsWith(end, i)) {
+            if (q === '"' && text[i] === '\\') {
+                const esc = text[i + 1];
+                out += { n: '\n', t: '\t', '"': '"', '\\': '\\' }[esc] ?? esc;
+                i += 2;
+            } else {
+                out += text[i++];
+            }
+        }
+        i += end.length;
+        return out;
+    };
+    const readKey = () => {
+        const parts = [];
+        for (;;) {
+            skipSpace(false);
+            if (peek() === '"' || peek() === "'") {
+                parts.push(readString());
+            } else {
+                const start = i;
+                while (i < text.length && /[\w-]/.test(text[i])) i++;
+                parts.push(text.slice(start, i));
+            }
+            skipSpace(false);
+            if (peek() !== '.') return parts;
+            i++;
+        }
+    };
+    const readValue = () => {
+        skipSpace(false);
+        const ch = peek();
+        if (ch === '"' || ch === "'") return readString();
+        if (ch === '[') {
+            i++;
+            const arr = [];
+            for (;;) {
+                skipSpace(true);
+                if (peek() === ']') { i++; return arr; }
+                if (i >= text.length) return arr;
+                arr.push(readValue());
+                skipSpace(true);
+                if (peek() === ',') i++;
+            }
+        }
+        if (ch === '{') {
+            i++;
+            const obj = {};
+            for (;;) {
+                skipSpace(false);
+                if (peek() === '}') { i++; return obj; }
+                if (i >= text.length || peek() === '\n') return obj;
+                const key = readKey();
+                if (peek() === '=') i++;
+                setPath(obj, key, readValue());
+                skipSpace(false);
+                if (peek() === ',') i++;
+            }
+        }
+        const start = i;
+        while (i < text.length && !/[,\]}\n#]/.test(text[i])) i++;
+        return text.slice(start, i).trim();
+    };
+    // Walks / creates `keys` under `obj`; arrays of tables continue their last element
+    const descend = (obj, keys) => keys.reduce((node, k) => {
+        if (Array.isArray(node[k])) return node[k][node[k].length - 1];
+        if (node[k] === undefined || typeof node[k] !== 'object') node[k] = {};
+        return node[k];
+    }, obj);
+    const setPath = (obj, keys, value) => {
+        descend(obj, keys.slice(0, -1))[keys[keys.length - 1]] = value;
+    };
+
+    while (i < text.length) {
+        skipSpace(true);
+        if (i >= text.length) break;
+        if (peek() === '[') {
+            const isArray = text[i + 1] === '[';
+            i += isArray ? 2 : 1;
+            const keys = readKey();
+            i += isArray ? 2 : 1;
+            if (isArray) {
+                const parent = descend(root, keys.slice(0, -1));
+                const last = keys[keys.length - 1];
+                if (!Array.isArray(parent[last])) parent[last] = [];
+                table = {};
+                parent[last].push(table);
+            } else {
+                table = descend(root, keys);
+            }
+        } else {
+            const key = readKey();
+            if (peek() !== '=') {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            i++;
+            setPath(table, key, readValue());
+        }
+        while (i < text.length && text[i] !== '\n') i++;
+    }
+    return root;
+}
@@ -0,0 +1,87 @@
+/**
+ * archive.js
+ * Dropped .zip archives and picked folders, held in memory for this tab only.
+ * `archive:<id>` inputs refer to a registered archive; they are never cached because
+ * the files are gone after a reload.
+ */
+
+const archives = new Map();
+let nextId = 1;
+
+const LANGUAGE_BY_EXT = {
+    js: 'JavaScript', jsx: 'JavaScript', mjs: 'JavaScript', ts: 'TypeScript', tsx: 'TypeScript',
+    py: 'Python', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin', rb: 'Ruby', php: 'PHP',
+    cs: 'C#', swift: 'Swift', c: 'C', cpp: 'C++', vue: 'Vue', dart: 'Dart', sh: 'Shell',
+};
+
+export function registerArchive(archive) {
+    const id = `${archive.name.toLowerCase().replace(/[^\w.-]+/g, '-')}-${nextId++}`;
+    archives.set(id, archive);
+    return id;
+}
+
+function getArchive({ repo }) {
+    const archive = archives.get(repo);
+    if (!archive) throw new Error('This archive is no longer loaded — drop the .zip or folder again.');
+    return archive;
+}
+
+function dominantLanguage(entries) {
+    const counts = {};
+    entries.forEach(e => {
+        const lang = e.type === 'blob' && LANGUAGE_BY_EXT[e.path.split('.').pop().toLowerCase()];
+        if (lang) counts[lang] = (counts[lang] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+export const archiveProvider = {
+    id: 'archive',
+    label: 'Archive',
+    ephemeral: true,
+
+    matchesHost: () => false,
+
+    parsePath: () => null,
+
+    canonicalUrl: ({ repo }) => repo,
+
+    webUrl: () => null,
+
+    async getMetadata(target) {
+        const archive = getArchive(target);
+        const now = new Date().toISOString();
+        return {
+            notModified: false,
+            etag: null,
+            data: {
+                name: archive.name,
+                full_name: `archive/${archive.name}`,
+                description: 'Uploaded from this browser',
+                language: dominantLanguage(archive.entries),
+                stargazers_count: 0,
+                forks_count: 0,
+                open_issues_count: 0,
+                size: Math.round(archive.entries.reduce((sum, e) => sum + e.size, 0) / 1024),
+                topics: [],
+                default_branch: 'archive',
+                created_at: now,
+                pushed_at: now,
+                html_url: null,
+            },
+        };
+    },
+
+    resolveRef: async () => ({ ref: null, refType: null, path: '' }),
+
+    getHeadSha: async () => ({ notModified: false, data: null, etag: null }),
+
+    getTree: async (target) => getArchive(target).entries,
+
+    getContributorCount: async () => 1,
+
+    getRawFile: (target, ref, path) => getArchive(target).readFile(path),
+
+    // Archives carry no history
+    getCommitLog: async () => ({ commits: [], total: null }),
+};
@@ -0,0 +1,165 @@
+/**
+ * bitbucket.js
+ * Bitbucket Cloud REST 2.0 provider (bitbucket.org workspaces).
+ * Bitbucket has no stars / contributor counts; those are approximated or left at 0.
+ */
+
+import { forgeRequest, forgeJson, forgeJsonConditional, splitRefAndPath, mapWithConcurrency, commitEntry, COMMIT_PAGE_SIZE } from './shared';
+
+const BITBUCKET_API = 'https://api.bitbucket.org/2.0';
+const MAX_TREE_PAGES = 200;
+const SRC_MAX_DEPTH = 50;
+const MAX_COMMIT_DETAILS = 50;
+const DETAIL_CONCURRENCY = 4;
+
+function headers(token) {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+const repoApi = ({ owner, repo }) => `${BITBUCKET_API}/repositories/${owner}/${repo}`;
+
+function options(token, label, extra = {}) {
+    return { headers: headers(token), label, forge: 'Bitbucket', ...extra };
+}
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+export const bitbucketProvider = {
+    id: 'bitbucket',
+    label: 'Bitbucket',
+
+    matchesHost: (host) => host === 'bitbucket.org',
+
+    // workspace/repo[/src/<ref...>] or /commits/<sha>
+    parsePath(parts) {
+        if (parts.length < 2) return null;
+        const [owner, repo, section, ...rest] = parts;
+        if (section === 'src' && rest.length > 0) return { owner, repo, kind: 'tree', refSegments: rest };
+        if ((section === 'commits' || section === 'commit') && rest.length > 0) return { owner, repo, kind: 'commit', refSegments: rest };
+        return { owner, repo, kind: null, refSegments: [] };
+    },
+
+    canonicalUrl({ owner, repo, kind, refSegments }) {
+        const base = `bitbucket.org/${owner}/${repo}`;
+        if (!refSegments.length) return base;
+        return `${base}/${kind === 'commit' ? 'commits' : 'src'}/${refSegments.join('/')}`;
+    },
+
+    webUrl: ({ owner, repo }) => `https://bitbucket.org/${owner}/${repo}`,
+
+    async getMetadata(target, token, { etag } = {}) {
+        const res = await forgeJsonConditional(repoApi(target), options(token, `${target.owner}/${target.repo}`, { etag }));
+        if (res.notModified) return res;
+        const d = res.data;
+        return {
+            ...res,
+            data: {
+                name: d.name,
+                full_name: d.full_name,
+                description: d.description,
+                language: d.language || null,
+                stargazers_count: 0,
+                forks_count: 0,
+                open_issues_count: 0,
+                size: Math.round((d.size || 0) / 1024),
+                topics: [],
+                default_branch: d.mainbranch?.name || 'main',
+                created_at: d.created_on,
+                pushed_at: d.updated_on,
+                html_url: d.links?.html?.href,
+            },
+        };
+    },
+
+    // BBQL `name ~ "x"` is a substring match; exact matching happens in splitRefAndPath
+    resolveRef(target, token) {
+        return splitRefAndPath(target, async () => {
+            const q = encodeURIComponent(`name ~ "${target.refSegments[0]}"`);
+            const list = async (kind) => {
+                const page = await forgeJson(`${repoApi(target)}/refs/${kind}?q=${q}&pagelen=100`, options(token, kind));
+                return new Set((page?.values || []).map(r => r.name));
+            };
+            const [branches, tags] = await Promise.all([list('branches'), list('tags')]);
+            return { branches, tags };
+        });
+    },
+
+    async getHeadSha(target, ref, token) {
+        const commit = await forgeJson(`${repoApi(target)}/commit/${encodeURIComponent(ref)}`, options(token, 'head'));
+        return { notModified: false, data: commit.hash, etag: null };
+    },
+
+    // One recursive `src` listing (max_depth) followed through its `next` links.
+    // Entries have no per-file SHA, so `sha` stays null and layouts fall back to path ids.
+    async getTree(target, { ref, path = '' }, token, onProgress) {
+        const entries = [];
+        let url = `${repoApi(target)}/src/${encodeURIComponent(ref)}/${path ? `${encodePath(path)}/` : ''}?max_depth=${SRC_MAX_DEPTH}&pagelen=100`;
+
+        for (let page = 0; url && page < MAX_TREE_PAGES; page++) {
+            let data;
+            try {
+                data = await forgeJson(url, options(token, 'tree'));
+            } catch (e) {
+                console.warn('Bitbucket tree page failed:', e.message);
+                break;
+            }
+            (data?.values || []).forEach(item => entries.push({
+                path: item.path,
+                type: item.type === 'commit_directory' ? 'tree' : 'blob',
+                sha: null,
+                size: item.size || 0,
+            }));
+            onProgress?.({ nodes: entries.length, walking: true });
+            url = data?.next || null;
+        }
+        return entries;
+    },
+
+    // No contributors endpoint — distinct authors in the latest page of commits
+    async getContributorCount(target, token) {
+        try {
+            const page = await forgeJson(`${repoApi(target)}/commits?pagelen=100`, options(token, 'contributors'));
+            const authors = new Set((page?.values || []).map(c => c.author?.raw).filter(Boolean));
+            return Math.max(1, authors.size);
+        } catch {
+            return 1;
+        }
+    },
+
+    // No total anywhere in the API — it's only known when paging reaches the first commit.
+    // Touched paths come from one diffstat request per commit.
+    async getCommitLog(target, { ref, path = '' }, token, { limit, details = true }) {
+        const commits = [];
+        let url = `${repoApi(target)}/commits/${encodeURIComponent(ref)}?pagelen=${COMMIT_PAGE_SIZE}${path ? `&path=${encodeURIComponent(path)}` : ''}`;
+
+        while (url && commits.length < limit) {
+            const page = await forgeJson(url, options(token, 'commits'));
+            (page?.values || []).forEach(c => commits.push(commitEntry({
+                sha: c.hash,
+                author: c.author?.user?.display_name || c.author?.raw?.replace(/\s*<.*>$/, ''),
+                email: c.author?.raw?.match(/<(.+)>/)?.[1] || null,
+                date: c.date,
+                message: c.message,
+            })));
+            url = page?.next || null;
+        }
+        commits.length = Math.min(commits.length, limit);
+
+        if (details) {
+            await mapWithConcurrency(commits.slice(0, MAX_COMMIT_DETAILS), DETAIL_CONCURRENCY, async (commit) => {
+                try {
+                    const stat = await forgeJson(`${repoApi(target)}/diffstat/${commit.sha}?pagelen=100`, options(token, 'diffstat'));
+                    commit.paths = (stat?.values || []).map(d => d.new?.path || d.old?.path).filter(Boolean);
+                } catch (e) {
+                    console.warn(`Commit ${commit.sha.slice(0, 7)} diffstat failed:`, e.message);
+                }
+            });
+        }
+        return { commits, total: url ? null : commits.length };
+    },
+
+    async getRawFile(target, ref, path, token) {
+        const resp = await forgeRequest(`${repoApi(target)}/src/${encodeURIComponent(ref)}/${encodePath(path)}`, options(token, path));
+        return resp.text();
+    },
+};
@@ -0,0 +1,169 @@
+/**
+ * gitea.js
+ * Gitea / Forgejo REST v1 provider (gitea.com, codeberg.org, self-hosted).
+ * The git/trees endpoint mirrors GitHub's shape but is paginated.
+ */
+
+import { forgeRequest, forgeJson, forgeJsonConditional, splitRefAndPath, filterToPath, commitEntry } from './shared';
+
+const TREE_PAGE_SIZE = 1000;
+const MAX_TREE_PAGES = 50;
+const MAX_REF_CANDIDATES = 4;   // each candidate costs two lookups
+const COMMIT_PAGE_SIZE = 50;    // Gitea's default MAX_RESPONSE_ITEMS
+
+function headers(token) {
+    return token ? { Authorization: `token ${token}` } : {};
+}
+
+const repoApi = ({ host, owner, repo }) => `https://${host}/api/v1/repos/${owner}/${repo}`;
+
+function options(token, label, extra = {}) {
+    return { headers: headers(token), label, forge: 'Gitea', ...extra };
+}
+
+async function exists(url, token) {
+    try {
+        await forgeRequest(url, options(token, 'ref'));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export const giteaProvider = {
+    id: 'gitea',
+    label: 'Gitea',
+
+    matchesHost: (host) => ['gitea.com', 'codeberg.org'].includes(host) || /gitea|forgejo/.test(host),
+
+    // owner/repo[/src/branch|tag|commit/<ref...>]
+    parsePath(parts) {
+        if (parts.length < 2) return null;
+        const [owner, repo, section, refKind, ...rest] = parts;
+        if (section === 'src' && ['branch', 'tag', 'commit'].includes(refKind) && rest.length > 0) {
+            return { owner, repo, kind: 'tree', refSegments: rest };
+        }
+        return { owner, repo, kind: null, refSegments: [] };
+    },
+
+    // Branch vs tag isn't kept in the target; Gitea redirects /src/branch/<tag> fine
+    canonicalUrl({ host, owner, repo, refSegments }) {
+        const base = `${host}/${owner}/${repo}`;
+        return refSegments.length ? `${base}/src/branch/${refSegments.join('/')}` : base;
+    },
+
+    webUrl: ({ host, owner, repo }) => `https://${host}/${owner}/${repo}`,
+
+    async getMetadata(target, token, { etag } = {}) {
+        const res = await forgeJsonConditional(repoApi(target), options(token, `${target.owner}/${target.repo}`, { etag }));
+        if (res.notModified) return res;
+        const d = res.data;
+        return {
+            ...res,
+            data: {
+                name: d.name,
+                full_name: d.full_name,
+                description: d.description,
+                language: d.language || null,
+                stargazers_count: d.stars_count || 0,
+                forks_count: d.forks_count || 0,
+                open_issues_count: d.open_issues_count || 0,
+                size: d.size || 0,
+                topics: d.topics || [],
+                default_branch: d.default_branch,
+                created_at: d.created_at,
+                pushed_at: d.updated_at,
+                html_url: d.html_url,
+            },
+        };
+    },
+
+    // No prefix search for refs — probe the first few candidates directly
+    resolveRef(target, token) {
+        return splitRefAndPath(target, async (candidates) => {
+            const probe = candidates.slice(0, MAX_REF_CANDIDATES);
+            const [branchHits, tagHits] = await Promise.all([
+                Promise.all(probe.map(c => exists(`${repoApi(target)}/branches/${encodeURIComponent(c)}`, token))),
+                Promise.all(probe.map(c => exists(`${repoApi(target)}/tags/${encodeURIComponent(c)}`, token))),
+            ]);
+            return {
+                branches: new Set(probe.filter((_, i) => branchHits[i])),
+                tags: new Set(probe.filter((_, i) => tagHits[i])),
+            };
+        });
+    },
+
+    async getHeadSha(target, ref, token) {
+        const commits = await forgeJson(`${repoApi(target)}/commits?sha=${encodeURIComponent(ref)}&limit=1&stat=false`, options(token, 'head'));
+        return { notModified: false, data: commits?.[0]?.sha || null, etag: null };
+    },
+
+    async getTree(target, { ref, path = '' }, token, onProgress) {
+        const entries = [];
+        for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+            let data;
+            try {
+                data = await forgeJson(
+                    `${repoApi(target)}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`,
+                    options(token, 'tree')
+                );
+            } catch (e) {
+                console.warn('Gitea tree page failed:', e.message);
+                break;
+            }
+            const items = data?.tree || [];
+            items.forEach(item => entries.push({ path: item.path, type: item.type, sha: item.sha, size: item.size || 0 }));
+            onProgress?.({ nodes: entries.length, walking: true });
+            if (!data?.truncated || items.length === 0) break;
+        }
+        return filterToPath(entries, path);
+    },
+
+    // Gitea has no contributors endpoint — count distinct authors in recent history
+    async getContributorCount(target, token) {
+        try {
+            const commits = await forgeJson(`${repoApi(target)}/commits?limit=100&stat=false`, options(token, 'contributors'));
+            const authors = new Set((commits || []).map(c => c.commit?.author?.email || c.author?.login).filter(Boolean));
+            return Math.max(1, authors.size);
+        } catch {
+            return 1;
+        }
+    },
+
+    // Commit pages already list touched files; X-Total-Count carries the real total
+    async getCommitLog(target, { ref, path = '' }, token, { limit }) {
+        const commits = [];
+        let total = null;
+        for (let page = 1; commits.length < limit; page++) {
+            const resp = await forgeRequest(
+                `${repoApi(target)}/commits?sha=${encodeURIComponent(ref)}&limit=${COMMIT_PAGE_SIZE}&page=${page}&stat=false&verification=false`
+                + `${path ? `&path=${encodeURIComponent(path)}` : ''}`,
+                options(token, 'commits')
+            );
+            if (total === null) total = parseInt(resp.headers.get('X-Total-Count'), 10) || null;
+            const items = await resp.json();
+            items.forEach(c => commits.push(commitEntry({
+                sha: c.sha,
+                author: c.author?.login || c.commit?.author?.name,
+                email: c.commit?.author?.email,
+                date: c.commit?.author?.date,
+                message: c.commit?.message,
+                paths: Array.isArray(c.files) ? c.files.map(f => f.filename) : null,
+            })));
+            if (items.length < COMMIT_PAGE_SIZE) {
+                if (total === null) total = commits.length;
+                break;
+            }
+        }
+        commits.length = Math.min(commits.length, limit);
+        return { commits, total };
+    },
+
+    async getRawFile(target, ref, path, token) {
+        const resp = await forgeRequest(
+            `${repoApi(target)}/raw/${path.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(ref)}`,
+            options(token, path)
+        );
+        return resp.text();
+    },
+};
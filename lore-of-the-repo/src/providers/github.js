@@ -0,0 +1,378 @@
+/**
+ * github.js
+ * GitHub REST provider — api.github.com, optional personal access token.
+ * - Uses the repo's actual default_branch unless the URL pins a ref
+ * - Walks subtrees when GitHub truncates the recursive tree (huge repos)
+ * - Resolves slashed refs (feature/foo) through matching-refs
+ * - ETag-aware metadata + head SHA lookups for cache revalidation
+ */
+
+import { githubHeaders, describeAuthFailure } from '../utils/githubAuth';
+import { forgeRequest, mapWithConcurrency, splitRefAndPath, nextLink, commitEntry, ciJob, COMMIT_PAGE_SIZE } from './shared';
+
+const GITHUB_API = 'https://api.github.com';
+const TREE_CONCURRENCY = 6;          // parallel subtree requests while walking
+const MAX_SUBTREE_REQUESTS = 250;    // hard stop so one repo can't drain the rate limit
+const SHA_MEDIA_TYPE = 'application/vnd.github.sha';
+const MAX_COMMIT_DETAILS = 100;      // touched-path lookups (1 request each, token only)
+const CI_PAGE_SIZE = 100;            // newest check runs / workflow runs of a commit
+
+// ─── Request helpers ──────────────────────────────────────────
+function ghRequest(url, label, token, { etag, accept } = {}) {
+    return forgeRequest(url, {
+        headers: githubHeaders(token, accept),
+        etag,
+        label,
+        forge: 'GitHub',
+        describeError: (resp, body) => {
+            const rateLimitReset = resp.headers.get('X-RateLimit-Reset');
+            const resetTime = rateLimitReset
+                ? new Date(parseInt(rateLimitReset) * 1000).toLocaleTimeString()
+                : null;
+
+            if (resp.status === 401) return describeAuthFailure(resp, token);
+            if (resp.status === 403) {
+                if (body.includes('rate limit')) {
+                    return `GitHub API rate limit exceeded.${resetTime ? ` Resets at ${resetTime}.` : ' Please wait ~1 minute and retry.'}${token ? '' : ' Add a GitHub token to raise the limit.'}`;
+                }
+                return describeAuthFailure(resp, token);
+            }
+            if (resp.status === 404) {
+                return `Repository not found (404)${label ? ` [${label}]` : ''}.\n\nCheck that:\n• The URL is spelled correctly\n• The repository is public${token ? ' or your token can read it' : ' (or add a GitHub token)'}\n• Example: github.com/facebook/react`;
+            }
+            if (resp.status === 451) return 'Repository unavailable due to legal reasons (451).';
+            return null;
+        },
+    });
+}
+
+async function ghFetch(url, label, token) {
+    const resp = await ghRequest(url, label, token);
+    return resp.json();
+}
+
+// { notModified: true } on 304, otherwise { data, etag } for the next revalidation
+async function ghFetchConditional(url, label, token, etag, accept) {
+    const resp = await ghRequest(url, label, token, { etag, accept });
+    if (resp.status === 304) return { notModified: true, etag };
+    const data = accept === SHA_MEDIA_TYPE ? (await resp.text()).trim() : await resp.json();
+    return { notModified: false, data, etag: resp.headers.get('ETag') };
+}
+
+const repoApi = ({ owner, repo }) => `${GITHUB_API}/repos/${owner}/${repo}`;
+
+// ─── Sub-path Tree SHA ────────────────────────────────────────
+// Looking the folder up in its parent listing lets us fetch only that subtree,
+// so a sub-path of a huge monorepo never hits the truncation limit.
+async function resolvePathTreeSha(target, ref, path, token) {
+    const slash = path.lastIndexOf('/');
+    const parent = slash === -1 ? '' : path.slice(0, slash);
+    const name = path.slice(slash + 1);
+    const listing = await ghFetch(
+        `${repoApi(target)}/contents${parent ? `/${parent}` : ''}?ref=${encodeURIComponent(ref)}`,
+        `path ${path}`,
+        token
+    );
+    const entry = Array.isArray(listing) ? listing.find(item => item.name === name && item.type === 'dir') : null;
+    if (!entry) throw new Error(`Path "${path}" was not found at ref "${ref}".`);
+    return entry.sha;
+}
+
+// ─── Truncated Tree Walker ────────────────────────────────────
+// GitHub caps recursive trees (~100k entries / 7MB) and sets `truncated: true`.
+// Walk level by level: list a tree non-recursively, then try each child subtree
+// recursively; any subtree that is itself truncated gets split one level further.
+async function walkTruncatedTree(target, rootSha, token, onProgress) {
+    const entries = [];
+    let pending = [{ sha: rootSha, prefix: '', recursive: false }];
+    let requests = 0;
+
+    while (pending.length > 0) {
+        if (requests >= MAX_SUBTREE_REQUESTS) {
+            console.warn(`[Lore] Tree walk stopped after ${requests} requests — ${pending.length} subtrees skipped`);
+            return { tree: entries, truncated: true };
+        }
+
+        const batch = pending.slice(0, MAX_SUBTREE_REQUESTS - requests);
+        pending = pending.slice(batch.length);
+        requests += batch.length;
+
+        const responses = await mapWithConcurrency(batch, TREE_CONCURRENCY, async (node) => {
+            try {
+                const data = await ghFetch(
+                    `${repoApi(target)}/git/trees/${node.sha}${node.recursive ? '?recursive=1' : ''}`,
+                    'subtree',
+                    token
+                );
+                return { node, data };
+            } catch (e) {
+                console.warn(`Subtree fetch failed for "${node.prefix || '/'}":`, e.message);
+                return { node, data: null };
+            }
+        });
+
+        for (const { node, data } of responses) {
+            if (!data?.tree) continue;
+
+            // Still too big — list it flat and descend into its children instead
+            if (node.recursive && data.truncated) {
+                pending.push({ ...node, recursive: false });
+                continue;
+            }
+
+            for (const item of data.tree) {
+                const path = node.prefix + item.path;
+                entries.push({ ...item, path });
+                if (!node.recursive && item.type === 'tree') {
+                    pending.push({ sha: item.sha, prefix: `${path}/`, recursive: true });
+                }
+            }
+        }
+
+        onProgress?.({ nodes: entries.length, walking: true });
+    }
+
+    return { tree: entries, truncated: false };
+}
+
+export const githubProvider = {
+    id: 'github',
+    label: 'GitHub',
+
+    matchesHost: (host) => host === 'github.com',
+
+    // owner/repo[/tree|blob|commit/<ref...>]
+    parsePath(parts) {
+        if (parts.length < 2) return null;
+        const [owner, repo, kind, ...rest] = parts;
+        if (['tree', 'blob', 'commit', 'commits'].includes(kind) && rest.length > 0) {
+            return { owner, repo, kind, refSegments: rest };
+        }
+        return { owner, repo, kind: null, refSegments: [] };
+    },
+
+    canonicalUrl({ owner, repo, kind, refSegments }) {
+        const base = `github.com/${owner}/${repo}`;
+        return refSegments.length ? `${base}/${kind}/${refSegments.join('/')}` : base;
+    },
+
+    webUrl: ({ owner, repo }) => `https://github.com/${owner}/${repo}`,
+
+    async getMetadata(target, token, { etag } = {}) {
+        const res = await ghFetchConditional(repoApi(target), `${target.owner}/${target.repo}`, token, etag);
+        if (res.notModified) return res;
+        const d = res.data;
+        return {
+            ...res,
+            data: {
+                name: d.name,
+                full_name: d.full_name,
+                description: d.description,
+                language: d.language,
+                stargazers_count: d.stargazers_count,
+                forks_count: d.forks_count,
+                open_issues_count: d.open_issues_count,
+                size: d.size,
+                topics: d.topics || [],
+                default_branch: d.default_branch,
+                created_at: d.created_at,
+                pushed_at: d.pushed_at,
+                html_url: d.html_url,
+            },
+        };
+    },
+
+    // GitHub's matching-refs returns every ref starting with the first segment
+    resolveRef(target, token) {
+        return splitRefAndPath(target, async () => {
+            const first = encodeURIComponent(target.refSegments[0]);
+            const list = async (ns) => {
+                const refs = await ghFetch(`${repoApi(target)}/git/matching-refs/${ns}/${first}`, `${ns}-refs`, token);
+                return new Set(Array.isArray(refs) ? refs.map(r => r.ref.replace(/^refs\/(heads|tags)\//, '')) : []);
+            };
+            const [branches, tags] = await Promise.all([list('heads'), list('tags')]);
+            return { branches, tags };
+        });
+    },
+
+    getHeadSha(target, ref, token, { etag } = {}) {
+        return ghFetchConditional(
+            `${repoApi(target)}/commits/${encodeURIComponent(ref)}`,
+            'head', token, etag, SHA_MEDIA_TYPE
+        );
+    },
+
+    // Always returns entries with full repo paths, even when only `path` was fetched. A listing
+    // that misses part of the repo is reported with onProgress({ nodes, truncated: true })
+    async getTree(target, { ref, path = '', explicitRef = false }, token, onProgress) {
+        const prefix = path ? `${path}/` : '';
+        const withPrefix = (items) => (prefix ? items.map(item => ({ ...item, path: prefix + item.path })) : items);
+
+        // Try 1: the ref (or the sub-path's own tree) by name — most reliable
+        try {
+            const treeish = path ? await resolvePathTreeSha(target, ref, path, token) : ref;
+            const data = await ghFetch(
+                `${repoApi(target)}/git/trees/${encodeURIComponent(treeish)}?recursive=1`,
+                'tree',
+                token
+            );
+            if (data?.tree && data.truncated) {
+                console.log(`[Lore] Tree truncated at ${data.tree.length} nodes — walking subtrees`);
+                onProgress?.({ nodes: 0, walking: true });
+                const walked = await walkTruncatedTree(target, data.sha, token, onProgress);
+                // Keep the partial recursive listing if the walk came back with less
+                const kept = walked.tree.length >= data.tree.length ? walked : { tree: data.tree, truncated: true };
+                if (kept.truncated) onProgress?.({ nodes: kept.tree.length, walking: false, truncated: true });
+                return withPrefix(kept.tree);
+            }
+            if (data?.tree) return withPrefix(data.tree);
+        } catch (e) {
+            console.warn('Tree fetch by ref failed:', e.message);
+        }
+
+        // Try 2: HEAD ref (some repos respond to this) — only when the user didn't pin a ref/path,
+        // otherwise we'd silently render a different snapshot than the one asked for
+        if (!explicitRef && !path) {
+            try {
+                const data = await ghFetch(`${repoApi(target)}/git/trees/HEAD?recursive=1`, 'HEAD-tree', token);
+                if (data?.truncated) onProgress?.({ nodes: data.tree.length, walking: false, truncated: true });
+                if (data?.tree) return data.tree;
+            } catch (e) {
+                console.warn('Tree fetch via HEAD failed:', e.message);
+            }
+        }
+
+        // Try 3: contents API as last resort (flatter, no sub-dirs)
+        try {
+            const contents = await ghFetch(
+                `${repoApi(target)}/contents${path ? `/${path}` : ''}?ref=${encodeURIComponent(ref)}`,
+                'contents',
+                token
+            );
+            if (Array.isArray(contents)) {
+                onProgress?.({ nodes: contents.length, walking: false, truncated: true });
+                return contents.map(item => ({
+                    path: item.path,
+                    type: item.type === 'dir' ? 'tree' : 'blob',
+                    sha: item.sha,
+                    size: item.size || 0,
+                }));
+            }
+        } catch (e) {
+            console.warn('Contents API fallback failed:', e.message);
+        }
+
+        // Give up — city will still build from repo metadata alone
+        console.warn('All tree fetch methods failed — building city from metadata only');
+        return [];
+    },
+
+    async getContributorCount(target, token) {
+        try {
+            const resp = await fetch(
+                `${repoApi(target)}/contributors?per_page=1&anon=1`,
+                { headers: githubHeaders(token) }
+            );
+            const link = resp.headers.get('Link') || '';
+            const match = link.match(/page=(\d+)>; rel="last"/);
+            if (match) return parseInt(match[1]);
+            const data = await resp.json();
+            return Array.isArray(data) ? Math.max(1, data.length) : 1;
+        } catch {
+            return 1;
+        }
+    },
+
+    // Newest-first commit pages up to `limit`; the real total comes from the last page
+    // number of a one-per-page listing. Touched paths need one request per commit, so
+    // they're only fetched with a token (anonymous calls get 60 requests an hour).
+    async getCommitLog(target, { ref, path = '' }, token, { limit, details = true }) {
+        const base = `${repoApi(target)}/commits?sha=${encodeURIComponent(ref)}${path ? `&path=${encodeURIComponent(path)}` : ''}`;
+
+        const countResp = await ghRequest(`${base}&per_page=1`, 'commit count', token);
+        const lastPage = (countResp.headers.get('Link') || '').match(/[?&]page=(\d+)>;\s*rel="last"/);
+        const total = lastPage ? parseInt(lastPage[1], 10) : (await countResp.json()).length;
+
+        const commits = [];
+        let url = `${base}&per_page=${Math.min(COMMIT_PAGE_SIZE, limit)}`;
+        while (url && commits.length < limit) {
+            const resp = await ghRequest(url, 'commits', token);
+            (await resp.json()).forEach(c => commits.push(commitEntry({
+                sha: c.sha,
+                author: c.author?.login || c.commit.author?.name,
+                email: c.commit.author?.email,
+                date: c.commit.author?.date,
+                message: c.commit.message,
+            })));
+            url = nextLink(resp);
+        }
+        commits.length = Math.min(commits.length, limit);
+
+        if (token && details) {
+            await mapWithConcurrency(commits.slice(0, MAX_COMMIT_DETAILS), TREE_CONCURRENCY, async (commit) => {
+                try {
+                    const detail = await ghFetch(`${repoApi(target)}/commits/${commit.sha}`, 'commit', token);
+                    commit.paths = (detail.files || []).map(f => f.filename);
+                } catch (e) {
+                    console.warn(`Commit ${commit.sha.slice(0, 7)} details failed:`, e.message);
+                }
+            });
+        }
+        return { commits, total };
+    },
+
+    // Check runs of the commit (Actions jobs and any other CI app), each tied to its workflow
+    // run through the check suite; runs with no jobs yet (queued) stand in for them
+    async getCiJobs(target, { ref, sha }, token) {
+        const commit = encodeURIComponent(sha || ref);
+        const [checks, runs] = await Promise.all([
+            ghFetch(`${repoApi(target)}/commits/${commit}/check-runs?filter=latest&per_page=${CI_PAGE_SIZE}`, 'check runs', token),
+            ghFetch(
+                `${repoApi(target)}/actions/runs?${sha ? `head_sha=${sha}` : `branch=${encodeURIComponent(ref)}`}&per_page=${CI_PAGE_SIZE}`,
+                'workflow runs', token,
+            ),
+        ]);
+        // Newest run per workflow: re-runs and older pushes to the branch don't count
+        const latest = new Map();
+        (runs.workflow_runs || []).forEach(run => {
+            const known = latest.get(run.workflow_id);
+            if (!known || run.run_number > known.run_number || (run.run_number === known.run_number && run.run_attempt > known.run_attempt)) {
+                latest.set(run.workflow_id, run);
+            }
+        });
+        const bySuite = new Map([...latest.values()].map(run => [run.check_suite_id, run]));
+        const headSha = sha || [...latest.values()][0]?.head_sha;
+
+        const jobs = (checks.check_runs || [])
+            .filter(c => !c.check_suite || bySuite.has(c.check_suite.id) || c.app?.slug !== 'github-actions')
+            .map(c => {
+                const run = bySuite.get(c.check_suite?.id);
+                return ciJob({
+                    id: c.id, name: c.name, workflow: run?.name || c.app?.name || null, workflowPath: run?.path || null,
+                    event: run?.event || null, status: c.status, conclusion: c.conclusion,
+                    startedAt: c.started_at, completedAt: c.completed_at, url: c.html_url || c.details_url,
+                });
+            });
+        const withJobs = new Set((checks.check_runs || []).map(c => c.check_suite?.id));
+        [...latest.values()]
+            .filter(run => !withJobs.has(run.check_suite_id) && (!headSha || run.head_sha === headSha))
+            .forEach(run => jobs.push(ciJob({
+                id: run.id, name: run.name, workflow: run.name, workflowPath: run.path, event: run.event,
+                status: run.status, conclusion: run.conclusion, startedAt: run.run_started_at, completedAt: null, url: run.html_url,
+            })));
+        return jobs.filter(Boolean);
+    },
+
+    // Authenticated reads go through the contents API (raw media type) so private repos work
+    async getRawFile(target, ref, path, token) {
+        const url = token
+            ? `${repoApi(target)}/contents/${path}?ref=${encodeURIComponent(ref)}`
+            : `https://raw.githubusercontent.com/${target.owner}/${target.repo}/${ref}/${path}`;
+        const resp = await forgeRequest(url, {
+            headers: token ? githubHeaders(token, 'application/vnd.github.raw') : {},
+            label: path,
+            forge: 'GitHub',
+        });
+        return resp.text();
+    },
+};
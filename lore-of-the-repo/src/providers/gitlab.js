@@ -0,0 +1,201 @@
+/**
+ * gitlab.js
+ * GitLab REST v4 provider — gitlab.com or any self-hosted base URL.
+ * Projects live under nested groups (group/sub/project), so `owner` may contain slashes.
+ * Note: the repository tree API carries no blob sizes; files arrive with size 0.
+ */
+
+import { forgeRequest, forgeJson, forgeJsonConditional, nextLink, splitRefAndPath, mapWithConcurrency, commitEntry, COMMIT_PAGE_SIZE } from './shared';
+
+const MAX_TREE_PAGES = 200;   // 100 entries per page → 20k nodes max
+const MAX_COMMIT_DETAILS = 50;
+const DETAIL_CONCURRENCY = 4;
+
+function headers(token) {
+    return token ? { 'PRIVATE-TOKEN': token } : {};
+}
+
+const apiBase = ({ host }) => `https://${host}/api/v4`;
+const projectApi = (target) => `${apiBase(target)}/projects/${encodeURIComponent(`${target.owner}/${target.repo}`)}`;
+
+function options(token, label, extra = {}) {
+    return { headers: headers(token), label, forge: 'GitLab', ...extra };
+}
+
+// Keyset pagination uses Link; older instances only send X-Next-Page
+function nextPageUrl(resp, url) {
+    const nextPage = resp.headers.get('X-Next-Page');
+    return nextLink(resp) || (nextPage ? `${url.replace(/&page=\d+/, '')}&page=${nextPage}` : null);
+}
+
+export const gitlabProvider = {
+    id: 'gitlab',
+    label: 'GitLab',
+
+    matchesHost: (host) => host === 'gitlab.com' || /(^|\.)gitlab\./.test(host),
+
+    // group[/sub...]/project[/-/tree|blob|commit/<ref...>]
+    parsePath(parts) {
+        let project = parts;
+        let kind = null;
+        let refSegments = [];
+
+        const dash = parts.indexOf('-');
+        if (dash !== -1) {
+            project = parts.slice(0, dash);
+            kind = parts[dash + 1] || null;
+            refSegments = parts.slice(dash + 2);
+        } else {
+            // Legacy URLs without the /-/ separator
+            const legacy = parts.findIndex((p, i) => i >= 2 && ['tree', 'blob', 'commit'].includes(p));
+            if (legacy !== -1) {
+                project = parts.slice(0, legacy);
+                kind = parts[legacy];
+                refSegments = parts.slice(legacy + 1);
+            }
+        }
+
+        if (project.length < 2) return null;
+        if (!['tree', 'blob', 'commit', 'commits'].includes(kind)) {
+            kind = null;
+            refSegments = [];
+        }
+        return { owner: project.slice(0, -1).join('/'), repo: project[project.length - 1], kind, refSegments };
+    },
+
+    canonicalUrl({ host, owner, repo, kind, refSegments }) {
+        const base = `${host}/${owner}/${repo}`;
+        return refSegments.length ? `${base}/-/${kind}/${refSegments.join('/')}` : base;
+    },
+
+    webUrl: ({ host, owner, repo }) => `https://${host}/${owner}/${repo}`,
+
+    async getMetadata(target, token, { etag } = {}) {
+        const res = await forgeJsonConditional(`${projectApi(target)}?statistics=true`, options(token, `${target.owner}/${target.repo}`, { etag }));
+        if (res.notModified) return res;
+        const d = res.data;
+
+        // Primary language = largest share from the languages endpoint
+        let language = null;
+        try {
+            const langs = await forgeJson(`${projectApi(target)}/languages`, options(token, 'languages'));
+            language = Object.entries(langs || {}).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+        } catch (e) {
+            console.warn('GitLab language lookup failed:', e.message);
+        }
+
+        return {
+            ...res,
+            data: {
+                name: d.name,
+                full_name: d.path_with_namespace,
+                description: d.description,
+                language,
+                stargazers_count: d.star_count || 0,
+                forks_count: d.forks_count || 0,
+                open_issues_count: d.open_issues_count || 0,
+                size: Math.round((d.statistics?.repository_size || 0) / 1024),
+                topics: d.topics || d.tag_list || [],
+                default_branch: d.default_branch,
+                created_at: d.created_at,
+                pushed_at: d.last_activity_at,
+                html_url: d.web_url,
+            },
+        };
+    },
+
+    // `search=^name` is a prefix match on branch / tag names
+    resolveRef(target, token) {
+        return splitRefAndPath(target, async () => {
+            const q = encodeURIComponent(`^${target.refSegments[0]}`);
+            const list = async (kind) => {
+                const refs = await forgeJson(`${projectApi(target)}/repository/${kind}?search=${q}&per_page=100`, options(token, kind));
+                return new Set(Array.isArray(refs) ? refs.map(r => r.name) : []);
+            };
+            const [branches, tags] = await Promise.all([list('branches'), list('tags')]);
+            return { branches, tags };
+        });
+    },
+
+    async getHeadSha(target, ref, token) {
+        const commit = await forgeJson(`${projectApi(target)}/repository/commits/${encodeURIComponent(ref)}`, options(token, 'head'));
+        return { notModified: false, data: commit.id, etag: null };
+    },
+
+    async getTree(target, { ref, path = '' }, token, onProgress) {
+        const entries = [];
+        let url = `${projectApi(target)}/repository/tree?recursive=true&per_page=100&pagination=keyset`
+            + `&ref=${encodeURIComponent(ref)}${path ? `&path=${encodeURIComponent(path)}` : ''}`;
+
+        for (let page = 0; url && page < MAX_TREE_PAGES; page++) {
+            let resp;
+            try {
+                resp = await forgeRequest(url, options(token, 'tree'));
+            } catch (e) {
+                console.warn('GitLab tree page failed:', e.message);
+                break;
+            }
+            const items = await resp.json();
+            items.forEach(item => entries.push({ path: item.path, type: item.type, sha: item.id, size: 0 }));
+            onProgress?.({ nodes: entries.length, walking: true });
+            url = nextPageUrl(resp, url);
+        }
+
+        if (url) console.warn(`[Lore] GitLab tree capped at ${entries.length} nodes`);
+        return entries;
+    },
+
+    async getContributorCount(target, token) {
+        try {
+            const resp = await forgeRequest(`${projectApi(target)}/repository/contributors?per_page=1`, options(token, 'contributors'));
+            const total = parseInt(resp.headers.get('X-Total'));
+            if (total) return total;
+            const data = await resp.json();
+            return Array.isArray(data) ? Math.max(1, data.length) : 1;
+        } catch {
+            return 1;
+        }
+    },
+
+    // X-Total is omitted on very large projects — the total is then only known if we paged to the end
+    async getCommitLog(target, { ref, path = '' }, token, { limit, details = true }) {
+        const commits = [];
+        let total = null;
+        let url = `${projectApi(target)}/repository/commits?ref_name=${encodeURIComponent(ref)}&per_page=${Math.min(COMMIT_PAGE_SIZE, limit)}`
+            + `${path ? `&path=${encodeURIComponent(path)}` : ''}`;
+
+        while (url && commits.length < limit) {
+            const resp = await forgeRequest(url, options(token, 'commits'));
+            if (total === null) total = parseInt(resp.headers.get('X-Total'), 10) || null;
+            (await resp.json()).forEach(c => commits.push(commitEntry({
+                sha: c.id,
+                author: c.author_name,
+                email: c.author_email,
+                date: c.authored_date,
+                message: c.title,
+            })));
+            url = nextPageUrl(resp, url);
+        }
+        commits.length = Math.min(commits.length, limit);
+
+        if (details) {
+            await mapWithConcurrency(commits.slice(0, MAX_COMMIT_DETAILS), DETAIL_CONCURRENCY, async (commit) => {
+                try {
+                    const diff = await forgeJson(`${projectApi(target)}/repository/commits/${commit.sha}/diff?per_page=100`, options(token, 'commit diff'));
+                    commit.paths = (diff || []).map(d => d.new_path);
+                } catch (e) {
+                    console.warn(`Commit ${commit.sha.slice(0, 7)} diff failed:`, e.message);
+                }
+            });
+        }
+        return { commits, total: total ?? (url ? null : commits.length) };
+    },
+
+    async getRawFile(target, ref, path, token) {
+        const resp = await forgeRequest(
+            `${projectApi(target)}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`,
+            options(token, path)
+        );
+        return resp.text();
+    },
+};
@@ -0,0 +1,153 @@
+/**
+ * providers/index.js
+ * Repository provider registry + URL parsing.
+ *
+ * Every provider implements the same interface and returns normalized data,
+ * so buildCityLayout / generateAINarrative / CodeInspector never see forge specifics:
+ *   parsePath(parts)                         → { owner, repo, kind, refSegments } | null
+ *   canonicalUrl(target) / webUrl(target)
+ *   getMetadata(target, token, { etag })     → { notModified, data, etag } (GitHub-shaped fields)
+ *   resolveRef(target, token)                → { ref, refType, path }
+ *   getHeadSha(target, ref, token, { etag }) → { notModified, data: sha, etag }
+ *   getTree(target, { ref, path, explicitRef }, token, onProgress) → [{ path, type, sha, size }]
+ *                                            (onProgress({ nodes, walking, truncated }) — truncated: part of the tree is missing)
+ *   getContributorCount(target, token)       → number
+ *   getRawFile(target, ref, path, token)     → string
+ *   getCommitLog(target, { ref, path }, token, { limit, details }) → { commits: [commitEntry], total | null }
+ *                                            (`details: false` — touched paths not needed)
+ *   getCiJobs(target, { ref, sha }, token)  → [ciJob]   (optional — forges with a CI API)
+ */
+
+import { githubProvider } from './github';
+import { gitlabProvider } from './gitlab';
+import { giteaProvider } from './gitea';
+import { bitbucketProvider } from './bitbucket';
+import { localProvider } from './local';
+import { archiveProvider } from './archive';
+import { loadHostToken } from '../utils/forgeTokens';
+
+export { registerArchive } from './archive';
+
+const PROVIDERS = [githubProvider, gitlabProvider, giteaProvider, bitbucketProvider, localProvider, archiveProvider];
+const PROVIDER_BY_ID = Object.fromEntries(PROVIDERS.map(p => [p.id, p]));
+
+export function getProvider(id) {
+    return PROVIDER_BY_ID[id] || githubProvider;
+}
+
+/**
+ * Pick a provider from the host. Unknown hosts are assumed to be self-hosted GitLab
+ * (the common case); prefix the URL with `gitea:` etc. to override.
+ */
+function providerForHost(host) {
+    return PROVIDERS.find(p => p.matchesHost(host)) || gitlabProvider;
+}
+
+// ─── URL Parser ───────────────────────────────────────────────
+// Handles ALL of these forms:
+//   facebook/react                                   (GitHub shorthand)
+//   https://github.com/facebook/react/tree/v18.2.0/packages/react-dom
+//   https://gitlab.com/group/subgroup/project/-/tree/main/src
+//   https://git.example.com/team/service              (self-hosted GitLab)
+//   gitea:git.example.com/team/service                (explicit provider)
+//   https://codeberg.org/owner/repo/src/branch/main
+//   https://bitbucket.org/workspace/repo/src/main/lib
+//   local:/home/me/code/service#feature/x             (working copy via server.js)
+//   archive:react-main-1                              (dropped .zip / picked folder)
+export function parseRepoInput(rawInput) {
+    let url = (rawInput || '').trim();
+
+    // Filesystem paths skip URL normalisation entirely
+    if (/^local:/i.test(url)) {
+        const parsed = localProvider.parseLocalInput(url.slice('local:'.length));
+        return parsed && { provider: localProvider.id, ...parsed };
+    }
+    if (/^archive:/i.test(url)) {
+        const id = url.slice('archive:'.length);
+        return id ? { provider: archiveProvider.id, host: 'memory', owner: 'archive', repo: id, kind: null, refSegments: [] } : null;
+    }
+
+    // Explicit provider prefix (gitlab:host/..., gitea:host/...)
+    let forcedProvider = null;
+    const prefix = url.match(/^(github|gitlab|gitea|bitbucket):/i);
+    if (prefix) {
+        forcedProvider = PROVIDER_BY_ID[prefix[1].toLowerCase()];
+        url = url.slice(prefix[0].length);
+    }
+
+    // Remove hash fragment and query string, trailing slash, .git, protocol, www.
+    url = url.split('#')[0].split('?')[0]
+        .replace(/\/$/, '')
+        .replace(/\.git$/, '')
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '');
+
+    let parts = url.split('/').filter(Boolean).map(decodeURIComponent);
+
+    // First segment is a host when it looks like one (owners can't contain dots)
+    let host = 'github.com';
+    if (parts.length && /[.:]/.test(parts[0])) {
+        host = parts[0].toLowerCase();
+        parts = parts.slice(1);
+    }
+
+    const provider = forcedProvider || providerForHost(host);
+    const parsed = provider.parsePath(parts);
+    if (!parsed) return null;
+
+    return { provider: provider.id, host, ...parsed };
+}
+
+export function canonicalRepoInput(target) {
+    const provider = getProvider(target.provider);
+    const url = provider.canonicalUrl(target);
+    // Unknown hosts were guessed — keep the guess explicit so re-opening is stable
+    return providerForHost(target.host) === provider ? url : `${provider.id}:${url}`;
+}
+
+export function tokenForTarget(target) {
+    return loadHostToken(target.host);
+}
+
+/**
+ * Fetch a file's source for the repo currently on screen (meta.source + meta.ref, or another `ref`)
+ */
+export async function fetchRepoFile(meta, path, ref = null) {
+    const source = meta.source;
+    if (!source) throw new Error('No repository source for this city.');
+    const provider = getProvider(source.provider);
+    return provider.getRawFile(source, ref || meta.ref || meta.default_branch || 'main', path, tokenForTarget(source));
+}
+
+/**
+ * Newest commit touching `path` in the on-screen repo's commit, or null when none does
+ */
+export async function fetchLastCommit(meta, path) {
+    const source = meta.source;
+    if (!source) throw new Error('No repository source for this city.');
+    const provider = getProvider(source.provider);
+    const ref = meta.head_sha || meta.ref || meta.default_branch || 'main';
+    const { commits } = await provider.getCommitLog(source, { ref, path }, tokenForTarget(source), { limit: 1, details: false });
+    return commits[0] || null;
+}
+
+/**
+ * Latest CI jobs of the on-screen repo's commit, or null when its forge has no CI API here
+ */
+export async function fetchCiJobs(meta) {
+    const source = meta.source;
+    if (!source) throw new Error('No repository source for this city.');
+    const provider = getProvider(source.provider);
+    if (!provider.getCiJobs) return null;
+    return provider.getCiJobs(source, { ref: meta.ref || meta.default_branch || 'main', sha: meta.head_sha || null }, tokenForTarget(source));
+}
+
+/**
+ * Tree of the on-screen repo at another ref (timeline scrubbing), same shape as getTree
+ */
+export async function fetchRepoTree(meta, ref) {
+    const source = meta.source;
+    if (!source) throw new Error('No repository source for this city.');
+    const provider = getProvider(source.provider);
+    return provider.getTree(source, { ref, path: meta.root_path || '', explicitRef: true }, tokenForTarget(source));
+}
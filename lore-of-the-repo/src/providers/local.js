@@ -0,0 +1,122 @@
+/**
+ * local.js
+ * Git working copies on this machine, read through the bundled Node server (server.js).
+ * Works fully offline — unpushed branches and air-gapped code included.
+ * Input: `local:/path/to/repo` or `local:/path/to/repo#feature/branch`; a folder inside
+ * a repo becomes a sub-path city.
+ */
+
+import { forgeRequest } from './shared';
+
+const LOCAL_SERVER = import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:4000';
+
+function localUrl(endpoint, params) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== ''));
+    return `${LOCAL_SERVER}/api/local/${endpoint}?${query}`;
+}
+
+// The server answers errors with { error } — surface that instead of a generic status message
+function describeLocalError(resp, body) {
+    try { return JSON.parse(body).error || null; }
+    catch { return null; }
+}
+
+async function localRequest(endpoint, params) {
+    try {
+        return await forgeRequest(localUrl(endpoint, params), {
+            label: endpoint,
+            forge: 'local repository server',
+            describeError: describeLocalError,
+        });
+    } catch (e) {
+        if (e.message.startsWith('Network error')) {
+            throw new Error(`Cannot reach the local repository server at ${LOCAL_SERVER}.\n\nStart it with \`node server.js\` (set LOCAL_REPO_ROOT to the folder holding your repos).`);
+        }
+        throw e;
+    }
+}
+
+async function localJson(endpoint, params) {
+    const resp = await localRequest(endpoint, params);
+    return resp.json();
+}
+
+// `/repo` runs ls-tree, shortlog and friends on the server, so each load asks once: getMetadata
+// (first call of every load) fetches it, resolveRef and getContributorCount reuse the answer
+const repoSummaries = new Map();
+function repoSummary(target, { fresh = false } = {}) {
+    if (fresh || !repoSummaries.has(target.repo)) {
+        const pending = localJson('repo', { repo: target.repo });
+        pending.catch(() => repoSummaries.get(target.repo) === pending && repoSummaries.delete(target.repo));
+        repoSummaries.set(target.repo, pending);
+    }
+    return repoSummaries.get(target.repo);
+}
+
+export const localProvider = {
+    id: 'local',
+    label: 'Local',
+
+    matchesHost: () => false,
+
+    // Everything after `local:` is a filesystem path, optionally followed by #ref
+    parseLocalInput(rest) {
+        const [dir, ref] = rest.trim().split('#');
+        const repoPath = dir.replace(/[\\/]+$/, '');
+        if (!repoPath) return null;
+        return {
+            host: 'localhost',
+            owner: 'local',
+            repo: repoPath,
+            kind: ref ? 'tree' : null,
+            refSegments: ref ? [ref] : [],
+        };
+    },
+
+    parsePath: () => null,
+
+    canonicalUrl: ({ repo, refSegments }) => (refSegments.length ? `${repo}#${refSegments.join('/')}` : repo),
+
+    webUrl: () => null,
+
+    async getMetadata(target) {
+        const data = await repoSummary(target, { fresh: true });
+        return { notModified: false, data, etag: null };
+    },
+
+    // The folder's position inside its work tree is the sub-path
+    async resolveRef(target) {
+        const { prefix } = await repoSummary(target);
+        const ref = target.refSegments.join('/') || null;
+        return { ref, refType: ref ? 'branch' : null, path: prefix || '' };
+    },
+
+    async getHeadSha(target, ref) {
+        const { sha } = await localJson('head', { repo: target.repo, ref });
+        return { notModified: false, data: sha, etag: null };
+    },
+
+    getTree(target, { ref, path = '' }) {
+        return localJson('tree', { repo: target.repo, ref, path });
+    },
+
+    async getContributorCount(target) {
+        const { contributors_count } = await repoSummary(target);
+        return contributors_count || 1;
+    },
+
+    async getRawFile(target, ref, path) {
+        const resp = await localRequest('contents', { repo: target.repo, ref, path });
+        return resp.text();
+    },
+
+    // `git log --name-only` — touched paths for every commit, real total from rev-list
+    getCommitLog(target, { ref, path = '' }, token, { limit }) {
+        return localJson('log', { repo: target.repo, ref, path, limit });
+    },
+
+    // ── Local-only extra (blame straight from the working copy) ──
+    getBlame(target, ref, path) {
+        return localJson('blame', { repo: target.repo, ref, path });
+    },
+};
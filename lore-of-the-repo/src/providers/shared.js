@@ -0,0 +1,148 @@
+/**
+ * shared.js
+ * HTTP + utility helpers shared by every repository provider.
+ */
+
+/**
+ * Fetch with consistent, actionable errors. A 304 is returned untouched when `etag` was sent.
+ * `describeError(resp, body)` lets a provider word its own auth / rate-limit failures.
+ */
+export async function forgeRequest(url, { headers = {}, etag, label = '', forge = 'Git host', describeError } = {}) {
+    const finalHeaders = { ...headers };
+    if (etag) finalHeaders['If-None-Match'] = etag;
+
+    let resp;
+    try {
+        resp = await fetch(url, { headers: finalHeaders });
+    } catch {
+        throw new Error(`Network error: cannot reach the ${forge} API. Check your internet connection.`);
+    }
+
+    if (resp.status === 304 || resp.ok) return resp;
+
+    const body = await resp.text().catch(() => '');
+    const custom = describeError?.(resp, body);
+    if (custom) throw new Error(custom);
+
+    const where = label ? ` [${label}]` : '';
+    if (resp.status === 401 || resp.status === 403) {
+        throw new Error(`${forge} denied access${where} (${resp.status}). The repository may be private — add an access token for this host.`);
+    }
+    if (resp.status === 404) {
+        throw new Error(`Repository not found on ${forge} (404)${where}.\n\nCheck that the URL is spelled correctly and that you can access it.`);
+    }
+    if (resp.status === 429) throw new Error(`${forge} rate limit exceeded${where}. Please wait a minute and retry.`);
+    throw new Error(`${forge} API error ${resp.status}${where}. Please try again.`);
+}
+
+export async function forgeJson(url, options) {
+    const resp = await forgeRequest(url, options);
+    return resp.json();
+}
+
+/**
+ * JSON fetch that reports 304s: { notModified: true } or { data, etag }
+ */
+export async function forgeJsonConditional(url, options = {}) {
+    const resp = await forgeRequest(url, options);
+    if (resp.status === 304) return { notModified: true, etag: options.etag };
+    return { notModified: false, data: await resp.json(), etag: resp.headers.get('ETag') };
+}
+
+/**
+ * URL of the next page from an RFC 5988 Link header (GitHub, GitLab keyset, Gitea)
+ */
+export function nextLink(resp) {
+    const link = resp.headers.get('Link') || '';
+    const match = link.match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` in flight
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+export const SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+export const COMMIT_PAGE_SIZE = 100;
+
+/**
+ * Normalized commit-log entry. `paths` (touched files) costs one extra request per
+ * commit on most forges — null means "not fetched", [] means "no files changed".
+ */
+export function commitEntry({ sha, author, email = null, date, message = '', paths = null }) {
+    return { sha, author: author || 'unknown', email, date, message: (message || '').split('\n')[0], paths };
+}
+
+const CI_FAILED = new Set(['failure', 'timed_out', 'action_required', 'startup_failure']);
+const CI_PASSED = new Set(['success', 'neutral', 'skipped']);
+
+/**
+ * Normalized CI job for Build Weather: `state` is 'pass' | 'fail' | 'pending'. Cancelled and
+ * stale jobs say nothing about the code, so they come back null.
+ */
+export function ciJob({ id, name, workflow = null, workflowPath = null, event = null, status, conclusion, startedAt = null, completedAt = null, url = null }) {
+    let state = 'pending';
+    if (status === 'completed') {
+        if (CI_FAILED.has(conclusion)) state = 'fail';
+        else if (CI_PASSED.has(conclusion)) state = 'pass';
+        else return null;
+    }
+    return { id, name, workflow, workflowPath, event, state, startedAt, completedAt, url };
+}
+
+/**
+ * Split URL ref segments into { ref, refType, path } using the provider's ref lookup.
+ * Single segments and SHAs need no lookup; otherwise the longest prefix that is a real
+ * branch or tag wins, falling back to "first segment is the ref" like the forges' own UIs.
+ * `lookup(candidates)` resolves to { branches: Set, tags: Set } for the candidate names.
+ */
+export async function splitRefAndPath(target, lookup) {
+    const segs = target.refSegments || [];
+    if (!segs.length) return { ref: null, refType: null, path: '' };
+
+    // blob URLs point at a file — root the city at its folder
+    const pathOf = (rest) => (target.kind === 'blob' ? rest.slice(0, -1) : rest).join('/');
+    const guessType = (ref) => (SHA_PATTERN.test(ref) ? 'commit' : 'branch');
+
+    if (target.kind === 'commit' || target.kind === 'commits') {
+        return { ref: segs[0], refType: 'commit', path: '' };
+    }
+    if (segs.length === 1) return { ref: segs[0], refType: guessType(segs[0]), path: '' };
+
+    const candidates = segs.map((_, i) => segs.slice(0, i + 1).join('/'));
+    let known = { branches: new Set(), tags: new Set() };
+    try {
+        known = await lookup(candidates);
+    } catch (e) {
+        console.warn('Ref lookup failed:', e.message);
+    }
+
+    for (let k = segs.length; k >= 1; k--) {
+        const candidate = candidates[k - 1];
+        if (known.branches.has(candidate)) return { ref: candidate, refType: 'branch', path: pathOf(segs.slice(k)) };
+        if (known.tags.has(candidate)) return { ref: candidate, refType: 'tag', path: pathOf(segs.slice(k)) };
+    }
+    return { ref: segs[0], refType: guessType(segs[0]), path: pathOf(segs.slice(1)) };
+}
+
+/**
+ * Keep only entries under `path` (sub-path cities) — entries keep full repo paths
+ */
+export function filterToPath(entries, path) {
+    if (!path) return entries;
+    const prefix = `${path}/`;
+    return entries.filter(e => e.path.startsWith(prefix));
+}
@@ -0,0 +1,145 @@
+/**
+ * archiveReader.js
+ * Turns a dropped .zip or a picked folder into an in-memory archive:
+ *   { name, entries: [{ path, type, sha, size }], readFile(path) → Promise<string> }
+ * Entries use the same shape as a forge tree so buildCityLayout doesn't care where they came from.
+ * Nothing is uploaded — zips are inflated one file at a time on demand, folders read lazily.
+ */
+
+import { unzipSync } from 'fflate';
+
+const SKIP_DIRS = new Set(['.git', 'node_modules', '__MACOSX', '.svn', '.hg']);
+const SKIP_FILES = new Set(['.DS_Store', 'Thumbs.db']);
+const MAX_ARCHIVE_FILES = 100000;
+
+const isSkipped = (path) => {
+    const parts = path.split('/');
+    return parts.some(p => SKIP_DIRS.has(p)) || SKIP_FILES.has(parts[parts.length - 1]);
+};
+
+/**
+ * File list → tree entries, adding a `tree` entry for every parent folder.
+ * No git object ids here, so `sha` stays null and layouts fall back to path ids.
+ */
+function toTreeEntries(files) {
+    const dirs = new Set();
+    files.forEach(({ path }) => {
+        const parts = path.split('/');
+        for (let i = 1; i < parts.length; i++) dirs.add(parts.slice(0, i).join('/'));
+    });
+    return [
+        ...[...dirs].sort().map(path => ({ path, type: 'tree', sha: null, size: 0 })),
+        ...files.map(({ path, size }) => ({ path, type: 'blob', sha: null, size })),
+    ];
+}
+
+// GitHub / GitLab zips wrap everything in one "repo-main/" folder — use it as the name
+function stripCommonRoot(paths) {
+    const first = paths[0]?.split('/')[0];
+    if (!first || !paths.every(p => p.startsWith(`${first}/`))) return { root: null, strip: (p) => p };
+    return { root: first, strip: (p) => p.slice(first.length + 1) };
+}
+
+// ─── ZIP ──────────────────────────────────────────────────────
+export async function readZipArchive(file) {
+    const data = new Uint8Array(await file.arrayBuffer());
+
+    // First pass reads the central directory only — the filter rejects every entry
+    const listed = [];
+    try {
+        unzipSync(data, {
+            filter: (entry) => {
+                if (!entry.name.endsWith('/')) listed.push({ name: entry.name, size: entry.originalSize });
+                return false;
+            },
+        });
+    } catch {
+        throw new Error(`"${file.name}" is not a readable ZIP archive.`);
+    }
+
+    const { root, strip } = stripCommonRoot(listed.map(f => f.name));
+    const files = listed
+        .map(f => ({ path: strip(f.name), size: f.size, name: f.name }))
+        .filter(f => f.path && !isSkipped(f.path));
+    if (files.length === 0) throw new Error(`"${file.name}" contains no files.`);
+    if (files.length > MAX_ARCHIVE_FILES) throw new Error(`"${file.name}" has more than ${MAX_ARCHIVE_FILES.toLocaleString()} files.`);
+
+    const nameByPath = new Map(files.map(f => [f.path, f.name]));
+
+    return {
+        name: root || file.name.replace(/\.zip$/i, ''),
+        entries: toTreeEntries(files),
+        async readFile(path) {
+            const zipName = nameByPath.get(path);
+            if (!zipName) throw new Error(`"${path}" is not in this archive.`);
+            const out = unzipSync(data, { filter: (entry) => entry.name === zipName });
+            return new TextDecoder().decode(out[zipName]);
+        },
+    };
+}
+
+// ─── Folder (File System Access API) ──────────────────────────
+export const canPickDirectory = () => typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+
+export async function readDirectoryArchive(dirHandle) {
+    const handles = new Map();
+    const files = [];
+
+    const walk = async (dir, prefix) => {
+        for await (const [name, handle] of dir.entries()) {
+            const path = prefix ? `${prefix}/${name}` : name;
+            if (isSkipped(path)) continue;
+            if (handle.kind === 'directory') {
+                await walk(handle, path);
+            } else {
+                if (files.length >= MAX_ARCHIVE_FILES) throw new Error(`"${dirHandle.name}" has more than ${MAX_ARCHIVE_FILES.toLocaleString()} files.`);
+                const file = await handle.getFile();
+                handles.set(path, handle);
+                files.push({ path, size: file.size });
+            }
+        }
+    };
+    await walk(dirHandle, '');
+    if (files.length === 0) throw new Error(`"${dirHandle.name}" contains no files.`);
+
+    return {
+        name: dirHandle.name,
+        entries: toTreeEntries(files),
+        async readFile(path) {
+            const handle = handles.get(path);
+            if (!handle) throw new Error(`"${path}" is not in this folder.`);
+            return (await handle.getFile()).text();
+        },
+    };
+}
+
+// ─── Sources ──────────────────────────────────────────────────
+/**
+ * Pull the archive source out of a drop event. Must be called synchronously inside
+ * the handler (DataTransfer items expire afterwards); resolves to a File or directory handle.
+ */
+export function archiveSourceFromDrop(dataTransfer) {
+    const item = [...(dataTransfer.items || [])].find(i => i.kind === 'file');
+    if (item?.getAsFileSystemHandle) {
+        return item.getAsFileSystemHandle().then(async (handle) => (
+            handle?.kind === 'directory' ? handle : handle?.getFile()
+        ));
+    }
+    const entry = item?.webkitGetAsEntry?.();
+    if (entry?.isDirectory) {
+        return Promise.reject(new Error('Dropping folders needs a Chromium-based browser — drop a .zip instead.'));
+    }
+    return Promise.resolve(dataTransfer.files?.[0] || null);
+}
+
+/**
+ * File (.zip) or FileSystemDirectoryHandle → in-memory archive
+ */
+export async function readArchiveSource(source) {
+    if (!source) throw new Error('Nothing to open — drop a .zip archive or a folder.');
+    if (source.kind === 'directory') return readDirectoryArchive(source);
+    if (!/\.zip$/i.test(source.name) && !/zip/.test(source.type)) {
+        throw new Error(`"${source.name}" is not a .zip archive. Drop a .zip or a folder.`);
+    }
+    return readZipArchive(source);
+}
@@ -0,0 +1,132 @@
+/**
+ * ciWeather.js
+ * Build Weather from real CI: the latest jobs of the loaded commit (the provider's getCiJobs —
+ * GitHub Actions workflow runs and check runs), each aimed at the islands its workflow's
+ * `paths` / `paths-ignore` filters cover for the event that triggered it, or at the whole
+ * city without a filter (and for CI outside Actions).
+ *   loadCiJobs(meta)                        → [{ ...ciJob, paths: [pattern] | null }] | null (no CI API)
+ *   islandWeather(jobs, islands, paths)     → { [island id]: { state, jobs } }
+ *   jobDuration(job)                        → "3m 12s" for finished jobs, else null
+ */
+
+import { fetchRepoFile, fetchCiJobs } from '../providers';
+import { mapWithConcurrency } from '../providers/shared';
+import { parseYaml, unquote } from '../manifests/shared';
+import { islandForPath } from './importGraph';
+
+const FETCH_CONCURRENCY = 4;
+const FILTERED_EVENTS = ['push', 'pull_request', 'pull_request_target'];
+const STATE_ORDER = ['pass', 'pending', 'fail'];
+
+// `[a, 'b']` flow sequences come back from parseYaml as raw strings
+function asList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+        return value.trim().slice(1, -1).split(',').map(unquote).filter(Boolean);
+    }
+    return null;
+}
+
+/**
+ * A workflow's path filters per event, as one ordered pattern list (`!` negates); null where
+ * the event runs for any change. `paths-ignore` becomes "everything but".
+ */
+export function workflowFilters(text) {
+    const workflow = parseYaml(text);
+    const on = workflow.on;
+    const filters = {};
+    if (!on || typeof on !== 'object' || Array.isArray(on)) return filters;
+    FILTERED_EVENTS.forEach(event => {
+        const trigger = on[event];
+        if (trigger === undefined) return;
+        const paths = asList(trigger?.paths);
+        const ignore = asList(trigger?.['paths-ignore']);
+        if (paths) filters[event] = paths;
+        else if (ignore) filters[event] = ['**', ...ignore.map(p => `!${p}`)];
+        else filters[event] = null;
+    });
+    return filters;
+}
+
+// GitHub's filter syntax: `*` stays inside a folder, `**` crosses them (`**/` also matches
+// no folder at all), `?` and `+` repeat the previous character, patterns are anchored at
+// the repo root
+function filterRegExp(pattern) {
+    let re = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*' && pattern[i + 1] === '*' && pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+        else if (ch === '*' && pattern[i + 1] === '*') { re += '.*'; i++; }
+        else if (ch === '*') re += '[^/]*';
+        else if ('?+[]'.includes(ch)) re += ch;
+        else re += ch.replace(/[.^${}()|\\/]/g, '\\$&');
+    }
+    return new RegExp(`^${re}$`);
+}
+
+function compileFilter(patterns) {
+    const rules = patterns.map(p => ({ negate: p.startsWith('!'), re: filterRegExp(p.replace(/^!/, '')) }));
+    // The last matching pattern decides
+    return (path) => rules.reduce((hit, r) => (r.re.test(path) ? !r.negate : hit), false);
+}
+
+/**
+ * The latest CI jobs of the city's commit, each with the path filter of its workflow (read
+ * from the repo at that commit) for the event it ran on.
+ */
+export async function loadCiJobs(meta) {
+    const jobs = await fetchCiJobs(meta);
+    if (!jobs) return null;
+
+    const workflowPaths = [...new Set(jobs.map(j => j.workflowPath).filter(Boolean))];
+    const filters = new Map(await mapWithConcurrency(workflowPaths, FETCH_CONCURRENCY, async (path) => {
+        try {
+            return [path, workflowFilters(await fetchRepoFile(meta, path, meta.head_sha || null))];
+        } catch (e) {
+            console.warn(`[CI] ${path}:`, e.message);
+            return [path, {}];
+        }
+    }));
+    return jobs.map(job => ({ ...job, paths: filters.get(job.workflowPath)?.[job.event] || null }));
+}
+
+/**
+ * Each island's weather: the jobs aimed at it (failures first) and the worst of their states
+ */
+export function islandWeather(jobs, islands, paths) {
+    const ids = new Set(islands.map(i => i.id));
+    const filesOf = new Map();
+    paths.forEach(path => {
+        const id = islandForPath(path, ids);
+        if (!filesOf.has(id)) filesOf.set(id, []);
+        filesOf.get(id).push(path);
+    });
+
+    const covered = new Map();
+    const coveredBy = (patterns) => {
+        const key = patterns ? patterns.join('\n') : '*';
+        if (!covered.has(key)) {
+            const matches = patterns ? compileFilter(patterns) : null;
+            covered.set(key, islands.filter(i => !matches || (filesOf.get(i.id) || []).some(matches)).map(i => i.id));
+        }
+        return covered.get(key);
+    };
+
+    const weather = {};
+    jobs.forEach(job => coveredBy(job.paths).forEach(id => {
+        if (!weather[id]) weather[id] = { state: 'pass', jobs: [] };
+        const w = weather[id];
+        w.jobs.push(job);
+        if (STATE_ORDER.indexOf(job.state) > STATE_ORDER.indexOf(w.state)) w.state = job.state;
+    }));
+    Object.values(weather).forEach(w => w.jobs.sort((a, b) => STATE_ORDER.indexOf(b.state) - STATE_ORDER.indexOf(a.state)));
+    return weather;
+}
+
+export function jobDuration(job) {
+    if (!job.startedAt || !job.completedAt) return null;
+    const seconds = Math.max(0, Math.round((Date.parse(job.completedAt) - Date.parse(job.startedAt)) / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
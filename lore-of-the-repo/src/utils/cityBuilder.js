@@ -1,9 +1,18 @@
 /**
  * cityBuilder.js
  * Converts GitHub repository tree structure into 3D spatial coordinates.
- * Maps folders → floating islands with altitude, orbital radius, and energy connections.
+ * Maps folders → floating islands (sub-folders → satellite terraces) with altitude,
+ * orbital radius and parent → child energy connections; files → buildings on their folder's island.
+ * Two layout modes share the same island objects:
+ *   'orbital' — rings of islands around the core (default)
+ *   'treemap' — nested squarified treemap on a ground plane, footprints ∝ bytes
+ * A repo's `.lordofrepo.json` (see cityConfig.js) can override altitudes, drop paths,
+ * group folders into named districts and pick the building metrics.
  */
 
+import { squarify } from './squarify';
+import { compileCityConfig, FILE_METRICS } from './cityConfig';
+
 const ALTITUDE_MAP = {
     'src': 12, 'core': 11, 'lib': 10, 'main': 10, 'api': 9, 'app': 9,
     'components': 7, 'utils': 6, 'services': 6, 'hooks': 6, 'store': 6, 'context': 6,
@@ -13,6 +22,16 @@ const ALTITUDE_MAP = {
 };
 
 const ISLAND_RADIUS_BASE = 14;
+const TERRACE_DROP = 2.4;       // sub-folders float this far below their parent
+const MAX_DISTRICTS = 240;      // folder islands; deeper folders fold their files into the nearest shown ancestor
+const MAX_BUILDINGS = 256;      // per island — the rest are only counted (`hiddenFiles`)
+const TREEMAP_SIZE = 56;        // side of the treemap ground plane
+const TREEMAP_PAD = 0.45;       // gap between a district's edge and its contents
+const TREEMAP_STEP = 0.6;       // each nesting level stands this much above its parent
+const TREEMAP_MAX_HEIGHT = 7;
+
+export const LAYOUT_MODES = ['orbital', 'treemap'];
+export const HEIGHT_METRICS = FILE_METRICS;
 
 /**
  * Build a deterministic but "natural-looking" angle from a folder name
@@ -24,17 +43,6 @@ function nameToAngle(name, index, total) {
     return baseAngle + jitter;
 }
 
-/**
- * Convert file size (bytes) to island scale
- */
-function sizeToScale(size) {
-    if (size < 10000) return 0.6;
-    if (size < 50000) return 0.9;
-    if (size < 200000) return 1.2;
-    if (size < 1000000) return 1.6;
-    return 2.0;
-}
-
 /**
  * Get altitude for a folder based on its name
  */
@@ -46,25 +54,222 @@ function getAltitude(name, depth) {
 }
 
 /**
- * Build the city layout from GitHub tree data
+ * Re-root tree entries at a sub-path: paths become relative, full path kept in `fullPath`
+ */
+function scopeTreeToPath(treeData, rootPath) {
+    if (!rootPath) return treeData.map(item => ({ ...item, fullPath: item.path }));
+    const prefix = `${rootPath.replace(/\/$/, '')}/`;
+    return treeData
+        .filter(item => item.path.startsWith(prefix))
+        .map(item => ({ ...item, path: item.path.slice(prefix.length), fullPath: item.path }));
+}
+
+/**
+ * Folder hierarchy from flat tree entries. Every folder node carries its own files,
+ * child folders and subtree totals (`fileCount`, `bytes`).
+ * Folders matched by a configured district move under a virtual top-level node for it.
  */
-export function buildCityLayout(treeData, repoMeta) {
-    if (!treeData || !treeData.length) return buildDemoCity(repoMeta);
+function buildFolderTree(treeData, rootPath, districtFor = () => undefined) {
+    const root = { id: 'core-station', path: '', fullPath: rootPath, name: '', sha: null, depth: -1, children: [], files: [] };
+    const byPath = new Map([['', root]]);
+
+    // Archives and scoped trees don't always list every parent folder
+    const ensure = (path, sha = null) => {
+        if (byPath.has(path)) {
+            if (sha) byPath.get(path).sha = sha;
+            return byPath.get(path);
+        }
+        const slash = path.lastIndexOf('/');
+        const parent = ensure(slash === -1 ? '' : path.slice(0, slash));
+        const fullPath = rootPath ? `${rootPath}/${path}` : path;
+        const node = {
+            id: `dir:${fullPath}`,
+            path,
+            fullPath,
+            name: path.slice(slash + 1),
+            sha,
+            depth: parent.depth + 1,
+            children: [],
+            files: [],
+        };
+        parent.children.push(node);
+        byPath.set(path, node);
+        return node;
+    };
 
-    // Filter to directories and notable files
-    const dirs = treeData.filter(item => item.type === 'tree');
-    const topFiles = treeData
-        .filter(item => item.type === 'blob')
-        .sort((a, b) => (b.size || 0) - (a.size || 0))
-        .slice(0, 8);
+    treeData.filter(item => item.type === 'tree').forEach(item => ensure(item.path, item.sha));
+    treeData.filter(item => item.type === 'blob').forEach(item => {
+        const slash = item.path.lastIndexOf('/');
+        ensure(slash === -1 ? '' : item.path.slice(0, slash)).files.push(item);
+    });
+
+    // Outermost matching folder wins; its sub-folders travel with it
+    const districts = new Map();
+    const regroup = (parent) => {
+        parent.children = parent.children.filter(node => {
+            const name = districtFor(node.fullPath);
+            if (name === undefined) return true;
+            if (!districts.has(name)) {
+                districts.set(name, { id: `district:${name}`, path: null, fullPath: null, name, sha: null, isDistrict: true, children: [], files: [] });
+            }
+            districts.get(name).children.push(node);
+            return false;
+        });
+        parent.children.forEach(regroup);
+    };
+    regroup(root);
+    root.children.push(...districts.values());
+
+    const total = (node, depth) => {
+        node.depth = depth;
+        node.children.forEach(c => total(c, depth + 1));
+        node.children.sort((a, b) => b.fileCount - a.fileCount || a.name.localeCompare(b.name));
+        node.fileCount = node.files.length + node.children.reduce((sum, c) => sum + c.fileCount, 0);
+        node.bytes = node.files.reduce((sum, f) => sum + (f.size || 0), 0) + node.children.reduce((sum, c) => sum + c.bytes, 0);
+    };
+    total(root, -1);
+    return root;
+}
+
+/**
+ * Folders that get their own island, breadth-first (shallow folders always win),
+ * capped at MAX_DISTRICTS
+ */
+function pickDistricts(root) {
+    const shown = new Set();
+    const queue = [...root.children];
+    while (queue.length && shown.size < MAX_DISTRICTS) {
+        const node = queue.shift();
+        shown.add(node);
+        queue.push(...node.children);
+    }
+    return shown;
+}
+
+// Files of a folder plus those of sub-folders that didn't get an island
+function collectFiles(node, shown) {
+    return [
+        ...node.files,
+        ...node.children.filter(c => !shown.has(c)).flatMap(c => collectFiles(c, shown)),
+    ];
+}
+
+/**
+ * File metric → (file) => 0..1, used for building height, color heat and glow
+ *   size    — log of the file size
+ *   churn   — how many logged commits touched the file
+ *   recency — how recently it was touched, within the logged history
+ * Churn and recency need per-commit paths (not every provider has them); files the
+ * log never mentions score 0.
+ */
+export function makeFileMetric(metric, commitLog = []) {
+    if (metric === 'churn' || metric === 'recency') {
+        const touches = new Map();
+        const lastTouched = new Map();
+        commitLog.forEach(c => (c.paths || []).forEach(p => {
+            touches.set(p, (touches.get(p) || 0) + 1);
+            if (!lastTouched.has(p)) lastTouched.set(p, Date.parse(c.date)); // log is newest first
+        }));
+        if (metric === 'churn') {
+            const max = Math.log2(1 + Math.max(1, ...touches.values()));
+            return (file) => Math.log2(1 + (touches.get(file.fullPath) || 0)) / max;
+        }
+        const newest = commitLog.length ? Date.parse(commitLog[0].date) : 0;
+        const span = Math.max(1, newest - (commitLog.length ? Date.parse(commitLog[commitLog.length - 1].date) : 0));
+        return (file) => (lastTouched.has(file.fullPath) ? 1 - (newest - lastTouched.get(file.fullPath)) / span : 0);
+    }
+    return (file) => Math.min(1, Math.log10(1 + (file.size || 0)) / 6);
+}
+
+/**
+ * Lay files out as buildings on an island's top: a grid clipped to the rock's disc
+ * (leaving a plaza of radius `hole` for the crystal), biggest files nearest the middle
+ */
+function layoutBuildings(files, scale, hole, metrics) {
+    const picked = [...files].sort((a, b) => (b.size || 0) - (a.size || 0)).slice(0, MAX_BUILDINGS);
+    if (!picked.length) return [];
+
+    const radius = scale * 1.45;
+    let cells = [];
+    for (let cols = Math.ceil(Math.sqrt(picked.length)); cells.length < picked.length && cols <= 64; cols++) {
+        const cell = (radius * 2) / cols;
+        cells = [];
+        for (let row = 0; row < cols; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = (col - (cols - 1) / 2) * cell;
+                const z = (row - (cols - 1) / 2) * cell;
+                const d = Math.hypot(x, z);
+                if (d + cell / 2 <= radius && d - cell / 2 >= hole) cells.push({ x, z, d, cell });
+            }
+        }
+    }
+    cells.sort((a, b) => a.d - b.d);
+
+    return picked.slice(0, cells.length).map((file, i) => ({
+        name: file.path.split('/').pop(),
+        path: file.fullPath,
+        sha: file.sha || null,
+        size: file.size || 0,
+        x: cells[i].x,
+        z: cells[i].z,
+        width: cells[i].cell * 0.72,
+        height: scale * (0.12 + metrics.height(file) * 0.84),
+        ...paintBuilding(file, metrics),
+    }));
+}
+
+// Optional per-building color heat / glow (0..1), null when the config doesn't ask for them
+function paintBuilding(file, metrics) {
+    return {
+        heat: metrics.color ? metrics.color(file) : null,
+        glow: metrics.glow ? metrics.glow(file) : null,
+    };
+}
 
+/**
+ * Island scale: bigger folders get bigger rocks, each level down shrinks a little
+ */
+function districtScale(node, altitude) {
+    const base = 0.6 + altitude / 25 + Math.log2(1 + node.fileCount) * 0.12;
+    return Math.min(2.4, base) * Math.pow(0.82, node.depth);
+}
+
+/**
+ * Build the city layout from GitHub tree data.
+ * `rootPath` roots the city at a sub-folder (e.g. packages/react-dom of a monorepo).
+ * `anchors` (island id → position) pins islands to where an earlier layout put them,
+ * so historical snapshots of the same repo line up. Island ids are path-based for that reason.
+ *
+ * Top-level folders orbit the core; sub-folders hang below their parent as satellite
+ * terraces, fanned out away from the core. Every file becomes a building (`island.buildings`)
+ * on its folder's island — root files on the core. Beams run parent → child.
+ * `mode: 'treemap'` packs the same hierarchy as a treemap instead (anchors don't apply —
+ * treemap positions follow from the sizes); `heightMetric` drives building heights in both.
+ * `config` is a validated `.lordofrepo.json`; an explicit `heightMetric` beats its metrics.height.
+ */
+export function buildCityLayout(rawTreeData, repoMeta, { rootPath = '', anchors = null, mode = 'orbital', heightMetric = null, commitLog = [], config = null } = {}) {
+    const rules = compileCityConfig(config);
+    const treeData = scopeTreeToPath(rawTreeData || [], rootPath).filter(item => !rules.isIgnored(item.fullPath));
+    if (!treeData.length) return buildDemoCity(repoMeta);
+    const place = (id, pos) => anchors?.get(id) || pos;
+    const altitudeOf = (node) => (node.isDistrict ? undefined : rules.altitudeFor(node.fullPath)) ?? getAltitude(node.name, node.depth);
+    const metrics = {
+        height: makeFileMetric(heightMetric || rules.metrics.height || 'size', commitLog),
+        color: rules.metrics.color === 'extension' ? null : makeFileMetric(rules.metrics.color, commitLog),
+        glow: rules.metrics.glow === 'none' ? null : makeFileMetric(rules.metrics.glow, commitLog),
+    };
+
+    const root = buildFolderTree(treeData, rootPath.replace(/\/$/, ''), rules.districtFor);
+    if (mode === 'treemap') return buildTreemapLayout(root, treeData, repoMeta, rootPath, metrics, altitudeOf);
+    const shown = pickDistricts(root);
     const islands = [];
     const connections = [];
 
     // === CENTRAL CORE STATION ===
+    const coreFiles = collectFiles(root, shown);
     islands.push({
         id: 'core-station',
-        name: repoMeta.name,
+        name: rootPath ? rootPath.split('/').pop() : repoMeta.name,
         type: 'core',
         position: [0, 0, 0],
         scale: 2.5,
@@ -72,73 +277,169 @@ export function buildCityLayout(treeData, repoMeta) {
         color: null, // uses theme color
         fileCount: treeData.length,
         isCore: true,
+        originalPath: rootPath || undefined,
+        buildings: layoutBuildings(coreFiles, 2.5, 2.5 * 0.75, metrics),
+        hiddenFiles: Math.max(0, coreFiles.length - MAX_BUILDINGS),
     });
 
-    // === DIRECTORY ISLANDS ===
-    const topDirs = dirs.filter(d => !d.path.includes('/')).slice(0, 16);
-    topDirs.forEach((dir, i) => {
-        const name = dir.path.split('/').pop();
-        const depth = (dir.path.match(/\//g) || []).length;
-        const altitude = getAltitude(name, depth);
-        const angle = nameToAngle(name, i, topDirs.length);
-        const radius = ISLAND_RADIUS_BASE + (Math.sin(i * 1.3) * 4);
-        const scale = 0.8 + (altitude / 15);
-
-        const pos = [
-            Math.cos(angle) * radius,
-            altitude - 5,
-            Math.sin(angle) * radius,
-        ];
-
-        islands.push({
-            id: dir.sha || `dir-${i}`,
-            name,
+    /**
+     * Place one folder island, then fan its shown sub-folders out beyond it.
+     * `angle` is the direction from the parent, so satellites keep heading outward.
+     */
+    const addDistrict = (node, parent, angle, distance, y) => {
+        const altitude = altitudeOf(node);
+        const scale = districtScale(node, altitude);
+        const id = node.id;
+        const pos = place(id, [
+            parent.position[0] + Math.cos(angle) * distance,
+            y,
+            parent.position[2] + Math.sin(angle) * distance,
+        ]);
+        const files = collectFiles(node, shown);
+
+        const island = {
+            id,
+            sha: node.sha || null,
+            name: node.name,
             type: 'directory',
             position: pos,
             scale,
             altitude,
             angle,
             orbitSpeed: 0.0002 + (altitude * 0.00003),
-            orbitRadius: radius,
-            depth,
-            originalPath: dir.path,
-        });
+            orbitRadius: distance,
+            depth: node.depth,
+            parentId: parent.id,
+            fileCount: node.fileCount,
+            fileSize: node.bytes,
+            isDistrict: node.isDistrict || undefined,
+            originalPath: node.fullPath ?? undefined,
+            buildings: layoutBuildings(files, scale, scale * 0.35, metrics),
+            hiddenFiles: Math.max(0, files.length - MAX_BUILDINGS),
+        };
+        islands.push(island);
 
-        // Connect to core
         connections.push({
-            id: `conn-core-${i}`,
-            from: [0, 0, 0],
+            id: `conn:${id}`,
+            from: parent.position,
             to: pos,
-            thickness: altitude > 8 ? 2 : 1,
-            isPrimary: altitude > 7,
+            thickness: node.depth === 0 ? (altitude > 8 ? 2 : 1) : Math.max(0.4, 1 - node.depth * 0.2),
+            isPrimary: node.depth === 0 && altitude > 7,
+        });
+
+        const kids = node.children.filter(c => shown.has(c));
+        const arc = Math.min(Math.PI * 1.5, kids.length * 0.6);
+        kids.forEach((child, j) => {
+            const offset = kids.length > 1 ? (j / (kids.length - 1) - 0.5) * arc : 0;
+            const reach = scale * 2.2 + districtScale(child, altitudeOf(child)) * 1.8 + kids.length * 0.12;
+            addDistrict(child, island, angle + offset, reach, pos[1] - TERRACE_DROP);
         });
+    };
+
+    // === DIRECTORY ISLANDS (top level orbits the core) ===
+    const topDirs = root.children.filter(c => shown.has(c));
+    const ringRadius = Math.max(ISLAND_RADIUS_BASE, (topDirs.length * 6) / (Math.PI * 2));
+    topDirs.forEach((dir, i) => {
+        const angle = nameToAngle(dir.name, i, topDirs.length);
+        const radius = ringRadius + (Math.sin(i * 1.3) * 4);
+        addDistrict(dir, islands[0], angle, radius, altitudeOf(dir) - 5);
     });
 
-    // === FILE ORBS (top files become bright suns/stars) ===
-    topFiles.forEach((file, i) => {
-        const name = file.path.split('/').pop();
-        const size = file.size || 1000;
-        const angle = (i / topFiles.length) * Math.PI * 2 + Math.PI / 4;
-        const radius = 6 + (i % 3) * 2;
-        const altitude = 2 + (size > 50000 ? 4 : 0);
+    return { islands, connections };
+}
+
+/**
+ * Treemap mode: the core becomes a square ground plate and every shown folder a plate
+ * nested inside its parent's, each level a step higher. Folders are sized by bytes, and
+ * files are squarified into the space their folder leaves, so building footprints ∝ file size.
+ * No beams — the nesting already shows the hierarchy.
+ */
+function buildTreemapLayout(root, treeData, repoMeta, rootPath, metrics, altitudeOf) {
+    const shown = pickDistricts(root);
+    const islands = [];
+    const baseY = -3;
 
-        islands.push({
-            id: file.sha || `file-${i}`,
-            name,
-            type: size > 50000 ? 'sun' : 'star',
-            position: [
-                Math.cos(angle) * radius,
-                altitude - 3,
-                Math.sin(angle) * radius,
-            ],
-            scale: sizeToScale(size),
-            altitude,
-            fileSize: size,
-            originalPath: file.path,
+    // Empty files still get a (small) lot
+    const fileWeight = (file) => Math.max(256, file.size || 0);
+    const weights = new Map();
+    const weigh = (node) => {
+        const w = node.files.reduce((sum, f) => sum + fileWeight(f), 0)
+            + node.children.reduce((sum, c) => sum + weigh(c), 0);
+        weights.set(node, w);
+        return w;
+    };
+    weigh(root);
+
+    const addPlate = (node, rect, island) => {
+        islands.push(island);
+        const cx = rect.x + rect.w / 2;
+        const cz = rect.z + rect.d / 2;
+        const files = collectFiles(node, shown);
+        const items = [
+            ...node.children.filter(c => shown.has(c)).map(c => ({ value: weights.get(c), node: c })),
+            ...files.map(f => ({ value: fileWeight(f), file: f })),
+        ].sort((a, b) => b.value - a.value);
+
+        const buildings = [];
+        squarify(items, {
+            x: rect.x + TREEMAP_PAD,
+            z: rect.z + TREEMAP_PAD,
+            w: rect.w - TREEMAP_PAD * 2,
+            d: rect.d - TREEMAP_PAD * 2,
+        }).forEach(cell => {
+            const { file, node: child } = cell.item;
+            if (child) {
+                addPlate(child, cell, {
+                    id: child.id,
+                    sha: child.sha || null,
+                    name: child.name,
+                    type: 'directory',
+                    position: [cell.x + cell.w / 2, baseY + (child.depth + 1) * TREEMAP_STEP, cell.z + cell.d / 2],
+                    scale: Math.min(2.4, Math.max(0.35, Math.min(cell.w, cell.d) / 3.6)),
+                    footprint: [cell.w, cell.d],
+                    altitude: altitudeOf(child),
+                    depth: child.depth,
+                    parentId: island.id,
+                    fileCount: child.fileCount,
+                    fileSize: child.bytes,
+                    isDistrict: child.isDistrict || undefined,
+                    originalPath: child.fullPath ?? undefined,
+                });
+            } else if (buildings.length < MAX_BUILDINGS) {
+                buildings.push({
+                    name: file.path.split('/').pop(),
+                    path: file.fullPath,
+                    sha: file.sha || null,
+                    size: file.size || 0,
+                    x: cell.x + cell.w / 2 - cx,
+                    z: cell.z + cell.d / 2 - cz,
+                    width: cell.w * 0.8,
+                    depth: cell.d * 0.8,
+                    height: 0.2 + metrics.height(file) * TREEMAP_MAX_HEIGHT,
+                    ...paintBuilding(file, metrics),
+                });
+            }
         });
+        island.buildings = buildings;
+        island.hiddenFiles = files.length - buildings.length;
+    };
+
+    const half = TREEMAP_SIZE / 2;
+    addPlate(root, { x: -half, z: -half, w: TREEMAP_SIZE, d: TREEMAP_SIZE }, {
+        id: 'core-station',
+        name: rootPath ? rootPath.split('/').pop() : repoMeta.name,
+        type: 'core',
+        position: [0, baseY, 0],
+        scale: 2.5,
+        footprint: [TREEMAP_SIZE, TREEMAP_SIZE],
+        altitude: 0,
+        color: null, // uses theme color
+        fileCount: treeData.length,
+        isCore: true,
+        originalPath: rootPath || undefined,
     });
 
-    return { islands, connections };
+    return { islands, connections: [] };
 }
 
 /**
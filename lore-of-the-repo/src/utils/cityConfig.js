@@ -0,0 +1,183 @@
+/**
+ * cityConfig.js
+ * Per-repo city configuration, read from `.lordofrepo.json` (or a `lordofrepo` key in
+ * package.json) at the city root or the repo root:
+ *
+ *   {
+ *     "altitude":  { "cmd/**": 12, "internal/**": 9, "pkg/*": 7 },     // path glob → altitude (0-15)
+ *     "ignore":    ["vendor/**", "**\/*.pb.go"],                        // left out of the city
+ *     "districts": { "Platform": ["internal/platform", "pkg/infra/**"] }, // folders grouped under one island
+ *     "metrics":   { "height": "churn", "color": "recency", "glow": "size" },
+ *     "licenses":  { "allow": ["MIT", "Apache-2.0", "BSD-3-Clause"] }     // SPDX ids the License Scan accepts
+ *   }
+ *
+ * Globs match repo-relative paths: `**` spans folders, `*` and `?` stay inside one, and a
+ * trailing `/**` also matches the folder itself; a pattern without a slash matches the
+ * file / folder name anywhere.
+ */
+
+export const CONFIG_FILE = '.lordofrepo.json';
+export const FILE_METRICS = ['size', 'churn', 'recency'];
+export const COLOR_METRICS = ['extension', ...FILE_METRICS];
+export const GLOW_METRICS = ['none', ...FILE_METRICS];
+
+const MAX_ALTITUDE = 15;
+const KNOWN_KEYS = ['$schema', 'altitude', 'ignore', 'districts', 'metrics', 'licenses'];
+
+export function globToRegExp(glob) {
+    const pattern = glob.replace(/^\.?\//, '').replace(/\/$/, '');
+    let re = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '/' && pattern.slice(i) === '/**') {
+            // "cmd/**" is the cmd folder and everything below it
+            re += '(?:/.*)?';
+            break;
+        } else if (ch === '*' && pattern[i + 1] === '*') {
+            // "**/" also matches zero folders
+            if (pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i++; }
+        } else if (ch === '*') re += '[^/]*';
+        else if (ch === '?') re += '[^/]';
+        else re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+    return pattern.includes('/') ? new RegExp(`^${re}$`) : new RegExp(`(^|/)${re}$`);
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isGlobList = (v) => Array.isArray(v) && v.every(g => typeof g === 'string' && g.trim());
+
+/**
+ * Problems with a parsed config, as human-readable lines (empty when valid)
+ */
+export function validateCityConfig(config) {
+    if (!isPlainObject(config)) return ['The configuration must be a JSON object.'];
+    const errors = [];
+
+    Object.keys(config)
+        .filter(k => !KNOWN_KEYS.includes(k))
+        .forEach(k => errors.push(`Unknown key "${k}" (expected ${KNOWN_KEYS.slice(1).join(', ')}).`));
+
+    if (config.altitude !== undefined) {
+        if (!isPlainObject(config.altitude)) errors.push('"altitude" must map path globs to numbers.');
+        else {
+            Object.entries(config.altitude).forEach(([glob, value]) => {
+                if (typeof value !== 'number' || value < 0 || value > MAX_ALTITUDE) {
+                    errors.push(`"altitude" → "${glob}" must be a number from 0 to ${MAX_ALTITUDE}.`);
+                }
+            });
+        }
+    }
+
+    if (config.ignore !== undefined && !isGlobList(config.ignore)) {
+        errors.push('"ignore" must be an array of path globs.');
+    }
+
+    if (config.districts !== undefined) {
+        if (!isPlainObject(config.districts)) errors.push('"districts" must map district names to arrays of folder globs.');
+        else {
+            Object.entries(config.districts).forEach(([name, globs]) => {
+                if (!isGlobList(globs)) errors.push(`"districts" → "${name}" must be an array of folder globs.`);
+            });
+        }
+    }
+
+    if (config.metrics !== undefined) {
+        if (!isPlainObject(config.metrics)) errors.push('"metrics" must be an object with height, color and/or glow.');
+        else {
+            const allowed = { height: FILE_METRICS, color: COLOR_METRICS, glow: GLOW_METRICS };
+            Object.entries(config.metrics).forEach(([key, value]) => {
+                if (!allowed[key]) errors.push(`Unknown metric "${key}" (expected height, color, glow).`);
+                else if (!allowed[key].includes(value)) errors.push(`"metrics" → "${key}" must be one of ${allowed[key].join(', ')}.`);
+            });
+        }
+    }
+
+    if (config.licenses !== undefined) {
+        if (!isPlainObject(config.licenses)) errors.push('"licenses" must be an object with an "allow" list.');
+        else {
+            Object.keys(config.licenses)
+                .filter(k => k !== 'allow')
+                .forEach(k => errors.push(`Unknown "licenses" key "${k}" (expected allow).`));
+            if (config.licenses.allow !== undefined && !isGlobList(config.licenses.allow)) {
+                errors.push('"licenses" → "allow" must be an array of SPDX license ids.');
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Raw file text → { source, config } or { source, error } (message ready for the ErrorOverlay)
+ */
+export function parseCityConfig(text, source, pick = (json) => json) {
+    let config;
+    try {
+        config = pick(JSON.parse(text));
+    } catch (e) {
+        return { source, error: `${source} is not valid JSON: ${e.message}` };
+    }
+    const errors = validateCityConfig(config);
+    if (errors.length) {
+        return { source, error: `${source} has ${errors.length} problem${errors.length > 1 ? 's' : ''}:\n• ${errors.join('\n• ')}\n\nThe city was built with the default layout.` };
+    }
+    return { source, config };
+}
+
+/**
+ * Find and read the config. `readFile(path)` fetches a repo file (rejecting when missing).
+ * The city root wins over the repo root; `.lordofrepo.json` over package.json.
+ * Resolves to null when there is none.
+ */
+export async function loadCityConfig({ tree, rootPath = '', readFile }) {
+    const inTree = new Set(tree.map(e => e.path));
+    const dirs = rootPath ? [rootPath.replace(/\/$/, ''), ''] : [''];
+    const candidates = [
+        { file: CONFIG_FILE, pick: (json) => json },
+        { file: 'package.json', pick: (json) => json?.lordofrepo, optional: true },
+    ];
+
+    for (const dir of dirs) {
+        for (const { file, pick, optional } of candidates) {
+            const path = dir ? `${dir}/${file}` : file;
+            // A sub-path city's tree doesn't list repo-root files — those are fetched blind
+            const blind = rootPath && !dir;
+            if (!blind && !inTree.has(path)) continue;
+
+            let text;
+            try {
+                text = await readFile(path);
+            } catch {
+                continue;
+            }
+            if (optional) {
+                // package.json is only ours when it has the key
+                let json;
+                try { json = JSON.parse(text); } catch { continue; }
+                if (json?.lordofrepo === undefined) continue;
+            }
+            return parseCityConfig(text, `${path}${optional ? ' ("lordofrepo")' : ''}`, pick);
+        }
+    }
+    return null;
+}
+
+/**
+ * Validated config → lookups used by buildCityLayout
+ */
+export function compileCityConfig(config) {
+    const altitude = Object.entries(config?.altitude || {}).map(([glob, value]) => ({ re: globToRegExp(glob), value }));
+    const ignore = (config?.ignore || []).map(globToRegExp);
+    const districts = Object.entries(config?.districts || {}).map(([name, globs]) => ({ name, res: globs.map(globToRegExp) }));
+
+    return {
+        altitudeFor: (path) => altitude.find(a => a.re.test(path))?.value,
+        // A folder glob also hides everything below the folder
+        isIgnored: (path) => ignore.some(re => path.split('/').some((_, i, parts) => {
+            const prefix = parts.slice(0, i + 1).join('/');
+            return re.test(prefix) || re.test(`${prefix}/`);
+        })),
+        districtFor: (folderPath) => districts.find(d => d.res.some(re => re.test(folderPath)))?.name,
+        metrics: { height: null, color: 'extension', glow: 'none', ...(config?.metrics || {}) },
+    };
+}
@@ -0,0 +1,229 @@
+/**
+ * cityStore.js
+ * Shared city state + event bus: the loaded repo, its import graph, code metrics, CODEOWNERS, dependencies, LICENSE files and CI jobs,
+ * Code Inspector tabs, selection, layout and feature flags. React reads it through hooks/useCityStore.js; event
+ * handlers and async loaders use getCityState() / the actions below directly.
+ *
+ * Everything tied to the loaded repo — repo info, import graph, metrics, open files, selection — is
+ * cleared by resetCity() at the start of every load, so nothing from the previous repo
+ * (dependency beams, inspector tabs) outlives it. Layout and feature flags are user
+ * preferences and survive, and so does a loaded advisory dump.
+ */
+
+/**
+ * @typedef {Object} OpenFile
+ * @property {number} id
+ * @property {string} name
+ * @property {string} path      repo-relative
+ * @property {string} content   source, or a loading / error placeholder
+ * @property {string} [type]    'file' | 'building' | island type
+ *
+ * @typedef {Object} ImportGraphState
+ * @property {Array|null} tree  the repo tree `edges` were extracted from
+ * @property {Array<{ from: string, to: string, kind: string }>} edges
+ * @property {Object<string, Object>} metrics   per-file code metrics (analyzers/metrics.js)
+ * @property {Object<string, string[]>} externals   per file, its imports of packages outside the repo
+ * @property {Object<string, string>} licenses   per file, its SPDX-License-Identifier header (files with one)
+ * @property {'idle'|'loading'|'done'|'error'} status
+ * @property {{ done: number, total: number }|null} progress
+ *
+ * @typedef {Object} MetricsBaseline
+ * @property {Array|null} tree  the repo tree it was compared against
+ * @property {Object|null} commit   the earlier commit (utils/codeMetrics.js baselineCommit)
+ * @property {Object<string, Object>|null} metrics   per-file metrics at that commit
+ * @property {'idle'|'loading'|'done'|'error'} status
+ *
+ * @typedef {Object} CodeownersState
+ * @property {Object|null} meta     the repoInfo it was read for
+ * @property {{ path: string, rules: Object[] }|null} file   parsed CODEOWNERS (utils/ownership.js), null if none
+ * @property {'idle'|'loading'|'done'|'error'} status
+ *
+ * @typedef {Object} LastTouchedState
+ * @property {Object|null} meta     the repoInfo they were looked up for
+ * @property {Object<string, string|null>} dates   per island beyond the detailed commit log, its last commit date (null: none)
+ * @property {'idle'|'loading'|'done'|'error'} status
+ *
+ * @typedef {Object} DependencyState
+ * @property {Array|null} tree  the repo tree its manifests were found in
+ * @property {Object|null} graph   direct dependencies and their lockfile closure (utils/supplyChain.js)
+ * @property {'idle'|'loading'|'done'|'error'} status
+ *
+ * @typedef {Object} LicenseFilesState
+ * @property {Array|null} tree  the repo tree they were found in
+ * @property {Array<{ path: string, dir: string, license: string|null }>} files   LICENSE / COPYING files (utils/licenses.js)
+ * @property {'idle'|'loading'|'done'|'error'} status
+ *
+ * @typedef {Object} CiState
+ * @property {Object|null} meta     the repoInfo its jobs were fetched for
+ * @property {Object[]|null} jobs   latest CI jobs of its commit (utils/ciWeather.js), null when the forge has no CI API
+ * @property {'idle'|'loading'|'done'|'stale'|'error'} status   'stale': due for a re-fetch (jobs still running)
+ * @property {string|null} error
+ *
+ * @typedef {Object} AdvisoryState
+ * @property {'file'|'server'|null} source   a user-loaded OSV dump, or the server's answer for `dependencies`
+ * @property {string|null} label    the dump's file name
+ * @property {Map<string, Object[]>|null} index   advisories by "ecosystem:package" (utils/osv.js)
+ * @property {number} count
+ * @property {Array|null} dependencies   the dependency list the server was asked about
+ * @property {'idle'|'loading'|'done'|'error'} status
+ * @property {string|null} error
+ *
+ * @typedef {Object} CityState
+ * @property {Object|null} repoInfo          provider meta of the loaded repo (null while loading)
+ * @property {{ mode: string, heightMetric: string|null }} layout
+ * @property {ImportGraphState} imports
+ * @property {MetricsBaseline} baseline
+ * @property {CodeownersState} codeowners
+ * @property {LastTouchedState} lastTouched
+ * @property {DependencyState} dependencies
+ * @property {LicenseFilesState} licenseFiles
+ * @property {CiState} ci
+ * @property {AdvisoryState} advisories     not repo-scoped: a loaded dump serves every repo
+ * @property {OpenFile[]} openFiles          Code Inspector tabs, newest first
+ * @property {Object|null} selectedIsland
+ * @property {Object<string, boolean>} features
+ *
+ * @typedef {Object} CityEvents
+ * @property {{ islandId: string }} 'island:click'   every island click, re-clicks included
+ */
+
+export const DEFAULT_FEATURES = {
+    security: false,
+    traffic: false,
+    weather: false,
+    music: false,
+    ghosts: false,
+    decay: false,
+    battle: false,
+    neural: false,
+    vr: false,
+    carbon: false,
+    glitch: false,
+    nebula: false,
+    phantom: false,
+    helix: false,
+    graph: false,
+    cycles: false,
+    owners: false,
+    linter: false,
+    fps: false,
+    economy: false,
+    wormhole: false,
+    burndown: false,
+    boss: false,
+    instanced: false,
+    heatmap: false,
+    licenses: false,
+    deploy: true,   // Container Transport on by default
+};
+
+const EMPTY_IMPORTS = { tree: null, edges: [], metrics: {}, externals: {}, licenses: {}, status: 'idle', progress: null };
+const EMPTY_BASELINE = { tree: null, commit: null, metrics: null, status: 'idle' };
+const EMPTY_CODEOWNERS = { meta: null, file: null, status: 'idle' };
+const EMPTY_LAST_TOUCHED = { meta: null, dates: {}, status: 'idle' };
+const EMPTY_DEPENDENCIES = { tree: null, graph: null, status: 'idle' };
+const EMPTY_LICENSE_FILES = { tree: null, files: [], status: 'idle' };
+const EMPTY_CI = { meta: null, jobs: null, status: 'idle', error: null };
+export const EMPTY_ADVISORIES = { source: null, label: null, index: null, count: 0, dependencies: null, status: 'idle', error: null };
+
+const repoScoped = () => ({
+    repoInfo: null,
+    imports: EMPTY_IMPORTS,
+    baseline: EMPTY_BASELINE,
+    codeowners: EMPTY_CODEOWNERS,
+    lastTouched: EMPTY_LAST_TOUCHED,
+    dependencies: EMPTY_DEPENDENCIES,
+    licenseFiles: EMPTY_LICENSE_FILES,
+    ci: EMPTY_CI,
+    openFiles: [],
+    selectedIsland: null,
+});
+
+/** @type {CityState} */
+let state = {
+    ...repoScoped(),
+    layout: { mode: 'orbital', heightMetric: null },
+    features: DEFAULT_FEATURES,
+    advisories: EMPTY_ADVISORIES,
+};
+const listeners = new Set();
+
+export const getCityState = () => state;
+
+export function subscribeCity(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Shallow-merge `patch` (or `patch(state)`) into the state. Slices not in the patch keep their
+ * identity, so selectors over them don't re-render.
+ */
+export function setCityState(patch) {
+    const next = typeof patch === 'function' ? patch(state) : patch;
+    if (!next) return;
+    state = { ...state, ...next };
+    listeners.forEach(l => l());
+}
+
+/** Drop everything from the previous repo; `patch` seeds the new one (e.g. its repoInfo) */
+export function resetCity(patch = {}) {
+    setCityState({ ...repoScoped(), ...patch });
+}
+
+// ── Event bus ─────────────────────────────────────────────────
+const handlers = new Map();
+
+/** @returns {() => void} unsubscribe */
+export function onCityEvent(type, handler) {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    return () => handlers.get(type).delete(handler);
+}
+
+export function emitCityEvent(type, payload) {
+    handlers.get(type)?.forEach(h => h(payload));
+}
+
+// ── Actions ───────────────────────────────────────────────────
+export function toggleFeature(key) {
+    setCityState(s => {
+        const willTurnOn = !s.features[key];
+        if (willTurnOn) {
+            const activeCount = Object.keys(s.features).filter(k => k !== 'deploy' && s.features[k]).length;
+            if (activeCount >= 5) {
+                console.warn('⚠️ SYSTEM OVERLOAD WARNING: Running many systems simultaneously may drop FPS.');
+            }
+        }
+        return { features: { ...s.features, [key]: willTurnOn } };
+    });
+}
+
+export const setCityLayout = (layout) => setCityState({ layout });
+
+/** Click on an island: toggles the selection, and tells the listeners (ghosts, linter towers) */
+export function clickIsland(island) {
+    setCityState(s => ({ selectedIsland: s.selectedIsland?.id === island.id ? null : island }));
+    emitCityEvent('island:click', { islandId: island.id });
+}
+
+export const clearSelection = () => setCityState({ selectedIsland: null });
+
+/**
+ * Open a file in the Code Inspector, or refresh its content if it's open already (the
+ * loading placeholder is replaced by the fetched source this way).
+ * @param {Omit<OpenFile, 'id'>} file
+ */
+export function openCodeFile({ name, path, content, type }) {
+    setCityState(s => {
+        const open = s.openFiles.find(f => f.path === path);
+        if (open) return { openFiles: s.openFiles.map(f => (f === open ? { ...f, content } : f)) };
+        return { openFiles: [{ id: Date.now(), name, path, content: content || '// Content currently un-fetched...', type }, ...s.openFiles] };
+    });
+}
+
+export const updateCodeFile = (id, content) =>
+    setCityState(s => ({ openFiles: s.openFiles.map(f => (f.id === id ? { ...f, content } : f)) }));
+
+export const closeCodeFile = (id) =>
+    setCityState(s => ({ openFiles: s.openFiles.filter(f => f.id !== id) }));
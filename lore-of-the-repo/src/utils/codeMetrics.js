@@ -0,0 +1,98 @@
+/**
+ * codeMetrics.js
+ * Per-file code metrics (analyzers/metrics.js, measured with the import graph) rolled up per
+ * island and compared with an earlier commit — the Economy ticker's price and trend, and the
+ * numbers in the HoloOverlay / Sidebar.
+ *   baselineCommit(commitLog)                        → the commit to compare against
+ *   loadBaselineMetrics(meta, tree, current, commit) → { [path]: metrics } at that commit
+ *   islandMetrics(files, baseline, islandIds)        → { [island id]: { current, baseline } }
+ */
+
+import { fetchRepoTree, fetchRepoFile } from '../providers';
+import { mapWithConcurrency } from '../providers/shared';
+import { islandForPath, runModuleGraphWorker } from './importGraph';
+
+const BASELINE_DAYS = 30;
+const MAX_BASELINE_FETCHES = 150;
+const FETCH_CONCURRENCY = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The newest commit at least BASELINE_DAYS older than HEAD, else the oldest one fetched.
+ * Null without history (archives, single-commit logs).
+ */
+export function baselineCommit(commitLog) {
+    if (!commitLog?.length || commitLog.length < 2) return null;
+    const headMs = Date.parse(commitLog[0].date);
+    return commitLog.find(c => headMs - Date.parse(c.date) >= BASELINE_DAYS * DAY_MS) || commitLog[commitLog.length - 1];
+}
+
+/**
+ * Metrics of the currently measured files as they were at `commit`. Blobs whose SHA didn't
+ * change reuse today's numbers; changed ones are fetched at the commit (up to
+ * MAX_BASELINE_FETCHES — the rest count as unchanged) and measured in the worker. Files that
+ * didn't exist yet are absent.
+ */
+export async function loadBaselineMetrics(meta, tree, current, commit) {
+    const shaNow = new Map(tree.map(e => [e.path, e.sha]));
+    const then = await fetchRepoTree(meta, commit.sha);
+    const shaThen = new Map(then.filter(e => e.type === 'blob').map(e => [e.path, e.sha]));
+
+    const baseline = {};
+    const changed = [];
+    Object.keys(current).forEach(path => {
+        if (!shaThen.has(path)) return;
+        const sha = shaThen.get(path);
+        if (sha && sha === shaNow.get(path)) baseline[path] = current[path];
+        else if (changed.length < MAX_BASELINE_FETCHES) changed.push(path);
+        else baseline[path] = current[path];
+    });
+
+    const files = await mapWithConcurrency(changed, FETCH_CONCURRENCY, async (path) => {
+        try {
+            return { path, code: await fetchRepoFile(meta, path, commit.sha) };
+        } catch (e) {
+            console.warn(`[Metrics] ${path}@${commit.sha.slice(0, 7)}:`, e.message);
+            return null;
+        }
+    });
+    const { metrics } = await runModuleGraphWorker({ type: 'metrics', files: files.filter(Boolean) });
+    console.log(`[Metrics] Baseline ${commit.sha.slice(0, 7)}: ${changed.length} changed files re-measured`);
+    return { ...baseline, ...metrics };
+}
+
+// One island's numbers: sums, the worst nesting, and maintainability weighted by code lines
+function summarize(list) {
+    if (!list.length) return null;
+    const sum = (key) => list.reduce((n, m) => n + m[key], 0);
+    const loc = sum('loc');
+    const sloc = sum('sloc');
+    const weighted = list.reduce((n, m) => n + m.maintainability * Math.max(1, m.sloc), 0);
+    return {
+        files: list.length,
+        loc,
+        sloc,
+        commentRatio: loc ? Math.round((sum('commentLines') / loc) * 100) / 100 : 0,
+        complexity: sum('complexity'),
+        functions: sum('functions'),
+        maxNesting: Math.max(...list.map(m => m.maxNesting)),
+        maintainability: Math.round((weighted / list.reduce((n, m) => n + Math.max(1, m.sloc), 0)) * 10) / 10,
+    };
+}
+
+export function islandMetrics(files, baseline, islandIds) {
+    const groups = new Map();
+    const add = (path, side, m) => {
+        const id = islandForPath(path, islandIds);
+        if (!groups.has(id)) groups.set(id, { current: [], baseline: [] });
+        groups.get(id)[side].push(m);
+    };
+    Object.entries(files || {}).forEach(([path, m]) => add(path, 'current', m));
+    Object.entries(baseline || {}).forEach(([path, m]) => add(path, 'baseline', m));
+
+    const out = {};
+    groups.forEach((g, id) => {
+        out[id] = { current: summarize(g.current), baseline: baseline ? summarize(g.baseline) : null };
+    });
+    return out;
+}
@@ -0,0 +1,155 @@
+/**
+ * commitHistory.js
+ * Maps the "Ghost of Commits" slider (0-100) onto real commits and diffs city
+ * layouts between two scrub points. Commit logs are newest first.
+ */
+
+const YEAR_MS = 1000 * 60 * 60 * 24 * 365;
+
+/**
+ * The track spans from the repo's creation — or its oldest logged commit, for imported
+ * repos whose history predates the forge — up to now.
+ */
+export function timelineBounds(repoInfo, commitLog, nowMs) {
+    const created = repoInfo?.created_at ? Date.parse(repoInfo.created_at) : nowMs - YEAR_MS;
+    const oldest = commitLog.length ? Date.parse(commitLog[commitLog.length - 1].date) : NaN;
+    return { startMs: oldest < created ? oldest : created, endMs: nowMs };
+}
+
+export function progressToTime(pct, { startMs, endMs }) {
+    return startMs + ((endMs - startMs) * pct) / 100;
+}
+
+/**
+ * Latest commit at or before the slider position, or null when it's before all of them
+ */
+export function commitAtProgress(commits, pct, bounds) {
+    const cutoff = progressToTime(pct, bounds);
+    return commits.find(c => Date.parse(c.date) <= cutoff) || null;
+}
+
+/**
+ * Up to `count` commits spread evenly through the log (newest and oldest always kept),
+ * so scrubbing fetches at most `count` historical trees
+ */
+export function sampleCommits(commitLog, count) {
+    if (commitLog.length <= count) return commitLog;
+    const step = (commitLog.length - 1) / (count - 1);
+    return Array.from({ length: count }, (_, i) => commitLog[Math.round(i * step)]);
+}
+
+const RENAME_OVERLAP = 0.5;   // share of blob shas two folders need in common to count as a rename
+
+const blobShas = (island) => new Set((island.buildings || []).filter(b => b.sha && !b.leaving).map(b => b.sha));
+
+// The removed island `island` was most likely renamed from: same tree sha, else the one
+// sharing the most file blobs (a rename that also edited a file changes the tree sha)
+function renameSource(island, removed, taken) {
+    const candidates = removed.filter(r => !taken.has(r.id));
+    const exact = island.sha && candidates.find(r => r.sha === island.sha);
+    if (exact) return exact;
+
+    const shas = blobShas(island);
+    if (!shas.size) return null;
+    let best = null;
+    let bestScore = RENAME_OVERLAP;
+    candidates.forEach(r => {
+        const theirs = blobShas(r);
+        if (!theirs.size) return;
+        let shared = 0;
+        theirs.forEach(sha => { if (shas.has(sha)) shared++; });
+        const score = shared / Math.max(shas.size, theirs.size);
+        if (score >= bestScore) { best = r; bestScore = score; }
+    });
+    return best;
+}
+
+/**
+ * Tag an island's buildings against its previous version (`before`, null for a new island):
+ * - files on both keep `from` (their old footprint) and ease into the new one
+ * - a new path with the blob sha of a file gone from the island is a rename: `renamedFrom`
+ *   and `from` its old spot; one whose blob left another island only gets `renamedFrom`
+ * - other new files grow in (`entering`); files gone shrink away (`leaving`, appended)
+ */
+function transitionBuildings(island, before, movedBlobs) {
+    if (!island.buildings?.length && !before?.buildings?.length) return island;
+    const old = (before?.buildings || []).filter(b => !b.leaving);
+    const nextPaths = new Set((island.buildings || []).map(b => b.path));
+    const oldByPath = new Map(old.map(b => [b.path, b]));
+    const goneBySha = new Map(old.filter(b => b.sha && !nextPaths.has(b.path)).map(b => [b.sha, b]));
+
+    const footprint = (b) => ({ x: b.x, z: b.z, width: b.width, depth: b.depth, height: b.height });
+    const renamed = new Set();
+    const buildings = (island.buildings || []).map(b => {
+        const same = oldByPath.get(b.path);
+        if (same) return { ...b, from: footprint(same) };
+        const moved = b.sha && goneBySha.get(b.sha);
+        if (moved && !renamed.has(moved.path)) {
+            renamed.add(moved.path);
+            return { ...b, from: footprint(moved), renamedFrom: moved.path };
+        }
+        const elsewhere = b.sha && movedBlobs.get(b.sha);
+        return elsewhere ? { ...b, entering: true, renamedFrom: elsewhere } : { ...b, entering: true };
+    });
+    const leaving = old
+        .filter(b => !nextPaths.has(b.path) && !renamed.has(b.path))
+        .map(b => ({ ...b, leaving: true }));
+    return { ...island, buildings: [...buildings, ...leaving] };
+}
+
+/**
+ * Tag `next` for an animated transition from `prev`:
+ * - islands only in `prev` are appended with `leaving: true` (shrink away)
+ * - islands only in `next` grow in; a removed island with the same tree sha, or most of the
+ *   same file blobs, means a rename, so the new island gets `enterFrom` (its old position)
+ *   and flies across
+ * - every building is tagged too (transitionBuildings), so files enter, leave and move
+ */
+export function transitionLayout(prev, next) {
+    if (!prev || !next || prev === next) return next;
+
+    const prevById = new Map(prev.islands.filter(i => !i.leaving).map(i => [i.id, i]));
+    const nextIds = new Set(next.islands.map(i => i.id));
+    const removed = prev.islands.filter(i => !i.leaving && !nextIds.has(i.id));
+
+    // Blobs that left one path, by sha → old path (cross-island file moves)
+    const nextPaths = new Set(next.islands.flatMap(i => (i.buildings || []).map(b => b.path)));
+    const movedBlobs = new Map();
+    prev.islands.forEach(i => (i.buildings || []).forEach(b => {
+        if (b.sha && !b.leaving && !nextPaths.has(b.path)) movedBlobs.set(b.sha, b.path);
+    }));
+
+    const renamedFrom = new Set();
+    const islands = next.islands.map(island => {
+        if (prevById.has(island.id)) return transitionBuildings(island, prevById.get(island.id), movedBlobs);
+        const from = renameSource(island, removed, renamedFrom);
+        if (!from) return transitionBuildings(island, null, movedBlobs);
+        renamedFrom.add(from.id);
+        return {
+            ...transitionBuildings(island, from, movedBlobs),
+            enterFrom: from.position,
+            renamedFrom: from.originalPath || from.name,
+        };
+    });
+
+    const leaving = removed
+        .filter(i => !renamedFrom.has(i.id))
+        .map(i => ({ ...i, leaving: true }));
+
+    return { ...next, islands: [...islands, ...leaving] };
+}
+
+const hasLeavingBuildings = (island) => !!island.buildings?.some(b => b.leaving);
+
+/**
+ * Drop islands and buildings that finished leaving
+ */
+export function settleLayout(layout) {
+    if (!layout?.islands.some(i => i.leaving || hasLeavingBuildings(i))) return layout;
+    return {
+        ...layout,
+        islands: layout.islands
+            .filter(i => !i.leaving)
+            .map(i => (hasLeavingBuildings(i) ? { ...i, buildings: i.buildings.filter(b => !b.leaving) } : i)),
+    };
+}
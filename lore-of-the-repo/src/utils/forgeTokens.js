@@ -0,0 +1,31 @@
+/**
+ * forgeTokens.js
+ * Access tokens per Git host. github.com keeps its own key (githubAuth.js);
+ * every other host (self-hosted GitLab, Gitea, Bitbucket) shares one JSON map.
+ */
+
+import { loadGitHubToken, storeGitHubToken } from './githubAuth';
+
+const FORGE_TOKENS_KEY = 'lotr_forge_tokens';
+
+function loadTokenMap() {
+    try { return JSON.parse(localStorage.getItem(FORGE_TOKENS_KEY) || '{}'); }
+    catch { return {}; }
+}
+
+export function loadHostToken(host) {
+    if (!host || host === 'github.com') return loadGitHubToken();
+    return loadTokenMap()[host.toLowerCase()] || '';
+}
+
+export function storeHostToken(host, token) {
+    if (!host || host === 'github.com') {
+        storeGitHubToken(token);
+        return;
+    }
+    const map = loadTokenMap();
+    if (token) map[host.toLowerCase()] = token;
+    else delete map[host.toLowerCase()];
+    try { localStorage.setItem(FORGE_TOKENS_KEY, JSON.stringify(map)); }
+    catch { /* storage unavailable (private mode) */ }
+}
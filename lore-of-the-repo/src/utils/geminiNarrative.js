@@ -37,7 +37,7 @@ Constraints:
  * Call Gemini API to generate narrative
  */
 async function callGemini(apiKey, repoData) {
-    const { name, language, description, stargazers_count, contributors_count, commits_count } = repoData;
+    const { name, language, description, stargazers_count, contributors_count, commits_count, commits_estimated } = repoData;
 
     const userPrompt = `Analyze this GitHub repository and generate city lore:
 Repository: ${name}
@@ -45,7 +45,7 @@ Language: ${language || 'Unknown'}
 Description: ${description || 'No description'}
 Stars: ${stargazers_count || 0}
 Contributors: ${contributors_count || 1}
-Estimated Commits: ${commits_count || 100}
+${commits_estimated === false ? 'Commits' : 'Estimated Commits'}: ${commits_count || 100}
 README Snippet: "${description || 'A software project'}..."
 
 Generate the JSON narrative now.`;
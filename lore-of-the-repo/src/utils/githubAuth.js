@@ -0,0 +1,62 @@
+/**
+ * githubAuth.js
+ * Personal access token storage + request headers for the GitHub API.
+ * The token lives in localStorage next to the Gemini key so every fetcher
+ * (hook, islands, overlays) can authenticate without prop drilling.
+ */
+
+export const GITHUB_TOKEN_KEY = 'lotr_github_token';
+
+/**
+ * Read the saved token (empty string when none / storage blocked)
+ */
+export function loadGitHubToken() {
+    try { return localStorage.getItem(GITHUB_TOKEN_KEY) || ''; }
+    catch { return ''; }
+}
+
+/**
+ * Persist or clear the token
+ */
+export function storeGitHubToken(token) {
+    try {
+        if (token) localStorage.setItem(GITHUB_TOKEN_KEY, token);
+        else localStorage.removeItem(GITHUB_TOKEN_KEY);
+    } catch { /* storage unavailable (private mode) */ }
+}
+
+/**
+ * Standard REST headers, with Authorization when a token is present
+ */
+export function githubHeaders(token, accept = 'application/vnd.github.v3+json') {
+    const headers = {
+        Accept: accept,
+        'X-GitHub-Api-Version': '2022-11-28',
+    };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    return headers;
+}
+
+/**
+ * Explain a 401/403 from an authenticated request.
+ * Classic tokens report their scopes in X-OAuth-Scopes; fine-grained tokens don't,
+ * so a 403 without a rate-limit body is treated as a missing permission.
+ */
+export function describeAuthFailure(resp, token) {
+    if (resp.status === 401) {
+        return token
+            ? 'GitHub token expired or was revoked. Generate a new token and save it again.'
+            : 'GitHub authentication failed. Add a personal access token and try again.';
+    }
+
+    const scopes = (resp.headers.get('X-OAuth-Scopes') || '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+    if (token && !scopes.includes('repo')) {
+        return 'GitHub token lacks the "repo" scope (or Contents: read for fine-grained tokens). Update the token permissions to open this repository.';
+    }
+    return token
+        ? 'GitHub API access forbidden for this token.'
+        : 'GitHub API access forbidden. The repository may be private — add a GitHub token with the "repo" scope.';
+}
@@ -0,0 +1,127 @@
+/**
+ * importCycles.js
+ * Circular imports in the file-level module graph (importGraph.js): the strongly connected
+ * components (Tarjan) with more than one file.
+ *   → [{ id, files: [every file in the component], path: [a shortest loop through it] }]
+ * Largest first. Rust `mod` declarations are structure, not dependencies — a parent declaring
+ * a child that `use super::`s it back isn't a cycle anyone can untangle — so they're skipped.
+ */
+
+import { islandForPath } from './importGraph';
+
+const CYCLE_HUES = ['#ff0044', '#ffaa00', '#dd00ff', '#00ffaa', '#ff6600', '#44aaff'];
+
+// Ring colour of the i-th cycle — the scene and the cycle list agree on it
+export const cycleColor = (i) => CYCLE_HUES[i % CYCLE_HUES.length];
+
+function adjacency(edges) {
+    const out = new Map();
+    edges.forEach(({ from, to, kind }) => {
+        if (kind === 'mod' || from === to) return;
+        if (!out.has(from)) out.set(from, new Set());
+        if (!out.has(to)) out.set(to, new Set());
+        out.get(from).add(to);
+    });
+    return out;
+}
+
+// Iterative Tarjan: big repos nest deep enough to blow the call stack recursively
+function stronglyConnected(out) {
+    const index = new Map();
+    const low = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let next = 0;
+
+    for (const root of out.keys()) {
+        if (index.has(root)) continue;
+        const work = [{ node: root, targets: out.get(root).values() }];
+        index.set(root, next);
+        low.set(root, next++);
+        stack.push(root);
+        onStack.add(root);
+
+        while (work.length) {
+            const frame = work[work.length - 1];
+            const step = frame.targets.next();
+            if (!step.done) {
+                const to = step.value;
+                if (!index.has(to)) {
+                    index.set(to, next);
+                    low.set(to, next++);
+                    stack.push(to);
+                    onStack.add(to);
+                    work.push({ node: to, targets: out.get(to).values() });
+                } else if (onStack.has(to)) {
+                    low.set(frame.node, Math.min(low.get(frame.node), index.get(to)));
+                }
+                continue;
+            }
+
+            work.pop();
+            const { node } = frame;
+            if (work.length) {
+                const parent = work[work.length - 1].node;
+                low.set(parent, Math.min(low.get(parent), low.get(node)));
+            }
+            if (low.get(node) !== index.get(node)) continue;
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            components.push(component);
+        }
+    }
+    return components;
+}
+
+// Shortest loop from `start` back to itself, staying inside the component (BFS)
+function shortestLoop(start, members, out) {
+    const prev = new Map();
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        for (const to of out.get(node)) {
+            if (!members.has(to)) continue;
+            if (to === start) {
+                const loop = [node];
+                while (loop[0] !== start) loop.unshift(prev.get(loop[0]));
+                return loop;
+            }
+            if (prev.has(to)) continue;
+            prev.set(to, node);
+            queue.push(to);
+        }
+    }
+    return [start];
+}
+
+export function findImportCycles(edges) {
+    if (!edges?.length) return [];
+    const out = adjacency(edges);
+    return stronglyConnected(out)
+        .filter(c => c.length > 1)
+        .map(component => {
+            const files = component.sort();
+            return { id: `cycle:${files[0]}`, files, path: shortestLoop(files[0], new Set(files), out) };
+        })
+        .sort((a, b) => b.files.length - a.files.length || a.id.localeCompare(b.id));
+}
+
+/**
+ * The islands a cycle's loop passes through, in loop order, consecutive repeats folded —
+ * [a, b] reads a → b → a. A single island means the cycle never leaves one folder.
+ */
+export function cycleIslands(cycle, islandIds) {
+    const ring = [];
+    cycle.path.forEach(file => {
+        const id = islandForPath(file, islandIds);
+        if (ring[ring.length - 1] !== id) ring.push(id);
+    });
+    if (ring.length > 1 && ring[0] === ring[ring.length - 1]) ring.pop();
+    return ring;
+}
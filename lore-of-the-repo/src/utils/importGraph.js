@@ -0,0 +1,116 @@
+/**
+ * importGraph.js
+ * File-level module graph: fetches source files (plus the manifests resolution needs —
+ * tsconfig, package.json, go.mod, Cargo.toml) through the repo's provider, then parses and
+ * resolves them in moduleGraph.worker.js with the per-language analyzers (src/analyzers):
+ * JS / TS, Python, Go, Rust and Java. The same pass measures every file (analyzers/metrics.js).
+ *   → { files, edges: [{ from, to, kind }], metrics: { [path]: {...} }, externals: { [path]: [spec] }, licenses: { [path]: spdx } }
+ * (repo-relative full paths). Imports of packages that aren't part of the repo ('react', 'fmt',
+ * 'serde') make no edges; they're listed per file in `externals`. `licenses` are the sources'
+ * SPDX-License-Identifier headers.
+ */
+
+import { fetchRepoFile } from '../providers';
+import { mapWithConcurrency } from '../providers/shared';
+import { analyzerForPath, isConfigFile } from '../analyzers';
+
+const SKIP_PATH = /(^|\/)(node_modules|dist|build|coverage|vendor|target|__pycache__|\.?venv|site-packages)\//;
+const MAX_GRAPH_FILES = 400;
+const MAX_CONFIG_FILES = 80;
+const FETCH_CONCURRENCY = 6;
+const CORE_ID = 'core-station';
+
+export const isSourceFile = (path) => !SKIP_PATH.test(path) && !!analyzerForPath(path);
+
+// Owning island of a file: the nearest ancestor folder with an island, else the core
+export function islandForPath(path, islandIds) {
+    const parts = path.split('/');
+    for (let i = parts.length - 1; i > 0; i--) {
+        const id = `dir:${parts.slice(0, i).join('/')}`;
+        if (islandIds.has(id)) return id;
+    }
+    return CORE_ID;
+}
+
+/**
+ * File edges → island links ({ id, source, target, weight, kind: 'import' }), weighted by
+ * how many imports cross between the two islands. Undirected (source < target) unless
+ * `directed`, in which case source imports target.
+ */
+export function aggregateImportLinks(edges, islandIds, { directed = false } = {}) {
+    const links = new Map();
+    edges.forEach(({ from, to }) => {
+        const a = islandForPath(from, islandIds);
+        const b = islandForPath(to, islandIds);
+        if (a === b) return;
+        const [source, target] = directed || a < b ? [a, b] : [b, a];
+        const id = `${source}->${target}`;
+        const link = links.get(id) || { id, source, target, weight: 0, kind: 'import' };
+        link.weight++;
+        links.set(id, link);
+    });
+    return [...links.values()];
+}
+
+export function runModuleGraphWorker(message) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('../workers/moduleGraph.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+            worker.terminate();
+            resolve(e.data);
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Module graph worker failed'));
+        };
+        worker.postMessage(message);
+    });
+}
+
+/**
+ * Fetch up to MAX_GRAPH_FILES source files under the city's root, and the repo's module
+ * configs, then resolve every import in a worker.
+ * Unreadable files are skipped — a partial graph still lays out.
+ */
+const byDepth = (a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b);
+
+// The source files the graph reads: shallowest first under the city's root, capped
+export function graphSourcePaths(meta, paths) {
+    const prefix = meta.root_path ? `${meta.root_path.replace(/\/$/, '')}/` : '';
+    return paths
+        .filter(p => p.startsWith(prefix) && isSourceFile(p))
+        .sort(byDepth)
+        .slice(0, MAX_GRAPH_FILES);
+}
+
+export async function loadImportGraph(meta, tree, { onProgress } = {}) {
+    const paths = tree.filter(e => e.type === 'blob').map(e => e.path);
+    const sources = graphSourcePaths(meta, paths);
+    // Configs anywhere in the repo: workspace packages and tsconfig bases often live outside the city root
+    const configPaths = paths.filter(p => isConfigFile(p) && !SKIP_PATH.test(p)).sort(byDepth).slice(0, MAX_CONFIG_FILES);
+    const total = sources.length + configPaths.length;
+
+    let done = 0;
+    const read = async (path) => {
+        let text = '';
+        try {
+            text = await fetchRepoFile(meta, path);
+        } catch (e) {
+            console.warn(`[Graph] ${path}:`, e.message);
+        }
+        onProgress?.({ done: ++done, total });
+        return { path, text };
+    };
+    const configs = await mapWithConcurrency(configPaths, FETCH_CONCURRENCY, read);
+    const files = await mapWithConcurrency(sources, FETCH_CONCURRENCY, read);
+
+    const { edges, metrics, externals, licenses, external, languages } = await runModuleGraphWorker({
+        type: 'analyze',
+        paths,
+        configs: configs.filter(c => c.text),
+        files: files.filter(f => f.text).map(f => ({ path: f.path, code: f.text })),
+    });
+    const mix = Object.entries(languages).map(([id, n]) => `${id} ${n}`).join(', ');
+    console.log(`[Graph] ${sources.length} files (${mix || 'none readable'}) → ${edges.length} edges (${external} external imports)`);
+    return { files: sources.length, edges, metrics, externals, licenses };
+}
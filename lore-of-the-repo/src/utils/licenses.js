@@ -0,0 +1,177 @@
+/**
+ * licenses.js
+ * License compliance for the License Scan: SPDX headers in the sources the import graph read,
+ * LICENSE / COPYING files anywhere in the tree, and the licenses lockfiles declare for
+ * dependencies — each checked against the repo's allow-list (`licenses.allow` in
+ * .lordofrepo.json, else DEFAULT_LICENSE_ALLOW).
+ *   detectLicense(text)               → SPDX id of a license text | null
+ *   loadLicenseFiles(meta, tree)      → [{ path, dir, license }]
+ *   checkLicense(expression, allow)   → 'allowed' | 'copyleft' | 'unknown' | 'denied'
+ *   licenseReport({ ... })            → { islands, dependencies, findings }
+ */
+
+import { fetchRepoFile } from '../providers';
+import { mapWithConcurrency } from '../providers/shared';
+import { spdxHeader } from '../analyzers';
+import { islandForPath } from './importGraph';
+
+export const DEFAULT_LICENSE_ALLOW = [
+    'MIT', 'MIT-0', 'ISC', '0BSD', 'BSD-2-Clause', 'BSD-3-Clause', 'Apache-2.0', 'Zlib',
+    'Unlicense', 'CC0-1.0', 'BlueOak-1.0.0', 'Python-2.0', 'PSF-2.0', 'BSL-1.0', 'WTFPL',
+];
+
+const LICENSE_FILE = /(^|\/)(LICEN[CS]E|COPYING)([-.][\w.-]+)?$/i;
+const SKIP_PATH = /(^|\/)(node_modules|vendor|third_party|dist|build|target|\.?venv|site-packages)\//;
+const MAX_LICENSE_FILES = 40;
+const FETCH_CONCURRENCY = 4;
+
+const COPYLEFT = /^(A?GPL|LGPL|MPL|EPL|CDDL|EUPL|OSL|CPL|CECILL|MS-RL|CC-BY-SA|CC-BY-NC|SSPL|ODbL|Sleepycat)/i;
+const KNOWN_IDS = new Set([
+    ...DEFAULT_LICENSE_ALLOW, 'Apache-1.1', 'BSD-1-Clause', 'BSD-4-Clause', 'Artistic-2.0', 'CC-BY-3.0', 'CC-BY-4.0',
+    'Unicode-DFS-2016', 'Unicode-3.0', 'OpenSSL', 'X11', 'Ruby', 'PostgreSQL', 'NCSA', 'UPL-1.0', 'MulanPSL-2.0',
+]);
+const isKnown = (id) => KNOWN_IDS.has(id) || COPYLEFT.test(id);
+
+// Fingerprints of the usual license texts, most specific first
+const LICENSE_TEXTS = [
+    ['AGPL-3.0', /GNU AFFERO GENERAL PUBLIC LICENSE/i],
+    ['LGPL-3.0', /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i],
+    ['LGPL-2.1', /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i],
+    ['GPL-3.0', /GNU GENERAL PUBLIC LICENSE\s+Version 3/i],
+    ['GPL-2.0', /GNU GENERAL PUBLIC LICENSE\s+Version 2/i],
+    ['MPL-2.0', /Mozilla Public License,? (Version|v\.?) ?2\.0/i],
+    ['EPL-2.0', /Eclipse Public License - v 2\.0/i],
+    ['Apache-2.0', /Apache License,?\s+Version 2\.0/i],
+    ['BSL-1.0', /Boost Software License - Version 1\.0/i],
+    ['Unlicense', /This is free and unencumbered software released into the public domain/i],
+    ['CC0-1.0', /CC0 1\.0 Universal/i],
+    ['ISC', /Permission to use, copy, modify, and\/or distribute this software for any purpose/i],
+    ['MIT', /Permission is hereby granted, free of charge, to any person obtaining a copy/i],
+    ['BSD-3-Clause', /Neither the name of .{1,200}? nor the names of (its|the) contributors/is],
+    ['BSD-2-Clause', /Redistributions in binary form must reproduce the above copyright notice/i],
+];
+
+/** A LICENSE file's SPDX id: its own SPDX line, else the text it matches */
+export function detectLicense(text) {
+    const header = spdxHeader(text);
+    if (header) return header;
+    const head = text.slice(0, 4000);
+    return LICENSE_TEXTS.find(([, re]) => re.test(head))?.[0] || null;
+}
+
+/**
+ * Every LICENSE / COPYING file under the city's root (outside vendored folders), shallowest
+ * first, with the license its text matches (null when it matches none).
+ */
+export async function loadLicenseFiles(meta, tree) {
+    const prefix = meta.root_path ? `${meta.root_path.replace(/\/$/, '')}/` : '';
+    const paths = tree
+        .filter(e => e.type === 'blob' && e.path.startsWith(prefix) && LICENSE_FILE.test(e.path) && !SKIP_PATH.test(e.path))
+        .map(e => e.path)
+        .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+        .slice(0, MAX_LICENSE_FILES);
+
+    const files = await mapWithConcurrency(paths, FETCH_CONCURRENCY, async (path) => {
+        try {
+            return { path, dir: path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '', license: detectLicense(await fetchRepoFile(meta, path)) };
+        } catch (e) {
+            console.warn(`[License] ${path}:`, e.message);
+            return null;
+        }
+    });
+    return files.filter(Boolean);
+}
+
+// ── Policy ────────────────────────────────────────────────────
+// "MIT OR (Apache-2.0 AND BSD-3-Clause)" → [['MIT'], ['Apache-2.0', 'BSD-3-Clause']]; "X WITH exception" counts as X
+function alternatives(expression) {
+    return expression.replace(/[()]/g, ' ')
+        .split(/\s+OR\s+|\s*\/\s*/i)
+        .map(alt => alt.split(/\s+AND\s+/i).map(id => id.replace(/\s+WITH\s+.*$/i, '').replace(/\+$/, '').trim()).filter(Boolean))
+        .filter(ids => ids.length);
+}
+
+/**
+ * One alternative of the expression, with every license in it allowed, makes it allowed;
+ * otherwise the most permissive alternative says why not: a copyleft license, an
+ * unrecognised one ("SEE LICENSE IN …", UNLICENSED), or a known one missing from the list.
+ */
+export function checkLicense(expression, allow) {
+    if (!expression) return 'unknown';
+    const allowed = new Set(allow);
+    const alts = alternatives(expression);
+    if (!alts.length) return 'unknown';
+    if (alts.some(ids => ids.every(id => allowed.has(id)))) return 'allowed';
+    const rank = (ids) => (ids.some(id => COPYLEFT.test(id)) ? 2 : ids.some(id => !isKnown(id)) ? 1 : 0);
+    const best = Math.min(...alts.map(rank));
+    return ['denied', 'unknown', 'copyleft'][best];
+}
+
+export const LICENSE_STATUS_COLORS = { copyleft: '#ff5a36', unknown: '#b07cff', denied: '#ffb020', undeclared: '#7d8fa8' };
+const STATUS_ORDER = ['allowed', 'undeclared', 'denied', 'unknown', 'copyleft'];
+const worse = (a, b) => (STATUS_ORDER.indexOf(b) > STATUS_ORDER.indexOf(a) ? b : a);
+
+/**
+ * Everything the scan found, per island:
+ *   islands: { [id]: { status, licenses: [{ kind, name, license, status }] } }  — kind: 'file' | 'header' | 'dependency'
+ *   dependencies: { [dependency id]: { license, status, via } }   (null license: the lockfile declares
+ *                 none — status 'undeclared', the mildest finding since only npm lockfiles record them)
+ *   findings: the flagged entries, worst first, each with the islands it affects
+ * A LICENSE file covers the islands at or below its folder, down to the next LICENSE file;
+ * a dependency counts for the islands importing it, with the worst license of everything it
+ * pulls in (`via` names the package that has it).
+ */
+export function licenseReport({ islands, licenseFiles, headers, supplyChain, allow }) {
+    const ids = new Set(islands.map(i => i.id));
+    const byIsland = new Map(islands.map(i => [i.id, { status: 'allowed', licenses: [] }]));
+    const findings = new Map();
+    const add = (islandId, entry) => {
+        const island = byIsland.get(islandId);
+        if (!island) return;
+        island.licenses.push(entry);
+        island.status = worse(island.status, entry.status);
+        if (entry.status === 'allowed') return;
+        const key = `${entry.kind}:${entry.name}`;
+        const finding = findings.get(key) || { ...entry, islands: [] };
+        if (!finding.islands.includes(islandId)) finding.islands.push(islandId);
+        findings.set(key, finding);
+    };
+
+    // Nearest LICENSE at or above each island's folder
+    const files = [...licenseFiles].sort((a, b) => b.dir.length - a.dir.length);
+    islands.forEach(island => {
+        const dir = island.id.startsWith('dir:') ? island.id.slice(4) : '';
+        const file = files.find(f => !f.dir || dir === f.dir || dir.startsWith(`${f.dir}/`));
+        if (file) add(island.id, { kind: 'file', name: file.path, license: file.license, status: checkLicense(file.license, allow) });
+    });
+
+    Object.entries(headers || {}).forEach(([path, license]) => {
+        add(islandForPath(path, ids), { kind: 'header', name: path, license, status: checkLicense(license, allow) });
+    });
+
+    // Undeclared isn't unknown (only npm lockfiles record licenses), but it isn't allowed either
+    const verdict = (license) => (license ? checkLicense(license, allow) : 'undeclared');
+    const dependencies = {};
+    (supplyChain?.dependencies || []).forEach(dep => {
+        let found = { license: dep.license || null, status: verdict(dep.license), via: null };
+        dep.transitive.forEach(pid => {
+            const pkg = supplyChain.packages[pid];
+            const status = verdict(pkg?.license);
+            if (worse(found.status, status) !== found.status) {
+                found = { license: pkg?.license || null, status, via: pkg ? `${pkg.name}@${pkg.version}` : pid };
+            }
+        });
+        dependencies[dep.id] = found;
+        const entry = { kind: 'dependency', name: dep.name, license: found.license, status: found.status, via: found.via };
+        (supplyChain.importers[dep.id] || []).forEach(({ id }) => add(id, entry));
+        if (found.status !== 'allowed' && !findings.has(`dependency:${dep.name}`)) {
+            findings.set(`dependency:${dep.name}`, { ...entry, islands: [] });
+        }
+    });
+
+    return {
+        islands: Object.fromEntries(byIsland),
+        dependencies,
+        findings: [...findings.values()].sort((a, b) => STATUS_ORDER.indexOf(b.status) - STATUS_ORDER.indexOf(a.status) || b.islands.length - a.islands.length),
+    };
+}
@@ -141,11 +141,6 @@ export function generateNarrative(repoData) {
             size: size,
             topics,
         },
-        altitude: {
-            high: ['src', 'core', 'lib', 'main', 'api', 'app'],
-            medium: ['components', 'utils', 'services', 'hooks', 'store'],
-            low: ['test', 'tests', '__tests__', 'deprecated', 'legacy', 'examples', 'docs'],
-        },
     };
 }
 
@@ -0,0 +1,335 @@
+/**
+ * osv.js
+ * Offline vulnerability matching for the Security Shields: the repo's resolved dependency
+ * versions (supplyChain.js) against OSV-format advisories (https://ossf.github.io/osv-schema/),
+ * read from a local dump or queried from the bundled server (server/advisories.js).
+ *   readAdvisoryFile(file)                      → [advisory]   (.json, .jsonl or an OSV .zip)
+ *   queryAdvisoryServer(packages)               → [advisory]
+ *   indexAdvisories(advisories)                 → Map<"ecosystem:name", [advisory]>
+ *   findVulnerabilities(supplyChain, index)     → { [dependency id]: [Finding] }
+ *   islandVulnerabilities(findings, importers)  → { [island id]: { severity, score, cve, count, findings } }
+ */
+
+import { unzipSync } from 'fflate';
+import { ecosystemById } from '../manifests';
+import { normalizeName } from '../manifests/python';
+
+const ADVISORY_SERVER = import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:4000';
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const GHSA_SEVERITY = { LOW: 'low', MODERATE: 'medium', MEDIUM: 'medium', HIGH: 'high', CRITICAL: 'critical' };
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} id          advisory id (GHSA-…, PYSEC-…, RUSTSEC-…, GO-…)
+ * @property {string} cve         its CVE alias, else the id
+ * @property {string} summary
+ * @property {'low'|'medium'|'high'|'critical'} severity
+ * @property {number|null} score  CVSS v3 base score, null when the advisory has none
+ * @property {string} package     affected package name
+ * @property {string} version     the repo's resolved version of it
+ * @property {string[]} ranges    affected ranges, e.g. ">= 4.0.0, < 4.17.21"
+ * @property {string[]} fixed     versions that fix it
+ * @property {string|null} via    set when the package comes in transitively
+ */
+
+// Advisory keys: PyPI names are PEP 503-normalized, the rest are case-sensitive
+const packageIndexKey = (ecosystem, name) => `${ecosystem}:${ecosystem === 'PyPI' ? normalizeName(name) : name}`;
+
+// ── Reading dumps ─────────────────────────────────────────────
+// One advisory, an array of them, an OSV API response ({ vulns }) or JSON lines
+function parseAdvisoryText(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+    try {
+        const json = JSON.parse(trimmed);
+        if (Array.isArray(json)) return json;
+        if (Array.isArray(json.vulns)) return json.vulns;
+        return json.id ? [json] : [];
+    } catch {
+        return trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+}
+
+/**
+ * A user-picked OSV dump: the per-ecosystem `all.zip` from osv-vulnerabilities.storage.googleapis.com
+ * (one JSON file per advisory), a JSON array / OSV API response, or JSON lines.
+ */
+export async function readAdvisoryFile(file) {
+    if (/\.zip$/i.test(file.name)) {
+        let entries;
+        try {
+            entries = unzipSync(new Uint8Array(await file.arrayBuffer()), { filter: (entry) => entry.name.endsWith('.json') });
+        } catch {
+            throw new Error(`"${file.name}" is not a readable ZIP archive.`);
+        }
+        const decoder = new TextDecoder();
+        return Object.values(entries).flatMap(bytes => parseAdvisoryText(decoder.decode(bytes)));
+    }
+    try {
+        return parseAdvisoryText(await file.text());
+    } catch {
+        throw new Error(`"${file.name}" is not OSV JSON (an advisory, an array of them or JSON lines).`);
+    }
+}
+
+/**
+ * Advisories for `packages` ([{ ecosystem, name }], OSV ecosystem names) from the bundled
+ * server, which indexes the dumps under its OSV_DATA_DIR.
+ */
+export async function queryAdvisoryServer(packages) {
+    let resp;
+    try {
+        resp = await fetch(`${ADVISORY_SERVER}/api/advisories/query`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ packages }),
+        });
+    } catch {
+        throw new Error(`Cannot reach the advisory server at ${ADVISORY_SERVER} — load an OSV file instead, or start it with \`node server.js\`.`);
+    }
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(body.error || `Advisory server error ${resp.status}.`);
+    return body.vulns || [];
+}
+
+export function indexAdvisories(advisories) {
+    const index = new Map();
+    advisories.forEach(advisory => {
+        if (advisory.withdrawn) return;
+        new Set((advisory.affected || [])
+            .filter(a => a.package?.ecosystem && a.package?.name)
+            .map(a => packageIndexKey(a.package.ecosystem, a.package.name)))
+            .forEach(key => {
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(advisory);
+            });
+    });
+    return index;
+}
+
+// ── Versions ──────────────────────────────────────────────────
+function compareParts(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const x = a[i] ?? 0;
+        const y = b[i] ?? 0;
+        if (x === y) continue;
+        if (typeof x === 'number' && typeof y === 'number') return x - y;
+        if (typeof x === 'number') return -1;
+        if (typeof y === 'number') return 1;
+        return x < y ? -1 : 1;
+    }
+    return 0;
+}
+
+// SemVer 2 (npm, crates.io, Go modules — Go's "v" prefix and pseudo-versions included)
+function compareSemver(a, b) {
+    const parse = (v) => {
+        const [core, pre] = v.replace(/^v/, '').split('+')[0].split(/-(.*)/s);
+        return {
+            core: core.split('.').map(n => parseInt(n, 10) || 0),
+            pre: pre ? pre.split('.').map(p => (/^\d+$/.test(p) ? Number(p) : p)) : null,
+        };
+    };
+    const x = parse(a);
+    const y = parse(b);
+    const core = compareParts(x.core, y.core);
+    if (core) return core;
+    if (!x.pre || !y.pre) return (x.pre ? -1 : 0) - (y.pre ? -1 : 0);
+    return compareParts(x.pre, y.pre);
+}
+
+// PEP 440, without epochs or local versions: 1.0.dev1 < 1.0a1 < 1.0rc1 < 1.0 < 1.0.post1
+const PEP440_RELEASE_PARTS = 6;
+const PEP440_PRE = { a: -3, alpha: -3, b: -2, beta: -2, c: -1, rc: -1, pre: -1, preview: -1 };
+
+function comparePep440(a, b) {
+    const parse = (v) => {
+        const m = v.toLowerCase().replace(/^v/, '').replace(/^\d+!/, '').split('+')[0]
+            .match(/^(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?/);
+        if (!m) return [0];
+        const [, release, pre, preNum, post, dev] = m;
+        const hasPost = post !== undefined;
+        const hasDev = dev !== undefined;
+        const parts = release.split('.').map(Number);
+        return [
+            ...parts, ...Array(Math.max(0, PEP440_RELEASE_PARTS - parts.length)).fill(0),
+            pre ? PEP440_PRE[pre] : (hasDev && !hasPost ? -4 : 0), Number(preNum) || 0,
+            hasPost ? Number(post) || 0 : -1,
+            hasDev ? Number(dev) || 0 : Infinity,
+        ];
+    };
+    return compareParts(parse(a), parse(b));
+}
+
+const compareVersions = (ecosystem, a, b) => (ecosystem === 'PyPI' ? comparePep440(a, b) : compareSemver(a, b));
+
+// An exact version, not a range ("^1.2", ">=2") — only those can be matched without a lockfile
+const isExactVersion = (v) => /^v?\d+(\.\d+)+(-[\w.-]+|\+[\w.-]+|\.?[a-z][\w.-]*)?$/i.test(v || '') && !/\.x(\.|$)/i.test(v);
+
+/**
+ * OSV range evaluation: walking the events in version order, `introduced` opens an affected
+ * span and `fixed` / `last_affected` / `limit` close it
+ */
+function inRange(range, version, ecosystem) {
+    const at = (e) => e.introduced ?? e.fixed ?? e.last_affected ?? e.limit;
+    const events = [...range.events].sort((x, y) => {
+        if (at(x) === '0') return -1;
+        if (at(y) === '0') return 1;
+        return compareVersions(ecosystem, at(x), at(y));
+    });
+    let affected = false;
+    events.forEach(e => {
+        if (e.introduced !== undefined) {
+            if (e.introduced === '0' || compareVersions(ecosystem, version, e.introduced) >= 0) affected = true;
+        } else if (e.fixed !== undefined || e.limit !== undefined) {
+            if (compareVersions(ecosystem, version, e.fixed ?? e.limit) >= 0) affected = false;
+        } else if (e.last_affected !== undefined && compareVersions(ecosystem, version, e.last_affected) > 0) {
+            affected = false;
+        }
+    });
+    return affected;
+}
+
+const isAffected = (affected, version, ecosystem) => (affected.versions || []).includes(version)
+    || (affected.ranges || []).some(r => (r.type === 'SEMVER' || r.type === 'ECOSYSTEM') && inRange(r, version, ecosystem));
+
+function describeRanges(affected) {
+    return (affected.ranges || []).filter(r => r.type !== 'GIT').flatMap(r => {
+        const spans = [];
+        r.events.forEach(e => {
+            if (e.introduced !== undefined) spans.push(e.introduced === '0' ? [] : [`>= ${e.introduced}`]);
+            else if (spans.length && e.fixed !== undefined) spans[spans.length - 1].push(`< ${e.fixed}`);
+            else if (spans.length && e.last_affected !== undefined) spans[spans.length - 1].push(`<= ${e.last_affected}`);
+        });
+        return spans.map(s => s.join(', ') || 'all versions');
+    });
+}
+
+// ── Severity ──────────────────────────────────────────────────
+// CVSS v3.x base score from its vector (FIRST specification, section 7.1)
+const CVSS3 = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+const roundUp = (x) => {
+    const n = Math.round(x * 100000);
+    return n % 10000 === 0 ? n / 100000 : (Math.floor(n / 10000) + 1) / 10;
+};
+
+export function cvss3Score(vector) {
+    const m = Object.fromEntries(vector.split('/').slice(1).map(part => part.split(':')));
+    const changed = m.S === 'C';
+    const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[m.PR];
+    const [c, i, a] = [m.C, m.I, m.A].map(v => CVSS3.CIA[v]);
+    if ([CVSS3.AV[m.AV], CVSS3.AC[m.AC], pr, CVSS3.UI[m.UI], c, i, a].some(v => v === undefined)) return null;
+
+    const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    if (impact <= 0) return 0;
+    const exploitability = 8.22 * CVSS3.AV[m.AV] * CVSS3.AC[m.AC] * pr * CVSS3.UI[m.UI];
+    return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+const severityForScore = (score) => (score >= 9 ? 'critical' : score >= 7 ? 'high' : score >= 4 ? 'medium' : 'low');
+
+/**
+ * The advisory's CVSS v3 vector when it has one; otherwise the GitHub / ecosystem severity
+ * label it carries (CVSS v4 vectors included), else medium.
+ */
+function advisorySeverity(advisory, affected) {
+    const v3 = (advisory.severity || []).find(s => s.type === 'CVSS_V3' && s.score?.startsWith('CVSS:3'));
+    const score = v3 ? cvss3Score(v3.score) : null;
+    if (score !== null) return { score, severity: severityForScore(score) };
+    const label = String(advisory.database_specific?.severity || affected.ecosystem_specific?.severity || '').toUpperCase();
+    return { score: null, severity: GHSA_SEVERITY[label] || 'medium' };
+}
+
+// ── Matching ──────────────────────────────────────────────────
+function matchPackage(index, ecosystem, name, version, via) {
+    if (!ecosystem || !isExactVersion(version)) return [];
+    const key = packageIndexKey(ecosystem, name);
+    return (index.get(key) || []).flatMap(advisory => {
+        const affected = (advisory.affected || []).filter(a => a.package && packageIndexKey(a.package.ecosystem, a.package.name) === key);
+        const hit = affected.find(a => isAffected(a, version, ecosystem));
+        if (!hit) return [];
+        return [{
+            id: advisory.id,
+            cve: [advisory.id, ...(advisory.aliases || [])].find(id => id.startsWith('CVE-')) || advisory.id,
+            summary: advisory.summary || advisory.details?.split('\n')[0] || '',
+            ...advisorySeverity(advisory, hit),
+            package: name,
+            version,
+            ranges: affected.flatMap(describeRanges),
+            fixed: [...new Set(affected.flatMap(a => (a.ranges || []).flatMap(r => r.events.filter(e => e.fixed).map(e => e.fixed))))],
+            via,
+        }];
+    });
+}
+
+const bySeverity = (a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || (b.score ?? 0) - (a.score ?? 0);
+
+/**
+ * Advisories hitting each direct dependency — any version it is locked at, or any package it
+ * pulls in (`via`) — worst first. Dependencies without a lockfile entry only match pinned versions.
+ */
+export function findVulnerabilities({ dependencies, packages }, index) {
+    const out = {};
+    if (!index?.size) return out;
+    const cache = new Map();
+    const packageFindings = (pid, via) => {
+        if (!cache.has(pid)) {
+            const pkg = packages[pid];
+            cache.set(pid, matchPackage(index, ecosystemById(pkg.ecosystem)?.osv, pkg.name, pkg.version, null));
+        }
+        return cache.get(pid).map(f => ({ ...f, via }));
+    };
+
+    dependencies.forEach(dep => {
+        const osv = ecosystemById(dep.ecosystem)?.osv;
+        const locked = dep.locked.filter(pid => packages[pid]);
+        const findings = [
+            ...(locked.length ? locked.flatMap(pid => packageFindings(pid, null)) : matchPackage(index, osv, dep.name, dep.version, null)),
+            ...dep.transitive.filter(pid => packages[pid]).flatMap(pid => packageFindings(pid, dep.name)),
+        ];
+        const unique = [...new Map(findings.map(f => [`${f.id}|${f.package}@${f.version}`, f])).values()];
+        if (unique.length) out[dep.id] = unique.sort(bySeverity);
+    });
+    return out;
+}
+
+/**
+ * The islands importing a vulnerable dependency (useSupplyChain importers) and what hits them,
+ * worst first — the shape SecurityShield draws.
+ */
+export function islandVulnerabilities(findings, importers) {
+    const byIsland = new Map();
+    Object.entries(findings).forEach(([depId, list]) => {
+        (importers[depId] || []).forEach(({ id }) => {
+            const seen = byIsland.get(id) || new Map();
+            list.forEach(f => seen.set(`${f.id}|${f.package}@${f.version}`, f));
+            byIsland.set(id, seen);
+        });
+    });
+
+    const out = {};
+    byIsland.forEach((seen, id) => {
+        const list = [...seen.values()].sort(bySeverity);
+        out[id] = { severity: list[0].severity, score: list[0].score, cve: list[0].cve, count: list.length, findings: list };
+    });
+    return out;
+}
+
+/** Packages worth asking the advisory server about: every locked one plus unlocked direct deps */
+export function advisoryQuery({ dependencies, packages }) {
+    const wanted = new Map();
+    const add = (ecosystem, name) => {
+        const osv = ecosystemById(ecosystem)?.osv;
+        if (osv) wanted.set(packageIndexKey(osv, name), { ecosystem: osv, name });
+    };
+    Object.values(packages).forEach(p => add(p.ecosystem, p.name));
+    dependencies.forEach(d => add(d.ecosystem, d.name));
+    return [...wanted.values()];
+}
@@ -0,0 +1,143 @@
+/**
+ * ownership.js
+ * Who owns each island: the repo's CODEOWNERS when it has one, otherwise the top committer
+ * touching it in the fetched commit log — plus a bus factor from the same log.
+ *   loadCodeowners(meta)                                → { path, rules } | null
+ *   islandOwnership(islands, codeowners, commitLog)     → { islands: { [id]: IslandOwnership }, teams, source }
+ */
+
+import { fetchRepoFile } from '../providers';
+import { globToRegExp } from './cityConfig';
+import { islandForPath } from './importGraph';
+
+// GitHub's lookup order; GitLab reads the same three
+export const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+const TEAM_HUES = ['#00d0ff', '#ff6a3d', '#9b5cff', '#3ddc84', '#ffcc00', '#ff3d9a', '#4d7cff', '#00b894', '#e17055', '#a29bfe'];
+const OTHER_COLOR = '#6b7280';
+export const UNOWNED = 'Unowned';
+
+/**
+ * @typedef {Object} IslandOwnership
+ * @property {string} team                     owning team / person (legend entry)
+ * @property {string[]} owners                 CODEOWNERS owners of most of its files, else its top authors
+ * @property {Array<{ name: string, commits: number }>} authors   committers, most commits first
+ * @property {number|null} busFactor           fewest authors behind over half its commits (null: none logged)
+ */
+
+// CODEOWNERS patterns are gitignore-like: "/x" is anchored, "x/" or a bare folder covers everything below
+function ruleMatcher(pattern) {
+    const re = globToRegExp(pattern);
+    const anchored = pattern.startsWith('/') && !re.source.startsWith('^')
+        ? new RegExp(re.source.replace(/^\(\^\|\\?\/\)/, '^'))
+        : re;
+    return (path) => path.split('/').some((_, i, parts) => anchored.test(parts.slice(0, i + 1).join('/')));
+}
+
+/**
+ * Rules in file order (the last match wins). GitLab `[Section]` headers are skipped; a rule
+ * without owners un-owns the paths it matches.
+ */
+export function parseCodeowners(text) {
+    return text.split('\n')
+        .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+        .filter(line => line && !/^\^?\[.*\]/.test(line))
+        .map(line => {
+            const [pattern, ...owners] = line.split(/\s+/);
+            return { pattern, owners, matches: ruleMatcher(pattern) };
+        });
+}
+
+export function ownersForPath(rules, path) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+        if (rules[i].matches(path)) return rules[i].owners;
+    }
+    return [];
+}
+
+/**
+ * The first CODEOWNERS file found at the repo root (sub-path cities too — its patterns are
+ * relative to the repo root). Resolves to null when there is none.
+ */
+export async function loadCodeowners(meta) {
+    for (const path of CODEOWNERS_PATHS) {
+        let text;
+        try {
+            text = await fetchRepoFile(meta, path);
+        } catch {
+            continue;
+        }
+        const rules = parseCodeowners(text);
+        if (rules.length) return { path, rules };
+    }
+    return null;
+}
+
+// Commits per author per island, from the log entries that list their files
+function islandAuthors(commitLog, islandIds) {
+    const byIsland = new Map();
+    commitLog.forEach(commit => {
+        new Set((commit.paths || []).map(p => islandForPath(p, islandIds))).forEach(id => {
+            if (!byIsland.has(id)) byIsland.set(id, new Map());
+            const counts = byIsland.get(id);
+            counts.set(commit.author, (counts.get(commit.author) || 0) + 1);
+        });
+    });
+    return byIsland;
+}
+
+function busFactor(authors) {
+    const total = authors.reduce((n, a) => n + a.commits, 0);
+    let covered = 0;
+    for (let i = 0; i < authors.length; i++) {
+        covered += authors[i].commits;
+        if (covered * 2 > total) return i + 1;
+    }
+    return authors.length;
+}
+
+// The owner set that owns most of the island's files ([] when none of them are owned)
+function islandCodeowners(island, rules) {
+    const paths = island.buildings?.length ? island.buildings.map(b => b.path) : [island.originalPath].filter(Boolean);
+    const tally = new Map();
+    paths.forEach(path => {
+        const key = ownersForPath(rules, path).join(' ');
+        tally.set(key, (tally.get(key) || 0) + 1);
+    });
+    const [top] = [...tally.entries()].sort((a, b) => b[1] - a[1]);
+    return top?.[0] ? top[0].split(' ') : [];
+}
+
+/**
+ * Teams are ranked by how many islands they own; past the palette they share one grey.
+ * `source` is 'codeowners', 'history' or null (neither a CODEOWNERS file nor per-file history).
+ */
+export function islandOwnership(islands, codeowners, commitLog = []) {
+    const hasHistory = commitLog.some(c => c.paths);
+    const source = codeowners ? 'codeowners' : hasHistory ? 'history' : null;
+    const byIsland = hasHistory ? islandAuthors(commitLog, new Set(islands.map(i => i.id))) : new Map();
+
+    const out = {};
+    islands.forEach(island => {
+        const authors = [...(byIsland.get(island.id) || new Map())]
+            .map(([name, commits]) => ({ name, commits }))
+            .sort((a, b) => b.commits - a.commits);
+        const owners = codeowners ? islandCodeowners(island, codeowners.rules) : authors.slice(0, 3).map(a => a.name);
+        out[island.id] = {
+            team: codeowners ? (owners.join(' ') || UNOWNED) : (authors[0]?.name || UNOWNED),
+            owners,
+            authors,
+            busFactor: authors.length ? busFactor(authors) : null,
+        };
+    });
+
+    const sizes = new Map();
+    Object.values(out).forEach(o => sizes.set(o.team, (sizes.get(o.team) || 0) + 1));
+    const ranked = [...sizes.entries()].sort((a, b) => (a[0] === UNOWNED) - (b[0] === UNOWNED) || b[1] - a[1]);
+    const teams = ranked.map(([id, count], i) => ({
+        id,
+        islands: count,
+        color: id === UNOWNED || i >= TEAM_HUES.length ? OTHER_COLOR : TEAM_HUES[i],
+    }));
+
+    return { islands: out, teams, source };
+}
@@ -0,0 +1,120 @@
+/**
+ * pathHistory.js
+ * Per-island commit history from the fetched commit log's touched paths — what the Legacy
+ * Ruins decay and the Telemetry Heatmap are computed from.
+ *   islandHistory(commitLog, islandIds, lastTouched) → { [island id]: IslandHistory } | null
+ *   loadLastTouched(meta, islands)       → { [island id]: ISO date | null }
+ *   decayLevel(history)                  → 0 (busy, recently touched) … 1 (abandoned), null if unknown
+ * Null when the log carries no per-commit file lists (GitHub without a token, archives).
+ * The detailed part of the log only reaches back so far: islands it never touches get their
+ * last commit looked up per path (loadLastTouched), and stay unknown until then.
+ */
+
+import { islandForPath } from './importGraph';
+import { fetchLastCommit } from '../providers';
+import { mapWithConcurrency } from '../providers/shared';
+
+export const RECENT_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOOKUPS = 40;          // per-path last-commit requests per repo
+const LOOKUP_CONCURRENCY = 4;
+
+/**
+ * @typedef {Object} IslandHistory
+ * @property {number|null} daysSince - days since the newest commit touching the island; null
+ *                                     while that is unknown (untouched within the detailed log)
+ * @property {boolean} beyondLog     - untouched within the detailed log; daysSince comes from
+ *                                     its own last commit (`lastTouched`)
+ * @property {number}  recentCommits - commits touching it in the last RECENT_DAYS
+ * @property {number}  recentAuthors - distinct authors of those commits
+ */
+
+export function islandHistory(commitLog, islandIds, lastTouched = null, nowMs = Date.now()) {
+    if (!commitLog?.some(c => c.paths)) return null;
+    const recentMs = nowMs - RECENT_DAYS * DAY_MS;
+    const stats = new Map();
+
+    // Newest first: an island's first touch is its last commit
+    commitLog.forEach(commit => {
+        const ms = Date.parse(commit.date);
+        const touched = new Set((commit.paths || []).map(p => islandForPath(p, islandIds)));
+        touched.forEach(id => {
+            if (!stats.has(id)) stats.set(id, { lastMs: ms, recentCommits: 0, authors: new Set() });
+            if (ms < recentMs) return;
+            const s = stats.get(id);
+            s.recentCommits++;
+            s.authors.add(commit.email || commit.author);
+        });
+    });
+
+    // Only the newest commits may carry file lists (forges fetch a capped number of details),
+    // so an island missing from them may have been touched just before — or years ago
+    const daysTo = (ms) => Math.max(0, Math.floor((nowMs - ms) / DAY_MS));
+    const out = {};
+    islandIds.forEach(id => {
+        const s = stats.get(id);
+        const looked = lastTouched?.[id];
+        out[id] = {
+            daysSince: s ? daysTo(s.lastMs) : (looked ? daysTo(Date.parse(looked)) : null),
+            beyondLog: !s,
+            recentCommits: s?.recentCommits || 0,
+            recentAuthors: s?.authors.size || 0,
+        };
+    });
+    return out;
+}
+
+export const DECAY_RULES = {
+    abandonedDays: 365,  // staleness is full a year after the last commit
+    busyCommits: 5,      // commits in the recent window that count as fully active
+    busyAuthors: 2,      // …and distinct authors
+    staleWeight: 0.7,    // the rest of the level is missing activity
+};
+
+// Levels where the Legacy Ruins overlay switches from bare → moss → rust
+export const DECAY_TIERS = [
+    { key: 'fresh', label: 'Maintained', min: 0, color: '#39d98a' },
+    { key: 'moss', label: 'Moss', min: 0.25, color: '#3a6a2a' },
+    { key: 'rust', label: 'Rust', min: 0.65, color: '#7a3a1a' },
+];
+
+export function decayTier(level) {
+    return [...DECAY_TIERS].reverse().find(t => level >= t.min);
+}
+
+/**
+ * Last commit date of the islands the detailed log never reaches (history daysSince null),
+ * shallowest and biggest first, at most MAX_LOOKUPS of them. Core and configured districts
+ * have no single path to ask about.
+ */
+export async function loadLastTouched(meta, islands) {
+    const picked = islands
+        .filter(i => !i.isCore && !i.isDistrict && i.originalPath)
+        .sort((a, b) => (a.depth || 0) - (b.depth || 0) || (b.fileCount || 0) - (a.fileCount || 0))
+        .slice(0, MAX_LOOKUPS);
+    const dates = await mapWithConcurrency(picked, LOOKUP_CONCURRENCY, async (island) => {
+        try {
+            const commit = await fetchLastCommit(meta, island.originalPath);
+            return [island.id, commit?.date || null];
+        } catch (e) {
+            console.warn(`[History] Last commit of ${island.originalPath}:`, e.message);
+            return null;
+        }
+    });
+    return Object.fromEntries(dates.filter(Boolean));
+}
+
+/**
+ * Staleness (days since the last commit, full at abandonedDays) blended with missing recent
+ * activity (commits and distinct authors in the last RECENT_DAYS). No history → 0; an
+ * unknown last commit → null (no ruins drawn for it).
+ */
+export function decayLevel(history) {
+    if (!history) return 0;
+    if (history.daysSince === null) return null;
+    const { abandonedDays, busyCommits, busyAuthors, staleWeight } = DECAY_RULES;
+    const staleness = Math.min(1, history.daysSince / abandonedDays);
+    const activity = 0.6 * Math.min(1, history.recentCommits / busyCommits)
+        + 0.4 * Math.min(1, history.recentAuthors / busyAuthors);
+    return Math.min(1, staleWeight * staleness + (1 - staleWeight) * (1 - activity));
+}
@@ -0,0 +1,144 @@
+/**
+ * repoCache.js
+ * Persistent IndexedDB cache for fetched repositories.
+ * Stores the raw tree, enriched metadata, narrative and the ETags / head SHA
+ * needed to revalidate with If-None-Match (304s don't count against the rate limit).
+ * A second store keeps computed layouts (Knowledge Graph positions + import edges)
+ * keyed by repo and head commit, so they aren't recomputed on every visit.
+ * Every call is best-effort: a blocked or missing IndexedDB just means no cache.
+ */
+
+const DB_NAME = 'lord-of-repo';
+const DB_VERSION = 2;
+const STORE = 'repos';
+const LAYOUT_STORE = 'layouts';
+const MAX_ENTRIES = 24;
+
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                db.createObjectStore(STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(LAYOUT_STORE)) {
+                db.createObjectStore(LAYOUT_STORE, { keyPath: 'key' });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    // Allow a retry on the next call instead of caching the failure forever
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Run `fn(store)` inside a transaction and resolve with its request's result
+ */
+async function withStore(mode, fn, storeName = STORE) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Cache key: host/owner/repo plus the ref + sub-path exactly as requested
+ * (e.g. "github.com/facebook/react@tree/v18.2.0/packages/react-dom").
+ */
+export function repoCacheKey({ host = 'github.com', owner, repo, kind, refSegments = [] }) {
+    const base = `${host}/${owner}/${repo}`.toLowerCase();
+    return refSegments.length ? `${base}@${kind}/${refSegments.join('/')}` : base;
+}
+
+export async function getCachedRepo(key) {
+    try {
+        return (await withStore('readonly', store => store.get(key))) || null;
+    } catch (e) {
+        console.warn('[Cache] read failed:', e.message);
+        return null;
+    }
+}
+
+export async function putCachedRepo(entry) {
+    try {
+        await withStore('readwrite', store => store.put({ ...entry, savedAt: Date.now() }));
+        await pruneCache();
+    } catch (e) {
+        console.warn('[Cache] write failed:', e.message);
+    }
+}
+
+/**
+ * Most recently opened repos, newest first — only the fields the SearchBar needs
+ */
+export async function listRecentRepos(limit = 8) {
+    try {
+        const all = (await withStore('readonly', store => store.getAll())) || [];
+        return all
+            .sort((a, b) => b.savedAt - a.savedAt)
+            .slice(0, limit)
+            .map(({ key, input, meta, savedAt }) => ({
+                key,
+                input,
+                fullName: meta?.full_name || key,
+                host: meta?.source?.host,
+                ref: meta?.ref,
+                rootPath: meta?.root_path,
+                language: meta?.language,
+                savedAt,
+            }));
+    } catch (e) {
+        console.warn('[Cache] list failed:', e.message);
+        return [];
+    }
+}
+
+/**
+ * Layout cache key: where the city comes from and the exact commit it shows
+ */
+export function layoutCacheKey(meta, kind) {
+    const { host, owner, repo } = meta.source;
+    return `${kind}:${host}/${owner}/${repo}@${meta.head_sha}/${meta.root_path || ''}`.toLowerCase();
+}
+
+export async function getCachedLayout(key) {
+    try {
+        return (await withStore('readonly', store => store.get(key), LAYOUT_STORE)) || null;
+    } catch (e) {
+        console.warn('[Cache] layout read failed:', e.message);
+        return null;
+    }
+}
+
+export async function putCachedLayout(entry) {
+    try {
+        await withStore('readwrite', store => store.put({ ...entry, savedAt: Date.now() }), LAYOUT_STORE);
+        await pruneCache(LAYOUT_STORE);
+    } catch (e) {
+        console.warn('[Cache] layout write failed:', e.message);
+    }
+}
+
+async function pruneCache(storeName = STORE) {
+    const all = (await withStore('readonly', store => store.getAll(), storeName)) || [];
+    if (all.length <= MAX_ENTRIES) return;
+    const stale = all.sort((a, b) => b.savedAt - a.savedAt).slice(MAX_ENTRIES);
+    await withStore('readwrite', (store) => {
+        stale.forEach(entry => store.delete(entry.key));
+        return null;
+    }, storeName);
+}
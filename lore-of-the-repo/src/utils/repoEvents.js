@@ -0,0 +1,51 @@
+/**
+ * repoEvents.js
+ * Live push / CI / pull request events for The Burndown, relayed by the bundled server from
+ * GitHub webhooks (server/webhooks.js) to the clients watching the repo.
+ *   watchRepoEvents(meta, onEvent)  → stop()    (onEvent receives a RepoEvent)
+ *   withinCity(event, meta)         → the event with only the files under the city's sub-path
+ *   eventLandings(event, islands)   → [{ island, files }] where the event's payloads land
+ */
+
+import { io } from 'socket.io-client';
+import { islandForPath } from './importGraph';
+
+const EVENT_SERVER = import.meta.env.VITE_LOCAL_SERVER_URL || 'http://localhost:4000';
+const MAX_LANDINGS = 8;
+const CORE_ID = 'core-station';
+
+export function watchRepoEvents(meta, onEvent) {
+    // Its own namespace: the default one is Ghost Avatars' presence, where this would be a user
+    const socket = io(`${EVENT_SERVER}/events`);
+    // Rooms don't survive reconnects — join again on every connect
+    socket.on('connect', () => socket.emit('watchRepo', meta.full_name));
+    socket.on('repoEvent', onEvent);
+    return () => socket.disconnect();
+}
+
+export function withinCity(event, meta) {
+    const prefix = meta.root_path ? `${meta.root_path.replace(/\/$/, '')}/` : '';
+    return prefix && event.files ? { ...event, files: event.files.filter(path => path.startsWith(prefix)) } : event;
+}
+
+/**
+ * The islands owning the files an event touched, busiest first. Without a file list (runs
+ * and pull requests of commits the server never saw pushed) the payload lands on the core.
+ */
+export function eventLandings(event, islands) {
+    const core = islands.find(i => i.id === CORE_ID) || islands[0];
+    if (!event.files) return core ? [{ island: core, files: 0 }] : [];
+
+    const byId = new Map(islands.map(i => [i.id, i]));
+    const ids = new Set(byId.keys());
+    const counts = new Map();
+    event.files.forEach(path => {
+        const id = islandForPath(path, ids);
+        counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    return [...counts]
+        .filter(([id]) => byId.has(id))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_LANDINGS)
+        .map(([id, files]) => ({ island: byId.get(id), files }));
+}
@@ -0,0 +1,174 @@
+/**
+ * sbom.js
+ * Software bill of materials for the loaded repo, from the dependency graph (supplyChain.js)
+ * and the License Scan's policy (licenses.js): every locked package with its purl, declared
+ * license and allow-list verdict, plus the dependency relationships.
+ *   spdxDocument(input)        → SPDX 2.3 JSON
+ *   cycloneDxDocument(input)   → CycloneDX 1.5 JSON
+ *   downloadSbom(format, input)
+ * `input` is { repoInfo, graph: { dependencies, packages }, licenseFiles, findings, allow }.
+ */
+
+import { ecosystemById } from '../manifests';
+import { checkLicense } from './licenses';
+
+const TOOL = 'lord-of-repo';
+const POLICY_PROPERTY = `${TOOL}:license-policy`;
+// Lockfiles also carry "SEE LICENSE IN …" and "UNLICENSED"; those aren't SPDX expressions
+function isSpdxExpression(license) {
+    const tokens = license.replace(/[()]/g, ' ').trim().split(/\s+/);
+    return license !== 'UNLICENSED' && tokens.length % 2 === 1 && tokens.every((t, i) => (i % 2
+        ? /^(AND|OR|WITH)$/.test(t)
+        : /^[\w.+-]+$/.test(t) && !/^(AND|OR|WITH)$/.test(t)));
+}
+
+function purl(ecosystem, name, version) {
+    const type = ecosystemById(ecosystem)?.purl || ecosystem;
+    const normalized = type === 'pypi' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+    const path = normalized.split('/').map(encodeURIComponent).join('/');
+    return `pkg:${type}/${path}${version ? `@${encodeURIComponent(version)}` : ''}`;
+}
+
+const policyOf = (license, allow) => (license ? checkLicense(license, allow) : 'undeclared');
+
+/**
+ * Everything both formats share: the root (the repo at its head commit, licensed by its
+ * top-level LICENSE file), every package, and who depends on what. Direct dependencies
+ * without a lockfile entry appear with their manifest's range.
+ */
+function collect({ repoInfo, graph, licenseFiles = [], findings = [], allow }) {
+    const name = repoInfo.full_name || `${repoInfo.source?.owner}/${repoInfo.source?.repo}`;
+    const rootLicense = licenseFiles.find(f => f.dir === (repoInfo.root_path || '').replace(/\/$/, '')) || licenseFiles.find(f => !f.dir);
+    const packages = new Map();
+    const add = (id, { ecosystem, name: pkgName, version, license, locked }) => {
+        if (!packages.has(id)) {
+            packages.set(id, { id, ecosystem, name: pkgName, version, license, locked, policy: policyOf(license, allow), deps: [] });
+        }
+        return packages.get(id);
+    };
+
+    Object.entries(graph.packages).forEach(([id, p]) => {
+        add(id, { ...p, locked: true }).deps = p.deps.filter(d => graph.packages[d]);
+    });
+    const direct = graph.dependencies.map(dep => {
+        const lockedId = `${dep.ecosystem}:${dep.name}@${dep.version}`;
+        const pkg = graph.packages[lockedId] ? packages.get(lockedId) : add(dep.id, { ...dep, locked: false });
+        return { pkg, dev: dep.dev };
+    });
+
+    return {
+        root: {
+            name,
+            version: repoInfo.head_sha || repoInfo.ref || null,
+            url: repoInfo.html_url || null,
+            license: rootLicense?.license || null,
+            // In-repo findings (LICENSE files and SPDX headers) belong to the repo itself
+            flagged: findings.filter(f => f.kind !== 'dependency').map(f => `${f.name}: ${f.license || 'no license detected'} (${f.status})`),
+        },
+        packages: [...packages.values()],
+        direct,
+    };
+}
+
+export function spdxDocument(input) {
+    const { root, packages, direct } = collect(input);
+    const spdxId = new Map(packages.map((p, i) => [p.id, `SPDXRef-Package-${i + 1}`]));
+    const declared = (license) => (license && isSpdxExpression(license) ? license : 'NOASSERTION');
+
+    return {
+        spdxVersion: 'SPDX-2.3',
+        dataLicense: 'CC0-1.0',
+        SPDXID: 'SPDXRef-DOCUMENT',
+        name: `${root.name}${root.version ? `@${root.version}` : ''}`,
+        documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(root.name)}-${crypto.randomUUID()}`,
+        creationInfo: { created: new Date().toISOString().replace(/\.\d+Z$/, 'Z'), creators: [`Tool: ${TOOL}`] },
+        documentDescribes: ['SPDXRef-Root'],
+        packages: [
+            {
+                name: root.name,
+                SPDXID: 'SPDXRef-Root',
+                ...(root.version && { versionInfo: root.version }),
+                downloadLocation: root.url || 'NOASSERTION',
+                filesAnalyzed: false,
+                licenseConcluded: 'NOASSERTION',
+                licenseDeclared: declared(root.license),
+                ...(root.flagged.length && { comment: `License policy findings:\n${root.flagged.join('\n')}` }),
+            },
+            ...packages.map(p => ({
+                name: p.name,
+                SPDXID: spdxId.get(p.id),
+                versionInfo: p.version,
+                downloadLocation: 'NOASSERTION',
+                filesAnalyzed: false,
+                licenseConcluded: 'NOASSERTION',
+                licenseDeclared: declared(p.license),
+                externalRefs: p.locked
+                    ? [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: purl(p.ecosystem, p.name, p.version) }]
+                    : [],
+                comment: `License policy: ${p.policy}${p.license && declared(p.license) !== p.license ? ` (declared "${p.license}")` : ''}${p.locked ? '' : '; not locked, version is the manifest range'}`,
+            })),
+        ],
+        relationships: [
+            { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Root' },
+            ...direct.map(({ pkg, dev }) => (dev
+                ? { spdxElementId: spdxId.get(pkg.id), relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: 'SPDXRef-Root' }
+                : { spdxElementId: 'SPDXRef-Root', relationshipType: 'DEPENDS_ON', relatedSpdxElement: spdxId.get(pkg.id) })),
+            ...packages.flatMap(p => p.deps.map(d => ({ spdxElementId: spdxId.get(p.id), relationshipType: 'DEPENDS_ON', relatedSpdxElement: spdxId.get(d) }))),
+        ],
+    };
+}
+
+export function cycloneDxDocument(input) {
+    const { root, packages, direct } = collect(input);
+    const licenses = (license) => {
+        if (!license) return undefined;
+        return isSpdxExpression(license) ? [{ expression: license }] : [{ license: { name: license } }];
+    };
+    const dev = new Set(direct.filter(d => d.dev).map(d => d.pkg.id));
+
+    return {
+        bomFormat: 'CycloneDX',
+        specVersion: '1.5',
+        serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+        version: 1,
+        metadata: {
+            timestamp: new Date().toISOString(),
+            tools: { components: [{ type: 'application', name: TOOL }] },
+            component: {
+                type: 'application',
+                'bom-ref': 'root',
+                name: root.name,
+                ...(root.version && { version: root.version }),
+                licenses: licenses(root.license),
+                ...(root.url && { externalReferences: [{ type: 'vcs', url: root.url }] }),
+                properties: root.flagged.map(value => ({ name: POLICY_PROPERTY, value })),
+            },
+        },
+        components: packages.map(p => ({
+            type: 'library',
+            'bom-ref': p.id,
+            name: p.name,
+            version: p.version,
+            ...(p.locked && { purl: purl(p.ecosystem, p.name, p.version) }),
+            ...(dev.has(p.id) && { scope: 'optional' }),
+            licenses: licenses(p.license),
+            properties: [{ name: POLICY_PROPERTY, value: p.policy }],
+        })),
+        dependencies: [
+            { ref: 'root', dependsOn: direct.map(d => d.pkg.id) },
+            ...packages.map(p => ({ ref: p.id, dependsOn: p.deps })),
+        ],
+    };
+}
+
+export function downloadSbom(format, input) {
+    const doc = format === 'spdx' ? spdxDocument(input) : cycloneDxDocument(input);
+    const base = (input.repoInfo.full_name || input.repoInfo.name || 'repo').replace(/[^\w.-]+/g, '-');
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${base}.${format === 'spdx' ? 'spdx' : 'cdx'}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
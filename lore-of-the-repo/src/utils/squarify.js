@@ -0,0 +1,76 @@
+/**
+ * squarify.js
+ * Squarified treemap (Bruls, Huizing & van Wijk): packs weighted items into a
+ * rectangle, growing each row only while it keeps the cells close to square.
+ * Rects are on the ground plane: { x, z } is the min corner, { w, d } the size along x / z.
+ */
+
+// Worst aspect ratio of a row of areas laid along a side of length `side`
+function worstRatio(row, side) {
+    let sum = 0;
+    let max = 0;
+    let min = Infinity;
+    row.forEach(({ area }) => {
+        sum += area;
+        max = Math.max(max, area);
+        min = Math.min(min, area);
+    });
+    const s2 = side * side;
+    return Math.max((s2 * max) / (sum * sum), (sum * sum) / (s2 * min));
+}
+
+/**
+ * items: [{ value, ... }] — sorted by value, largest first, gives the best result.
+ * Returns [{ item, x, z, w, d }] for every item with a positive value.
+ */
+export function squarify(items, rect) {
+    const total = items.reduce((sum, i) => sum + Math.max(0, i.value), 0);
+    if (!total || rect.w <= 0 || rect.d <= 0) return [];
+
+    const scale = (rect.w * rect.d) / total;
+    const cells = items.filter(i => i.value > 0).map(item => ({ item, area: item.value * scale }));
+    const out = [];
+    let { x, z, w, d } = rect;
+
+    // Lay a finished row along the shorter side, then shrink the free rect
+    const placeRow = (row) => {
+        const sum = row.reduce((s, c) => s + c.area, 0);
+        if (w >= d) {
+            const colW = sum / d;
+            let cz = z;
+            row.forEach(c => {
+                const cd = c.area / colW;
+                out.push({ item: c.item, x, z: cz, w: colW, d: cd });
+                cz += cd;
+            });
+            x += colW;
+            w -= colW;
+        } else {
+            const rowD = sum / w;
+            let cx = x;
+            row.forEach(c => {
+                const cw = c.area / rowD;
+                out.push({ item: c.item, x: cx, z, w: cw, d: rowD });
+                cx += cw;
+            });
+            z += rowD;
+            d -= rowD;
+        }
+    };
+
+    let row = [];
+    let i = 0;
+    while (i < cells.length) {
+        const side = Math.min(w, d);
+        const next = [...row, cells[i]];
+        if (!row.length || worstRatio(next, side) <= worstRatio(row, side)) {
+            row = next;
+            i++;
+        } else {
+            placeRow(row);
+            row = [];
+        }
+    }
+    if (row.length) placeRow(row);
+    return out;
+}
@@ -0,0 +1,84 @@
+/**
+ * supplyChain.js
+ * The repo's third-party dependencies, for the Supply Chain Nebula: its manifests and
+ * lockfiles (src/manifests) are fetched through the provider and parsed in the module graph
+ * worker, then matched against the import graph's `externals` to find who imports what.
+ *   loadDependencyGraph(meta, tree)                        → { dependencies, packages, unattributed }
+ *   dependencyImporters(graph, externals, islandIds)       → { [dependency id]: [{ id, imports }] }
+ */
+
+import { fetchRepoFile } from '../providers';
+import { mapWithConcurrency } from '../providers/shared';
+import { analyzerForPath } from '../analyzers';
+import { ECOSYSTEMS, isDependencyFile } from '../manifests';
+import { islandForPath, runModuleGraphWorker } from './importGraph';
+
+const SKIP_PATH = /(^|\/)(node_modules|dist|build|vendor|target|__pycache__|\.?venv|site-packages|fixtures?|examples?)\//;
+const MAX_DEPENDENCY_FILES = 60;
+const FETCH_CONCURRENCY = 4;
+
+const byDepth = (a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b);
+
+/**
+ * Manifests and lockfiles under the city's root, shallowest first — plus lockfiles in the
+ * folders above it, since a monorepo package's dependencies are locked at the workspace root.
+ */
+export function dependencyFilePaths(meta, paths) {
+    const root = (meta.root_path || '').replace(/\/$/, '');
+    const prefix = root ? `${root}/` : '';
+    const above = root.split('/').map((_, i, parts) => parts.slice(0, i).join('/'));
+    const isLockfile = (p) => ECOSYSTEMS.some(e => e.isLockfile(p));
+    return paths
+        .filter(p => isDependencyFile(p) && !SKIP_PATH.test(p))
+        .filter(p => p.startsWith(prefix) || (isLockfile(p) && above.includes(p.includes('/') ? p.slice(0, p.lastIndexOf('/')) : '')))
+        .sort(byDepth)
+        .slice(0, MAX_DEPENDENCY_FILES);
+}
+
+/**
+ * Fetch the dependency files and resolve them into direct dependencies with their transitive
+ * closure (manifests/index.js buildDependencyGraph). Unreadable files are skipped.
+ */
+export async function loadDependencyGraph(meta, tree) {
+    const paths = dependencyFilePaths(meta, tree.filter(e => e.type === 'blob').map(e => e.path));
+    const files = await mapWithConcurrency(paths, FETCH_CONCURRENCY, async (path) => {
+        try {
+            return { path, text: await fetchRepoFile(meta, path) };
+        } catch (e) {
+            console.warn(`[Deps] ${path}:`, e.message);
+            return { path, text: '' };
+        }
+    });
+
+    const { graph } = await runModuleGraphWorker({ type: 'dependencies', files: files.filter(f => f.text) });
+    console.log(`[Deps] ${paths.length} files → ${graph.dependencies.length} direct, ${Object.keys(graph.packages).length} locked packages`);
+    return graph;
+}
+
+/**
+ * Islands importing each direct dependency, most imports first. An import counts for an
+ * ecosystem only from files of its language, so a Python `import yaml` never claims npm's `yaml`.
+ */
+export function dependencyImporters(graph, externals, islandIds) {
+    const byDependency = new Map();
+    graph.dependencies.forEach(dep => byDependency.set(dep.id, new Map()));
+
+    Object.entries(externals || {}).forEach(([path, specs]) => {
+        const language = analyzerForPath(path)?.id;
+        const island = islandForPath(path, islandIds);
+        ECOSYSTEMS.filter(e => e.language === language).forEach(eco => {
+            new Set(specs.flatMap(spec => eco.importNames(spec))).forEach(name => {
+                const counts = byDependency.get(`${eco.id}:${name}`);
+                if (counts) counts.set(island, (counts.get(island) || 0) + 1);
+            });
+        });
+    });
+
+    const out = {};
+    byDependency.forEach((counts, id) => {
+        out[id] = [...counts.entries()]
+            .map(([island, imports]) => ({ id: island, imports }))
+            .sort((a, b) => b.imports - a.imports || a.id.localeCompare(b.id));
+    });
+    return out;
+}
@@ -0,0 +1,108 @@
+/**
+ * forceLayout.worker.js
+ * 3D force-directed layout for the Knowledge Graph, off the main thread.
+ *
+ *   in:  { type: 'start', nodes: [{ id, position, pinned }], links: [{ source, target, weight, kind }] }
+ *        { type: 'stop' }
+ *   out: { type: 'tick', positions: { [id]: [x, y, z] }, alpha }   every TICKS_PER_POST ticks
+ *        { type: 'done', positions }
+ *
+ * All-pairs repulsion (the graph is capped at a few hundred islands), springs on links —
+ * import links pull hard, folder → sub-folder links only gently — and a weak pull to the
+ * origin. Ticks run in short batches so 'stop' (or a new 'start') gets through promptly.
+ */
+
+const REPULSION = 60;
+const IMPORT_SPRING = 0.06;
+const IMPORT_LENGTH = 6;
+const HIERARCHY_SPRING = 0.015;
+const HIERARCHY_LENGTH = 10;
+const GRAVITY = 0.012;
+const DAMPING = 0.82;
+const MAX_STEP = 2.5;
+const ALPHA_DECAY = 0.985;
+const ALPHA_MIN = 0.01;
+const TICKS_PER_POST = 8;
+
+let run = 0;
+
+function snapshot(nodes) {
+    const positions = {};
+    nodes.forEach(n => { positions[n.id] = [n.x, n.y, n.z]; });
+    return positions;
+}
+
+function tick(nodes, links, alpha) {
+    const count = nodes.length;
+
+    for (let i = 0; i < count; i++) {
+        const a = nodes[i];
+        for (let j = i + 1; j < count; j++) {
+            const b = nodes[j];
+            let dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+            let d2 = dx * dx + dy * dy + dz * dz;
+            if (d2 < 0.01) { dx = (i - j) * 0.01; dy = 0.01; dz = 0; d2 = dx * dx + dy * dy; }
+            const f = (REPULSION * alpha) / d2;
+            const d = Math.sqrt(d2);
+            a.vx += (dx / d) * f; a.vy += (dy / d) * f; a.vz += (dz / d) * f;
+            b.vx -= (dx / d) * f; b.vy -= (dy / d) * f; b.vz -= (dz / d) * f;
+        }
+    }
+
+    links.forEach(({ a, b, strength, length }) => {
+        const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz) || 0.01;
+        const f = (d - length) * strength * alpha;
+        a.vx += (dx / d) * f; a.vy += (dy / d) * f; a.vz += (dz / d) * f;
+        b.vx -= (dx / d) * f; b.vy -= (dy / d) * f; b.vz -= (dz / d) * f;
+    });
+
+    nodes.forEach(n => {
+        if (n.pinned) { n.vx = n.vy = n.vz = 0; return; }
+        n.vx = (n.vx - n.x * GRAVITY * alpha) * DAMPING;
+        n.vy = (n.vy - n.y * GRAVITY * alpha) * DAMPING;
+        n.vz = (n.vz - n.z * GRAVITY * alpha) * DAMPING;
+        const speed = Math.sqrt(n.vx * n.vx + n.vy * n.vy + n.vz * n.vz);
+        const k = speed > MAX_STEP ? MAX_STEP / speed : 1;
+        n.x += n.vx * k; n.y += n.vy * k; n.z += n.vz * k;
+    });
+}
+
+function start({ nodes: inNodes, links: inLinks }) {
+    const myRun = ++run;
+    const nodes = inNodes.map(n => ({
+        id: n.id, pinned: !!n.pinned,
+        x: n.position[0], y: n.position[1], z: n.position[2],
+        vx: 0, vy: 0, vz: 0,
+    }));
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const links = inLinks
+        .filter(l => byId.has(l.source) && byId.has(l.target))
+        .map(l => ({
+            a: byId.get(l.source),
+            b: byId.get(l.target),
+            strength: l.kind === 'import' ? IMPORT_SPRING * Math.min(3, 1 + Math.log2(l.weight || 1)) : HIERARCHY_SPRING,
+            length: l.kind === 'import' ? IMPORT_LENGTH : HIERARCHY_LENGTH,
+        }));
+
+    let alpha = 1;
+    const batch = () => {
+        if (myRun !== run) return; // superseded or stopped
+        for (let i = 0; i < TICKS_PER_POST && alpha > ALPHA_MIN; i++) {
+            tick(nodes, links, alpha);
+            alpha *= ALPHA_DECAY;
+        }
+        if (alpha > ALPHA_MIN) {
+            self.postMessage({ type: 'tick', positions: snapshot(nodes), alpha });
+            setTimeout(batch, 0);
+        } else {
+            self.postMessage({ type: 'done', positions: snapshot(nodes) });
+        }
+    };
+    batch();
+}
+
+self.onmessage = (e) => {
+    if (e.data?.type === 'start') start(e.data);
+    else if (e.data?.type === 'stop') run++;
+};
@@ -0,0 +1,77 @@
+/**
+ * moduleGraph.worker.js
+ * Parses fetched sources and resolves their module references, off the main thread.
+ * Each file goes to its language's analyzer (see analyzers/index.js), which also measures it.
+ *
+ *   in:  { type: 'analyze', paths: [repo blob paths], files: [{ path, code }], configs: [{ path, text }] }
+ *   out: { type: 'done', edges: [{ from, to, kind }], metrics: { [path]: {...} }, externals: { [path]: [spec] }, licenses: { [path]: spdx }, external, languages: { [analyzer id]: files } }
+ *
+ *   in:  { type: 'metrics', files: [{ path, code }] }       (another ref's sources — no graph)
+ *   out: { type: 'done', metrics: { [path]: {...} } }
+ *
+ *   in:  { type: 'dependencies', files: [{ path, text }] }   (manifests and lockfiles — manifests/index.js)
+ *   out: { type: 'done', graph: { dependencies, packages, unattributed } }
+ *
+ * `external` counts references that didn't resolve inside the repo (packages, stdlib);
+ * `externals` lists the non-relative ones per file — what the Supply Chain Nebula matches
+ * against the repo's dependencies. `licenses` holds the files with an SPDX-License-Identifier
+ * header, for the License Scan.
+ */
+
+import { analyzerForPath, createResolvers, fileMetrics, spdxHeader } from '../analyzers';
+import { buildDependencyGraph } from '../manifests';
+
+function measure(files) {
+    const metrics = {};
+    files.forEach(({ path, code }) => {
+        const m = fileMetrics(path, code);
+        if (m) metrics[path] = m;
+    });
+    return metrics;
+}
+
+self.onmessage = (e) => {
+    if (e.data?.type === 'metrics') {
+        self.postMessage({ type: 'done', metrics: measure(e.data.files) });
+        return;
+    }
+    if (e.data?.type === 'dependencies') {
+        self.postMessage({ type: 'done', graph: buildDependencyGraph(e.data.files) });
+        return;
+    }
+    if (e.data?.type !== 'analyze') return;
+    const { paths, files, configs } = e.data;
+    const resolverFor = createResolvers(paths, configs);
+    const edges = [];
+    const languages = {};
+    const externals = {};
+    const licenses = {};
+    let external = 0;
+
+    files.forEach(({ path, code }) => {
+        const analyzer = analyzerForPath(path);
+        if (!analyzer) return;
+        languages[analyzer.id] = (languages[analyzer.id] || 0) + 1;
+        const license = spdxHeader(code);
+        if (license) licenses[path] = license;
+        const resolve = resolverFor(analyzer);
+        const seen = new Set();
+        analyzer.scan(code).forEach(ref => {
+            const targets = resolve(path, ref);
+            if (!targets.length) {
+                external++;
+                if (ref.kind === 'mod' || ref.spec.startsWith('.')) return;
+                if (!externals[path]) externals[path] = [];
+                externals[path].push(ref.spec);
+                return;
+            }
+            targets.forEach(to => {
+                if (to === path || seen.has(to)) return;
+                seen.add(to);
+                edges.push({ from: path, to, kind: ref.kind });
+            });
+        });
+    });
+
+    self.postMessage({ type: 'done', edges, metrics: measure(files), externals, licenses, external, languages });
+};